@@ -0,0 +1,93 @@
+pragma solidity =0.6.6;
+
+import '@uniswap/v2-core/contracts/interfaces/IUniswapV2Pair.sol';
+
+import '../libraries/UniswapV2Library.sol';
+import '../libraries/SafeMath.sol';
+import '../interfaces/IERC20.sol';
+import '../interfaces/IWETH.sol';
+
+// buys a token from its WETH pair with msg.value and sells everything it received back to the pair, all in the
+// constructor: sent as an eth_call without a `to`, the round trip runs in one call and nothing is deployed
+// the call returns the abi encoded measurements instead of runtime code:
+// (uint buyExpected, uint buyReceived, uint sellSent, uint sellReceived, uint8 failure, bytes reason)
+// failure is 0 for a completed round trip, 1 if the buy reverted and 2 if the sell reverted (reason: revert data)
+// the buyer is the contract being created, so the sell comes from a fresh address that just bought
+contract ExampleSwapProbe {
+    using SafeMath for uint;
+
+    uint8 constant NO_FAILURE = 0;
+    uint8 constant BUY_FAILED = 1;
+    uint8 constant SELL_FAILED = 2;
+
+    constructor(address pair, address token, address weth) public payable {
+        bool tokenIsToken0 = IUniswapV2Pair(pair).token0() == token;
+
+        (uint buyExpected, uint buyReceived, bool bought, bytes memory reason) = buy(pair, token, weth, tokenIsToken0);
+        uint sellReceived;
+        uint8 failure = bought ? NO_FAILURE : BUY_FAILED;
+        if (bought) {
+            bool sold;
+            (sellReceived, sold, reason) = sell(pair, token, tokenIsToken0, buyReceived);
+            if (!sold) failure = SELL_FAILED;
+        }
+
+        bytes memory result = abi.encode(buyExpected, buyReceived, buyReceived, sellReceived, failure, reason);
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    function getReserves(address pair, bool tokenIsToken0) private view returns (uint reserveToken, uint reserveWETH) {
+        (uint reserve0, uint reserve1,) = IUniswapV2Pair(pair).getReserves();
+        (reserveToken, reserveWETH) = tokenIsToken0 ? (reserve0, reserve1) : (reserve1, reserve0);
+    }
+
+    // swaps msg.value of WETH for the token, received is the balance delta of the buyer
+    function buy(address pair, address token, address weth, bool tokenIsToken0)
+        private
+        returns (uint expected, uint received, bool success, bytes memory reason)
+    {
+        (uint reserveToken, uint reserveWETH) = getReserves(pair, tokenIsToken0);
+        expected = UniswapV2Library.getAmountOut(msg.value, reserveWETH, reserveToken);
+        IWETH(weth).deposit{value: msg.value}();
+        assert(IWETH(weth).transfer(pair, msg.value));
+
+        uint balanceBefore = IERC20(token).balanceOf(address(this));
+        try IUniswapV2Pair(pair).swap(tokenIsToken0 ? expected : 0, tokenIsToken0 ? 0 : expected, address(this), new bytes(0)) {
+            received = IERC20(token).balanceOf(address(this)).sub(balanceBefore);
+            success = received > 0;
+        } catch (bytes memory data) {
+            reason = data;
+        }
+    }
+
+    // sends amount to the pair and takes the WETH out like the router's fee-on-transfer methods,
+    // received is the balance delta of the pair
+    function sell(address pair, address token, bool tokenIsToken0, uint amount)
+        private
+        returns (uint received, bool success, bytes memory reason)
+    {
+        uint balanceBefore = IERC20(token).balanceOf(pair);
+        // bytes4(keccak256(bytes('transfer(address,uint256)')));
+        (bool sent, bytes memory data) = token.call(abi.encodeWithSelector(0xa9059cbb, pair, amount));
+        if (!sent || (data.length > 0 && !abi.decode(data, (bool)))) return (0, false, data);
+
+        received = IERC20(token).balanceOf(pair).sub(balanceBefore);
+        if (received == 0) return (0, false, new bytes(0));
+
+        (success, reason) = withdrawWETH(pair, token, tokenIsToken0);
+    }
+
+    // swaps the tokens the pair received beyond its reserve for WETH
+    function withdrawWETH(address pair, address token, bool tokenIsToken0) private returns (bool success, bytes memory reason) {
+        (uint reserveToken, uint reserveWETH) = getReserves(pair, tokenIsToken0);
+        uint amountIn = IERC20(token).balanceOf(pair).sub(reserveToken);
+        uint amountOut = UniswapV2Library.getAmountOut(amountIn, reserveToken, reserveWETH);
+        try IUniswapV2Pair(pair).swap(tokenIsToken0 ? 0 : amountOut, tokenIsToken0 ? amountOut : 0, address(this), new bytes(0)) {
+            success = true;
+        } catch (bytes memory data) {
+            reason = data;
+        }
+    }
+}
@@ -0,0 +1,34 @@
+pragma solidity =0.6.6;
+pragma experimental ABIEncoderV2;
+
+// Read-only subset of Multicall3 (github.com/mds1/multicall) for chains without the canonical deployment
+// Same ABI as the canonical contract for aggregate3, getEthBalance and getBlockNumber
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    function aggregate3(Call3[] memory calls) public returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint i = 0; i < calls.length; i++) {
+            (bool success, bytes memory result) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, 'Multicall3: call failed');
+            returnData[i] = Result(success, result);
+        }
+    }
+
+    function getEthBalance(address addr) public view returns (uint balance) {
+        balance = addr.balance;
+    }
+
+    function getBlockNumber() public view returns (uint blockNumber) {
+        blockNumber = block.number;
+    }
+}
@@ -1,16 +0,0 @@
-// Auto-generated deployment config
-// Generated at: 2026-01-07T09:03:46.539Z
-
-export const contracts = {
-  weth: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
-  factory: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
-  router: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
-  initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f'
-}
-
-export const network = {
-  name: 'hardhat',
-  chainId: 31337
-}
-
-export const deployer = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'
@@ -29,7 +29,8 @@ const PERIPHERY_CONTRACTS = [
   'ExampleSlidingWindowOracle',
   'ExampleOracleSimple',
   'ExampleSwapToPrice',
-  'ExampleComputeLiquidityValue'
+  'ExampleComputeLiquidityValue',
+  'ExampleSwapProbe'
 ];
 
 // Essential contracts from v2-core
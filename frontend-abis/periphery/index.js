@@ -12,4 +12,5 @@ export { default as ExampleFlashSwap } from './ExampleFlashSwap.json';
 export { default as ExampleSlidingWindowOracle } from './ExampleSlidingWindowOracle.json';
 export { default as ExampleOracleSimple } from './ExampleOracleSimple.json';
 export { default as ExampleSwapToPrice } from './ExampleSwapToPrice.json';
-export { default as ExampleComputeLiquidityValue } from './ExampleComputeLiquidityValue.json';
\ No newline at end of file
+export { default as ExampleComputeLiquidityValue } from './ExampleComputeLiquidityValue.json';
+export { default as ExampleSwapProbe } from './ExampleSwapProbe.json';
\ No newline at end of file
@@ -1,35 +1,36 @@
 #!/bin/bash
 
 # Safe Token Swap - Development Environment Setup
-# This script sets up mock data to avoid CORS issues during development
+# This script points the app at a local hardhat node to avoid CORS issues during development
 
 echo "🔧 Setting up Safe Token Swap for development..."
 echo ""
 
-# Create .env file with mock data enabled
+# Create .env file with local chain mode enabled
 cat > .env << EOF
 # Safe Token Swap - Development Configuration
 # Created by setup-dev-env.sh
 
-# Use mock data for development (no API key needed)
-VITE_USE_MOCK_POOLS=true
+# Use the local hardhat deployment (no API key needed)
+VITE_USE_LOCAL_CHAIN=true
 
 # For production, get a free API key from https://thegraph.com/studio/
 # and uncomment the line below:
 # VITE_GRAPH_API_KEY=your_api_key_here
 EOF
 
-echo "✅ Created .env file with mock data enabled"
+echo "✅ Created .env file with local chain mode enabled"
 echo ""
 echo "📝 Configuration:"
-echo "   - Mock pools: ENABLED"
-echo "   - This uses fake data for testing the UI"
+echo "   - Local chain: ENABLED"
+echo "   - Pairs and reserves are read from the local factory"
 echo "   - Perfect for development without API keys"
 echo ""
 echo "🚀 Next steps:"
-echo "   1. Run: npm run dev"
-echo "   2. Open: http://localhost:5173"
-echo "   3. Test the swap interface with mock data"
+echo "   1. In the repo root: npx hardhat node"
+echo "   2. In another terminal: npx hardhat run scripts/deploy-complete.js --network localhost"
+echo "   3. Run: npm run dev"
+echo "   4. Open: http://localhost:5173 and connect a wallet to Hardhat (chain 31337)"
 echo ""
 echo "📖 For production setup, see: CORS_FIX_GUIDE.md"
 echo ""
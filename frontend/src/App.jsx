@@ -1,9 +1,20 @@
 import React, { useState } from 'react';
-import { useAccount, useChainId, useSwitchChain } from 'wagmi';
+import { useAccount } from 'wagmi';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
 import { SwapComponent } from './components/SwapComponent';
 import { LiquidityComponent } from './components/LiquidityComponent';
 import { PoolDiagnostic } from './components/PoolDiagnostic';
+import { TransactionHistory } from './components/TransactionHistory';
+import { AllowanceManager } from './components/AllowanceManager';
+import { LpPositions } from './components/LpPositions';
+import { SwapToPrice } from './components/SwapToPrice';
+import { MigrationWizard } from './components/MigrationWizard';
+import { UnsupportedNetwork } from './components/UnsupportedNetwork';
+import { useTransactionHistory } from './hooks/useTransactionHistory';
+import { useDeploymentCheck } from './hooks/useDeploymentCheck';
+import { useWeb3React } from './providers/Web3Provider';
+import { isMigrationAvailable } from './services/migrationService';
+import { NETWORK_CONFIG, isSupportedChain } from './config/contracts';
 import './assets/styles.css';
 
 // Uniswap Logo SVG
@@ -19,6 +30,13 @@ function App() {
   const [activeTab, setActiveTab] = useState('swap');
   // const [showImpersonator, setShowImpersonator] = useState(false);
   const { isConnected } = useAccount();
+  const { chainId, unsupportedChain } = useWeb3React();
+  // Re-attaches to pending transactions after a reload, whichever tab is open
+  const { pendingCount } = useTransactionHistory();
+  // Configured contracts vs the chain (stale deployment.json, wrong init code hash)
+  const { result: deploymentCheck } = useDeploymentCheck();
+  // The diagnostic reads the wallet's chain, or the default network without a wallet
+  const diagnosticAvailable = isSupportedChain(chainId ?? NETWORK_CONFIG.chainId);
 
   return (
     <div className="app">
@@ -44,27 +62,62 @@ function App() {
             Pool
           </button>
           <button
-            className={activeTab === 'diagnostic' ? 'active' : ''}
-            onClick={() => setActiveTab('diagnostic')}
-            style={{ 
-              fontSize: '13px',
-              position: 'relative'
-            }}
-            title="Pool Diagnostic Tool - Verify DEX liquidity, check reserves, and debug swap calculations"
+            className={activeTab === 'positions' ? 'active' : ''}
+            onClick={() => setActiveTab('positions')}
           >
-            🔍 Debug
-            <span style={{
-              position: 'absolute',
-              top: '-4px',
-              right: '-4px',
-              width: '8px',
-              height: '8px',
-              background: 'var(--blue-primary)',
-              borderRadius: '50%',
-              border: '2px solid var(--bg-secondary)',
-              display: activeTab === 'diagnostic' ? 'none' : 'block'
-            }} />
+            Positions
           </button>
+          <button
+            className={activeTab === 'swapToPrice' ? 'active' : ''}
+            onClick={() => setActiveTab('swapToPrice')}
+          >
+            Arbitrage
+          </button>
+          {isMigrationAvailable(chainId) && (
+            <button
+              className={activeTab === 'migrate' ? 'active' : ''}
+              onClick={() => setActiveTab('migrate')}
+            >
+              Migrate
+            </button>
+          )}
+          <button
+            className={activeTab === 'history' ? 'active' : ''}
+            onClick={() => setActiveTab('history')}
+          >
+            History
+            {pendingCount > 0 && <span className="tx-pending-count">{pendingCount}</span>}
+          </button>
+          <button
+            className={activeTab === 'approvals' ? 'active' : ''}
+            onClick={() => setActiveTab('approvals')}
+          >
+            Approvals
+          </button>
+          {diagnosticAvailable && (
+            <button
+              className={activeTab === 'diagnostic' ? 'active' : ''}
+              onClick={() => setActiveTab('diagnostic')}
+              style={{ 
+                fontSize: '13px',
+                position: 'relative'
+              }}
+              title="Pool Diagnostic Tool - Verify DEX liquidity, check reserves, and debug swap calculations"
+            >
+              🔍 Debug
+              <span style={{
+                position: 'absolute',
+                top: '-4px',
+                right: '-4px',
+                width: '8px',
+                height: '8px',
+                background: 'var(--blue-primary)',
+                borderRadius: '50%',
+                border: '2px solid var(--bg-secondary)',
+                display: activeTab === 'diagnostic' ? 'none' : 'block'
+              }} />
+            </button>
+          )}
         </nav>
 
         {/* Wallet Section */}
@@ -76,19 +129,48 @@ function App() {
 
       {/* Main Content */}
       <main className="app-main">
-        {activeTab === 'diagnostic' ? (
-          <div className="swap-card">
+        {deploymentCheck && !deploymentCheck.ok && (
+          <div className="error-message deployment-check">
+            <strong>Contract configuration does not match this network</strong>
+            <ul>
+              {deploymentCheck.errors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {activeTab === 'diagnostic' && diagnosticAvailable ? (
+          <div className="swap-card" key={chainId}>
             <PoolDiagnostic />
           </div>
+        ) : isConnected && unsupportedChain ? (
+          <UnsupportedNetwork />
         ) : isConnected ? (
-          <>
+          // Keyed by chain: a network switch remounts with the new chain's tokens and contracts
+          <React.Fragment key={chainId}>
             {activeTab === 'swap' && (
               <SwapComponent />
             )}
             {activeTab === 'liquidity' && (
               <LiquidityComponent />
             )}
-          </>
+            {activeTab === 'positions' && (
+              <LpPositions />
+            )}
+            {activeTab === 'swapToPrice' && (
+              <SwapToPrice />
+            )}
+            {activeTab === 'migrate' && isMigrationAvailable(chainId) && (
+              <MigrationWizard />
+            )}
+            {activeTab === 'history' && (
+              <TransactionHistory />
+            )}
+            {activeTab === 'approvals' && (
+              <AllowanceManager />
+            )}
+          </React.Fragment>
         ) : (
           <div className="swap-card">
             <div className="connect-prompt">
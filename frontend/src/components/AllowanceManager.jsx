@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3React } from '../providers/Web3Provider';
+import { useAllowances } from '../hooks/useAllowances';
+import { revokeAllowance, reduceAllowance, revokeAllowances } from '../services/allowanceService';
+import { formatTokenAmount, parseTokenAmount } from '../utils/calculations';
+
+const RISK_LABELS = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+};
+
+// Helper function to identify an allowance row
+function entryKey(entry) {
+  return `${entry.token.address}:${entry.spender.address}`;
+}
+
+/**
+ * AllowanceManager Component
+ * Outstanding approvals of the connected account with revoke / reduce actions
+ * - Revocations of several rows are sent one transaction after another
+ */
+export function AllowanceManager() {
+  const { library, account } = useWeb3React();
+  const { entries, loading, error, refresh } = useAllowances();
+  const [selected, setSelected] = useState(new Set());
+  // Row whose reduce form is open, and the amount typed into it
+  const [reducing, setReducing] = useState(null);
+  const [reduceAmount, setReduceAmount] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const signer = library && account ? library.getSigner() : null;
+
+  const toggleSelected = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const allSelected = entries.length > 0 && entries.every(entry => selected.has(entryKey(entry)));
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(entries.map(entryKey)));
+  };
+
+  const runAction = async (action) => {
+    if (!signer) return;
+    setBusy(true);
+    setActionError(null);
+    setStatus(null);
+    try {
+      await action();
+    } catch (err) {
+      setActionError(err.reason || err.message);
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  };
+
+  const handleRevoke = (entry) => runAction(async () => {
+    setStatus(`Revoking ${entry.token.symbol} for ${entry.spender.name}...`);
+    await revokeAllowance(entry.token.address, entry.spender.address, signer);
+    setStatus(`Revoked ${entry.token.symbol} for ${entry.spender.name}`);
+  });
+
+  const handleReduce = (entry) => runAction(async () => {
+    const amount = parseTokenAmount(reduceAmount, entry.token.decimals);
+    setStatus(`Reducing ${entry.token.symbol} allowance for ${entry.spender.name}...`);
+    await reduceAllowance(entry.token.address, entry.spender.address, entry.allowance, amount, signer);
+    setStatus(`Reduced ${entry.token.symbol} allowance to ${reduceAmount}`);
+    setReducing(null);
+    setReduceAmount('');
+  });
+
+  const handleBatchRevoke = () => runAction(async () => {
+    const batch = entries.filter(entry => selected.has(entryKey(entry)));
+    const results = await revokeAllowances(batch, signer, (result, index) => {
+      setStatus(`Revoking ${index + 1} of ${batch.length}...`);
+    });
+    const failed = results.filter(result => !result.success);
+    setSelected(new Set(failed.map(result => entryKey(result.entry))));
+    setStatus(`Revoked ${results.length - failed.length} of ${batch.length} approvals`);
+    if (failed.length > 0) {
+      setActionError(failed.map(result => `${result.entry.token.symbol}: ${result.error}`).join('; '));
+    }
+  });
+
+  const formatAllowance = (entry) =>
+    entry.isUnlimited
+      ? 'Unlimited'
+      : `${formatTokenAmount(entry.allowance, entry.token.decimals, 4)} ${entry.token.symbol}`;
+
+  return (
+    <div className="swap-card">
+      <div className="swap-header">
+        <h2>Token Approvals</h2>
+        <button className="tx-clear-button" onClick={refresh} disabled={loading || busy}>
+          {loading ? 'Scanning...' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="swap-body">
+        {error && <div className="error-message">{error}</div>}
+
+        {!loading && !error && entries.length === 0 ? (
+          <div className="connect-prompt">
+            <p>No outstanding approvals for known spenders</p>
+          </div>
+        ) : (
+          <>
+            {entries.length > 0 && (
+              <div className="allowance-toolbar">
+                <label>
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={busy} />
+                  Select all
+                </label>
+                <button
+                  className="modal-button primary"
+                  onClick={handleBatchRevoke}
+                  disabled={busy || selected.size === 0}
+                >
+                  Revoke selected ({selected.size})
+                </button>
+              </div>
+            )}
+
+            <div className="tx-history-list">
+              {entries.map(entry => {
+                const key = entryKey(entry);
+                return (
+                  <div className="tx-history-item allowance-item" key={key}>
+                    <div className="allowance-row">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(key)}
+                        onChange={() => toggleSelected(key)}
+                        disabled={busy}
+                      />
+                      <div className="tx-history-main">
+                        <span className="tx-history-summary">
+                          {entry.token.symbol} → {entry.spender.name}
+                        </span>
+                        <span className="tx-history-type" title={entry.spender.address}>
+                          {formatAllowance(entry)} · balance {formatTokenAmount(entry.balance, entry.token.decimals, 4)}
+                        </span>
+                      </div>
+                      <span className={`allowance-risk ${entry.risk}`} title={entry.reason}>
+                        {RISK_LABELS[entry.risk]}
+                      </span>
+                    </div>
+
+                    <div className="tx-history-meta">
+                      <span>{entry.reason}</span>
+                      <button
+                        className="tx-clear-button"
+                        onClick={() => {
+                          setReducing(reducing === key ? null : key);
+                          setReduceAmount('');
+                        }}
+                        disabled={busy}
+                      >
+                        Reduce
+                      </button>
+                      <button className="tx-clear-button danger" onClick={() => handleRevoke(entry)} disabled={busy}>
+                        Revoke
+                      </button>
+                    </div>
+
+                    {reducing === key && (
+                      <div className="allowance-reduce">
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          placeholder={`New allowance (${entry.token.symbol})`}
+                          value={reduceAmount}
+                          onChange={(e) => setReduceAmount(e.target.value)}
+                          disabled={busy}
+                        />
+                        <button
+                          className="tx-clear-button"
+                          onClick={() => setReduceAmount(ethers.utils.formatUnits(entry.balance, entry.token.decimals))}
+                          disabled={busy}
+                        >
+                          Balance
+                        </button>
+                        <button
+                          className="modal-button primary"
+                          onClick={() => handleReduce(entry)}
+                          disabled={busy || !reduceAmount}
+                        >
+                          Set
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+
+        {status && (
+          <div className="swap-details">
+            <div className="swap-detail-row">
+              <span className="label">{status}</span>
+            </div>
+          </div>
+        )}
+        {actionError && <div className="error-message">{actionError}</div>}
+      </div>
+    </div>
+  );
+}
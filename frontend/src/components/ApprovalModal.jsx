@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { formatTokenAmount } from '../utils/calculations';
+import { getSpenderName } from '../services/allowanceService';
 
 /**
  * ApprovalModal - Security-focused approval interface
@@ -20,8 +21,18 @@ export function ApprovalModal({
   onCancel,
 }) {
   const [approvalType, setApprovalType] = useState('exact'); // 'exact' | 'unlimited'
+  // Unlimited approvals must be confirmed explicitly
+  const [unlimitedConfirmed, setUnlimitedConfirmed] = useState(false);
   const [loading, setLoading] = useState(false);
 
+  // Every approval starts from the exact amount, never from a previous choice
+  useEffect(() => {
+    if (isOpen) {
+      setApprovalType('exact');
+      setUnlimitedConfirmed(false);
+    }
+  }, [isOpen, token?.address, spender]);
+
   if (!isOpen) return null;
 
   const handleApprove = async () => {
@@ -172,8 +183,17 @@ export function ApprovalModal({
                   Only proceed if you trust this contract completely.
                 </p>
                 <p>
-                  You can revoke this approval later in the "Approvals" section.
+                  You can revoke this approval later in the "Approvals" tab.
                 </p>
+                <label className="unlimited-confirm">
+                  <input
+                    type="checkbox"
+                    checked={unlimitedConfirmed}
+                    onChange={(e) => setUnlimitedConfirmed(e.target.checked)}
+                    disabled={loading}
+                  />
+                  I understand that {spenderName} can spend all of my {token.symbol}
+                </label>
               </div>
             </div>
           )}
@@ -197,7 +217,7 @@ export function ApprovalModal({
           <button
             className={`approve-button ${approvalType === 'unlimited' ? 'danger' : ''}`}
             onClick={handleApprove}
-            disabled={loading}
+            disabled={loading || (approvalType === 'unlimited' && !unlimitedConfirmed)}
           >
             {loading ? (
               <>
@@ -223,7 +243,7 @@ export function ApprovalModal({
         {/* Bottom Note */}
         <div className="modal-note">
           <small>
-            💡 Tip: You can manage all your approvals in the "Security" tab
+            💡 Tip: You can manage all your approvals in the "Approvals" tab
           </small>
         </div>
       </div>
@@ -473,6 +493,17 @@ export function ApprovalModal({
           margin: 0.25rem 0;
         }
 
+        .unlimited-confirm {
+          display: flex;
+          align-items: flex-start;
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+          font-size: 0.875rem;
+          font-weight: 600;
+          color: #7f1d1d;
+          cursor: pointer;
+        }
+
         .security-info {
           background: #eff6ff;
           border: 1px solid #bfdbfe;
@@ -590,19 +621,5 @@ export function ApprovalModal({
   );
 }
 
-/**
- * Get friendly name for spender address
- */
-function getSpenderName(address) {
-  const lowerAddress = address.toLowerCase();
-  
-  // Add known contract names
-  const knownContracts = {
-    // Add your router addresses here
-  };
-  
-  return knownContracts[lowerAddress] || 'Uniswap V2 Router';
-}
-
 export default ApprovalModal;
 
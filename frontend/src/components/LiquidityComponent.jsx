@@ -4,7 +4,7 @@ import { useWeb3React } from '../providers/Web3Provider';
 import { useRouter } from '../hooks/useRouter';
 import { useToken } from '../hooks/useToken';
 import { usePair } from '../hooks/usePair';
-import { useSafeSwap } from '../hooks/useSafeSwap';
+import { useTokenLists } from '../hooks/useTokenLists';
 import { useTokenPrice, calculateUsdValue } from '../hooks/useTokenPrice';
 import { CONTRACT_ADDRESSES, DEFAULT_SLIPPAGE, TEST_TOKENS } from '../config/contracts';
 import {
@@ -15,8 +15,11 @@ import {
   getDeadline,
   applySlippage
 } from '../utils/calculations';
+import { addLiquidity, removeLiquidityWithPermit } from '../services/liquidityService';
+import { getMulticallProvider } from '../services/multicallService';
 import { TransactionModal } from './TransactionModal';
 import { ApprovalModal } from './ApprovalModal';
+import { TokenListModal } from './TokenListModal';
 
 // Icons
 const ChevronDownIcon = () => (
@@ -32,150 +35,6 @@ const SettingsIcon = () => (
   </svg>
 );
 
-const CloseIcon = () => (
-  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-    <path d="M18 6L6 18M6 6l12 12"/>
-  </svg>
-);
-
-/**
- * TokenListModal Component
- * Displays a filterable list of tokens with search functionality
- */
-function TokenListModal({
-  isOpen,
-  tokens,
-  selectedToken,
-  onSelectToken,
-  onClose,
-  title = 'Select a token'
-}) {
-  const [searchQuery, setSearchQuery] = useState('');
-  const modalRef = React.useRef(null);
-
-  // Filter tokens based on search query (memoized to prevent unnecessary re-renders)
-  const filteredTokens = useMemo(() => {
-    if (!searchQuery.trim()) {
-      return tokens;
-    }
-
-    const query = searchQuery.toLowerCase();
-    return tokens.filter(
-      token =>
-        token.symbol.toLowerCase().includes(query) ||
-        token.name.toLowerCase().includes(query) ||
-        token.address.toLowerCase().includes(query)
-    );
-  }, [searchQuery, tokens]);
-
-  // Close modal when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (modalRef.current && !modalRef.current.contains(event.target)) {
-        onClose();
-      }
-    };
-
-    if (isOpen) {
-      document.addEventListener('mousedown', handleClickOutside);
-      // Prevent body scroll when modal is open
-      document.body.style.overflow = 'hidden';
-    }
-
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside);
-      document.body.style.overflow = 'auto';
-    };
-  }, [isOpen, onClose]);
-
-  if (!isOpen) return null;
-
-  return (
-    <div className="token-modal-overlay">
-      <div className="token-modal" ref={modalRef}>
-        {/* Modal Header */}
-        <div className="token-modal-header">
-          <h3>{title}</h3>
-          <button
-            className="token-modal-close"
-            onClick={onClose}
-            aria-label="Close modal"
-          >
-            <CloseIcon />
-          </button>
-        </div>
-
-        {/* Search Input */}
-        <div className="token-modal-search">
-          <input
-            type="text"
-            placeholder="Search by symbol, name, or address"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            autoFocus
-            className="token-search-input"
-          />
-        </div>
-
-        {/* Token List */}
-        <div className="token-list">
-          {filteredTokens.length === 0 ? (
-            <div className="token-list-empty">
-              {tokens.length === 0 ? (
-                <p>Loading tokens...</p>
-              ) : (
-                <p>No tokens found matching "{searchQuery}"</p>
-              )}
-            </div>
-          ) : (
-            filteredTokens.map((token) => (
-              <button
-                key={token.id}
-                className={`token-list-item ${
-                  selectedToken?.id === token.id ? 'selected' : ''
-                }`}
-                onClick={() => {
-                  onSelectToken(token);
-                  onClose();
-                }}
-                aria-label={`Select ${token.symbol}`}
-              >
-                <div className="token-list-item-logo">
-                  {token.logoURI ? (
-                    <img
-                      src={token.logoURI}
-                      alt={token.symbol}
-                      className="token-logo-img"
-                      onError={(e) => {
-                        // Fallback to a simple background if logo fails to load
-                        e.target.style.display = 'none';
-                        e.target.parentElement.textContent = token.symbol.charAt(0);
-                      }}
-                    />
-                  ) : (
-                    <div className="token-logo-fallback">
-                      {token.symbol.charAt(0)}
-                    </div>
-                  )}
-                </div>
-
-                <div className="token-list-item-info">
-                  <div className="token-list-item-symbol">{token.symbol}</div>
-                  <div className="token-list-item-name">{token.name}</div>
-                </div>
-
-                {selectedToken?.id === token.id && (
-                  <div className="token-list-item-checkmark">✓</div>
-                )}
-              </button>
-            ))
-          )}
-        </div>
-      </div>
-    </div>
-  );
-}
-
 /**
  * LiquidityComponent
  * 
@@ -190,7 +49,8 @@ export function LiquidityComponent() {
   const { account: userAddress, library, chainId, active } = useWeb3React();
   
   // Extract provider and signer from library
-  const provider = library;
+  // - Reads go through Multicall3: balances, allowances, reserves and LP data of a render share one eth_call
+  const provider = useMemo(() => (library ? getMulticallProvider(library) : null), [library]);
   const signer = library && userAddress ? library.getSigner() : null;
 
   // Token addresses
@@ -234,7 +94,8 @@ export function LiquidityComponent() {
     status: '', // 'pending' | 'success' | 'error'
     txHash: null,
     error: null,
-    type: ''
+    type: '',
+    pendingTx: null // Submitted tx (transactionStore entry) for speed up / cancel
   });
 
   // Hooks
@@ -252,7 +113,8 @@ export function LiquidityComponent() {
   const usdValueB = calculateUsdValue(amountB, tokenBPrice.price);
 
   // Get verified token list and pair mapping
-  const { tokens, pairMapping, loading: tokensLoading, error: tokensError } = useSafeSwap();
+  // Verified tokens merged with the enabled token lists
+  const { tokens } = useTokenLists();
 
 
 
@@ -293,42 +155,31 @@ export function LiquidityComponent() {
 
     let isCancelled = false;
 
-    const fetchBalances = async () => {
-      // Fetch Token A balance
-      if (tokenAHook.isValid) {
-        try {
-          const bal = await tokenAHook.getBalance(userAddress);
-          if (!isCancelled) {
-            setBalanceA(bal);
-          }
-        } catch (e) {
-          console.error('Failed to fetch Token A balance:', e.message);
-          if (!isCancelled) {
-            setBalanceA(null);
-          }
-        }
-      } else {
-        setBalanceA(null);
+    // Both balances are requested together so they share one Multicall3 batch
+    const fetchBalance = async (tokenHook, setBalance, label) => {
+      if (!tokenHook.isValid) {
+        setBalance(null);
+        return;
       }
 
-      // Fetch Token B balance
-      if (tokenBHook.isValid) {
-        try {
-          const bal = await tokenBHook.getBalance(userAddress);
-          if (!isCancelled) {
-            setBalanceB(bal);
-          }
-        } catch (e) {
-          console.error('Failed to fetch Token B balance:', e.message);
-          if (!isCancelled) {
-            setBalanceB(null);
-          }
+      try {
+        const bal = await tokenHook.getBalance(userAddress);
+        if (!isCancelled) {
+          setBalance(bal);
+        }
+      } catch (e) {
+        console.error(`Failed to fetch ${label} balance:`, e.message);
+        if (!isCancelled) {
+          setBalance(null);
         }
-      } else {
-        setBalanceB(null);
       }
     };
 
+    const fetchBalances = () => Promise.all([
+      fetchBalance(tokenAHook, setBalanceA, 'Token A'),
+      fetchBalance(tokenBHook, setBalanceB, 'Token B'),
+    ]);
+
     fetchBalances();
 
     return () => {
@@ -918,6 +769,11 @@ export function LiquidityComponent() {
     setActiveModal(null);
   };
 
+  // Submitted (or replaced by speed up / cancel): the modal follows the latest hash
+  const handleSubmitted = (entry) => {
+    setTxModal(prev => ({ ...prev, txHash: entry.hash, pendingTx: entry }));
+  };
+
   // Handle add liquidity with transaction modal
   const handleAddLiquidity = async () => {
     if (!isApprovedA || !isApprovedB) return;
@@ -935,21 +791,24 @@ export function LiquidityComponent() {
       const amountAParsed = parseTokenAmount(amountA, tokenAHook.decimals);
       const amountBParsed = parseTokenAmount(amountB, tokenBHook.decimals);
 
-      // Execute transaction
-      const tx = await router.addLiquidity(
+      // Execute transaction (liquidityService handles native ETH and records the tx)
+      const receipt = await addLiquidity({
         tokenA,
         tokenB,
-        amountAParsed,
-        amountBParsed,
-        slippage,
-        getDeadline()
-      );
-
-      // Update modal to success
+        amountADesired: amountAParsed,
+        amountBDesired: amountBParsed,
+        amountAMin: applySlippage(amountAParsed, slippage, true),
+        amountBMin: applySlippage(amountBParsed, slippage, true),
+        recipient: userAddress,
+        deadline: getDeadline(),
+        onSubmitted: handleSubmitted,
+      }, signer);
+
+      // Update modal to success (the mined tx may be a sped up replacement)
       setTxModal({
         isOpen: true,
         status: 'success',
-        txHash: tx.hash,
+        txHash: receipt.transactionHash,
         error: null,
         type: 'Add Liquidity'
       });
@@ -977,7 +836,9 @@ export function LiquidityComponent() {
         isOpen: true,
         status: 'error',
         txHash: null,
-        error: err.reason || err.message || 'Transaction failed',
+        error: err.code === 'TRANSACTION_REPLACED' && err.reason === 'cancelled'
+          ? 'Transaction cancelled'
+          : err.reason || err.message || 'Transaction failed',
         type: 'Add Liquidity'
       });
     }
@@ -1026,19 +887,6 @@ export function LiquidityComponent() {
         type: 'Remove Liquidity'
       });
 
-      // Approve LP tokens if needed
-      const pairContract = pair.pairContract;
-      if (pairContract) {
-        const allowance = await pairContract.allowance(userAddress, CONTRACT_ADDRESSES.ROUTER);
-
-        if (allowance.lt(liquidityAmount)) {
-          const approveTx = await pairContract
-            .connect(signer)
-            .approve(CONTRACT_ADDRESSES.ROUTER, ethers.constants.MaxUint256);
-          await approveTx.wait();
-        }
-      }
-
       const totalSupply = await pair.getTotalSupply();
       const { reserveA, reserveB } = pair.getOrderedReserves();
 
@@ -1050,21 +898,22 @@ export function LiquidityComponent() {
         .mul(10000 - slippage)
         .div(10000);
 
-      // Execute transaction
-      const tx = await router.removeLiquidity(
+      // Single transaction: LP approval is signed as a permit (falls back to approve + remove)
+      const receipt = await removeLiquidityWithPermit({
         tokenA,
         tokenB,
-        liquidityAmount,
+        liquidity: liquidityAmount,
         amountAMin,
         amountBMin,
-        getDeadline()
-      );
+        recipient: userAddress,
+        deadline: getDeadline(),
+      }, signer);
 
       // Update modal to success
       setTxModal({
         isOpen: true,
         status: 'success',
-        txHash: tx.hash,
+        txHash: receipt.transactionHash,
         error: null,
         type: 'Remove Liquidity'
       });
@@ -1773,6 +1622,8 @@ export function LiquidityComponent() {
         txHash={txModal.txHash}
         error={txModal.error}
         txType={txModal.type}
+        pendingTx={txModal.status === 'pending' ? txModal.pendingTx : null}
+        onReplaced={handleSubmitted}
         onClose={() => setTxModal({ ...txModal, isOpen: false })}
       />
 
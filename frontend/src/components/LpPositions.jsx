@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { useLpPositions } from '../hooks/useLpPositions';
+import { removeLiquidityWithPermit } from '../services/liquidityService';
+import { DEFAULT_SLIPPAGE } from '../config/contracts';
+import { WETH_ADDRESS, NATIVE_ETH_ADDRESS } from '../constants/tokens';
+import { calculateLiquidityShare, formatTokenAmount, getDeadline } from '../utils/calculations';
+import { TransactionModal } from './TransactionModal';
+
+// Share of a position removed by the quick buttons
+const REMOVE_PERCENTS = [25, 50, 100];
+
+// Helper function to format a USD value
+function formatUsd(value) {
+  if (value === null) return '-';
+  if (value < 0.01) return '< $0.01';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value);
+}
+
+// Helper function to format a signed percentage
+function formatPercent(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// Helper function to receive ETH instead of WETH when removing from a WETH pair
+function removalToken(address) {
+  return address.toLowerCase() === WETH_ADDRESS.toLowerCase() ? NATIVE_ETH_ADDRESS : address;
+}
+
+/**
+ * LpPositions Component
+ * Every pair the connected account holds LP tokens of, with underlying amounts,
+ * pool share, USD value, performance vs. holding the deposit (IL and fees)
+ * and a one-click remove (permit signature + removal)
+ */
+export function LpPositions() {
+  const { library, account } = useWeb3React();
+  const { positions, performance, loading, error, refresh } = useLpPositions();
+  // Percent removed per pair address
+  const [removePercent, setRemovePercent] = useState({});
+  const [removing, setRemoving] = useState(null);
+  const [txModal, setTxModal] = useState({
+    isOpen: false,
+    status: '',
+    txHash: null,
+    error: null,
+  });
+
+  const signer = library && account ? library.getSigner() : null;
+
+  const handleRemove = async (position) => {
+    if (!signer) return;
+
+    const percent = removePercent[position.pairAddress] || 100;
+    const liquidity = position.balance.mul(percent).div(100);
+    // Minimums: the position's share of the reserves minus the default slippage
+    const withSlippage = (reserve) =>
+      calculateLiquidityShare(liquidity, position.totalSupply, reserve)
+        .mul(10000 - DEFAULT_SLIPPAGE)
+        .div(10000);
+
+    setRemoving(position.pairAddress);
+    setTxModal({ isOpen: true, status: 'pending', txHash: null, error: null });
+
+    try {
+      const receipt = await removeLiquidityWithPermit({
+        tokenA: removalToken(position.token0.address),
+        tokenB: removalToken(position.token1.address),
+        liquidity,
+        amountAMin: withSlippage(position.reserve0),
+        amountBMin: withSlippage(position.reserve1),
+        recipient: account,
+        deadline: getDeadline(),
+      }, signer);
+
+      setTxModal({ isOpen: true, status: 'success', txHash: receipt.transactionHash, error: null });
+      refresh();
+    } catch (err) {
+      console.error('❌ Remove liquidity failed:', err);
+      setTxModal({
+        isOpen: true,
+        status: 'error',
+        txHash: null,
+        error: err.code === 'ACTION_REJECTED' || err.code === 4001
+          ? 'Transaction rejected by user'
+          : err.reason || err.message,
+      });
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  const totalValue = positions.reduce((sum, position) => sum + (position.valueUsd || 0), 0);
+
+  return (
+    <div className="swap-card">
+      <div className="swap-header">
+        <h2>
+          Your Positions
+          {positions.length > 0 && <span className="tx-history-age"> · {formatUsd(totalValue)}</span>}
+        </h2>
+        <button className="tx-clear-button" onClick={refresh} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="swap-body">
+        {error && <div className="error-message">{error}</div>}
+
+        {!loading && !error && positions.length === 0 ? (
+          <div className="connect-prompt">
+            <p>No liquidity positions found</p>
+          </div>
+        ) : (
+          <div className="tx-history-list">
+            {positions.map(position => {
+              const percent = removePercent[position.pairAddress] || 100;
+              const result = performance[position.pairAddress];
+              return (
+                <div className="tx-history-item" key={position.pairAddress}>
+                  <div className="tx-history-main">
+                    <span className="tx-history-summary">
+                      {position.token0.symbol} / {position.token1.symbol}
+                    </span>
+                    <span className="tx-history-type" title={position.pairAddress}>
+                      {formatTokenAmount(position.balance, 18, 6)} LP · {position.poolShare < 0.0001 ? '< 0.0001' : position.poolShare}% of pool
+                    </span>
+                  </div>
+
+                  <div className="swap-details">
+                    <div className="swap-detail-row">
+                      <span className="label">Pooled {position.token0.symbol}</span>
+                      <span className="value">{formatTokenAmount(position.amount0, position.token0.decimals, 6)}</span>
+                    </div>
+                    <div className="swap-detail-row">
+                      <span className="label">Pooled {position.token1.symbol}</span>
+                      <span className="value">{formatTokenAmount(position.amount1, position.token1.decimals, 6)}</span>
+                    </div>
+                    <div className="swap-detail-row">
+                      <span className="label">Value</span>
+                      <span className="value">{formatUsd(position.valueUsd)}</span>
+                    </div>
+
+                    {result ? (
+                      <>
+                        <div className="swap-detail-row" title={`Since ${new Date(result.firstDepositAt).toLocaleDateString()}`}>
+                          <span className="label">Deposited value</span>
+                          <span className="value">{formatUsd(result.depositValueUsd)}</span>
+                        </div>
+                        <div className="swap-detail-row" title="The deposited tokens valued at today's prices">
+                          <span className="label">HODL value</span>
+                          <span className="value">{formatUsd(result.hodlValueUsd)}</span>
+                        </div>
+                        <div className="swap-detail-row">
+                          <span className="label">Impermanent loss</span>
+                          <span className={`value ${result.impermanentLoss < -1 ? 'warning' : ''}`}>
+                            {formatPercent(result.impermanentLoss)}
+                          </span>
+                        </div>
+                        <div className="swap-detail-row" title="Growth of sqrt(k) per LP token since the deposit">
+                          <span className="label">Fees earned</span>
+                          <span className="value success">
+                            {formatPercent(result.feeGrowth)}
+                            {result.feesValueUsd !== null && ` (${formatUsd(result.feesValueUsd)})`}
+                          </span>
+                        </div>
+                        <div className="swap-detail-row">
+                          <span className="label">vs. HODL</span>
+                          <span className={`value ${result.netVsHodl < 0 ? 'danger' : 'success'}`}>
+                            {formatPercent(result.netVsHodl)}
+                          </span>
+                        </div>
+                        {result.isPartiallyTracked && (
+                          <div className="swap-detail-row">
+                            <span className="label">Tracked</span>
+                            <span className="value">
+                              {formatTokenAmount(result.trackedLiquidity, 18, 6)} LP (received tokens have no deposit record)
+                            </span>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <div className="swap-detail-row" title="Performance is tracked for deposits made in this app">
+                        <span className="label">Performance</span>
+                        <span className="value">No deposit recorded</span>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="position-actions">
+                    {REMOVE_PERCENTS.map(option => (
+                      <button
+                        key={option}
+                        className={`slippage-option ${percent === option ? 'active' : ''}`}
+                        onClick={() => setRemovePercent({ ...removePercent, [position.pairAddress]: option })}
+                        disabled={!!removing}
+                      >
+                        {option === 100 ? 'Max' : `${option}%`}
+                      </button>
+                    ))}
+                    <button
+                      className="modal-button primary"
+                      onClick={() => handleRemove(position)}
+                      disabled={!!removing}
+                    >
+                      {removing === position.pairAddress ? 'Removing...' : `Remove ${percent}%`}
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <TransactionModal
+        isOpen={txModal.isOpen}
+        status={txModal.status}
+        txHash={txModal.txHash}
+        error={txModal.error}
+        txType="Remove Liquidity"
+        onClose={() => setTxModal({ ...txModal, isOpen: false })}
+      />
+    </div>
+  );
+}
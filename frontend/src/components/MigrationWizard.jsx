@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { DEFAULT_SLIPPAGE } from '../config/contracts';
+import { formatTokenAmount, getDeadline } from '../utils/calculations';
+import {
+  findV1Positions,
+  needsV1Approval,
+  approveV1Liquidity,
+  migrateV1Liquidity,
+} from '../services/migrationService';
+import { TransactionModal } from './TransactionModal';
+
+// Slippage choices for the V2 deposit (bps)
+const SLIPPAGE_OPTIONS = [50, 100, 200];
+
+// V2 price this far from the V1 price (percent) leaves a noticeable refund
+const PRICE_DIFFERENCE_WARNING = 2;
+
+// Helper function to show a price with 6 significant digits
+function formatPrice(value) {
+  return Number.isFinite(value) ? value.toPrecision(6) : '-';
+}
+
+// Helper function to tell where the wizard is for the selected position
+function currentStep(position, needsApproval) {
+  if (!position) return 1;
+  return needsApproval ? 2 : 3;
+}
+
+/**
+ * MigrationWizard Component
+ * Moves Uniswap V1 liquidity to V2 through UniswapV2Migrator
+ * - Step 1: pick one of the account's V1 positions
+ * - Step 2: approve the migrator for the V1 LP tokens
+ * - Step 3: migrate, with minimums from the preview minus the chosen slippage
+ */
+export function MigrationWizard() {
+  const { library, account } = useWeb3React();
+  const [positions, setPositions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [needsApproval, setNeedsApproval] = useState(true);
+  const [slippage, setSlippage] = useState(DEFAULT_SLIPPAGE);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [txModal, setTxModal] = useState({
+    isOpen: false,
+    status: '',
+    txHash: null,
+    error: null,
+    txType: '',
+  });
+
+  const signer = library && account ? library.getSigner() : null;
+
+  const loadPositions = useCallback(async () => {
+    if (!library || !account) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const found = await findV1Positions(account, library);
+      setPositions(found);
+      // Keep the selection on its refreshed position
+      setSelected(current =>
+        current ? found.find(position => position.exchangeAddress === current.exchangeAddress) || null : null
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [library, account]);
+
+  useEffect(() => {
+    loadPositions();
+  }, [loadPositions]);
+
+  useEffect(() => {
+    if (!selected || !library || !account) return;
+
+    let cancelled = false;
+    needsV1Approval(selected, account, library)
+      .then(result => !cancelled && setNeedsApproval(result))
+      .catch(err => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, library, account]);
+
+  const showError = (err, txType) => {
+    setTxModal({
+      isOpen: true,
+      status: 'error',
+      txHash: null,
+      error: err.code === 'ACTION_REJECTED' || err.code === 4001
+        ? 'Transaction rejected by user'
+        : err.reason || err.message,
+      txType,
+    });
+  };
+
+  const handleApprove = async () => {
+    if (!signer || !selected) return;
+
+    setBusy('approve');
+    setTxModal({ isOpen: true, status: 'pending', txHash: null, error: null, txType: 'Approve V1 Liquidity' });
+    try {
+      const receipt = await approveV1Liquidity(selected, signer);
+      setNeedsApproval(false);
+      setTxModal({
+        isOpen: true,
+        status: 'success',
+        txHash: receipt?.transactionHash || null,
+        error: null,
+        txType: 'Approve V1 Liquidity',
+      });
+    } catch (err) {
+      console.error('❌ V1 approval failed:', err);
+      showError(err, 'Approve V1 Liquidity');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleMigrate = async () => {
+    if (!signer || !selected) return;
+
+    setBusy('migrate');
+    setTxModal({ isOpen: true, status: 'pending', txHash: null, error: null, txType: 'Migrate Liquidity' });
+    try {
+      const { receipt } = await migrateV1Liquidity(selected, {
+        recipient: account,
+        deadline: getDeadline(),
+        slippageBps: slippage,
+      }, signer);
+
+      setTxModal({
+        isOpen: true,
+        status: 'success',
+        txHash: receipt.transactionHash,
+        error: null,
+        txType: 'Migrate Liquidity',
+      });
+      setSelected(null);
+      loadPositions();
+    } catch (err) {
+      console.error('❌ Migration failed:', err);
+      showError(err, 'Migrate Liquidity');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const step = currentStep(selected, needsApproval);
+  const preview = selected?.preview;
+
+  return (
+    <div className="swap-card">
+      <div className="swap-header">
+        <h2>Migrate V1 Liquidity</h2>
+        <button className="tx-clear-button" onClick={loadPositions} disabled={loading || !!busy}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="swap-body">
+        {error && <div className="error-message">{error}</div>}
+
+        {!loading && !error && positions.length === 0 ? (
+          <div className="connect-prompt">
+            <p>No Uniswap V1 liquidity found</p>
+          </div>
+        ) : (
+          <div className="tx-history-list">
+            {positions.map(position => (
+              <div className="tx-history-item" key={position.exchangeAddress}>
+                <div className="tx-history-main">
+                  <span className="tx-history-summary">{position.token.symbol} / ETH</span>
+                  <span className="tx-history-type" title={position.exchangeAddress}>
+                    {formatTokenAmount(position.liquidity, 18, 6)} V1 LP
+                  </span>
+                </div>
+                <div className="swap-details">
+                  <div className="swap-detail-row">
+                    <span className="label">Pooled</span>
+                    <span className="value">
+                      {formatTokenAmount(position.tokenAmount, position.token.decimals, 6)} {position.token.symbol}
+                      {' + '}
+                      {formatTokenAmount(position.ethAmount, 18, 6)} ETH
+                    </span>
+                  </div>
+                </div>
+                <div className="position-actions">
+                  <button
+                    className={`slippage-option ${selected?.exchangeAddress === position.exchangeAddress ? 'active' : ''}`}
+                    onClick={() => setSelected(position)}
+                    disabled={!!busy}
+                  >
+                    {selected?.exchangeAddress === position.exchangeAddress ? 'Selected' : 'Select'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {preview && (
+          <div className="swap-details">
+            <div className="swap-detail-row">
+              <span className="label">Step</span>
+              <span className="value">
+                {step} of 3 · {step === 2 ? 'Approve V1 LP tokens' : 'Migrate to V2'}
+              </span>
+            </div>
+            <div className="swap-detail-row">
+              <span className="label">V1 price</span>
+              <span className="value">{formatPrice(preview.priceV1)} {selected.token.symbol} per ETH</span>
+            </div>
+            {preview.priceV2 === null ? (
+              <div className="swap-detail-row">
+                <span className="label">V2 pair</span>
+                <span className="value">New pair, created at the V1 price</span>
+              </div>
+            ) : (
+              <div className="swap-detail-row">
+                <span className="label">V2 price</span>
+                <span
+                  className={`value ${Math.abs(preview.priceDifference) > PRICE_DIFFERENCE_WARNING ? 'warning' : ''}`}
+                >
+                  {formatPrice(preview.priceV2)} ({preview.priceDifference >= 0 ? '+' : ''}
+                  {preview.priceDifference.toFixed(2)}%)
+                </span>
+              </div>
+            )}
+            <div className="swap-detail-row">
+              <span className="label">Deposited to V2</span>
+              <span className="value">
+                {formatTokenAmount(preview.tokenUsed, selected.token.decimals, 6)} {selected.token.symbol}
+                {' + '}
+                {formatTokenAmount(preview.ethUsed, 18, 6)} ETH
+              </span>
+            </div>
+            {(preview.tokenRefund.gt(0) || preview.ethRefund.gt(0)) && (
+              <div className="swap-detail-row" title="The V2 price differs from the V1 price, the excess is sent back">
+                <span className="label">Refunded</span>
+                <span className="value">
+                  {preview.tokenRefund.gt(0)
+                    ? `${formatTokenAmount(preview.tokenRefund, selected.token.decimals, 6)} ${selected.token.symbol}`
+                    : `${formatTokenAmount(preview.ethRefund, 18, 6)} ETH`}
+                </span>
+              </div>
+            )}
+            <div className="swap-detail-row">
+              <span className="label">V2 LP tokens</span>
+              <span className="value">
+                {formatTokenAmount(preview.liquidity, 18, 6)} ({preview.poolShare < 0.0001 ? '< 0.0001' : preview.poolShare}% of pool)
+              </span>
+            </div>
+
+            <div className="slippage-options">
+              {SLIPPAGE_OPTIONS.map(option => (
+                <button
+                  key={option}
+                  className={`slippage-option ${slippage === option ? 'active' : ''}`}
+                  onClick={() => setSlippage(option)}
+                  disabled={!!busy}
+                >
+                  {option / 100}%
+                </button>
+              ))}
+            </div>
+
+            <div className="position-actions">
+              <button
+                className="modal-button primary"
+                onClick={handleApprove}
+                disabled={!signer || !needsApproval || !!busy}
+              >
+                {busy === 'approve' ? 'Approving...' : needsApproval ? '2. Approve' : '2. Approved'}
+              </button>
+              <button
+                className="modal-button primary"
+                onClick={handleMigrate}
+                disabled={!signer || needsApproval || !!busy}
+              >
+                {busy === 'migrate' ? 'Migrating...' : '3. Migrate'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <TransactionModal
+        isOpen={txModal.isOpen}
+        status={txModal.status}
+        txHash={txModal.txHash}
+        error={txModal.error}
+        txType={txModal.txType}
+        onClose={() => setTxModal({ ...txModal, isOpen: false })}
+      />
+    </div>
+  );
+}
@@ -1,20 +1,28 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3React } from '../providers/Web3Provider';
-import { useRouter } from '../hooks/useRouter';
 import { useToken } from '../hooks/useToken';
-import { usePair } from '../hooks/usePair';
-import { CONTRACT_ADDRESSES, DEFAULT_SLIPPAGE } from '../config/contracts';
+import { useTwapPrice } from '../hooks/useTwapPrice';
+import { useTokenRisk } from '../hooks/useTokenRisk';
+import { useLiveReserves } from '../hooks/useLiveReserves';
+import { CONTRACT_ADDRESSES, DEFAULT_SLIPPAGE, INIT_CODE_HASH } from '../config/contracts';
 import {
   parseTokenAmount,
   formatTokenAmount,
   applySlippage,
-  calculatePriceImpact,
-  getDeadline
+  getDeadline,
+  computePairAddress
 } from '../utils/calculations';
 import { useSafeSwap, useSwapValidation, useFilteredOutputTokens } from '../hooks/useSafeSwap';
-import { VERIFIED_TOKENS, getAddressForRouting, isNativeToken } from '../constants/tokens';
+import { useTokenLists } from '../hooks/useTokenLists';
+import { VERIFIED_TOKENS, DEFAULT_OUTPUT_TOKEN, getAddressForRouting, getTokenByAddress, isNativeToken } from '../constants/tokens';
+import { findBestRoute, requoteRoute } from '../services/routeService';
+import { executeSwap, calculateAmountInMax } from '../services/swapService';
+import { getPathTransferTaxes, hasTransferTax, needsFeeOnTransferSupport, estimateAmountAfterTax } from '../services/feeOnTransferService';
 import { ApprovalModal } from './ApprovalModal';
+import { TransactionModal } from './TransactionModal';
+import { TokenListModal } from './TokenListModal';
+import { TokenRiskBadges } from './TokenRiskBadges';
                                           
 // Icons
 const SettingsIcon = () => (
@@ -36,150 +44,6 @@ const ChevronDownIcon = () => (
   </svg>
 );
 
-const CloseIcon = () => (
-  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-    <path d="M18 6L6 18M6 6l12 12"/>
-  </svg>
-);
-
-/**
- * TokenListModal Component
- * Displays a filterable list of tokens with search functionality
- */
-function TokenListModal({
-  isOpen,
-  tokens,
-  selectedToken,
-  onSelectToken,
-  onClose,
-  title = 'Select a token'
-}) {
-  const [searchQuery, setSearchQuery] = useState('');
-  const modalRef = React.useRef(null);
-
-  // Filter tokens based on search query (memoized to prevent unnecessary re-renders)
-  const filteredTokens = useMemo(() => {
-    if (!searchQuery.trim()) {
-      return tokens;
-    }
-
-    const query = searchQuery.toLowerCase();
-    return tokens.filter(
-      token =>
-        token.symbol.toLowerCase().includes(query) ||
-        token.name.toLowerCase().includes(query) ||
-        token.address.toLowerCase().includes(query)
-    );
-  }, [searchQuery, tokens]);
-
-  // Close modal when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (modalRef.current && !modalRef.current.contains(event.target)) {
-        onClose();
-      }
-    };
-
-    if (isOpen) {
-      document.addEventListener('mousedown', handleClickOutside);
-      // Prevent body scroll when modal is open
-      document.body.style.overflow = 'hidden';
-    }
-
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside);
-      document.body.style.overflow = 'auto';
-    };
-  }, [isOpen, onClose]);
-
-  if (!isOpen) return null;
-
-  return (
-    <div className="token-modal-overlay">
-      <div className="token-modal" ref={modalRef}>
-        {/* Modal Header */}
-        <div className="token-modal-header">
-          <h3>{title}</h3>
-          <button
-            className="token-modal-close"
-            onClick={onClose}
-            aria-label="Close modal"
-          >
-            <CloseIcon />
-          </button>
-        </div>
-
-        {/* Search Input */}
-        <div className="token-modal-search">
-          <input
-            type="text"
-            placeholder="Search by symbol, name, or address"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            autoFocus
-            className="token-search-input"
-          />
-        </div>
-
-        {/* Token List */}
-        <div className="token-list">
-          {filteredTokens.length === 0 ? (
-            <div className="token-list-empty">
-              {tokens.length === 0 ? (
-                <p>Loading tokens...</p>
-              ) : (
-                <p>No tokens found matching "{searchQuery}"</p>
-              )}
-            </div>
-          ) : (
-            filteredTokens.map((token) => (
-              <button
-                key={token.id}
-                className={`token-list-item ${
-                  selectedToken?.id === token.id ? 'selected' : ''
-                }`}
-                onClick={() => {
-                  onSelectToken(token);
-                  onClose();
-                }}
-                aria-label={`Select ${token.symbol}`}
-              >
-                <div className="token-list-item-logo">
-                  {token.logoURI ? (
-                    <img
-                      src={token.logoURI}
-                      alt={token.symbol}
-                      className="token-logo-img"
-                      onError={(e) => {
-                        // Fallback to a simple background if logo fails to load
-                        e.target.style.display = 'none';
-                        e.target.parentElement.textContent = token.symbol.charAt(0);
-                      }}
-                    />
-                  ) : (
-                    <div className="token-logo-fallback">
-                      {token.symbol.charAt(0)}
-                    </div>
-                  )}
-                </div>
-
-                <div className="token-list-item-info">
-                  <div className="token-list-item-symbol">{token.symbol}</div>
-                  <div className="token-list-item-name">{token.name}</div>
-                </div>
-
-                {selectedToken?.id === token.id && (
-                  <div className="token-list-item-checkmark">✓</div>
-                )}
-              </button>
-            ))
-          )}
-        </div>
-      </div>
-    </div>
-  );
-}
-
 export function SwapComponent() {
   // Use Web3React hook for provider and account
   const { account: userAddress, library, chainId, active } = useWeb3React();
@@ -190,11 +54,22 @@ export function SwapComponent() {
 
   // Token addresses - Start with WETH and USDC as defaults
   const [tokenIn, setTokenIn] = useState(VERIFIED_TOKENS.WETH.address);
-  const [tokenOut, setTokenOut] = useState(VERIFIED_TOKENS.USDC.address);
+  const [tokenOut, setTokenOut] = useState(DEFAULT_OUTPUT_TOKEN.address);
 
   // Amounts
   const [amountIn, setAmountIn] = useState('');
   const [amountOut, setAmountOut] = useState('');
+  // Field the user typed in: 'in' = exact input, 'out' = exact output
+  const [independentField, setIndependentField] = useState('in');
+  const isExactOutput = independentField === 'out';
+
+  // Best route for the current input (path, amounts, price impact)
+  const [route, setRoute] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  const [swapping, setSwapping] = useState(false);
+
+  // Measured transfer taxes for the tokens of the route ({ pathKey, taxes })
+  const [transferTaxes, setTransferTaxes] = useState({ pathKey: '', taxes: [] });
 
   // UI state
   const [slippage, setSlippage] = useState(DEFAULT_SLIPPAGE);
@@ -206,6 +81,16 @@ export function SwapComponent() {
   // Modal state
   const [activeModal, setActiveModal] = useState(null); // 'tokenIn' | 'tokenOut' | null
   
+  // Transaction modal state (details = executed amounts parsed from the receipt)
+  const [txModal, setTxModal] = useState({
+    isOpen: false,
+    status: '', // 'pending' | 'success' | 'error'
+    txHash: null,
+    error: null,
+    details: null,
+    pendingTx: null, // Submitted tx (transactionStore entry) for speed up / cancel
+  });
+
   // Approval modal state
   const [approvalModal, setApprovalModal] = useState({
     isOpen: false,
@@ -214,18 +99,20 @@ export function SwapComponent() {
     spender: null,
   });
 
-  // Safe swap hook - provides verified tokens and pair mapping with fast initial load
+  // Safe swap hook - provides the pair mapping of the verified tokens with fast initial load
   const { 
-    tokens, 
     pairMapping, 
     loading: pairMappingLoading, 
     error: pairMappingError, 
     canSwap,
     isInitialLoad 
   } = useSafeSwap();
+
+  // Verified tokens merged with the enabled token lists
+  const { tokens } = useTokenLists();
   
   // Get filtered output tokens based on selected input token - use WETH address for native ETH
-  const filteredOutputTokens = useFilteredOutputTokens(getAddressForRouting(tokenIn), pairMapping);
+  const filteredOutputTokens = useFilteredOutputTokens(getAddressForRouting(tokenIn), pairMapping, tokens);
   
   // Validate swap pair - use WETH address for native ETH
   const swapValidation = useSwapValidation(
@@ -235,11 +122,24 @@ export function SwapComponent() {
   );
 
   // Hooks
-  const router = useRouter(provider, signer);
   const tokenInHook = useToken(tokenIn, provider, signer);
   const tokenOutHook = useToken(tokenOut, provider);
-  // ✅ Use getAddressForRouting for pair lookups (native ETH -> WETH)
-  const pair = usePair(getAddressForRouting(tokenIn), getAddressForRouting(tokenOut), provider);
+
+  // Risk profiles of both tokens (honeypot, tax, privileges...); danger flags need a confirmation
+  const tokenInRisk = useTokenRisk(tokenIn, { enabled: tokenInHook.isValid });
+  const tokenOutRisk = useTokenRisk(tokenOut, { enabled: tokenOutHook.isValid });
+  const [riskAcknowledged, setRiskAcknowledged] = useState(false);
+
+  const riskyTokens = [
+    { symbol: tokenInHook.symbol, profile: tokenInRisk.profile },
+    { symbol: tokenOutHook.symbol, profile: tokenOutRisk.profile },
+  ].filter(({ profile }) => profile && profile.level !== 'low');
+  const riskBlocking = riskyTokens.some(({ profile }) => profile.blocking);
+
+  // A confirmation is for the pair of tokens it was given for
+  useEffect(() => {
+    setRiskAcknowledged(false);
+  }, [tokenIn, tokenOut]);
 
   // Log swap validation status
   useEffect(() => {
@@ -334,6 +234,20 @@ export function SwapComponent() {
     };
   }, [userAddress, tokenIn, tokenOut, tokenInHook.isValid, tokenOutHook.isValid]);
 
+  // Input amount the router may pull: typed amount, or quoted input plus slippage for exact output
+  const requiredAmountIn = useMemo(() => {
+    if (!tokenInHook.isValid) return null;
+
+    if (isExactOutput) {
+      if (!route || route.tradeType !== 'EXACT_OUTPUT') return null;
+      return calculateAmountInMax(route.amountIn, slippage);
+    }
+
+    const amountValue = parseFloat(amountIn);
+    if (isNaN(amountValue) || amountValue <= 0) return null;
+    return parseTokenAmount(amountIn, tokenInHook.decimals);
+  }, [isExactOutput, route, slippage, amountIn, tokenInHook.isValid, tokenInHook.decimals]);
+
   // Check approval status
   useEffect(() => {
     // ✅ Native ETH doesn't need approval
@@ -343,14 +257,7 @@ export function SwapComponent() {
       return;
     }
 
-    if (!tokenIn || !userAddress || !amountIn || !tokenInHook.isValid || !CONTRACT_ADDRESSES?.ROUTER) {
-      setIsApproved(false);
-      return;
-    }
-
-    // Validate amount
-    const amountValue = parseFloat(amountIn);
-    if (isNaN(amountValue) || amountValue <= 0) {
+    if (!tokenIn || !userAddress || !requiredAmountIn || !tokenInHook.isValid || !CONTRACT_ADDRESSES?.ROUTER) {
       setIsApproved(false);
       return;
     }
@@ -359,11 +266,10 @@ export function SwapComponent() {
 
     const checkApproval = async () => {
       try {
-        const amount = parseTokenAmount(amountIn, tokenInHook.decimals);
         const allowance = await tokenInHook.getAllowance(userAddress, CONTRACT_ADDRESSES.ROUTER);
         
         if (!isCancelled) {
-          const approved = allowance.gte(amount);
+          const approved = allowance.gte(requiredAmountIn);
           setIsApproved(approved);
           console.log('Approval status:', approved ? '✅ Approved' : '❌ Not approved');
         }
@@ -384,57 +290,101 @@ export function SwapComponent() {
       isCancelled = true;
       clearTimeout(timeoutId);
     };
-  }, [tokenIn, userAddress, amountIn, tokenInHook.decimals, tokenInHook.isValid]);
+  }, [tokenIn, userAddress, requiredAmountIn?.toString(), tokenInHook.isValid]);
+
+  // Calculate the dependent amount (output for exact input, input for exact output)
+  const independentAmount = isExactOutput ? amountOut : amountIn;
+
+  // Pairs of the quoted route: its amounts are recomputed whenever their reserves change
+  const routePairs = useMemo(() => {
+    if (!route || !CONTRACT_ADDRESSES?.FACTORY) return [];
+    return route.path.slice(1).map((address, index) =>
+      computePairAddress(CONTRACT_ADDRESSES.FACTORY, route.path[index], address, INIT_CODE_HASH)
+    );
+  }, [route]);
+  const liveReserves = useLiveReserves(routePairs, provider);
+
+  // Quote the user last looked at: taken when the trade changes, kept while only the reserves move
+  const [quoteBaseline, setQuoteBaseline] = useState(null); // { tradeKey, amount }
+  const tradeKey = `${tokenIn}:${tokenOut}:${independentField}:${independentAmount}`;
 
-  // Calculate output amount
   useEffect(() => {
+    const clearDependent = () => {
+      if (isExactOutput) {
+        setAmountIn('');
+      } else {
+        setAmountOut('');
+      }
+      setRoute(null);
+    };
+
     // Early return if essential data is missing
-    if (!amountIn || !tokenInHook.isValid || !tokenOutHook.isValid) {
-      setAmountOut('');
+    if (!independentAmount || !provider || !tokenInHook.isValid || !tokenOutHook.isValid) {
+      clearDependent();
+      setQuoteError(null);
       return;
     }
 
     // Validate amount is a number
-    const amountValue = parseFloat(amountIn);
+    const amountValue = parseFloat(independentAmount);
     if (isNaN(amountValue) || amountValue <= 0) {
-      setAmountOut('');
+      clearDependent();
+      setQuoteError(null);
       return;
     }
 
-    // Calculate output using router (doesn't require pair reserves)
+    // Find the best route (direct or multi-hop) for the typed amount
     let isCancelled = false;
-    const calculateOutput = async () => {
+    const calculateQuote = async () => {
       try {
-        const amountInParsed = parseTokenAmount(amountIn, tokenInHook.decimals);
-        // ✅ Use getAddressForRouting to handle native ETH -> WETH conversion for routing
-        const path = [getAddressForRouting(tokenIn), getAddressForRouting(tokenOut)];
+        const amountParsed = isExactOutput
+          ? parseTokenAmount(independentAmount, tokenOutHook.decimals)
+          : parseTokenAmount(independentAmount, tokenInHook.decimals);
         
-        console.log('🔄 Calculating output for:', {
-          amountIn,
+        console.log('🔄 Calculating quote for:', {
+          tradeType: isExactOutput ? 'EXACT_OUTPUT' : 'EXACT_INPUT',
+          amount: independentAmount,
           tokenIn: tokenInHook.symbol,
           tokenOut: tokenOutHook.symbol,
-          path,
         });
         
-        const amounts = await router.getAmountsOut(amountInParsed, path);
+        const bestRoute = await findBestRoute(
+          tokenIn,
+          tokenOut,
+          amountParsed,
+          provider,
+          isExactOutput ? 'EXACT_OUTPUT' : 'EXACT_INPUT'
+        );
         
         // Only update if this effect hasn't been cancelled
-        if (!isCancelled && amounts && amounts[1]) {
-          const output = formatTokenAmount(amounts[1], tokenOutHook.decimals);
-          console.log('✅ Output calculated:', output, tokenOutHook.symbol);
-          setAmountOut(output);
+        if (!isCancelled) {
+          if (isExactOutput) {
+            const input = formatTokenAmount(bestRoute.amountIn, tokenInHook.decimals, 6);
+            console.log('✅ Input calculated:', input, tokenInHook.symbol, 'via', bestRoute.path);
+            setAmountIn(input);
+          } else {
+            const output = formatTokenAmount(bestRoute.amountOut, tokenOutHook.decimals);
+            console.log('✅ Output calculated:', output, tokenOutHook.symbol, 'via', bestRoute.path);
+            setAmountOut(output);
+          }
+          setRoute(bestRoute);
+          setQuoteError(null);
+
+          const quoted = isExactOutput ? bestRoute.amountIn : bestRoute.amountOut;
+          setQuoteBaseline(previous => (previous?.tradeKey === tradeKey ? previous : { tradeKey, amount: quoted }));
         }
       } catch (err) {
-        console.error('❌ Failed to calculate output:', err.message);
+        console.error('❌ Failed to calculate quote:', err.message);
         if (!isCancelled) {
-          setAmountOut('');
+          clearDependent();
+          setQuoteError(err.message);
         }
       }
     };
 
     // Debounce calculation to reduce API calls
     const timeoutId = setTimeout(() => {
-      calculateOutput();
+      calculateQuote();
     }, 300); // 300ms debounce
 
     // Cleanup function
@@ -442,21 +392,172 @@ export function SwapComponent() {
       isCancelled = true;
       clearTimeout(timeoutId);
     };
-  }, [amountIn, tokenIn, tokenOut, tokenInHook.decimals, tokenInHook.isValid, tokenInHook.symbol, tokenOutHook.decimals, tokenOutHook.isValid, tokenOutHook.symbol, router]);
+  }, [independentAmount, isExactOutput, tokenIn, tokenOut, tokenInHook.decimals, tokenInHook.isValid, tokenInHook.symbol, tokenOutHook.decimals, tokenOutHook.isValid, tokenOutHook.symbol, provider]);
+
+  // Live reserves only move the amounts of the current route: a new path is searched on trade changes only
+  const routeRef = useRef(route);
+  routeRef.current = route;
+
+  useEffect(() => {
+    const quotedRoute = routeRef.current;
+    if (liveReserves.version === 0 || !quotedRoute || !provider) return;
 
-  // Calculate price impact
-  const priceImpact = useMemo(() => {
-    if (!amountIn || !pair.reserves.reserve0 || !pair.reserves.reserve1) {
-      return '0.00';
+    let isCancelled = false;
+    requoteRoute(quotedRoute, provider)
+      .then(requoted => {
+        // The trade may have been re-routed while the reserves were loading
+        if (isCancelled || routeRef.current !== quotedRoute) return;
+
+        if (requoted.tradeType === 'EXACT_OUTPUT') {
+          setAmountIn(formatTokenAmount(requoted.amountIn, tokenInHook.decimals, 6));
+        } else {
+          setAmountOut(formatTokenAmount(requoted.amountOut, tokenOutHook.decimals));
+        }
+        setRoute(requoted);
+        setQuoteError(null);
+      })
+      .catch(err => {
+        console.error('❌ Failed to update quote:', err.message);
+        if (!isCancelled && routeRef.current === quotedRoute) {
+          setQuoteError(err.message);
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [liveReserves.version]);
+
+  // Move of the live quote since the user last looked (basis points, like the slippage)
+  const quoteMove = useMemo(() => {
+    if (!route || !quoteBaseline || quoteBaseline.tradeKey !== tradeKey || quoteBaseline.amount.isZero()) {
+      return null;
     }
-    try {
-      const amountInParsed = parseTokenAmount(amountIn, tokenInHook.decimals);
-      const { reserveA } = pair.getOrderedReserves();
-      return calculatePriceImpact(amountInParsed, reserveA, pair.reserves.reserve1);
-    } catch {
-      return '0.00';
+    const quoted = isExactOutput ? route.amountIn : route.amountOut;
+    const changeBps = quoted.sub(quoteBaseline.amount).mul(10000).div(quoteBaseline.amount).toNumber();
+    return {
+      changeBps,
+      // Less output for exact input, more input for exact output
+      adverse: isExactOutput ? changeBps > 0 : changeBps < 0,
+      exceedsSlippage: Math.abs(changeBps) > slippage,
+    };
+  }, [route, quoteBaseline, tradeKey, isExactOutput, slippage]);
+
+  // The user accepts the moved quote as the new one to compare with
+  const acceptQuoteMove = () => {
+    if (!route) return;
+    setQuoteBaseline({ tradeKey, amount: isExactOutput ? route.amountIn : route.amountOut });
+  };
+
+  // Measure transfer taxes of the route tokens (fee-on-transfer detection)
+  const routePathKey = route ? route.path.join(',').toLowerCase() : '';
+
+  useEffect(() => {
+    if (!route || !provider) {
+      setTransferTaxes({ pathKey: '', taxes: [] });
+      return;
+    }
+
+    let isCancelled = false;
+    const pathKey = routePathKey;
+
+    getPathTransferTaxes(route.path, provider)
+      .then(taxes => {
+        if (!isCancelled) {
+          setTransferTaxes({ pathKey, taxes });
+        }
+      })
+      .catch(err => {
+        console.error('Failed to detect transfer tax:', err.message);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [routePathKey, provider]);
+
+  // Taxes only apply if they were measured for the current route
+  const taxesMeasured = transferTaxes.pathKey === routePathKey;
+  const routeTaxes = taxesMeasured ? transferTaxes.taxes : [];
+  const isFeeOnTransfer = hasTransferTax(routeTaxes);
+
+  // Minimum output for exact input swaps (after transfer taxes and slippage)
+  const minimumReceived = useMemo(() => {
+    if (!route || route.tradeType !== 'EXACT_INPUT') return null;
+    const expected = isFeeOnTransfer ? estimateAmountAfterTax(route.amountOut, routeTaxes) : route.amountOut;
+    return applySlippage(expected, slippage, true);
+  }, [route, routeTaxes, isFeeOnTransfer, slippage]);
+
+  // Price impact across all hops of the route
+  const priceImpact = route?.priceImpact || '0.00';
+
+  // Spot vs TWAP of the first hop (a manipulated or just-moved pool shows up here)
+  const firstHopTwap = useTwapPrice(route?.path[0], route?.path[1], { enabled: !!route });
+
+  // Route symbols for display (e.g. ARB → WETH → LINK)
+  const routeSymbols = useMemo(() => {
+    if (!route) return [];
+    return route.path.map(address => {
+      const token = getTokenByAddress(address);
+      return token?.symbol || `${address.slice(0, 6)}...${address.slice(-4)}`;
+    });
+  }, [route]);
+
+  // Summary rows for the transaction modal from the parsed receipt
+  const buildExecutionDetails = (execution) => {
+    if (!execution) return null;
+
+    const describe = (address) => {
+      const token = getTokenByAddress(address);
+      return {
+        symbol: token?.symbol || `${address.slice(0, 6)}...${address.slice(-4)}`,
+        decimals: token?.decimals ?? 18,
+      };
+    };
+
+    const rows = [
+      {
+        label: 'Paid',
+        value: `${formatTokenAmount(execution.amountIn, tokenInHook.decimals, 6)} ${tokenInHook.symbol}`,
+      },
+      {
+        label: 'Received',
+        value: `${formatTokenAmount(execution.amountOut, tokenOutHook.decimals, 6)} ${tokenOutHook.symbol}`,
+      },
+    ];
+
+    // Per-hop amounts for multi-hop routes
+    if (execution.hops.length > 1) {
+      execution.hops.forEach((hop, index) => {
+        const hopIn = describe(hop.tokenIn);
+        const hopOut = describe(hop.tokenOut);
+        rows.push({
+          label: `Hop ${index + 1}`,
+          value: `${formatTokenAmount(hop.amountIn, hopIn.decimals)} ${hopIn.symbol} → ${formatTokenAmount(hop.amountOut, hopOut.decimals)} ${hopOut.symbol}`,
+        });
+      });
+    }
+
+    // Raw price → human units
+    if (execution.executionPrice !== null) {
+      const price = execution.executionPrice * Math.pow(10, tokenInHook.decimals - tokenOutHook.decimals);
+      rows.push({
+        label: 'Execution Price',
+        value: `1 ${tokenInHook.symbol} = ${price.toPrecision(6)} ${tokenOutHook.symbol}`,
+      });
+    }
+
+    if (execution.priceDifferencePercent !== null) {
+      const diff = execution.priceDifferencePercent;
+      rows.push({
+        label: 'vs Quote',
+        value: `${diff >= 0 ? '+' : ''}${diff.toFixed(2)}%`,
+        tone: diff >= 0 ? 'success' : Math.abs(diff) > slippage / 100 ? 'danger' : 'warning',
+      });
     }
-  }, [amountIn, pair, tokenInHook.decimals]);
+
+    return rows;
+  };
 
   // Swap tokens direction
   const handleSwapDirection = () => {
@@ -464,15 +565,28 @@ export function SwapComponent() {
     setTokenOut(tokenIn);
     setAmountIn(amountOut);
     setAmountOut('');
+    setIndependentField('in');
   };
 
   // Handle max button
   const handleMax = () => {
     if (balanceIn) {
+      setIndependentField('in');
       setAmountIn(formatTokenAmount(balanceIn, tokenInHook.decimals, 18));
     }
   };
 
+  // Typing in a field makes it the exact side of the trade
+  const handleAmountInChange = (value) => {
+    setIndependentField('in');
+    setAmountIn(value);
+  };
+
+  const handleAmountOutChange = (value) => {
+    setIndependentField('out');
+    setAmountOut(value);
+  };
+
   // Handle token selection from modal
   const handleTokenSelect = (token, type) => {
     // Prevent selecting the same token for both fields
@@ -523,14 +637,15 @@ export function SwapComponent() {
       return;
     }
 
-    if (!amountIn || parseFloat(amountIn) <= 0) {
+    if (!requiredAmountIn || requiredAmountIn.lte(0)) {
       console.error('Invalid amount');
       alert('Please enter a valid amount');
       return;
     }
 
     // ✅ SECURITY: Show approval modal instead of directly approving
-    const amount = parseTokenAmount(amountIn, tokenInHook.decimals);
+    // Exact output swaps need the maximum input (quote + slippage) approved
+    const amount = requiredAmountIn;
     setApprovalModal({
       isOpen: true,
       token: {
@@ -580,6 +695,11 @@ export function SwapComponent() {
     }
   };
 
+  // Submitted (or replaced by speed up / cancel): the modal follows the latest hash
+  const handleSubmitted = (entry) => {
+    setTxModal(prev => ({ ...prev, txHash: entry.hash, pendingTx: entry }));
+  };
+
   // Handle swap
   const handleSwap = async () => {
     if (!isApproved) return;
@@ -609,43 +729,78 @@ export function SwapComponent() {
         tokenOut: tokenOutHook.symbol,
         amountIn,
         amountOut,
+        tradeType: isExactOutput ? 'EXACT_OUTPUT' : 'EXACT_INPUT',
         slippage: slippage / 100 + '%',
       });
 
-      const amountInParsed = parseTokenAmount(amountIn, tokenInHook.decimals);
-      const amountOutParsed = parseTokenAmount(amountOut, tokenOutHook.decimals);
-      const amountOutMin = applySlippage(amountOutParsed, slippage, true);
-      // ✅ Use getAddressForRouting to handle native ETH -> WETH conversion for routing
-      const path = [getAddressForRouting(tokenIn), getAddressForRouting(tokenOut)];
       const deadline = getDeadline();
+      let result;
+
+      if (isExactOutput) {
+        // Exact output: the quoted route is required to know the input
+        const amountOutParsed = parseTokenAmount(amountOut, tokenOutHook.decimals);
+        if (!route || route.tradeType !== 'EXACT_OUTPUT' || !route.amountOut.eq(amountOutParsed)) {
+          alert('Quote is still updating. Please try again in a moment.');
+          return;
+        }
 
-      // ✅ Use appropriate swap method based on token types
-      const isInputNative = isNativeToken(tokenIn);
-      const isOutputNative = isNativeToken(tokenOut);
-
-      if (isInputNative && !isOutputNative) {
-        // ETH → Token: Use swapExactETHForTokens with msg.value
-        console.log('💎 Executing ETH → Token swap');
-        // swapExactETHForTokens(amountOutMin, path, value, deadline)
-        await router.swapExactETHForTokens(amountOutMin, path, amountInParsed, deadline);
-      } else if (!isInputNative && isOutputNative) {
-        // Token → ETH: Use swapExactTokensForETH
-        console.log('🪙 Executing Token → ETH swap');
-        // swapExactTokensForETH(amountIn, amountOutMin, path, deadline)
-        await router.swapExactTokensForETH(amountInParsed, amountOutMin, path, deadline);
-      } else if (!isInputNative && !isOutputNative) {
-        // Token → Token: Use swapExactTokensForTokens
-        console.log('🔄 Executing Token → Token swap');
-        await router.swapExactTokensForTokens(amountInParsed, amountOutMin, path, deadline);
+        setSwapping(true);
+        setTxModal({ isOpen: true, status: 'pending', txHash: null, error: null, details: null, pendingTx: null });
+
+        result = await executeSwap({
+          tokenIn,
+          tokenOut,
+          tradeType: 'EXACT_OUTPUT',
+          amountIn: route.amountIn,
+          amountOut: amountOutParsed,
+          amountInMax: calculateAmountInMax(route.amountIn, slippage),
+          recipient: userAddress,
+          deadline,
+          path: route.path,
+          onSubmitted: handleSubmitted,
+        }, signer);
       } else {
-        throw new Error('Cannot swap ETH for ETH');
+        const amountInParsed = parseTokenAmount(amountIn, tokenInHook.decimals);
+        // Only trust the route if it was quoted for the current input amount
+        const quotedRoute = route && route.tradeType === 'EXACT_INPUT' && route.amountIn.eq(amountInParsed) ? route : null;
+        const amountOutMin = quotedRoute && minimumReceived
+          ? minimumReceived
+          : applySlippage(parseTokenAmount(amountOut, tokenOutHook.decimals), slippage, true);
+
+        setSwapping(true);
+        setTxModal({ isOpen: true, status: 'pending', txHash: null, error: null, details: null, pendingTx: null });
+
+        // ✅ swapService picks the right router method for native ETH and uses the quoted route
+        result = await executeSwap({
+          tokenIn,
+          tokenOut,
+          amountIn: amountInParsed,
+          amountOutMin,
+          expectedAmountOut: quotedRoute?.amountOut,
+          recipient: userAddress,
+          deadline,
+          path: quotedRoute?.path,
+          // Let swapService detect taxes itself if the route changed or they are still being measured
+          feeOnTransfer: quotedRoute && taxesMeasured ? needsFeeOnTransferSupport(routeTaxes) : undefined,
+          onSubmitted: handleSubmitted,
+        }, signer);
       }
 
       console.log('✅ Swap successful');
 
+      setTxModal({
+        isOpen: true,
+        status: 'success',
+        txHash: result.receipt.transactionHash,
+        error: null,
+        details: buildExecutionDetails(result.execution),
+        pendingTx: null,
+      });
+
       // Reset and refresh
       setAmountIn('');
       setAmountOut('');
+      setIndependentField('in');
       
       // Refresh balances
       if (userAddress && tokenInHook.isValid) {
@@ -670,11 +825,19 @@ export function SwapComponent() {
         errorMessage += 'Price changed too much. Try increasing slippage tolerance.';
       } else if (err.message?.includes('INSUFFICIENT_OUTPUT_AMOUNT')) {
         errorMessage += 'Insufficient output amount. Try increasing slippage tolerance.';
+      } else if (err.message?.includes('EXCESSIVE_INPUT_AMOUNT')) {
+        errorMessage += 'Required input exceeds your maximum. Try increasing slippage tolerance.';
+      } else if (err.code === 'TRANSACTION_REPLACED' && err.reason === 'cancelled') {
+        errorMessage = 'Swap cancelled.';
+      } else if (err.code === 'TRANSACTION_REPLACED') {
+        errorMessage += 'The transaction was replaced by another transaction.';
       } else {
         errorMessage += 'Please try again.';
       }
       
-      alert(errorMessage);
+      setTxModal({ isOpen: true, status: 'error', txHash: null, error: errorMessage, details: null, pendingTx: null });
+    } finally {
+      setSwapping(false);
     }
   };
 
@@ -692,12 +855,28 @@ export function SwapComponent() {
     if (!swapValidation.isValid) {
       return { text: swapValidation.message || 'No swap pair available', disabled: true };
     }
+
+    if (riskBlocking && !riskAcknowledged) {
+      return { text: 'Review the token risk warning', disabled: true };
+    }
     
-    if (!amountIn || parseFloat(amountIn) === 0) {
+    if (!independentAmount || parseFloat(independentAmount) === 0) {
       return { text: 'Enter an amount', disabled: true };
     }
     
-    if (balanceIn && parseTokenAmount(amountIn, tokenInHook.decimals).gt(balanceIn)) {
+    if (!requiredAmountIn) {
+      return { text: 'Fetching quote...', disabled: true };
+    }
+
+    if (quoteMove?.exceedsSlippage) {
+      return { text: 'Accept the updated price', disabled: true };
+    }
+    
+    if (isExactOutput && isFeeOnTransfer) {
+      return { text: 'Exact output not supported for taxed tokens', disabled: true };
+    }
+    
+    if (balanceIn && requiredAmountIn.gt(balanceIn)) {
       return { text: `Insufficient ${tokenInHook.symbol} balance`, disabled: true };
     }
     
@@ -705,7 +884,7 @@ export function SwapComponent() {
       return { text: `Approve ${tokenInHook.symbol}`, disabled: false, isApprove: true };
     }
     
-    if (router.loading) {
+    if (swapping) {
       return { text: 'Swapping...', disabled: true, loading: true };
     }
     
@@ -775,7 +954,7 @@ export function SwapComponent() {
               className="amount-input"
               placeholder="0"
               value={amountIn}
-              onChange={(e) => setAmountIn(e.target.value)}
+              onChange={(e) => handleAmountInChange(e.target.value)}
             />
             {tokenInHook.isValid ? (
               <button
@@ -834,7 +1013,7 @@ export function SwapComponent() {
               className="amount-input"
               placeholder="0"
               value={amountOut}
-              readOnly
+              onChange={(e) => handleAmountOutChange(e.target.value)}
             />
             {tokenOutHook.isValid ? (
               <button
@@ -879,18 +1058,64 @@ export function SwapComponent() {
                 1 {tokenInHook.symbol} = {(parseFloat(amountOut) / parseFloat(amountIn)).toFixed(6)} {tokenOutHook.symbol}
               </span>
             </div>
+            {routeSymbols.length > 0 && (
+              <div className="swap-detail-row">
+                <span className="label">Route</span>
+                <span className="value">{routeSymbols.join(' → ')}</span>
+              </div>
+            )}
             <div className="swap-detail-row">
               <span className="label">Price Impact</span>
               <span className={`value ${parseFloat(priceImpact) > 5 ? 'danger' : parseFloat(priceImpact) > 2 ? 'warning' : ''}`}>
                 {priceImpact}%
               </span>
             </div>
-            <div className="swap-detail-row">
-              <span className="label">Minimum received</span>
-              <span className="value">
-                {(parseFloat(amountOut) * (1 - slippage / 10000)).toFixed(6)} {tokenOutHook.symbol}
-              </span>
-            </div>
+            {firstHopTwap.deviation !== null && (
+              <div className="swap-detail-row" title={`${routeSymbols[0]}/${routeSymbols[1]} pool, ${Math.round(firstHopTwap.window / 60)} min average`}>
+                <span className="label">Spot vs TWAP</span>
+                <span className={`value ${firstHopTwap.isDeviating ? 'warning' : ''}`}>
+                  {firstHopTwap.deviation > 0 ? '+' : ''}{firstHopTwap.deviation.toFixed(2)}%
+                  {firstHopTwap.isDeviating && ' · price moved recently'}
+                </span>
+              </div>
+            )}
+            {isExactOutput ? (
+              <div className="swap-detail-row">
+                <span className="label">Maximum sold</span>
+                <span className="value">
+                  {requiredAmountIn ? formatTokenAmount(requiredAmountIn, tokenInHook.decimals, 6) : '-'} {tokenInHook.symbol}
+                </span>
+              </div>
+            ) : (
+              <div className="swap-detail-row">
+                <span className="label">Minimum received</span>
+                <span className="value">
+                  {minimumReceived
+                    ? formatTokenAmount(minimumReceived, tokenOutHook.decimals, 6)
+                    : (parseFloat(amountOut) * (1 - slippage / 10000)).toFixed(6)} {tokenOutHook.symbol}
+                </span>
+              </div>
+            )}
+            {routeTaxes
+              .map((tax, index) => ({ tax, symbol: routeSymbols[index] }))
+              .filter(({ tax }) => tax.isFeeOnTransfer)
+              .map(({ tax, symbol }) => (
+                <div className="swap-detail-row" key={tax.token}>
+                  <span className="label">{symbol} transfer tax</span>
+                  <span className="value warning">
+                    Buy {(tax.buyTaxBps / 100).toFixed(2)}% / Sell {(tax.sellTaxBps / 100).toFixed(2)}%
+                  </span>
+                </div>
+              ))}
+            {routeTaxes
+              .map((tax, index) => ({ tax, symbol: routeSymbols[index] }))
+              .filter(({ tax }) => tax.unknown)
+              .map(({ tax, symbol }) => (
+                <div className="swap-detail-row" key={tax.token}>
+                  <span className="label">{symbol} transfer tax</span>
+                  <span className="value warning" title={tax.reason}>Unknown (not simulated)</span>
+                </div>
+              ))}
             <div className="swap-detail-row">
               <span className="label">Slippage tolerance</span>
               <span className="value">{slippage / 100}%</span>
@@ -899,6 +1124,54 @@ export function SwapComponent() {
         )}
       </div>
 
+      {/* Token Risk Warning */}
+      {riskyTokens.length > 0 && (
+        <div className="swap-body">
+          <div className={`token-risk-warning ${riskBlocking ? 'danger' : ''}`}>
+            {riskyTokens.map(({ symbol, profile }) => (
+              <div key={profile.token}>
+                <strong>{symbol}</strong>
+                <TokenRiskBadges profile={profile} />
+                <ul>
+                  {profile.flags
+                    .filter(flag => flag.severity !== 'info')
+                    .map(flag => <li key={flag.id}>{flag.detail}</li>)}
+                </ul>
+              </div>
+            ))}
+            {riskBlocking && (
+              <label className="token-list-toggle">
+                <input
+                  type="checkbox"
+                  checked={riskAcknowledged}
+                  onChange={(e) => setRiskAcknowledged(e.target.checked)}
+                />
+                I understand I may not be able to sell or may lose most of the amount, swap anyway
+              </label>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Price Update Warning */}
+      {quoteMove?.exceedsSlippage && (
+        <div className="swap-body">
+          <div className={`warning-box ${quoteMove.adverse ? 'error' : ''}`}>
+            <strong>
+              ⚠️ Price updated: {quoteMove.changeBps > 0 ? '+' : ''}{(quoteMove.changeBps / 100).toFixed(2)}%
+              {isExactOutput ? ' input' : ' output'}
+            </strong>
+            <p>
+              The reserves changed since you last looked{liveReserves.blockNumber !== null && ` (block ${liveReserves.blockNumber})`} and
+              the quote moved by more than your {slippage / 100}% slippage tolerance.
+            </p>
+            <button className="modal-button primary" onClick={acceptQuoteMove}>
+              Accept new price
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Swap Button */}
       <div className="swap-footer">
         <button
@@ -950,9 +1223,9 @@ export function SwapComponent() {
         </div>
       )}
       
-      {router.error && (
+      {quoteError && swapValidation.isValid && (
         <div className="swap-body">
-          <div className="error-message">{router.error}</div>
+          <div className="error-message">{quoteError}</div>
         </div>
       )}
 
@@ -984,6 +1257,19 @@ export function SwapComponent() {
         onApprove={handleApprovalConfirm}
         onCancel={() => setApprovalModal({ ...approvalModal, isOpen: false })}
       />
+
+      {/* Transaction Modal - executed amounts from the receipt */}
+      <TransactionModal
+        isOpen={txModal.isOpen}
+        status={txModal.status}
+        txHash={txModal.txHash}
+        error={txModal.error}
+        details={txModal.details}
+        pendingTx={txModal.status === 'pending' ? txModal.pendingTx : null}
+        onReplaced={handleSubmitted}
+        txType="Swap"
+        onClose={() => setTxModal({ ...txModal, isOpen: false })}
+      />
     </div>
   );
 }
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3React } from '../providers/Web3Provider';
+import {
+  getTokenList,
+  getAddressForRouting,
+  isNativeToken,
+  NATIVE_ETH_ADDRESS,
+  DEFAULT_OUTPUT_TOKEN,
+} from '../constants/tokens';
+import { getChainContext } from '../config/contracts';
+import { formatTokenAmount, getDeadline } from '../utils/calculations';
+import { getTokenBalance } from '../services/balanceService';
+import { fetchTokenPrices } from '../services/priceService';
+import { planSwapToPrice, executeSwapToPrice, SWAP_TO_PRICE_SLIPPAGE } from '../services/swapToPrice';
+import { TransactionModal } from './TransactionModal';
+
+// ETH left in the wallet for gas when ETH is the token sold
+const GAS_RESERVE = ethers.utils.parseEther('0.005');
+
+// Helper function to show a price with 6 significant digits
+function formatPrice(value) {
+  return Number.isFinite(value) ? value.toPrecision(6) : '-';
+}
+
+/**
+ * SwapToPrice Component
+ * Moves a pair to a target price with the profit-maximizing trade (ExampleSwapToPrice, off-chain)
+ * - Target price typed in or taken from the USD prices of both tokens (priceService)
+ * - Spend is capped by the wallet balance of the token sold
+ * - Preview of the trade, the reserves after it and the profit at the target price
+ */
+export function SwapToPrice() {
+  const { library, account, chainId } = useWeb3React();
+  const [tokenA, setTokenA] = useState(NATIVE_ETH_ADDRESS);
+  const [tokenB, setTokenB] = useState(DEFAULT_OUTPUT_TOKEN.address);
+  const [targetPrice, setTargetPrice] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [executing, setExecuting] = useState(false);
+  const [error, setError] = useState(null);
+  const [txModal, setTxModal] = useState({
+    isOpen: false,
+    status: '',
+    txHash: null,
+    error: null,
+  });
+
+  const tokens = getTokenList(chainId);
+  const signer = library && account ? library.getSigner() : null;
+
+  // A preview for other tokens or another price is stale
+  useEffect(() => {
+    setPlan(null);
+  }, [tokenA, tokenB, targetPrice]);
+
+  // Spend caps: what the wallet holds of each token (minus gas money for ETH)
+  const getSpendCap = async (token) => {
+    const balance = await getTokenBalance(token, account, library);
+    if (!isNativeToken(token)) return balance;
+    return balance.gt(GAS_RESERVE) ? balance.sub(GAS_RESERVE) : ethers.constants.Zero;
+  };
+
+  const getParams = async () => {
+    const [maxSpendA, maxSpendB] = await Promise.all([getSpendCap(tokenA), getSpendCap(tokenB)]);
+    return { tokenA, tokenB, targetPrice: parseFloat(targetPrice), maxSpendA, maxSpendB };
+  };
+
+  const handleMarketPrice = async () => {
+    setError(null);
+    try {
+      const weth = getChainContext(chainId).weth;
+      const addressA = getAddressForRouting(tokenA, weth);
+      const addressB = getAddressForRouting(tokenB, weth);
+      const prices = await fetchTokenPrices([addressA, addressB], chainId);
+      const priceA = prices.get(addressA.toLowerCase());
+      const priceB = prices.get(addressB.toLowerCase());
+      if (!priceA || !priceB) {
+        setError('No USD price for one of the tokens');
+        return;
+      }
+      setTargetPrice(String(priceA / priceB));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setPlan(await planSwapToPrice(await getParams(), library));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExecute = async () => {
+    if (!signer) return;
+
+    setExecuting(true);
+    setTxModal({ isOpen: true, status: 'pending', txHash: null, error: null });
+
+    try {
+      const { result } = await executeSwapToPrice(await getParams(), {
+        recipient: account,
+        deadline: getDeadline(),
+      }, signer);
+
+      setTxModal({ isOpen: true, status: 'success', txHash: result.receipt.transactionHash, error: null });
+      // Show where the pool ended up
+      handlePreview();
+    } catch (err) {
+      console.error('❌ Swap to price failed:', err);
+      setTxModal({
+        isOpen: true,
+        status: 'error',
+        txHash: null,
+        error: err.code === 'ACTION_REJECTED' || err.code === 4001
+          ? 'Transaction rejected by user'
+          : err.reason || err.message,
+      });
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  const canPreview = tokenA && tokenB && tokenA !== tokenB && parseFloat(targetPrice) > 0;
+  const symbolA = plan?.tokenA.symbol ?? tokens.find(token => token.address === tokenA)?.symbol ?? 'A';
+  const symbolB = plan?.tokenB.symbol ?? tokens.find(token => token.address === tokenB)?.symbol ?? 'B';
+
+  return (
+    <div className="swap-card">
+      <div className="swap-header">
+        <h2>Swap to Price</h2>
+      </div>
+
+      <div className="swap-body">
+        <datalist id="swap-to-price-tokens">
+          {tokens.map(token => (
+            <option key={token.address} value={token.address}>{token.symbol}</option>
+          ))}
+        </datalist>
+
+        <div className="inspector-form">
+          <label>
+            <span>Token A</span>
+            <input
+              list="swap-to-price-tokens"
+              value={tokenA}
+              onChange={(e) => setTokenA(e.target.value.trim())}
+              placeholder="Token address"
+              disabled={executing}
+            />
+          </label>
+          <label>
+            <span>Token B</span>
+            <input
+              list="swap-to-price-tokens"
+              value={tokenB}
+              onChange={(e) => setTokenB(e.target.value.trim())}
+              placeholder="Token address"
+              disabled={executing}
+            />
+          </label>
+          <label>
+            <span>Target price ({symbolB} per {symbolA})</span>
+            <input
+              value={targetPrice}
+              onChange={(e) => setTargetPrice(e.target.value.replace(/[^0-9.e-]/g, ''))}
+              placeholder="0.0"
+              disabled={executing}
+            />
+          </label>
+          <div className="position-actions">
+            <button className="tx-clear-button" onClick={handleMarketPrice} disabled={executing}>
+              Use market price
+            </button>
+            <button
+              className="modal-button primary"
+              onClick={handlePreview}
+              disabled={!canPreview || loading || executing}
+            >
+              {loading ? 'Computing...' : 'Preview'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {plan && (
+          <div className="swap-details">
+            <div className="swap-detail-row">
+              <span className="label">Pool price</span>
+              <span className="value">
+                {formatPrice(plan.priceBefore)} → {formatPrice(plan.priceAfter)} {plan.tokenB.symbol}
+              </span>
+            </div>
+            {plan.optimalAmountIn.isZero() ? (
+              <div className="swap-detail-row">
+                <span className="label">Trade</span>
+                <span className="value success">Pool is already at the target price</span>
+              </div>
+            ) : (
+              <>
+                <div className="swap-detail-row">
+                  <span className="label">Sell</span>
+                  <span className="value">
+                    {formatTokenAmount(plan.amountIn, plan.tokenIn.decimals, 6)} {plan.tokenIn.symbol}
+                  </span>
+                </div>
+                <div className="swap-detail-row">
+                  <span className="label">Receive</span>
+                  <span className="value">
+                    {formatTokenAmount(plan.amountOut, plan.tokenOut.decimals, 6)} {plan.tokenOut.symbol}
+                  </span>
+                </div>
+                <div className="swap-detail-row">
+                  <span className="label">Reserves after</span>
+                  <span className="value">
+                    {formatTokenAmount(plan.reserveAAfter, plan.tokenA.decimals, 4)} {plan.tokenA.symbol}
+                    {' / '}
+                    {formatTokenAmount(plan.reserveBAfter, plan.tokenB.decimals, 4)} {plan.tokenB.symbol}
+                  </span>
+                </div>
+                <div className="swap-detail-row" title="Output minus input, both valued at the target price">
+                  <span className="label">Profit at target price</span>
+                  <span className={`value ${plan.profit >= 0 ? 'success' : 'danger'}`}>
+                    {formatPrice(plan.profit)} {plan.tokenB.symbol}
+                  </span>
+                </div>
+                <div className="swap-detail-row">
+                  <span className="label">Minimum received</span>
+                  <span className="value">{SWAP_TO_PRICE_SLIPPAGE / 100}% below the quote</span>
+                </div>
+                {plan.isCapped && (
+                  <div className="error-message">
+                    Reaching the target needs {formatTokenAmount(plan.optimalAmountIn, plan.tokenIn.decimals, 6)}{' '}
+                    {plan.tokenIn.symbol}; your balance only moves the price part of the way.
+                  </div>
+                )}
+                <button
+                  className="modal-button primary"
+                  onClick={handleExecute}
+                  disabled={executing || !signer || plan.amountIn.isZero()}
+                >
+                  {executing ? 'Swapping...' : `Swap ${plan.tokenIn.symbol} → ${plan.tokenOut.symbol}`}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <TransactionModal
+        isOpen={txModal.isOpen}
+        status={txModal.status}
+        txHash={txModal.txHash}
+        error={txModal.error}
+        txType="Swap to Price"
+        onClose={() => setTxModal({ ...txModal, isOpen: false })}
+      />
+    </div>
+  );
+}
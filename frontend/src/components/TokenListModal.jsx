@@ -0,0 +1,495 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { useTokenLists } from '../hooks/useTokenLists';
+import { useTokenRisk } from '../hooks/useTokenRisk';
+import { versionToString } from '../utils/tokenListSchema';
+import { isValidAddress } from '../utils/validation';
+import { previewTokenImport, importToken } from '../services/tokenImportService';
+import { getCachedTokenRisk, subscribeTokenRisk } from '../services/tokenRiskService';
+import { TokenRiskBadges } from './TokenRiskBadges';
+
+// Step of the priority buttons (lists with equal priority keep their relative order)
+const PRIORITY_STEP = 10;
+
+// Badges shown per token (the full list is in the tooltip)
+const MAX_TAG_BADGES = 2;
+
+const CloseIcon = () => (
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M18 6L6 18M6 6l12 12"/>
+  </svg>
+);
+
+// Helper function to summarize the diff of a list update
+function describeDiff(diff) {
+  const parts = [];
+  if (diff.added.length > 0) parts.push(`${diff.added.length} added`);
+  if (diff.removed.length > 0) parts.push(`${diff.removed.length} removed`);
+  const changed = Object.keys(diff.changed).length;
+  if (changed > 0) parts.push(`${changed} changed`);
+  return parts.join(', ') || 'no token changes';
+}
+
+// Helper function to shorten a number for the import details
+function formatAmount(value) {
+  const number = parseFloat(value);
+  return number.toLocaleString(undefined, { maximumFractionDigits: number < 1 ? 6 : 2 });
+}
+
+/**
+ * Import of a token pasted by address: on-chain checks, warnings and liquidity before it is added
+ */
+function TokenImportPanel({ address, onImported }) {
+  const { account, library } = useWeb3React();
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [acknowledged, setAcknowledged] = useState(false);
+  const risk = useTokenRisk(address, { enabled: !!preview });
+
+  useEffect(() => {
+    if (!library) return;
+
+    let cancelled = false;
+    setPreview(null);
+    setError(null);
+    setAcknowledged(false);
+    setChecking(true);
+
+    previewTokenImport(address, library, account)
+      .then(result => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setChecking(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [address, library, account]);
+
+  if (!library) {
+    return <div className="token-list-empty"><p>Connect a wallet to import a token by address</p></div>;
+  }
+  if (checking) {
+    return <div className="token-list-empty"><p>Checking token contract...</p></div>;
+  }
+  if (error) {
+    return <div className="token-list-empty"><p>{error}</p></div>;
+  }
+  if (!preview) return null;
+
+  const known = preview.isVerified || preview.lists.length > 0 || preview.alreadyImported;
+
+  const handleImport = () => {
+    if (!known) {
+      importToken(preview);
+    }
+    const addressLower = preview.address.toLowerCase();
+    onImported({
+      address: preview.address,
+      symbol: preview.symbol,
+      name: preview.name,
+      decimals: preview.decimals,
+      logoURI: '',
+      id: addressLower,
+      addressLower,
+    });
+  };
+
+  return (
+    <div className="token-import">
+      <div className="tx-history-main">
+        <span className="tx-history-summary">
+          {preview.symbol}
+          {!known && <span className="token-badge warning">Unverified</span>}
+          <TokenRiskBadges profile={risk.profile} />
+        </span>
+        <span className="tx-history-type">{preview.name} · {preview.address}</span>
+      </div>
+
+      <div className="swap-details">
+        <div className="swap-detail-row">
+          <span className="label">Total supply</span>
+          <span className="value">{formatAmount(preview.totalSupply)}</span>
+        </div>
+        {preview.accountBalance !== null && (
+          <div className="swap-detail-row">
+            <span className="label">Your balance</span>
+            <span className="value">{formatAmount(preview.accountBalance)}</span>
+          </div>
+        )}
+        {preview.liquidity.map(pool => (
+          <div className="swap-detail-row" key={pool.pairAddress} title={pool.pairAddress}>
+            <span className="label">{preview.symbol}/{pool.baseSymbol} pool</span>
+            <span className="value">
+              {formatAmount(pool.reserveToken)} {preview.symbol} + {formatAmount(pool.reserveBase)} {pool.baseSymbol}
+            </span>
+          </div>
+        ))}
+        {preview.holdersUrl && (
+          <div className="swap-detail-row">
+            <span className="label">Holders</span>
+            <a className="explorer-link" href={preview.holdersUrl} target="_blank" rel="noopener noreferrer">
+              View on explorer ↗
+            </a>
+          </div>
+        )}
+      </div>
+
+      {preview.warnings.map(warning => (
+        <div className="token-status error" key={warning}>⚠️ {warning}</div>
+      ))}
+      {risk.loading && <div className="token-status loading">Checking token risks...</div>}
+      {risk.profile?.flags
+        .filter(flag => flag.severity !== 'info')
+        .map(flag => (
+          <div className={`token-status ${flag.severity === 'danger' ? 'error' : 'info'}`} key={flag.id}>
+            ⚠️ {flag.detail}
+          </div>
+        ))}
+
+      {!known && (
+        <label className="token-list-toggle">
+          <input type="checkbox" checked={acknowledged} onChange={(e) => setAcknowledged(e.target.checked)} />
+          I understand the risks of trading an unverified token
+        </label>
+      )}
+
+      <button className="modal-button primary" onClick={handleImport} disabled={!known && !acknowledged}>
+        {known ? `Select ${preview.symbol}` : `Import ${preview.symbol}`}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Token list settings: enable, order, update and remove lists, add lists by URL or JSON, imported tokens
+ */
+function ManageTokenLists() {
+  const {
+    tokens,
+    lists,
+    loading,
+    refresh,
+    addUrl,
+    importJson,
+    remove,
+    setEnabled,
+    setPriority,
+    acceptUpdate,
+    removeImported,
+  } = useTokenLists();
+  const importedTokens = tokens.filter(token => token.isImported);
+  const [source, setSource] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [addError, setAddError] = useState(null);
+
+  const handleAdd = async () => {
+    const input = source.trim();
+    if (!input) return;
+
+    setAdding(true);
+    setAddError(null);
+    try {
+      // Pasted list JSON or a list URL
+      if (input.startsWith('{')) {
+        importJson(input);
+      } else {
+        await addUrl(input);
+      }
+      setSource('');
+    } catch (error) {
+      setAddError(error.message);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div className="token-list">
+      <div className="token-list-add">
+        <textarea
+          className="token-search-input"
+          placeholder="List URL (https:// or ipfs://) or token list JSON"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          rows={2}
+        />
+        <div className="position-actions">
+          <button className="modal-button primary" onClick={handleAdd} disabled={adding || !source.trim()}>
+            {adding ? 'Adding...' : 'Add list'}
+          </button>
+          <button className="tx-clear-button" onClick={() => refresh()} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh all'}
+          </button>
+        </div>
+        {addError && <div className="error-message">{addError}</div>}
+      </div>
+
+      {lists.map(({ config, list, pendingUpdate, lastUpdate, errors, warnings, loading: listLoading }) => (
+        <div className="tx-history-item token-list-source" key={config.id}>
+          <div className="token-list-source-header">
+            <div className="tx-history-main">
+              <span className="tx-history-summary">
+                {list?.name || config.location || config.id}
+                {list && <span className="token-badge">v{versionToString(list.version)}</span>}
+              </span>
+              <span className="tx-history-type">
+                {config.type} · priority {config.priority}
+                {list && ` · ${list.tokens.length} tokens`}
+                {listLoading && ' · loading...'}
+              </span>
+            </div>
+            <label className="token-list-toggle">
+              <input
+                type="checkbox"
+                checked={config.enabled}
+                onChange={(e) => setEnabled(config.id, e.target.checked)}
+              />
+              {config.enabled ? 'On' : 'Off'}
+            </label>
+          </div>
+
+          {lastUpdate && (
+            <div className="tx-history-meta">
+              Updated {versionToString(lastUpdate.from)} → {versionToString(lastUpdate.to)}: {describeDiff(lastUpdate.diff)}
+            </div>
+          )}
+
+          {pendingUpdate && (
+            <div className="token-list-update">
+              <span>
+                Version {versionToString(pendingUpdate.to)} available: {describeDiff(pendingUpdate.diff)}
+              </span>
+              <button className="tx-clear-button" onClick={() => acceptUpdate(config.id)}>
+                Accept update
+              </button>
+            </div>
+          )}
+
+          {errors.map(error => <div className="token-status error" key={error}>{error}</div>)}
+          {warnings.map(warning => <div className="token-status info" key={warning}>⚠️ {warning}</div>)}
+
+          <div className="tx-history-meta">
+            <button className="tx-clear-button" onClick={() => setPriority(config.id, config.priority + PRIORITY_STEP)}>
+              ▲ Priority
+            </button>
+            <button className="tx-clear-button" onClick={() => setPriority(config.id, config.priority - PRIORITY_STEP)}>
+              ▼ Priority
+            </button>
+            {(config.type === 'url' || config.type === 'local') && (
+              <button className="tx-clear-button danger" onClick={() => remove(config.id)}>
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {importedTokens.length > 0 && (
+        <div className="tx-history-item token-list-source">
+          <div className="tx-history-main">
+            <span className="tx-history-summary">Imported tokens</span>
+          </div>
+          {importedTokens.map(token => (
+            <div className="tx-history-meta" key={token.id}>
+              <span title={token.address}>{token.symbol} · {token.name}</span>
+              <button className="tx-clear-button danger" onClick={() => removeImported(token.address)}>
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * TokenListModal Component
+ * Displays a filterable list of tokens with search functionality
+ * - Tokens from token lists carry their tags and the lists they come from
+ * - "Manage lists" switches to the token list settings
+ */
+export function TokenListModal({
+  isOpen,
+  tokens,
+  selectedToken,
+  onSelectToken,
+  onClose,
+  title = 'Select a token'
+}) {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [managing, setManaging] = useState(false);
+  const [, setRiskVersion] = useState(0);
+  const { chainId } = useWeb3React();
+  const modalRef = React.useRef(null);
+
+  // Re-render when a token risk profile is assessed (badges come from getCachedTokenRisk)
+  useEffect(() => subscribeTokenRisk(() => setRiskVersion(version => version + 1)), []);
+
+  // Filter tokens based on search query (memoized to prevent unnecessary re-renders)
+  const filteredTokens = useMemo(() => {
+    if (!searchQuery.trim()) {
+      return tokens;
+    }
+
+    const query = searchQuery.toLowerCase();
+    return tokens.filter(
+      token =>
+        token.symbol.toLowerCase().includes(query) ||
+        token.name.toLowerCase().includes(query) ||
+        token.address.toLowerCase().includes(query) ||
+        (token.tags || []).some(tag => tag.toLowerCase().includes(query))
+    );
+  }, [searchQuery, tokens]);
+
+  // Close modal when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      // Prevent body scroll when modal is open
+      document.body.style.overflow = 'hidden';
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.body.style.overflow = 'auto';
+    };
+  }, [isOpen, onClose]);
+
+  // Reopen on the token list
+  useEffect(() => {
+    if (!isOpen) setManaging(false);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="token-modal-overlay">
+      <div className="token-modal" ref={modalRef}>
+        {/* Modal Header */}
+        <div className="token-modal-header">
+          <h3>{managing ? 'Manage token lists' : title}</h3>
+          <button
+            className="token-modal-close"
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            <CloseIcon />
+          </button>
+        </div>
+
+        {managing ? (
+          <ManageTokenLists />
+        ) : (
+          <>
+            {/* Search Input */}
+            <div className="token-modal-search">
+              <input
+                type="text"
+                placeholder="Search by symbol, name or tag, or paste an address"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                autoFocus
+                className="token-search-input"
+              />
+            </div>
+
+            {/* Token List */}
+            <div className="token-list">
+              {filteredTokens.length === 0 && isValidAddress(searchQuery.trim()) ? (
+                <TokenImportPanel
+                  address={searchQuery.trim()}
+                  onImported={(token) => {
+                    onSelectToken(token);
+                    onClose();
+                  }}
+                />
+              ) : filteredTokens.length === 0 ? (
+                <div className="token-list-empty">
+                  {tokens.length === 0 ? (
+                    <p>Loading tokens...</p>
+                  ) : (
+                    <p>No tokens found matching "{searchQuery}"</p>
+                  )}
+                </div>
+              ) : (
+                filteredTokens.map((token) => (
+                  <button
+                    key={token.id}
+                    className={`token-list-item ${
+                      selectedToken?.id === token.id ? 'selected' : ''
+                    }`}
+                    onClick={() => {
+                      onSelectToken(token);
+                      onClose();
+                    }}
+                    aria-label={`Select ${token.symbol}`}
+                    title={token.lists ? `From: ${token.lists.join(', ')}` : undefined}
+                  >
+                    <div className="token-list-item-logo">
+                      {token.logoURI ? (
+                        <img
+                          src={token.logoURI}
+                          alt={token.symbol}
+                          className="token-logo-img"
+                          onError={(e) => {
+                            // Fallback to a simple background if logo fails to load
+                            e.target.style.display = 'none';
+                            e.target.parentElement.textContent = token.symbol.charAt(0);
+                          }}
+                        />
+                      ) : (
+                        <div className="token-logo-fallback">
+                          {token.symbol.charAt(0)}
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="token-list-item-info">
+                      <div className="token-list-item-symbol">
+                        {token.symbol}
+                        {token.isImported && <span className="token-badge warning">Imported</span>}
+                        {token.isVerified === false && !token.isImported && (
+                          <span className="token-badge" title={token.lists.join(', ')}>{token.lists[0]}</span>
+                        )}
+                        {(token.tags || []).slice(0, MAX_TAG_BADGES).map(tag => (
+                          <span className="token-badge tag" key={tag} title={token.tags.join(', ')}>{tag}</span>
+                        ))}
+                        <TokenRiskBadges profile={getCachedTokenRisk(token.chainId || chainId, token.address)} />
+                      </div>
+                      <div className="token-list-item-name">{token.name}</div>
+                    </div>
+
+                    {selectedToken?.id === token.id && (
+                      <div className="token-list-item-checkmark">✓</div>
+                    )}
+                  </button>
+                ))
+              )}
+            </div>
+          </>
+        )}
+
+        {/* Footer */}
+        <div className="token-modal-footer">
+          <button className="tx-clear-button" onClick={() => setManaging(!managing)}>
+            {managing ? '← Back to tokens' : 'Manage token lists'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
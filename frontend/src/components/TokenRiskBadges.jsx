@@ -0,0 +1,23 @@
+import React from 'react';
+
+/**
+ * Risk flags of a token as badges (details in the tooltip)
+ * @param {Object} props.profile - Token risk profile (services/tokenRiskService)
+ * @param {boolean} [props.showInfo] - Also show informational flags
+ */
+export function TokenRiskBadges({ profile, showInfo = false }) {
+  if (!profile) return null;
+
+  const flags = profile.flags.filter(flag => showInfo || flag.severity !== 'info');
+  if (flags.length === 0) return null;
+
+  return (
+    <>
+      {flags.map(flag => (
+        <span className={`token-badge risk-${flag.severity}`} key={flag.id} title={flag.detail}>
+          {flag.label}
+        </span>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,88 @@
+import React from 'react';
+import { useTransactionHistory } from '../hooks/useTransactionHistory';
+import { getExplorerTxUrl } from '../config/contracts';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+  replaced: 'Replaced',
+  cancelled: 'Cancelled',
+  dropped: 'Dropped',
+};
+
+const TYPE_LABELS = {
+  swap: 'Swap',
+  addLiquidity: 'Add Liquidity',
+  removeLiquidity: 'Remove Liquidity',
+  approve: 'Approval',
+};
+
+/**
+ * Format a timestamp relative to now (e.g. "5m ago")
+ */
+function formatAge(timestamp) {
+  const seconds = Math.floor((Date.now() - timestamp) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * TransactionHistory Component
+ * Persistent list of swaps, liquidity changes and approvals for the connected account
+ */
+export function TransactionHistory() {
+  const { transactions, pendingCount, clear } = useTransactionHistory();
+
+
+  return (
+    <div className="swap-card">
+      <div className="swap-header">
+        <h2>
+          Transactions
+          {pendingCount > 0 && <span className="tx-pending-count">{pendingCount} pending</span>}
+        </h2>
+        {transactions.length > pendingCount && (
+          <button className="tx-clear-button" onClick={clear}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="swap-body">
+        {transactions.length === 0 ? (
+          <div className="connect-prompt">
+            <p>Your transactions will appear here</p>
+          </div>
+        ) : (
+          <div className="tx-history-list">
+            {transactions.map((tx) => (
+              <div className="tx-history-item" key={tx.hash}>
+                <div className="tx-history-main">
+                  <span className="tx-history-type">{TYPE_LABELS[tx.type] || tx.type}</span>
+                  <span className="tx-history-summary">{tx.summary}</span>
+                </div>
+                <div className="tx-history-meta">
+                  <span className={`tx-status ${tx.status}`}>{STATUS_LABELS[tx.status] || tx.status}</span>
+                  <span className="tx-history-age">{formatAge(tx.submittedAt)}</span>
+                  {/* No explorer on the local chain: the link is left inert */}
+                  <a
+                    href={getExplorerTxUrl(tx.replacedBy || tx.hash, tx.chainId) || undefined}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="explorer-link"
+                    title={tx.replacedBy ? `Replaced by ${tx.replacedBy}` : tx.hash}
+                  >
+                    {(tx.replacedBy || tx.hash).slice(0, 10)}… →
+                  </a>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { speedUpTransaction, cancelTransaction } from '../services/replacementService';
+import { getExplorerTxUrl } from '../config/contracts';
 
 const CloseIcon = () => (
   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -35,15 +38,52 @@ const ErrorIcon = () => (
 /**
  * TransactionModal Component
  * Shows transaction status: pending, success, or error
+ * - details: optional rows shown on success (e.g. executed swap amounts)
+ *   [{ label, value, tone?: 'warning' | 'danger' | 'success' }]
+ * - pendingTx: stored entry of the submitted tx (transactionStore); enables speed up / cancel
+ * - onReplaced: called with the replacement entry so the parent follows the new hash
  */
-export function TransactionModal({ isOpen, status, txHash, error, onClose, txType = 'Transaction' }) {
+export function TransactionModal({
+  isOpen,
+  status,
+  txHash,
+  error,
+  onClose,
+  txType = 'Transaction',
+  details = null,
+  pendingTx = null,
+  onReplaced,
+}) {
+  const { library, chainId } = useWeb3React();
+  const [replacing, setReplacing] = useState(null); // 'speedUp' | 'cancel' | null
+  const [replaceError, setReplaceError] = useState(null);
+
   if (!isOpen) return null;
 
-  const getExplorerLink = (hash) => {
-    // Arbitrum mainnet
-    return `https://arbiscan.io/tx/${hash}`;
+  const handleReplace = async (kind) => {
+    if (!pendingTx || !library) return;
+
+    setReplacing(kind);
+    setReplaceError(null);
+
+    try {
+      const signer = library.getSigner();
+      const replacement = kind === 'speedUp'
+        ? await speedUpTransaction(pendingTx, signer)
+        : await cancelTransaction(pendingTx, signer);
+      onReplaced?.(replacement);
+    } catch (err) {
+      if (err.code !== 'ACTION_REJECTED' && err.code !== 4001) {
+        setReplaceError(err.reason || err.message || 'Failed to replace transaction');
+      }
+    } finally {
+      setReplacing(null);
+    }
   };
 
+  // Explorer of the connected chain (none on the local chain)
+  const getExplorerLink = (hash) => getExplorerTxUrl(hash, chainId);
+
   return (
     <div className="modal-overlay">
       <div className="transaction-modal">
@@ -64,7 +104,7 @@ export function TransactionModal({ isOpen, status, txHash, error, onClose, txTyp
         {/* Content */}
         <div className="modal-content">
           {/* Pending State */}
-          {status === 'pending' && (
+          {status === 'pending' && !pendingTx && (
             <div className="status-section">
               <LoadingSpinner />
               <h4>Waiting for Confirmation</h4>
@@ -72,22 +112,68 @@ export function TransactionModal({ isOpen, status, txHash, error, onClose, txTyp
             </div>
           )}
 
+          {/* Submitted, waiting to be mined: offer speed up / cancel (same nonce) */}
+          {status === 'pending' && pendingTx && (
+            <div className="status-section">
+              <LoadingSpinner />
+              <h4>Transaction Pending</h4>
+              <p>Waiting for the transaction to be mined</p>
+              {getExplorerLink(pendingTx.hash) && (
+                <a
+                  href={getExplorerLink(pendingTx.hash)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="explorer-link"
+                >
+                  View on Explorer →
+                </a>
+              )}
+              <div className="tx-replace-actions">
+                <button
+                  className="modal-button"
+                  disabled={replacing !== null}
+                  onClick={() => handleReplace('speedUp')}
+                >
+                  {replacing === 'speedUp' ? 'Speeding up...' : 'Speed up'}
+                </button>
+                <button
+                  className="modal-button"
+                  disabled={replacing !== null}
+                  onClick={() => handleReplace('cancel')}
+                >
+                  {replacing === 'cancel' ? 'Cancelling...' : 'Cancel'}
+                </button>
+              </div>
+              {replaceError && <p className="error-message">{replaceError}</p>}
+            </div>
+          )}
+
           {/* Success State */}
           {status === 'success' && (
             <div className="status-section">
               <SuccessIcon />
-              <h4>Transaction Submitted</h4>
+              <h4>{details ? 'Transaction Confirmed' : 'Transaction Submitted'}</h4>
               <p>Your transaction has been submitted to the network</p>
-              {txHash && (
+              {txHash && getExplorerLink(txHash) && (
                 <a
                   href={getExplorerLink(txHash)}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="explorer-link"
                 >
-                  View on Arbiscan →
+                  View on Explorer →
                 </a>
               )}
+              {details && details.length > 0 && (
+                <div className="swap-details">
+                  {details.map((row) => (
+                    <div className="swap-detail-row" key={row.label}>
+                      <span className="label">{row.label}</span>
+                      <span className={`value ${row.tone || ''}`}>{row.value}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
 
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { useSwitchChain } from 'wagmi';
+import { AVAILABLE_NETWORKS, isNetworkDeployed } from '../config/contracts';
+import { useWeb3React } from '../providers/Web3Provider';
+
+/**
+ * UnsupportedNetwork Component
+ * Shown instead of the app when the wallet is on a chain without a Uniswap V2 deployment
+ * - Offers a switch to every deployed network the wallet config knows
+ */
+export function UnsupportedNetwork() {
+  const { chainId } = useWeb3React();
+  const { chains, switchChain, isPending } = useSwitchChain();
+  const [error, setError] = useState(null);
+
+  // Networks with contracts that the wallet can be switched to
+  const targets = Object.values(AVAILABLE_NETWORKS).filter(
+    network => isNetworkDeployed(network) && chains.some(chain => chain.id === network.chainId)
+  );
+
+  const handleSwitch = (network) => {
+    setError(null);
+    switchChain(
+      { chainId: network.chainId },
+      { onError: (switchError) => setError(switchError.shortMessage || switchError.message) }
+    );
+  };
+
+  return (
+    <div className="swap-card">
+      <div className="swap-header">
+        <h2>Unsupported Network</h2>
+      </div>
+
+      <div className="swap-body">
+        <div className="connect-prompt">
+          <p>
+            {chainId
+              ? `There is no Uniswap V2 deployment on chain ${chainId}.`
+              : 'Your wallet is connected to an unsupported network.'}
+            {' '}Switch to a supported network to continue.
+          </p>
+
+          <div className="network-switch-list">
+            {targets.map(network => (
+              <button
+                key={network.chainId}
+                className="modal-button primary"
+                onClick={() => handleSwitch(network)}
+                disabled={isPending}
+              >
+                Switch to {network.name}
+              </button>
+            ))}
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
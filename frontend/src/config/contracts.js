@@ -4,30 +4,47 @@ import IUniswapV2FactoryABI from '../../../frontend-abis/core/IUniswapV2Factory.
 import IUniswapV2PairABI from '../../../frontend-abis/core/IUniswapV2Pair.json';
 import IERC20ABI from '../../../frontend-abis/periphery/IERC20.json';
 import IWETHABI from '../../../frontend-abis/periphery/IWETH.json';
+// Deployments written by the deploy scripts (deployment.json), keyed by chain ID
+import { getManifestDeployment } from './deploymentManifest';
+
+// Run the whole app against the local hardhat node (VITE_USE_LOCAL_CHAIN=true)
+// - Contracts and test tokens come from deployment.json
+// - Pairs are enumerated from the factory instead of the subgraph
+export const USE_LOCAL_CHAIN = import.meta.env.VITE_USE_LOCAL_CHAIN === 'true';
+
+// Hardhat chain ID (hardhat.config.js)
+const LOCAL_CHAIN_ID = 31337;
+
+// Canonical Multicall3 deployment (github.com/mds1/multicall)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
 
 // Network configurations (multi-network support)
-const NETWORKS = {
+// Contracts of networks with an entry in deployment.json are taken from it (see applyManifest)
+const BASE_NETWORKS = {
   localhost: {
     name: 'localhost',
-    chainId: 31337,
-    rpcUrl: 'http://127.0.0.1:8545',
+    chainId: LOCAL_CHAIN_ID,
+    rpcUrl: import.meta.env.VITE_LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    // Hardhat serves websockets on the RPC port
+    wsUrl: import.meta.env.VITE_LOCAL_WS_URL || 'ws://127.0.0.1:8545',
+    // Filled from deployment.json (scripts/deploy-complete.js --network localhost)
     contracts: {
-      WETH: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
-      FACTORY: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
-      ROUTER: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0'
-    },
-    testTokens: {
-      TOKEN_A: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9',
-      TOKEN_B: '0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9',
-      PAIR_AB: '0x0AE19C8eC0C46412197552784D36A6296AA1f1eF',
-      PAIR_WETH_A: '0xDEDC0D7FCdFe17a09D69a34112EE8A1621BD83e0'
+      WETH: '',
+      FACTORY: '',
+      ROUTER: ''
     },
-    initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f'
+    testTokens: {},
+    initCodeHash: '',
+    explorerUrl: null,
+    // No subgraph: pairs are enumerated from the factory
+    subgraph: null
   },
   'arbitrum': {
     name: 'Arbitrum Mainnet',
     chainId: 42161,
     rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    // Websocket RPC for live reserve updates (no public endpoint: new blocks are polled without it)
+    wsUrl: import.meta.env.VITE_ARBITRUM_MAINNET_WS_URL || null,
     contracts: {
       WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
       
@@ -37,6 +54,8 @@ const NETWORKS = {
       FACTORY: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
       // SushiSwap Router on Arbitrum (V2-compatible)
       ROUTER: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506',
+      // Multicall3 (same address on every chain it is deployed on)
+      MULTICALL: MULTICALL3_ADDRESS,
       
       // Alternative: Uniswap V3 (requires different ABI and code)
       // FACTORY: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
@@ -44,35 +63,73 @@ const NETWORKS = {
     },
     testTokens: {},
     // SushiSwap V2 init code hash for Arbitrum
-    initCodeHash: '0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303'
+    initCodeHash: '0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303',
+    explorerUrl: 'https://arbiscan.io',
+    // SushiSwap V2 Arbitrum subgraph
+    subgraph: {
+      // Decentralized network (needs VITE_GRAPH_API_KEY)
+      gatewayId: '8nFDCAztWfyKxwerneLpBW2NhEEDRLMqeP53w4GCn8bz',
+      // Own deployment (VITE_SUBGRAPH_STUDIO_URL)
+      studioUrl: import.meta.env.VITE_SUBGRAPH_STUDIO_URL || null,
+      fallbackEndpoints: [
+        'https://api.studio.thegraph.com/query/32073/sushiswap-arbitrum/v0.0.1',
+        'https://api.thegraph.com/subgraphs/name/sushi-v2/sushiswap-arbitrum',
+      ]
+    }
   },
   'arbitrum-sepolia': {
     name: 'Arbitrum Sepolia',
     chainId: 421614,
     rpcUrl: 'https://sepolia-rollup.arbitrum.io/rpc',
+    wsUrl: import.meta.env.VITE_ARBITRUM_SEPOLIA_WS_URL || null,
     contracts: {
       WETH: '0x980B62Da83eFf3D4576C647993b0c1D7faf17c7c',
       FACTORY: '',
-      ROUTER: ''
+      ROUTER: '',
+      MULTICALL: MULTICALL3_ADDRESS
     },
     testTokens: {},
-    initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f'
+    initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f',
+    explorerUrl: 'https://sepolia.arbiscan.io',
+    subgraph: null
   }
 };
 
-// Get active network from environment or default to localhost
-const ACTIVE_NETWORK = 'arbitrum';
-const activeNetworkConfig = NETWORKS[ACTIVE_NETWORK] || NETWORKS.localhost;
+// Helper function to overlay the deployment.json entry of a network (if any)
+function applyManifest(network) {
+  const deployment = getManifestDeployment(network.chainId);
+  if (!deployment) {
+    return { ...network, deployment: null };
+  }
+
+  return {
+    ...network,
+    contracts: deployment.contracts,
+    testTokens: deployment.testTokens,
+    initCodeHash: deployment.initCodeHash,
+    deployment: deployment.deployment
+  };
+}
+
+const NETWORKS = Object.fromEntries(
+  Object.entries(BASE_NETWORKS).map(([key, network]) => [key, applyManifest(network)])
+);
+
+// Default network until a wallet is connected: the local hardhat node in local chain mode, Arbitrum otherwise
+const DEFAULT_NETWORK = USE_LOCAL_CHAIN ? 'localhost' : 'arbitrum';
+const defaultNetworkConfig = NETWORKS[DEFAULT_NETWORK];
 
-// Exported network configuration
-export const NETWORK_CONFIG = activeNetworkConfig;
 export const AVAILABLE_NETWORKS = NETWORKS;
 
-// Exported contract addresses for active network
-export const CONTRACT_ADDRESSES = activeNetworkConfig.contracts;
+// Active network configuration
+// - Live bindings: replaced by setActiveChainId when the wallet switches to another supported chain
+export let NETWORK_CONFIG = defaultNetworkConfig;
+
+// Contract addresses for the active network
+export let CONTRACT_ADDRESSES = defaultNetworkConfig.contracts;
 
 // Test tokens (only available on localhost)
-export const TEST_TOKENS = activeNetworkConfig.testTokens;
+export let TEST_TOKENS = defaultNetworkConfig.testTokens;
 
 // Contract ABIs
 export const CONTRACT_ABIS = {
@@ -83,8 +140,8 @@ export const CONTRACT_ABIS = {
   WETH: IWETHABI.abi
 };
 
-// Pair init code hash (needed for computing pair addresses)
-export const INIT_CODE_HASH = activeNetworkConfig.initCodeHash;
+// Pair init code hash of the active network (needed for computing pair addresses)
+export let INIT_CODE_HASH = defaultNetworkConfig.initCodeHash;
 
 // Gas limits for different operations
 export const GAS_LIMITS = {
@@ -114,3 +171,111 @@ export function isNetworkConfigValid() {
     NETWORK_CONFIG.rpcUrl
   );
 }
+
+// Helper function to check that a network has a usable deployment
+export function isNetworkDeployed(network) {
+  return !!(
+    network &&
+    network.contracts.WETH &&
+    network.contracts.FACTORY &&
+    network.contracts.ROUTER &&
+    network.initCodeHash
+  );
+}
+
+// Helper function to check if the app can run on a chain
+export function isSupportedChain(chainId) {
+  return isNetworkDeployed(getNetworkByChainId(chainId));
+}
+
+/**
+ * Contracts and endpoints of one chain, passed to services
+ * @typedef {Object} ChainContext
+ * @property {number} chainId - Chain ID
+ * @property {string} name - Network name
+ * @property {string} rpcUrl - Public RPC URL
+ * @property {{WETH: string, FACTORY: string, ROUTER: string, MULTICALL?: string, FACTORY_V1?: string, MIGRATOR?: string}} contracts -
+ *   Core contract addresses, Multicall3 where available, plus the V1 factory and V2 migrator where V1 is deployed
+ * @property {string} weth - WETH address (routing address of native ETH)
+ * @property {string} initCodeHash - Pair init code hash (CREATE2 pair addresses)
+ * @property {string|null} explorerUrl - Block explorer base URL
+ * @property {Object|null} subgraph - Subgraph endpoints (null: pairs come from the factory)
+ */
+
+/**
+ * Get the chain context services resolve contracts from
+ * @param {number} chainId - Chain ID (defaults to the active network)
+ * @returns {ChainContext} Chain context
+ * @throws If there is no deployment on the chain
+ */
+export function getChainContext(chainId = NETWORK_CONFIG.chainId) {
+  const network = getNetworkByChainId(chainId);
+  if (!isNetworkDeployed(network)) {
+    throw new Error(`Unsupported network (chain ${chainId}): no Uniswap V2 deployment configured`);
+  }
+
+  return {
+    chainId: network.chainId,
+    name: network.name,
+    rpcUrl: network.rpcUrl,
+    contracts: network.contracts,
+    weth: network.contracts.WETH,
+    initCodeHash: network.initCodeHash,
+    explorerUrl: network.explorerUrl,
+    subgraph: network.subgraph,
+  };
+}
+
+/**
+ * Get the chain context of the network a provider (or signer's provider) is connected to
+ * @param {ethers.providers.Provider} provider - Provider
+ * @returns {Promise<ChainContext>} Chain context
+ */
+export async function getProviderChainContext(provider) {
+  const { chainId } = await provider.getNetwork();
+  return getChainContext(chainId);
+}
+
+// Listeners notified when the active network changes
+const activeChainListeners = new Set();
+
+/**
+ * Subscribe to active network changes
+ * @param {Function} listener - Called with the new NETWORK_CONFIG
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeActiveChain(listener) {
+  activeChainListeners.add(listener);
+  return () => activeChainListeners.delete(listener);
+}
+
+/**
+ * Switch the active network to the wallet's chain
+ * - Unsupported chains keep the previous network (the UI shows the unsupported state instead)
+ * @param {number} chainId - Chain ID reported by the wallet
+ * @returns {boolean} Whether the chain is supported
+ */
+export function setActiveChainId(chainId) {
+  const network = getNetworkByChainId(chainId);
+  if (!isNetworkDeployed(network)) {
+    return false;
+  }
+
+  if (network !== NETWORK_CONFIG) {
+    NETWORK_CONFIG = network;
+    CONTRACT_ADDRESSES = network.contracts;
+    TEST_TOKENS = network.testTokens;
+    INIT_CODE_HASH = network.initCodeHash;
+
+    console.log(`🔀 Active network: ${network.name} (chain ${network.chainId})`);
+    activeChainListeners.forEach(listener => listener(network));
+  }
+
+  return true;
+}
+
+// Helper function to build a block explorer link (null if the chain has no explorer)
+export function getExplorerTxUrl(hash, chainId = NETWORK_CONFIG.chainId) {
+  const network = getNetworkByChainId(chainId);
+  return network?.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null;
+}
@@ -0,0 +1,123 @@
+// Deployment manifest written by the deploy scripts (scripts/deployment-manifest.js)
+import { ethers } from 'ethers';
+import manifest from '../../../deployment.json';
+
+// Manifest format this frontend understands
+export const MANIFEST_VERSION = 1;
+
+// Problems found while reading the manifest (reported by the deployment check)
+export const MANIFEST_ERRORS = [];
+
+// Helper function to read the address of a manifest entry (null if missing or malformed)
+function readAddress(section, name, label) {
+  const address = section?.[name]?.address;
+  if (!address) {
+    return null;
+  }
+  if (!ethers.utils.isAddress(address)) {
+    MANIFEST_ERRORS.push(`${label}: ${name} has an invalid address (${address})`);
+    return null;
+  }
+  return ethers.utils.getAddress(address);
+}
+
+// Helper function to read the deployment block of a manifest entry
+function readBlock(section, name) {
+  const blockNumber = section?.[name]?.blockNumber;
+  return Number.isInteger(blockNumber) ? blockNumber : null;
+}
+
+/**
+ * Convert one manifest network entry to the shape of the NETWORKS config
+ * @param {Object} entry - networks[chainId] of deployment.json
+ * @returns {Object|null} { chainId, name, contracts, testTokens, initCodeHash, deployment }, or null if unusable
+ */
+function parseNetworkEntry(entry) {
+  const label = `deployment.json (chain ${entry?.chainId})`;
+
+  if (!Number.isInteger(entry?.chainId)) {
+    MANIFEST_ERRORS.push(`${label}: missing chainId`);
+    return null;
+  }
+
+  const contracts = {
+    WETH: readAddress(entry.contracts, 'WETH9', label),
+    FACTORY: readAddress(entry.contracts, 'UniswapV2Factory', label),
+    ROUTER: readAddress(entry.contracts, 'UniswapV2Router02', label),
+  };
+
+  if (!contracts.WETH || !contracts.FACTORY || !contracts.ROUTER) {
+    MANIFEST_ERRORS.push(`${label}: WETH9, UniswapV2Factory and UniswapV2Router02 are required`);
+    return null;
+  }
+
+  // Multicall3 for batched reads (scripts/deploy-complete.js), optional
+  const multicall = readAddress(entry.contracts, 'Multicall3', label);
+  if (multicall) {
+    contracts.MULTICALL = multicall;
+  }
+
+  // V1 migration contracts, only deployed next to V1 (scripts/deploy-v1-migration.js)
+  const factoryV1 = readAddress(entry.contracts, 'UniswapV1Factory', label);
+  const migrator = readAddress(entry.contracts, 'UniswapV2Migrator', label);
+  if (factoryV1 && migrator) {
+    contracts.FACTORY_V1 = factoryV1;
+    contracts.MIGRATOR = migrator;
+  }
+
+  if (!/^0x[0-9a-fA-F]{64}$/.test(entry.initCodeHash || '')) {
+    MANIFEST_ERRORS.push(`${label}: initCodeHash is not a 32-byte hex string`);
+    return null;
+  }
+
+  return {
+    chainId: entry.chainId,
+    name: entry.name,
+    contracts,
+    testTokens: {
+      TOKEN_A: readAddress(entry.testTokens, 'TokenA', label),
+      TOKEN_B: readAddress(entry.testTokens, 'TokenB', label),
+      PAIR_AB: readAddress(entry.pairs, 'TokenA-TokenB', label),
+      PAIR_WETH_A: readAddress(entry.pairs, 'WETH-TokenA', label),
+    },
+    initCodeHash: entry.initCodeHash,
+    // Where the deployment starts (e.g. first block for log queries)
+    deployment: {
+      deployer: entry.deployer || null,
+      updatedAt: entry.updatedAt || null,
+      factoryBlock: readBlock(entry.contracts, 'UniswapV2Factory'),
+    },
+  };
+}
+
+// Helper function to read every network of the manifest, keyed by chain ID
+function parseManifest(raw) {
+  if (raw?.version !== MANIFEST_VERSION) {
+    MANIFEST_ERRORS.push(
+      `deployment.json has version ${raw?.version ?? 'none'}, expected ${MANIFEST_VERSION} ` +
+      '(redeploy with scripts/deploy-complete.js)'
+    );
+    return {};
+  }
+
+  const deployments = {};
+  Object.values(raw.networks || {}).forEach(entry => {
+    const parsed = parseNetworkEntry(entry);
+    if (parsed) {
+      deployments[parsed.chainId] = parsed;
+    }
+  });
+  return deployments;
+}
+
+// Valid manifest entries by chain ID
+export const MANIFEST_DEPLOYMENTS = parseManifest(manifest);
+
+if (MANIFEST_ERRORS.length > 0) {
+  console.error('❌ Invalid deployment manifest:', MANIFEST_ERRORS);
+}
+
+// Helper function to get the manifest entry of a chain
+export function getManifestDeployment(chainId) {
+  return MANIFEST_DEPLOYMENTS[chainId] || null;
+}
@@ -0,0 +1,28 @@
+// Uniswap V1 ABIs (human-readable) for the migration wizard and the flash swap planner
+// Signatures match the Vyper build artifacts in buildV1, whose JSON ABIs carry numeric gas
+// estimates that ethers' types reject: import these instead of the artifacts
+
+// Factory: exchange lookup and enumeration
+export const V1_FACTORY_ABI = [
+  'function getExchange(address token) view returns (address)',
+  'function getToken(address exchange) view returns (address)',
+  'function getTokenWithId(uint256 token_id) view returns (address)',
+  'function tokenCount() view returns (uint256)',
+];
+
+// Exchange: prices, liquidity and the LP token (an ERC20 with bytes32 name and symbol)
+export const V1_EXCHANGE_ABI = [
+  'function tokenAddress() view returns (address)',
+  'function factoryAddress() view returns (address)',
+  'function getEthToTokenInputPrice(uint256 eth_sold) view returns (uint256)',
+  'function getEthToTokenOutputPrice(uint256 tokens_bought) view returns (uint256)',
+  'function getTokenToEthInputPrice(uint256 tokens_sold) view returns (uint256)',
+  'function getTokenToEthOutputPrice(uint256 eth_bought) view returns (uint256)',
+  'function addLiquidity(uint256 min_liquidity, uint256 max_tokens, uint256 deadline) payable returns (uint256)',
+  'function removeLiquidity(uint256 amount, uint256 min_eth, uint256 min_tokens, uint256 deadline) returns (uint256, uint256)',
+  'function balanceOf(address _owner) view returns (uint256)',
+  'function allowance(address _owner, address _spender) view returns (uint256)',
+  'function approve(address _spender, uint256 _value) returns (bool)',
+  'function transfer(address _to, uint256 _value) returns (bool)',
+  'function totalSupply() view returns (uint256)',
+];
@@ -1,12 +1,18 @@
 /**
- * Verified Token List for Uniswap V2 on Arbitrum
+ * Verified Token Lists for Uniswap V2
  * Includes proper Native ETH support
+ * - One list per supported chain (Arbitrum, Arbitrum Sepolia, the local hardhat deployment)
+ * - VERIFIED_TOKENS / WETH_ADDRESS follow the active network (see setActiveChainId)
  */
 
+import { AVAILABLE_NETWORKS, NETWORK_CONFIG, subscribeActiveChain } from '../config/contracts';
+
 export const ARBITRUM_CHAIN_ID = 42161;
 
+const LOCAL_NETWORK = AVAILABLE_NETWORKS.localhost;
+
 // WETH address on Arbitrum
-export const WETH_ADDRESS = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const ARBITRUM_WETH_ADDRESS = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
 
 // Native ETH marker address (NOT an actual contract)
 export const NATIVE_ETH_ADDRESS = '0x0000000000000000000000000000000000000000';
@@ -29,24 +35,36 @@ export interface TokenWithMeta extends Token {
   addressLower: string;
 }
 
-export const VERIFIED_TOKENS: Record<string, Token> = {
-  ETH: {
-    address: NATIVE_ETH_ADDRESS, // ✅ Native ETH marker (not ERC20)
-    symbol: 'ETH',
-    name: 'Ether',
-    decimals: 18,
-    logoURI: `${TRUSTWALLET_BASE}/${WETH_ADDRESS}/logo.png`, // Reuse WETH logo
-    isNative: true,
-    wrappedAddress: WETH_ADDRESS, // ✅ For routing, use WETH address
-  },
-  WETH: {
-    address: WETH_ADDRESS,
-    symbol: 'WETH',
-    name: 'Wrapped Ether',
-    decimals: 18,
-    logoURI: `${TRUSTWALLET_BASE}/${WETH_ADDRESS}/logo.png`,
-    isNative: false,
-  },
+// Reuse the Arbitrum WETH logo for ETH/WETH on every chain
+const WETH_LOGO = `${TRUSTWALLET_BASE}/${ARBITRUM_WETH_ADDRESS}/logo.png`;
+
+/**
+ * Native ETH and WETH entries of a chain
+ */
+function nativeTokens(wethAddress: string): Record<string, Token> {
+  return {
+    ETH: {
+      address: NATIVE_ETH_ADDRESS, // ✅ Native ETH marker (not ERC20)
+      symbol: 'ETH',
+      name: 'Ether',
+      decimals: 18,
+      logoURI: WETH_LOGO,
+      isNative: true,
+      wrappedAddress: wethAddress, // ✅ For routing, use WETH address
+    },
+    WETH: {
+      address: wethAddress,
+      symbol: 'WETH',
+      name: 'Wrapped Ether',
+      decimals: 18,
+      logoURI: WETH_LOGO,
+      isNative: false,
+    },
+  };
+}
+
+const ARBITRUM_TOKENS: Record<string, Token> = {
+  ...nativeTokens(ARBITRUM_WETH_ADDRESS),
   USDC: {
     address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
     symbol: 'USDC',
@@ -112,6 +130,73 @@ export const VERIFIED_TOKENS: Record<string, Token> = {
   },
 };
 
+// Hardhat deployment (scripts/deploy-complete.js): both test tokens are ERC20 "TT", named here by role
+// Empty until deployment.json has a localhost entry
+const LOCAL_TOKENS: Record<string, Token> = LOCAL_NETWORK.contracts.WETH
+  ? {
+      ...nativeTokens(LOCAL_NETWORK.contracts.WETH),
+      ...(LOCAL_NETWORK.testTokens.TOKEN_A && {
+        TKA: {
+          address: LOCAL_NETWORK.testTokens.TOKEN_A,
+          symbol: 'TKA',
+          name: 'Test Token A',
+          decimals: 18,
+          logoURI: '',
+        },
+      }),
+      ...(LOCAL_NETWORK.testTokens.TOKEN_B && {
+        TKB: {
+          address: LOCAL_NETWORK.testTokens.TOKEN_B,
+          symbol: 'TKB',
+          name: 'Test Token B',
+          decimals: 18,
+          logoURI: '',
+        },
+      }),
+    }
+  : {};
+
+// Arbitrum Sepolia: only WETH is known
+const ARBITRUM_SEPOLIA_TOKENS: Record<string, Token> = nativeTokens(
+  AVAILABLE_NETWORKS['arbitrum-sepolia'].contracts.WETH
+);
+
+// Token lists by chain ID
+export const TOKENS_BY_CHAIN: Record<number, Record<string, Token>> = {
+  [ARBITRUM_CHAIN_ID]: ARBITRUM_TOKENS,
+  [AVAILABLE_NETWORKS['arbitrum-sepolia'].chainId]: ARBITRUM_SEPOLIA_TOKENS,
+  [LOCAL_NETWORK.chainId]: LOCAL_TOKENS,
+};
+
+/**
+ * Get the verified token list of a chain (empty for unknown chains)
+ */
+export function getTokensForChain(chainId: number): Record<string, Token> {
+  return TOKENS_BY_CHAIN[chainId] || {};
+}
+
+/**
+ * Default output token of the swap form on a chain
+ */
+function defaultOutputToken(tokens: Record<string, Token>): Token {
+  return tokens.USDC || tokens.TKA || tokens.WETH;
+}
+
+// Token list of the active network (live bindings, follow setActiveChainId)
+export let VERIFIED_TOKENS: Record<string, Token> = getTokensForChain(NETWORK_CONFIG.chainId);
+
+// WETH address of the active network
+export let WETH_ADDRESS: string = NETWORK_CONFIG.contracts.WETH;
+
+// Default output token of the swap form
+export let DEFAULT_OUTPUT_TOKEN: Token = defaultOutputToken(VERIFIED_TOKENS);
+
+subscribeActiveChain((network: { chainId: number; contracts: { WETH: string } }) => {
+  VERIFIED_TOKENS = getTokensForChain(network.chainId);
+  WETH_ADDRESS = network.contracts.WETH;
+  DEFAULT_OUTPUT_TOKEN = defaultOutputToken(VERIFIED_TOKENS);
+});
+
 /**
  * ==========================================
  * UTILITY FUNCTIONS FOR NATIVE ETH SUPPORT
@@ -130,21 +215,24 @@ export function isNativeToken(token: Token | TokenWithMeta | string): boolean {
 
 /**
  * Get the address to use for routing/pair lookups
- * - Native ETH => WETH address
+ * - Native ETH => WETH address (of the given chain, active network by default)
  * - ERC20 tokens => their own address
  */
-export function getAddressForRouting(token: Token | TokenWithMeta | string): string {
+export function getAddressForRouting(
+  token: Token | TokenWithMeta | string,
+  wethAddress: string = WETH_ADDRESS
+): string {
   if (typeof token === 'string') {
     // If string address, check if it's native ETH
     if (token.toLowerCase() === NATIVE_ETH_ADDRESS.toLowerCase()) {
-      return WETH_ADDRESS;
+      return wethAddress;
     }
     return token;
   }
   
   // If token object, check isNative flag
-  if (token.isNative && token.wrappedAddress) {
-    return token.wrappedAddress;
+  if (token.isNative) {
+    return wethAddress;
   }
   
   return token.address;
@@ -164,9 +252,11 @@ export function normalizeToken(token: Token): TokenWithMeta {
 /**
  * Get token list as array with normalized addresses
  * ETH and WETH are prioritized at the top for better UX
+ * @param chainId - Chain of the list (defaults to the active network)
  */
-export function getTokenList(): TokenWithMeta[] {
-  const allTokens = Object.values(VERIFIED_TOKENS).map(normalizeToken);
+export function getTokenList(chainId?: number): TokenWithMeta[] {
+  const tokens = chainId !== undefined ? getTokensForChain(chainId) : VERIFIED_TOKENS;
+  const allTokens = Object.values(tokens).map(normalizeToken);
   
   // Sort to prioritize ETH and WETH at the top, then major tokens
   const priorityOrder = ['ETH', 'WETH', 'USDC', 'USDT', 'ARB', 'WBTC', 'DAI'];
@@ -195,11 +285,11 @@ export function getTokenList(): TokenWithMeta[] {
  * Get token by address (case-insensitive)
  * Handles both native ETH address and ERC20 addresses
  */
-export function getTokenByAddress(address: string): TokenWithMeta | null {
+export function getTokenByAddress(address: string, chainId?: number): TokenWithMeta | null {
   if (!address) return null;
   
   const addressLower = address.toLowerCase();
-  return getTokenList().find(token => token.addressLower === addressLower) || null;
+  return getTokenList(chainId).find(token => token.addressLower === addressLower) || null;
 }
 
 /**
@@ -211,19 +301,20 @@ export function getTokenBySymbol(symbol: string): Token | null {
 
 /**
  * Check if address is a verified token
+ * @param chainId - Chain to check (default: the active network)
  */
-export function isVerifiedToken(address: string): boolean {
+export function isVerifiedToken(address: string, chainId?: number): boolean {
   if (!address) return false;
-  return getTokenByAddress(address) !== null;
+  return getTokenByAddress(address, chainId) !== null;
 }
 
 /**
  * Create address to token mapping for quick lookups
  * Maps both native ETH (0x000...000) and WETH addresses
  */
-export function getTokenAddressMap(): Map<string, TokenWithMeta> {
+export function getTokenAddressMap(chainId?: number): Map<string, TokenWithMeta> {
   const map = new Map<string, TokenWithMeta>();
-  getTokenList().forEach(token => {
+  getTokenList(chainId).forEach(token => {
     map.set(token.addressLower, token);
     
     // Also map WETH address to ETH if native
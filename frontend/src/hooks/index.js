@@ -1,4 +1,5 @@
 // Export all hooks for easier imports
 export { useRouter } from './useRouter';
 export { usePair } from './usePair';
+export { useLiveReserves } from './useLiveReserves';
 export { useToken, useTokenApprovals } from './useToken';
@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { scanAllowances } from '../services/allowanceService';
+
+/**
+ * Hook for the outstanding allowances of the connected account
+ * @returns {{ entries: Array, loading: boolean, error: string|null, refresh: Function }}
+ */
+export function useAllowances() {
+  const { account, library } = useWeb3React();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!account || !library) {
+      setEntries([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      setEntries(await scanAllowances(account, library));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [account, library]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { entries, loading, error, refresh };
+}
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { NETWORK_CONFIG, getChainContext, isSupportedChain } from '../config/contracts';
+import { getChainProvider } from '../services/factoryPairSource';
+import { verifyDeployment } from '../services/deploymentCheck';
+
+/**
+ * Hook that verifies the configured contracts of the current chain at startup
+ * - Wallet chain when connected, the default network otherwise
+ * - Unsupported chains are skipped (the app shows the unsupported network state)
+ * @returns {{ result: Object|null, error: string|null }}
+ */
+export function useDeploymentCheck() {
+  const { chainId, library } = useWeb3React();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const targetChainId = chainId ?? NETWORK_CONFIG.chainId;
+
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+
+    if (!isSupportedChain(targetChainId)) return;
+
+    let cancelled = false;
+    const chain = getChainContext(targetChainId);
+    const provider = chainId && library ? library : getChainProvider(chain);
+
+    verifyDeployment(chain, provider)
+      .then(check => {
+        if (!cancelled) setResult(check);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [targetChainId, chainId, library]);
+
+  return { result, error };
+}
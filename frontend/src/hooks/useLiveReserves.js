@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { subscribePairReserves } from '../services/reserveSubscriptionService';
+
+/**
+ * Hook for live reserve updates of a set of pairs (e.g. the pairs of a route)
+ * - version changes whenever the reserves of one of the pairs change: use it as an effect dependency
+ *   to recompute what depends on them
+ * @param {Array<string>} pairAddresses - Pairs to watch
+ * @param {object} provider - Ethers provider
+ * @returns {{ version: number, blockNumber: number|null }} blockNumber of the last update
+ */
+export function useLiveReserves(pairAddresses, provider) {
+  const [update, setUpdate] = useState({ version: 0, blockNumber: null });
+
+  // Stable dependency for the array
+  const pairsKey = pairAddresses.join(',');
+
+  useEffect(() => {
+    if (!pairsKey || !provider) return;
+
+    const unsubscribes = pairsKey.split(',').map(pairAddress =>
+      subscribePairReserves(pairAddress, provider, (reserves) => {
+        setUpdate(previous => ({ version: previous.version + 1, blockNumber: reserves.blockNumber }));
+      })
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [pairsKey, provider]);
+
+  return update;
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { findLpPositions } from '../services/positionService';
+import { getPositionPerformance, subscribePositionBasis } from '../services/positionTracker';
+
+/**
+ * Hook for the LP positions of the connected account
+ * - performance: pair address -> PositionPerformance (only pairs with a recorded deposit)
+ * @returns {{ positions: Array, performance: Object, loading: boolean, error: string|null, refresh: Function }}
+ */
+export function useLpPositions() {
+  const { account, library } = useWeb3React();
+  const [positions, setPositions] = useState([]);
+  const [performance, setPerformance] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!account || !library) {
+      setPositions([]);
+      setPerformance({});
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const found = await findLpPositions(account, library);
+      setPositions(found);
+
+      // A position without a recorded deposit (or a failed read) just shows no performance
+      const results = await Promise.all(
+        found.map(position => getPositionPerformance(position, account, library).catch(() => null))
+      );
+      const byPair = {};
+      found.forEach((position, index) => {
+        if (results[index]) byPair[position.pairAddress] = results[index];
+      });
+      setPerformance(byPair);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [account, library]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Deposits and removals made elsewhere in the app update the cost basis
+  useEffect(() => subscribePositionBasis(refresh), [refresh]);
+
+  return { positions, performance, loading, error, refresh };
+}
@@ -2,9 +2,12 @@ import { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import { CONTRACT_ADDRESSES, CONTRACT_ABIS, INIT_CODE_HASH } from '../config/contracts';
 import { computePairAddress } from '../utils/calculations';
+import { getMulticallProvider } from '../services/multicallService';
+import { subscribePairReserves } from '../services/reserveSubscriptionService';
 
 /**
  * Hook for interacting with UniswapV2Pair contracts
+ * Reserves stay live while the pair is on screen (see services/reserveSubscriptionService)
  * @param {string} tokenA - Address of first token
  * @param {string} tokenB - Address of second token
  * @param {object} provider - Ethers provider
@@ -38,15 +41,16 @@ export function usePair(tokenA, tokenB, provider) {
     }
   }, [tokenA, tokenB]);
 
-  // Get pair contract instance
+  // Get pair contract instance (reads are batched through Multicall3)
   const getPairContract = useCallback(() => {
     if (!pairAddress || !provider) return null;
-    return new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+    return new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, getMulticallProvider(provider));
   }, [pairAddress, provider]);
 
   /**
    * Fetch current reserves and token order
-   * Optimized with parallel requests and better error handling
+   * - The four reads go out as one Multicall3 eth_call
+   * - No getReserves result means no pair (nothing deployed at the computed address)
    */
   const fetchReserves = useCallback(async () => {
     console.log('🔍 Fetching reserves for pair:', pairAddress);
@@ -58,16 +62,14 @@ export function usePair(tokenA, tokenB, provider) {
     try {
       const pairContract = getPairContract();
       
-      // Check pair existence and fetch data in parallel for better performance
-      const [code, reservesData, token0Address, token1Address, totalSupplyData] = await Promise.all([
-        provider.getCode(pairAddress),
+      const [reservesData, token0Address, token1Address, totalSupplyData] = await Promise.all([
         pairContract.getReserves().catch(() => null),
         pairContract.token0().catch(() => null),
         pairContract.token1().catch(() => null),
         pairContract.totalSupply().catch(() => null)
       ]);
 
-      if (code === '0x' || !reservesData) {
+      if (!reservesData) {
         console.warn('⚠️ Pair does not exist on-chain:', pairAddress);
         setError('Pair does not exist');
         setLoading(false);
@@ -164,6 +166,17 @@ export function usePair(tokenA, tokenB, provider) {
     }
   }, [pairAddress, provider]);
 
+  // Live reserves once the pair is known to exist (Sync events or a read on every new block)
+  useEffect(() => {
+    if (!pairAddress || !provider || !token0) return;
+
+    return subscribePairReserves(pairAddress, provider, ({ reserve0, reserve1 }) => {
+      setReserves({ reserve0, reserve1 });
+      // Mints and burns emit Sync too: keep the LP supply in step
+      getPairContract()?.totalSupply().then(setTotalSupply).catch(() => {});
+    });
+  }, [pairAddress, provider, token0, getPairContract]);
+
   // Auto-fetch reserves when pair address changes
   useEffect(() => {
     if (pairAddress && provider) {
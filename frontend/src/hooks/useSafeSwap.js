@@ -5,8 +5,9 @@
  */
 
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { getTokenList, getTokenByAddress } from '../constants/tokens';
-import { fetchPairMapping, getSwappableTokens } from '../services/pairService';
+import { getTokenList, getTokenByAddress, isVerifiedToken } from '../constants/tokens';
+import { fetchPairMapping } from '../services/pairService';
+import { getReachableTokens } from '../services/routeService';
 
 /**
  * 🚀 OPTIMIZED Hook for safe token swapping with fast initial load
@@ -64,7 +65,8 @@ export function useSafeSwap() {
         return tokens; // Return all tokens if no input selected
       }
 
-      const swappableAddresses = getSwappableTokens(inputTokenAddress, pairMapping);
+      // Include tokens reachable through intermediate pairs (multi-hop routes)
+      const swappableAddresses = getReachableTokens(inputTokenAddress, pairMapping);
       
       if (swappableAddresses.length === 0) {
         console.warn(`No swappable tokens found for ${inputTokenAddress}`);
@@ -93,7 +95,7 @@ export function useSafeSwap() {
         return false;
       }
 
-      const swappableAddresses = getSwappableTokens(tokenInAddress, pairMapping);
+      const swappableAddresses = getReachableTokens(tokenInAddress, pairMapping);
       return swappableAddresses.includes(tokenOutAddress.toLowerCase());
     },
     [pairMapping]
@@ -146,13 +148,16 @@ export function useSafeSwap() {
 
 /**
  * Hook to get filtered output tokens based on selected input token
+ * The pair mapping only covers verified tokens: tokens from token lists are always offered
+ * (routing falls back to the base tokens for them)
  * @param {string} inputTokenAddress - Selected input token address
  * @param {Object} pairMapping - Pair mapping object
+ * @param {Array} [tokens] - Tokens to filter (defaults to the verified tokens)
  * @returns {Array} - Filtered token list
  */
-export function useFilteredOutputTokens(inputTokenAddress, pairMapping) {
+export function useFilteredOutputTokens(inputTokenAddress, pairMapping, tokens) {
   return useMemo(() => {
-    const allTokens = getTokenList();
+    const allTokens = tokens || getTokenList();
     
     // ✅ If no input token selected, show all tokens
     if (!inputTokenAddress) {
@@ -164,7 +169,12 @@ export function useFilteredOutputTokens(inputTokenAddress, pairMapping) {
       return allTokens;
     }
 
-    const swappableAddresses = getSwappableTokens(inputTokenAddress, pairMapping);
+    // ✅ Input outside the pair mapping: its pairs are unknown, show all tokens
+    if (!isVerifiedToken(inputTokenAddress)) {
+      return allTokens;
+    }
+
+    const swappableAddresses = getReachableTokens(inputTokenAddress, pairMapping);
     
     // ✅ If no swappable tokens found, still show all tokens (user can pick any)
     // The swap validation will show appropriate error message
@@ -173,11 +183,11 @@ export function useFilteredOutputTokens(inputTokenAddress, pairMapping) {
       return allTokens;
     }
 
-    // Filter tokens to only include swappable ones
+    // Filter verified tokens to only include swappable ones
     return allTokens.filter(token => 
-      swappableAddresses.includes(token.addressLower)
+      token.isVerified === false || swappableAddresses.includes(token.addressLower)
     );
-  }, [inputTokenAddress, pairMapping]);
+  }, [inputTokenAddress, pairMapping, tokens]);
 }
 
 /**
@@ -210,8 +220,13 @@ export function useSwapValidation(tokenInAddress, tokenOutAddress, pairMapping)
       };
     }
 
-    // Check if swap is possible
-    const swappableAddresses = getSwappableTokens(tokenInAddress, pairMapping);
+    // Tokens outside the pair mapping (from token lists) are checked when quoting
+    if (!isVerifiedToken(tokenInAddress) || !isVerifiedToken(tokenOutAddress)) {
+      return { isValid: true, message: '' };
+    }
+
+    // Check if swap is possible (directly or through up to 3 pairs)
+    const swappableAddresses = getReachableTokens(tokenInAddress, pairMapping);
     const isValid = swappableAddresses.includes(tokenOutAddress.toLowerCase());
 
     if (!isValid) {
@@ -222,7 +237,7 @@ export function useSwapValidation(tokenInAddress, tokenOutAddress, pairMapping)
       
       return {
         isValid: false,
-        message: `No liquidity pool available for ${tokenInSymbol}/${tokenOutSymbol}`,
+        message: `No route available for ${tokenInSymbol}/${tokenOutSymbol}`,
       };
     }
 
@@ -1,8 +1,10 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
-import { CONTRACT_ABIS, CONTRACT_ADDRESSES, GAS_LIMITS } from '../config/contracts';
+import { CONTRACT_ABIS, CONTRACT_ADDRESSES } from '../config/contracts';
 import { isValidAddress, getErrorMessage } from '../utils/validation';
 import { NATIVE_ETH_ADDRESS, VERIFIED_TOKENS, isNativeToken } from '../constants/tokens';
+import { approveToken as sendApproval } from '../services/approvalService';
+import { readTokenMetadata } from '../utils/tokenMetadata';
 
 // 🚀 OPTIMIZATION: Token metadata cache to prevent duplicate fetches
 const tokenMetadataCache = new Map();
@@ -120,89 +122,15 @@ export function useToken(tokenAddress, provider, signer = null) {
       //   return;
       // }
 
-      // Create contract with flexible ABI that handles both string and bytes32 returns
-      const flexibleAbi = [
-        'function name() view returns (string)',
-        'function symbol() view returns (string)',
-        'function decimals() view returns (uint256)',
-        'function totalSupply() view returns (uint256)',
-        'function balanceOf(address) view returns (uint256)'
-      ];
-
-      // Alternative ABI for tokens that return bytes32 (like MKR, SAI)
-      const bytes32Abi = [
-        'function name() view returns (bytes32)',
-        'function symbol() view returns (bytes32)'
-      ];
-
-      const tokenContract = new ethers.Contract(tokenAddress, flexibleAbi, provider);
-      const bytes32Contract = new ethers.Contract(tokenAddress, bytes32Abi, provider);
-
-      // Helper to parse bytes32 to string
-      const parseBytes32String = (bytes32) => {
-        try {
-          // Remove null bytes and convert to string
-          return ethers.utils.parseBytes32String(bytes32);
-        } catch {
-          // If it fails, try to decode as UTF-8 using ethers utilities
-          try {
-            // Remove trailing zeros and decode
-            const hex = bytes32.replace(/0x/, '').replace(/(00)+$/, '');
-            if (hex.length === 0) return '';
-            return ethers.utils.toUtf8String('0x' + hex).trim();
-          } catch {
-            return 'Unknown';
-          }
-        }
-      };
-
-      // Fetch decimals first (most reliable)
-      let decimals = 18; // Default
-      try {
-        const dec = await tokenContract.decimals();
-        decimals = typeof dec === 'number' ? dec : dec.toNumber ? dec.toNumber() : Number(dec);
-      } catch {
-        console.warn('Could not fetch decimals, using default 18');
-      }
-
-      // Try to verify it's an ERC20 by calling totalSupply or balanceOf
-      try {
-        await tokenContract.totalSupply();
-      } catch {
-        try {
-          await tokenContract.balanceOf(tokenAddress);
-        } catch {
-          setError('Not a valid ERC20 token contract');
-          setIsValid(false);
-          setLoading(false);
-          return;
-        }
-      }
-
-      // Fetch name (try string first, then bytes32)
-      let name = 'Unknown Token';
-      try {
-        name = await tokenContract.name();
-      } catch {
-        try {
-          const nameBytes = await bytes32Contract.name();
-          name = parseBytes32String(nameBytes);
-        } catch {
-          console.warn('Could not fetch token name');
-        }
-      }
-
-      // Fetch symbol (try string first, then bytes32)
-      let symbol = '???';
+      // Name/symbol as string or bytes32, decimals with an 18 default
+      let name, symbol, decimals;
       try {
-        symbol = await tokenContract.symbol();
-      } catch {
-        try {
-          const symbolBytes = await bytes32Contract.symbol();
-          symbol = parseBytes32String(symbolBytes);
-        } catch {
-          console.warn('Could not fetch token symbol');
-        }
+        ({ name, symbol, decimals } = await readTokenMetadata(tokenAddress, provider));
+      } catch (metadataError) {
+        setError(metadataError.message);
+        setIsValid(false);
+        setLoading(false);
+        return;
       }
 
       const tokenMetadata = { name, symbol, decimals };
@@ -290,13 +218,8 @@ export function useToken(tokenAddress, provider, signer = null) {
       setError(null);
 
       try {
-        const tokenContract = getTokenContract(true);
-
-        const tx = await tokenContract.approve(spender, amount, {
-          gasLimit: GAS_LIMITS.APPROVE
-        });
-
-        const receipt = await tx.wait();
+        // approvalService records the tx in the transaction history
+        const receipt = await sendApproval(tokenAddress, spender, amount, signer);
         setLoading(false);
         return receipt;
       } catch (err) {
@@ -305,7 +228,7 @@ export function useToken(tokenAddress, provider, signer = null) {
         throw err;
       }
     },
-    [tokenAddress, signer, getTokenContract]
+    [tokenAddress, signer]
   );
 
   /**
@@ -382,17 +305,7 @@ export function useTokenApprovals(provider, signer) {
       setApproving((prev) => ({ ...prev, [tokenAddress]: true }));
 
       try {
-        const tokenContract = new ethers.Contract(
-          tokenAddress,
-          CONTRACT_ABIS.ERC20,
-          signer
-        );
-
-        const tx = await tokenContract.approve(spender, amount, {
-          gasLimit: GAS_LIMITS.APPROVE
-        });
-
-        await tx.wait();
+        await sendApproval(tokenAddress, spender, amount, signer);
         setApproving((prev) => ({ ...prev, [tokenAddress]: false }));
 
         return true;
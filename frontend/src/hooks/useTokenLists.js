@@ -0,0 +1,61 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { NETWORK_CONFIG } from '../config/contracts';
+import {
+  getTokenListStates,
+  getMergedTokens,
+  subscribeTokenLists,
+  loadTokenLists,
+  addTokenListUrl,
+  importTokenListJson,
+  removeTokenList,
+  setTokenListEnabled,
+  setTokenListPriority,
+  acceptTokenListUpdate,
+} from '../services/tokenListService';
+import { subscribeUserTokens, removeUserToken } from '../services/userTokenStore';
+
+/**
+ * Hook for the token lists and the merged tokens of the connected chain
+ * - Loads the enabled lists on mount (lists loaded within the last hour are reused)
+ * - Tokens include the tokens imported by address (removeImported drops one)
+ * @returns {{ tokens: Array, lists: Array, loading: boolean, refresh: Function, addUrl: Function, importJson: Function,
+ *   remove: Function, setEnabled: Function, setPriority: Function, acceptUpdate: Function, removeImported: Function }}
+ */
+export function useTokenLists() {
+  const { chainId } = useWeb3React();
+  const [lists, setLists] = useState(() => getTokenListStates());
+
+  useEffect(() => {
+    const load = () => setLists(getTokenListStates());
+    load();
+
+    const unsubscribeLists = subscribeTokenLists(load);
+    const unsubscribeImported = subscribeUserTokens(load);
+    loadTokenLists().catch(error => console.error('❌ Token lists failed to load:', error));
+
+    return () => {
+      unsubscribeLists();
+      unsubscribeImported();
+    };
+  }, []);
+
+  const listChainId = chainId || NETWORK_CONFIG.chainId;
+
+  // Recomputed whenever a list or the imported tokens change (lists is a new array on every change)
+  const tokens = useMemo(() => getMergedTokens(listChainId), [listChainId, lists]);
+
+  return {
+    tokens,
+    lists,
+    loading: lists.some(state => state.loading),
+    refresh: () => loadTokenLists(true),
+    addUrl: addTokenListUrl,
+    importJson: importTokenListJson,
+    remove: removeTokenList,
+    setEnabled: setTokenListEnabled,
+    setPriority: setTokenListPriority,
+    acceptUpdate: acceptTokenListUpdate,
+    removeImported: (address) => removeUserToken(listChainId, address),
+  };
+}
@@ -1,20 +1,21 @@
 import { useState, useEffect } from 'react';
-import { fetchTokenPrice } from '../services/priceService';
+import { fetchTokenPriceQuote } from '../services/priceService';
 
 /**
  * Hook to fetch USD price for a token
  * @param {string} tokenAddress - Token contract address
  * @param {boolean} enabled - Whether to fetch (default true)
- * @returns {{ price: number|null, loading: boolean, error: string|null }}
+ * @returns {{ price: number|null, quote: Object|null, loading: boolean, error: string|null }}
+ *   quote: { price, source, confidence, timestamp, stale } (see services/priceService)
  */
 export function useTokenPrice(tokenAddress, enabled = true) {
-  const [price, setPrice] = useState(null);
+  const [quote, setQuote] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     if (!tokenAddress || !enabled) {
-      setPrice(null);
+      setQuote(null);
       return;
     }
 
@@ -25,10 +26,10 @@ export function useTokenPrice(tokenAddress, enabled = true) {
       setError(null);
 
       try {
-        const fetchedPrice = await fetchTokenPrice(tokenAddress);
+        const fetchedQuote = await fetchTokenPriceQuote(tokenAddress);
 
         if (!cancelled) {
-          setPrice(fetchedPrice);
+          setQuote(fetchedQuote);
           setLoading(false);
         }
       } catch (err) {
@@ -50,7 +51,7 @@ export function useTokenPrice(tokenAddress, enabled = true) {
     };
   }, [tokenAddress, enabled]);
 
-  return { price, loading, error };
+  return { price: quote ? quote.price : null, quote, loading, error };
 }
 
 /**
@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { isValidAddress } from '../utils/validation';
+import { assessTokenRisk } from '../services/tokenRiskService';
+
+/**
+ * Hook for the risk profile of a token (proxy, owner privileges, transfer tax, honeypot, liquidity)
+ * - Fields come from the per-field caches when fresh, see services/tokenRiskService
+ * @param {string} tokenAddress - Token address (native ETH is assessed as WETH)
+ * @param {Object} [options] - { enabled: false skips the assessment }
+ * @returns {{ profile: Object|null, loading: boolean, error: string|null, refresh: Function }}
+ */
+export function useTokenRisk(tokenAddress, { enabled = true } = {}) {
+  const { account, library } = useWeb3React();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const assess = useCallback(async (forceRefresh, isCancelled = () => false) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await assessTokenRisk(tokenAddress, library, { account, forceRefresh });
+      if (!isCancelled()) setProfile(result);
+    } catch (err) {
+      if (!isCancelled()) setError(err.message);
+    } finally {
+      if (!isCancelled()) setLoading(false);
+    }
+  }, [tokenAddress, library, account]);
+
+  useEffect(() => {
+    setProfile(null);
+    if (!enabled || !library || !isValidAddress(tokenAddress)) return;
+
+    let cancelled = false;
+    assess(false, () => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [assess, enabled, library, tokenAddress]);
+
+  const refresh = useCallback(() => assess(true), [assess]);
+
+  return { profile, loading, error, refresh };
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import {
+  getTransactions,
+  subscribeTransactions,
+  resumePendingTransactions,
+  clearTransactions,
+} from '../services/transactionStore';
+
+// How often pending transactions are re-checked (dropped / replaced detection)
+const RESUME_INTERVAL = 30000;
+
+/**
+ * Hook for the transaction history of the connected account
+ * - Re-attaches to pending transactions on mount (e.g. after a reload)
+ * @returns {{ transactions: Array, pendingCount: number, clear: Function }}
+ */
+export function useTransactionHistory() {
+  const { account, chainId, library } = useWeb3React();
+  const [transactions, setTransactions] = useState([]);
+
+  useEffect(() => {
+    if (!account || !chainId) {
+      setTransactions([]);
+      return;
+    }
+
+    const load = () => setTransactions(getTransactions(chainId, account));
+    load();
+
+    return subscribeTransactions(load);
+  }, [account, chainId]);
+
+  useEffect(() => {
+    if (!account || !chainId || !library) return;
+
+    resumePendingTransactions(chainId, account, library);
+    const interval = setInterval(() => {
+      resumePendingTransactions(chainId, account, library);
+    }, RESUME_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [account, chainId, library]);
+
+  const clear = useCallback(() => {
+    if (account && chainId) {
+      clearTransactions(chainId, account);
+    }
+  }, [account, chainId]);
+
+  const pendingCount = transactions.filter(tx => tx.status === 'pending').length;
+
+  return { transactions, pendingCount, clear };
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { useWeb3React } from '../providers/Web3Provider';
+import { getChainContext, isSupportedChain, NETWORK_CONFIG } from '../config/contracts';
+import { getAddressForRouting } from '../constants/tokens';
+import { computePairAddress } from '../utils/calculations';
+import { getChainProvider, fetchTokenMetadata } from '../services/factoryPairSource';
+import { getTwapPrice, getSpotDeviation, DEFAULT_TWAP_WINDOW } from '../services/twapOracle';
+
+// Spot vs TWAP deviation (percent) above which the price is flagged
+const DEFAULT_MAX_DEVIATION = 2;
+
+// How often the pair is sampled (also feeds the in-memory observations)
+const REFRESH_INTERVAL = 30000;
+
+/**
+ * Hook for the TWAP of the direct pair of two tokens
+ * - Prices are tokenB per tokenA (native ETH is priced through WETH)
+ * @param {string} tokenA - Priced token
+ * @param {string} tokenB - Quote token
+ * @param {Object} options - { windowSeconds, maxDeviation (percent), enabled }
+ * @returns {{ twap: number|null, spot: number|null, deviation: number|null, isDeviating: boolean,
+ *   window: number, source: string|null, loading: boolean, error: string|null }}
+ */
+export function useTwapPrice(tokenA, tokenB, options = {}) {
+  const {
+    windowSeconds = DEFAULT_TWAP_WINDOW,
+    maxDeviation = DEFAULT_MAX_DEVIATION,
+    enabled = true,
+  } = options;
+  const { chainId, library } = useWeb3React();
+  const [state, setState] = useState({ twap: null, spot: null, window: 0, source: null });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const targetChainId = chainId ?? NETWORK_CONFIG.chainId;
+
+  useEffect(() => {
+    setState({ twap: null, spot: null, window: 0, source: null });
+    setError(null);
+
+    if (!enabled || !tokenA || !tokenB || !isSupportedChain(targetChainId)) return;
+
+    const chain = getChainContext(targetChainId);
+    const provider = chainId && library ? library : getChainProvider(chain);
+    const addressA = getAddressForRouting(tokenA, chain.weth);
+    const addressB = getAddressForRouting(tokenB, chain.weth);
+    if (addressA.toLowerCase() === addressB.toLowerCase()) return;
+
+    const pairAddress = computePairAddress(chain.contracts.FACTORY, addressA, addressB, chain.initCodeHash);
+    const aIsToken0 = addressA.toLowerCase() < addressB.toLowerCase();
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const [metadataA, metadataB] = await Promise.all([
+          fetchTokenMetadata(addressA, provider, chain.chainId),
+          fetchTokenMetadata(addressB, provider, chain.chainId),
+        ]);
+        const [decimals0, decimals1] = aIsToken0
+          ? [Number(metadataA.decimals), Number(metadataB.decimals)]
+          : [Number(metadataB.decimals), Number(metadataA.decimals)];
+
+        const result = await getTwapPrice(pairAddress, { windowSeconds, decimals0, decimals1 }, provider);
+
+        if (!cancelled) {
+          setState({
+            twap: aIsToken0 ? result.price0 : result.price1,
+            spot: aIsToken0 ? result.spot0 : result.spot1,
+            window: result.window,
+            source: result.source,
+          });
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [tokenA, tokenB, windowSeconds, enabled, targetChainId, chainId, library]);
+
+  const deviation = state.spot !== null ? getSpotDeviation(state.spot, state.twap) : null;
+
+  return {
+    ...state,
+    deviation,
+    isDeviating: deviation !== null && Math.abs(deviation) > maxDeviation,
+    loading,
+    error,
+  };
+}
@@ -17,7 +17,8 @@ import {
   trustWallet,
 } from '@rainbow-me/rainbowkit/wallets';
 import { createConfig, http } from 'wagmi';
-import { mainnet, arbitrum, arbitrumSepolia } from 'wagmi/chains';
+import { mainnet, arbitrum, arbitrumSepolia, hardhat } from 'wagmi/chains';
+import { USE_LOCAL_CHAIN, AVAILABLE_NETWORKS, isSupportedChain, setActiveChainId } from '../config/contracts';
 
 import '@rainbow-me/rainbowkit/styles.css';
 
@@ -29,6 +30,8 @@ interface Web3ReactContextValue {
   active: boolean;
   error: any;
   isCheckedWallet: boolean;
+  // Wallet is connected to a chain without a Uniswap V2 deployment
+  unsupportedChain: boolean;
   activate: any;
   deactivate: () => Promise<void>;
 }
@@ -39,8 +42,10 @@ const Web3ReactContext = createContext<Web3ReactContextValue | null>(null);
 // WalletConnect Project ID
 const projectId = '2cc94868db6b1ebd44d24dcea9ed7600';
 
-// Supported chains - Arbitrum and Ethereum
-const chains = [arbitrum, mainnet, arbitrumSepolia] as const;
+// Supported chains - Arbitrum and Ethereum (plus the hardhat node in local chain mode)
+const chains = USE_LOCAL_CHAIN
+  ? ([hardhat, arbitrum, mainnet, arbitrumSepolia] as const)
+  : ([arbitrum, mainnet, arbitrumSepolia] as const);
 
 // Configure wallet connectors
 const connectors = connectorsForWallets(
@@ -71,6 +76,7 @@ export const wagmiConfig = createConfig({
     [mainnet.id]: http('https://eth.llamarpc.com'),
     [arbitrum.id]: http('https://arb1.arbitrum.io/rpc'),
     [arbitrumSepolia.id]: http('https://sepolia-rollup.arbitrum.io/rpc'),
+    [hardhat.id]: http(AVAILABLE_NETWORKS.localhost.rpcUrl),
   },
   multiInjectedProviderDiscovery: false,
 });
@@ -158,6 +164,10 @@ export const Web3ReactContextWrapper: React.FC<{ children: React.ReactNode }> =
           const _account = address;
           const _provider = await activeConnector.getProvider();
           
+          // Switch contracts/tokens before the app re-renders for the new chain
+          setActiveChainId(_chainId);
+          setConnectError(null);
+          
           setConnectInfo((info) => {
             const newInfo = { ...info };
             newInfo.account = _account;
@@ -195,6 +205,7 @@ export const Web3ReactContextWrapper: React.FC<{ children: React.ReactNode }> =
 
       const account = await (await provider.getSigner()).getAddress();
       const chainId = (await provider.getNetwork()).chainId;
+      setActiveChainId(chainId);
       
       setConnectInfo((info) => {
         const newInfo = { ...info };
@@ -228,6 +239,9 @@ export const Web3ReactContextWrapper: React.FC<{ children: React.ReactNode }> =
     active: !!activeConnector,
     error: connectError,
     isCheckedWallet,
+    unsupportedChain:
+      connectError === 'unsupported' ||
+      (connectInfo.chainId !== undefined && !isSupportedChain(connectInfo.chainId)),
     activate: connect,
     deactivate: async () => {
       await disconnectAsync();
@@ -0,0 +1,261 @@
+/**
+ * Allowance Service
+ * Scans the outstanding ERC20 allowances of an account and revokes or reduces them
+ * - Tokens: verified tokens of the chain + LP tokens the account holds
+ * - Spenders: the app's router + other well-known spenders of the chain
+ */
+
+import { ethers } from 'ethers';
+import { ARBITRUM_CHAIN_ID, getTokensForChain, isNativeToken } from '../constants/tokens';
+import { CONTRACT_ABIS, getChainContext, getProviderChainContext } from '../config/contracts';
+import type { ChainContext } from '../config/contracts';
+import { findLpPositions } from './positionService';
+import { approveToken } from './approvalService';
+
+export interface KnownSpender {
+  address: string;
+  name: string;
+  // The router this app sends swaps and liquidity changes to
+  isAppRouter: boolean;
+}
+
+export type AllowanceRisk = 'high' | 'medium' | 'low';
+
+export interface AllowanceToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+  isLpToken: boolean;
+}
+
+export interface AllowanceEntry {
+  token: AllowanceToken;
+  spender: KnownSpender;
+  allowance: ethers.BigNumber;
+  balance: ethers.BigNumber;
+  isUnlimited: boolean;
+  risk: AllowanceRisk;
+  reason: string;
+}
+
+// Permit2 has the same address on every chain it is deployed on
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// Well-known spenders besides the app's own router, per chain
+const EXTERNAL_SPENDERS: Record<number, Array<{ address: string; name: string }>> = {
+  [ARBITRUM_CHAIN_ID]: [
+    { address: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24', name: 'Uniswap V2 Router02' },
+    { address: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506', name: 'SushiSwap V2 Router' },
+    { address: PERMIT2_ADDRESS, name: 'Uniswap Permit2' },
+  ],
+};
+
+// Allowances above this are treated as unlimited
+// (some tokens decrease a MaxUint256 allowance on every transferFrom)
+const UNLIMITED_THRESHOLD = ethers.constants.MaxUint256.div(2);
+
+/**
+ * Get the spenders checked on a chain (app router first, no duplicates)
+ */
+export function getKnownSpenders(chain: ChainContext): KnownSpender[] {
+  const spenders: KnownSpender[] = [
+    { address: chain.contracts.ROUTER, name: 'Uniswap V2 Router', isAppRouter: true },
+  ];
+
+  (EXTERNAL_SPENDERS[chain.chainId] || []).forEach(spender => {
+    const exists = spenders.some(known => known.address.toLowerCase() === spender.address.toLowerCase());
+    if (!exists) {
+      spenders.push({ ...spender, isAppRouter: false });
+    }
+  });
+
+  return spenders;
+}
+
+/**
+ * Get a friendly name for a spender address
+ * - Unknown spenders are shown as a shortened address
+ */
+export function getSpenderName(address: string, chainId?: number): string {
+  try {
+    const chain = getChainContext(chainId);
+    const known = getKnownSpenders(chain).find(
+      spender => spender.address.toLowerCase() === address.toLowerCase()
+    );
+    if (known) {
+      return known.name;
+    }
+  } catch {
+    // Unsupported chain: fall through to the address
+  }
+  return `Unknown contract ${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Rate an allowance
+ * - high: unlimited, every current and future balance can be spent
+ * - medium: more than the account currently holds
+ * - low: covered by the current balance
+ */
+function rateAllowance(
+  allowance: ethers.BigNumber,
+  balance: ethers.BigNumber
+): { isUnlimited: boolean; risk: AllowanceRisk; reason: string } {
+  if (allowance.gte(UNLIMITED_THRESHOLD)) {
+    return { isUnlimited: true, risk: 'high', reason: 'Unlimited: the spender can take any amount you ever hold' };
+  }
+  if (allowance.gt(balance)) {
+    return { isUnlimited: false, risk: 'medium', reason: 'Exceeds your balance: future deposits are exposed too' };
+  }
+  return { isUnlimited: false, risk: 'low', reason: 'Within your balance' };
+}
+
+/**
+ * Get the LP tokens the account holds (see positionService)
+ * - Position lookup failures are logged and skipped (ERC20 allowances are still scanned)
+ */
+async function getHeldLpTokens(
+  owner: string,
+  provider: ethers.providers.Provider
+): Promise<Array<{ token: AllowanceToken; balance: ethers.BigNumber }>> {
+  try {
+    const positions = await findLpPositions(owner, provider, false);
+    return positions.map(position => ({
+      token: {
+        address: position.pairAddress,
+        symbol: `${position.token0.symbol}-${position.token1.symbol} LP`,
+        decimals: 18,
+        isLpToken: true,
+      },
+      balance: position.balance,
+    }));
+  } catch (error) {
+    console.warn('⚠️ Could not load LP positions, skipping LP tokens:', (error as Error).message);
+    return [];
+  }
+}
+
+/**
+ * Scan the allowances of an account on the provider's chain
+ * - Only non-zero allowances are returned, riskiest first
+ */
+export async function scanAllowances(
+  owner: string,
+  provider: ethers.providers.Provider
+): Promise<AllowanceEntry[]> {
+  try {
+    const chain = await getProviderChainContext(provider);
+    const spenders = getKnownSpenders(chain);
+
+    const erc20Tokens: AllowanceToken[] = Object.values(getTokensForChain(chain.chainId))
+      .filter(token => !isNativeToken(token))
+      .map(token => ({
+        address: token.address,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        isLpToken: false,
+      }));
+
+    console.log(`🔎 Scanning allowances of ${erc20Tokens.length} tokens for ${spenders.length} spenders`);
+
+    const [erc20Balances, lpTokens] = await Promise.all([
+      Promise.all(
+        erc20Tokens.map(token =>
+          new ethers.Contract(token.address, CONTRACT_ABIS.ERC20, provider)
+            .balanceOf(owner)
+            .catch(() => ethers.constants.Zero)
+        )
+      ),
+      getHeldLpTokens(owner, provider),
+    ]);
+
+    const holdings = [
+      ...erc20Tokens.map((token, index) => ({ token, balance: erc20Balances[index] as ethers.BigNumber })),
+      ...lpTokens,
+    ];
+
+    const reads = holdings.flatMap(({ token, balance }) =>
+      spenders.map(async spender => {
+        const contract = new ethers.Contract(token.address, CONTRACT_ABIS.ERC20, provider);
+        const allowance: ethers.BigNumber = await contract
+          .allowance(owner, spender.address)
+          .catch(() => ethers.constants.Zero);
+
+        return { token, spender, allowance, balance, ...rateAllowance(allowance, balance) };
+      })
+    );
+
+    const riskOrder: Record<AllowanceRisk, number> = { high: 0, medium: 1, low: 2 };
+    const entries = (await Promise.all(reads))
+      .filter(entry => entry.allowance.gt(0))
+      .sort((a, b) => riskOrder[a.risk] - riskOrder[b.risk]);
+
+    console.log(`✅ Found ${entries.length} outstanding allowances`);
+    return entries;
+  } catch (error) {
+    console.error('❌ Failed to scan allowances:', error);
+    throw new Error(`Failed to scan allowances: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Set an allowance to zero
+ */
+export async function revokeAllowance(
+  tokenAddress: string,
+  spender: string,
+  signer: ethers.Signer
+): Promise<ethers.ContractReceipt | null> {
+  return approveToken(tokenAddress, spender, ethers.constants.Zero, signer);
+}
+
+/**
+ * Lower an allowance to a new amount
+ * - Only decreases: raising an allowance goes through the regular approval flow
+ */
+export async function reduceAllowance(
+  tokenAddress: string,
+  spender: string,
+  currentAllowance: ethers.BigNumber,
+  newAmount: ethers.BigNumber,
+  signer: ethers.Signer
+): Promise<ethers.ContractReceipt | null> {
+  if (newAmount.gte(currentAllowance)) {
+    throw new Error('New allowance must be lower than the current one');
+  }
+  return approveToken(tokenAddress, spender, newAmount, signer);
+}
+
+export interface RevokeResult {
+  entry: AllowanceEntry;
+  success: boolean;
+  error?: string;
+}
+
+/**
+ * Revoke several allowances, one transaction each
+ * - Sent one after another so the wallet prompts in order
+ * - A rejected or failed revocation does not stop the rest
+ */
+export async function revokeAllowances(
+  entries: AllowanceEntry[],
+  signer: ethers.Signer,
+  onProgress?: (result: RevokeResult, index: number) => void
+): Promise<RevokeResult[]> {
+  const results: RevokeResult[] = [];
+
+  for (const [index, entry] of entries.entries()) {
+    let result: RevokeResult;
+    try {
+      await revokeAllowance(entry.token.address, entry.spender.address, signer);
+      result = { entry, success: true };
+    } catch (error) {
+      console.error(`❌ Failed to revoke ${entry.token.symbol} for ${entry.spender.name}:`, error);
+      result = { entry, success: false, error: (error as Error).message };
+    }
+    results.push(result);
+    onProgress?.(result, index);
+  }
+
+  return results;
+}
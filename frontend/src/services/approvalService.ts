@@ -6,6 +6,7 @@
 import { ethers } from 'ethers';
 import { isNativeToken } from '../constants/tokens';
 import { CONTRACT_ABIS, GAS_LIMITS } from '../config/contracts';
+import { trackTransaction, tokenLabel, amountLabel } from './transactionStore';
 
 export interface ApprovalStatus {
   isApproved: boolean;
@@ -101,8 +102,14 @@ export async function approveToken(
       gasLimit: GAS_LIMITS?.APPROVE || 100000,
     });
     
+    const summary = amount.isZero()
+      ? `Revoke ${tokenLabel(tokenAddress)} approval`
+      : amount.eq(ethers.constants.MaxUint256)
+        ? `Approve unlimited ${tokenLabel(tokenAddress)}`
+        : `Approve ${amountLabel(amount, tokenAddress)}`;
+    
     console.log('⏳ Waiting for approval tx:', tx.hash);
-    const receipt = await tx.wait();
+    const receipt = await trackTransaction(tx, { type: 'approve', summary }, signer.provider!);
     console.log('✅ Token approved');
     
     return receipt;
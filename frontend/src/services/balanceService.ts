@@ -6,6 +6,7 @@
 import { ethers } from 'ethers';
 import { isNativeToken, getAddressForRouting, type Token, type TokenWithMeta } from '../constants/tokens';
 import { CONTRACT_ABIS } from '../config/contracts';
+import { getMulticallProvider } from './multicallService';
 
 export interface BalanceResult {
   balance: ethers.BigNumber;
@@ -81,6 +82,7 @@ export async function getFormattedBalance(
 
 /**
  * Get multiple token balances at once
+ * - ERC20 balances are read in one Multicall3 eth_call
  */
 export async function getMultipleBalances(
   tokens: Array<{ address: string; decimals: number }>,
@@ -88,6 +90,7 @@ export async function getMultipleBalances(
   provider: ethers.providers.Provider
 ): Promise<Map<string, ethers.BigNumber>> {
   const balances = new Map<string, ethers.BigNumber>();
+  const batchedProvider = getMulticallProvider(provider);
   
   await Promise.all(
     tokens.map(async (token) => {
@@ -95,7 +98,7 @@ export async function getMultipleBalances(
         const balance = await getTokenBalance(
           token.address,
           userAddress,
-          provider,
+          batchedProvider,
           token.decimals
         );
         balances.set(token.address.toLowerCase(), balance);
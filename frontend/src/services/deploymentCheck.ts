@@ -0,0 +1,157 @@
+/**
+ * Deployment Check
+ * Verifies the configured contracts of a chain against the chain itself
+ * - WETH, factory and router have code
+ * - router.factory() / router.WETH() point at the configured contracts
+ * - The init code hash reproduces the factory's actual pair addresses (CREATE2)
+ * - V1 factory and migrator have code, if configured (warning only)
+ * Run once per chain at startup (see hooks/useDeploymentCheck)
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABIS } from '../config/contracts';
+import type { ChainContext } from '../config/contracts';
+import { MANIFEST_ERRORS } from '../config/deploymentManifest';
+import { computePairAddress } from '../utils/calculations';
+
+export interface DeploymentCheckResult {
+  chainId: number;
+  // false if any error was found (swaps would go to the wrong contracts or pairs)
+  ok: boolean;
+  errors: string[];
+  warnings: string[];
+  checkedAt: number;
+}
+
+// Some V2 forks (SushiSwap) expose the hash directly
+const PAIR_CODE_HASH_ABI = ['function pairCodeHash() view returns (bytes32)'];
+
+// One check per chain and page load
+const checkCache = new Map<number, Promise<DeploymentCheckResult>>();
+
+/**
+ * Check that the init code hash matches the factory's pairs
+ * - First pair of the factory: CREATE2 address from the hash must equal allPairs(0)
+ * - Factory without pairs: compares pairCodeHash() if the factory has it
+ */
+async function checkInitCodeHash(
+  chain: ChainContext,
+  factory: ethers.Contract,
+  provider: ethers.providers.Provider,
+  errors: string[],
+  warnings: string[]
+): Promise<void> {
+  const pairCount: ethers.BigNumber = await factory.allPairsLength();
+
+  if (pairCount.gt(0)) {
+    const pairAddress: string = await factory.allPairs(0);
+    const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+    const computed = computePairAddress(chain.contracts.FACTORY, token0, token1, chain.initCodeHash);
+
+    if (computed.toLowerCase() !== pairAddress.toLowerCase()) {
+      errors.push(
+        `Init code hash ${chain.initCodeHash} does not match the factory's pairs ` +
+        `(computed ${computed}, factory has ${pairAddress})`
+      );
+    }
+    return;
+  }
+
+  try {
+    const codeHashFactory = new ethers.Contract(chain.contracts.FACTORY, PAIR_CODE_HASH_ABI, provider);
+    const pairCodeHash: string = await codeHashFactory.pairCodeHash();
+    if (pairCodeHash.toLowerCase() !== chain.initCodeHash.toLowerCase()) {
+      errors.push(`Init code hash ${chain.initCodeHash} does not match factory.pairCodeHash() ${pairCodeHash}`);
+    }
+  } catch {
+    warnings.push('Factory has no pairs yet, init code hash could not be verified');
+  }
+}
+
+/**
+ * Run all checks for a chain
+ */
+async function runDeploymentCheck(
+  chain: ChainContext,
+  provider: ethers.providers.Provider
+): Promise<DeploymentCheckResult> {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+
+  const { WETH, FACTORY, ROUTER } = chain.contracts;
+  const codes = await Promise.all([WETH, FACTORY, ROUTER].map(address => provider.getCode(address)));
+  ['WETH', 'Factory', 'Router'].forEach((name, index) => {
+    if (codes[index] === '0x') {
+      errors.push(`${name} has no code at ${[WETH, FACTORY, ROUTER][index]} (stale deployment.json?)`);
+    }
+  });
+
+  // Nothing else can be read from missing contracts
+  if (errors.length === 0) {
+    const router = new ethers.Contract(ROUTER, CONTRACT_ABIS.ROUTER, provider);
+    const factory = new ethers.Contract(FACTORY, CONTRACT_ABIS.FACTORY, provider);
+
+    const [routerFactory, routerWeth] = await Promise.all([router.factory(), router.WETH()]);
+    if (routerFactory.toLowerCase() !== FACTORY.toLowerCase()) {
+      errors.push(`Router uses factory ${routerFactory}, configured ${FACTORY}`);
+    }
+    if (routerWeth.toLowerCase() !== WETH.toLowerCase()) {
+      errors.push(`Router uses WETH ${routerWeth}, configured ${WETH}`);
+    }
+
+    await checkInitCodeHash(chain, factory, provider, errors, warnings);
+  }
+
+  // V1 migration contracts are optional: missing code only breaks the migration wizard
+  const { FACTORY_V1, MIGRATOR } = chain.contracts;
+  if (FACTORY_V1 && MIGRATOR) {
+    const [factoryV1Code, migratorCode] = await Promise.all([provider.getCode(FACTORY_V1), provider.getCode(MIGRATOR)]);
+    if (factoryV1Code === '0x' || migratorCode === '0x') {
+      warnings.push(`V1 factory or migrator has no code (${FACTORY_V1}, ${MIGRATOR}), migration is unavailable`);
+    }
+  }
+
+  // Multicall3 is optional too: without code reads are sent one by one
+  if (chain.contracts.MULTICALL && (await provider.getCode(chain.contracts.MULTICALL)) === '0x') {
+    warnings.push(`Multicall3 has no code (${chain.contracts.MULTICALL}), reads are not batched`);
+  }
+
+  return {
+    chainId: chain.chainId,
+    ok: errors.length === 0,
+    errors,
+    warnings,
+    checkedAt: Date.now(),
+  };
+}
+
+/**
+ * Verify the configuration of a chain (cached per chain)
+ * - Manifest format errors (deployment.json) are reported as warnings of every chain
+ */
+export async function verifyDeployment(
+  chain: ChainContext,
+  provider: ethers.providers.Provider
+): Promise<DeploymentCheckResult> {
+  if (!checkCache.has(chain.chainId)) {
+    const check = runDeploymentCheck(chain, provider)
+      .then(result => {
+        result.warnings.push(...MANIFEST_ERRORS);
+        if (result.ok) {
+          console.log(`✅ Deployment verified on ${chain.name}`, result.warnings);
+        } else {
+          console.error(`❌ Deployment check failed on ${chain.name}:`, result.errors);
+        }
+        return result;
+      })
+      .catch(error => {
+        // Don't cache RPC failures, try again next time
+        checkCache.delete(chain.chainId);
+        throw new Error(`Failed to verify deployment: ${(error as Error).message}`);
+      });
+    checkCache.set(chain.chainId, check);
+  }
+
+  return checkCache.get(chain.chainId)!;
+}
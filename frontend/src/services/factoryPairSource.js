@@ -0,0 +1,139 @@
+/**
+ * Factory Pair Source
+ * Enumerates pairs directly from a chain's factory (chains without a subgraph, e.g. the local hardhat node)
+ * - Local addresses come from deployment.json, written by scripts/deploy-complete.js
+ * - Reads allPairsLength / allPairs / getReserves through the chain's RPC
+ * - Returns pools in the same shape as the subgraph query in pairService
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABIS } from '../config/contracts';
+import { getTokenByAddress } from '../constants/tokens';
+
+// Read-only providers by chain ID (work without a connected wallet)
+const providers = new Map();
+
+// Token metadata never changes (keyed by chainId:address)
+const tokenMetadataCache = new Map();
+
+/**
+ * Get the read-only provider for a chain
+ * @param {Object} chain - Chain context (see getChainContext)
+ * @returns {ethers.providers.StaticJsonRpcProvider} Provider for chain.rpcUrl
+ */
+export function getChainProvider(chain) {
+  if (!providers.has(chain.chainId)) {
+    providers.set(
+      chain.chainId,
+      new ethers.providers.StaticJsonRpcProvider(chain.rpcUrl, chain.chainId)
+    );
+  }
+  return providers.get(chain.chainId);
+}
+
+/**
+ * Get symbol/name/decimals of a token
+ * - Known tokens use the token list (test tokens all share the "TT" symbol on-chain)
+ * @param {string} address - Token address
+ * @param {ethers.providers.Provider} provider - Chain provider
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Token metadata in subgraph shape
+ */
+export async function fetchTokenMetadata(address, provider, chainId) {
+  const key = `${chainId}:${address.toLowerCase()}`;
+  if (tokenMetadataCache.has(key)) {
+    return tokenMetadataCache.get(key);
+  }
+
+  const known = getTokenByAddress(address, chainId);
+  let metadata;
+
+  if (known) {
+    metadata = { symbol: known.symbol, name: known.name, decimals: String(known.decimals) };
+  } else {
+    const token = new ethers.Contract(address, CONTRACT_ABIS.ERC20, provider);
+    const [symbol, name, decimals] = await Promise.all([
+      token.symbol().catch(() => 'UNKNOWN'),
+      token.name().catch(() => 'Unknown Token'),
+      token.decimals().catch(() => 18),
+    ]);
+    metadata = { symbol, name, decimals: String(decimals) };
+  }
+
+  tokenMetadataCache.set(key, metadata);
+  return metadata;
+}
+
+/**
+ * Read a single pair
+ * @param {string} pairAddress - Pair address from factory.allPairs
+ * @param {ethers.providers.Provider} provider - Chain provider
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Pool in subgraph shape with reserves
+ */
+async function fetchFactoryPair(pairAddress, provider, chainId) {
+  const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+
+  const [token0, token1, reserves] = await Promise.all([
+    pair.token0(),
+    pair.token1(),
+    pair.getReserves(),
+  ]);
+
+  const [metadata0, metadata1] = await Promise.all([
+    fetchTokenMetadata(token0, provider, chainId),
+    fetchTokenMetadata(token1, provider, chainId),
+  ]);
+
+  return {
+    id: pairAddress.toLowerCase(),
+    token0: { id: token0.toLowerCase(), ...metadata0 },
+    token1: { id: token1.toLowerCase(), ...metadata1 },
+    reserve0: ethers.utils.formatUnits(reserves.reserve0, metadata0.decimals),
+    reserve1: ethers.utils.formatUnits(reserves.reserve1, metadata1.decimals),
+    // No price source offline
+    reserveUSD: '0',
+    totalValueLockedUSD: '0',
+    hasLiquidity: !reserves.reserve0.isZero() && !reserves.reserve1.isZero(),
+  };
+}
+
+/**
+ * Fetch all pairs of a chain's factory
+ * - Empty pairs (created but never funded) are skipped, like the subgraph liquidity filter
+ * @param {Object} chain - Chain context (see getChainContext)
+ * @param {number} first - Maximum number of pairs to read
+ * @returns {Promise<Array>} Array of pair objects
+ */
+export async function fetchFactoryPools(chain, first = 300) {
+  const provider = getChainProvider(chain);
+  const factory = new ethers.Contract(
+    chain.contracts.FACTORY,
+    CONTRACT_ABIS.FACTORY,
+    provider
+  );
+
+  let pairCount;
+  try {
+    pairCount = (await factory.allPairsLength()).toNumber();
+  } catch (error) {
+    throw new Error(
+      `Factory not reachable at ${chain.rpcUrl} (${chain.contracts.FACTORY}). ` +
+      'For the local chain, start the node with `npx hardhat node` and run ' +
+      '`npx hardhat run scripts/deploy-complete.js --network localhost`.'
+    );
+  }
+
+  const count = Math.min(pairCount, first);
+  console.log(`🏠 Reading ${count} of ${pairCount} pairs from the ${chain.name} factory`);
+
+  const pairAddresses = await Promise.all(
+    Array.from({ length: count }, (_, index) => factory.allPairs(index))
+  );
+
+  const pools = await Promise.all(
+    pairAddresses.map(address => fetchFactoryPair(address, provider, chain.chainId))
+  );
+
+  return pools.filter(pool => pool.hasLiquidity);
+}
@@ -0,0 +1,164 @@
+/**
+ * Fee-on-Transfer Service
+ * Detects transfer-tax tokens by simulating a buy and a sell against the token's WETH pair
+ * (see swapSimulationService): balance deltas of one eth_call, no transaction history needed
+ * - Buy tax: tokens the pair sent vs tokens the buyer received
+ * - Sell tax: tokens the buyer sent vs tokens the pair received
+ * - Not simulated (no WETH pool, provider without state overrides, a reverting leg): the tax is
+ *   unknown, and swaps default to the SupportingFeeOnTransferTokens variants (they work for untaxed
+ *   tokens too)
+ * Results are cached with the token validation cache (see utils/validationCache), unknown ones briefly
+ */
+
+import { ethers } from 'ethers';
+import { isNativeToken, isVerifiedToken } from '../constants/tokens';
+import { getProviderChainContext } from '../config/contracts';
+import { transferTaxCache, unknownTransferTaxCache } from '../utils/validationCache';
+import { simulateRoundTrip } from './swapSimulationService';
+
+// Ignore rounding noise below 0.01%
+const TAX_THRESHOLD_BPS = 1;
+
+export interface TransferTaxInfo {
+  token: string;
+  buyTaxBps: number;
+  sellTaxBps: number;
+  isFeeOnTransfer: boolean;
+  // A leg could not be simulated: the token may still be taxed
+  unknown: boolean;
+  // Why the tax is unknown
+  reason: string | null;
+  measuredAt: number;
+}
+
+/**
+ * Build a "no tax" result (native ETH and verified tokens)
+ */
+function noTax(token: string): TransferTaxInfo {
+  return {
+    token: token.toLowerCase(),
+    buyTaxBps: 0,
+    sellTaxBps: 0,
+    isFeeOnTransfer: false,
+    unknown: false,
+    reason: null,
+    measuredAt: Date.now(),
+  };
+}
+
+/**
+ * Build an "unknown tax" result (nothing could be simulated)
+ */
+function unknownTax(token: string, reason: string): TransferTaxInfo {
+  return { ...noTax(token), unknown: true, reason };
+}
+
+/**
+ * Detect the transfer tax of a token
+ * - Native ETH and verified tokens of the provider's chain are known to have no tax
+ * - Other tokens are measured with a simulated buy and sell
+ * - A reverting sell keeps the measured buy tax, the sell tax stays unknown
+ * @param forceRefresh - Skip the cache and measure again
+ */
+export async function detectTransferTax(
+  token: string,
+  provider: ethers.providers.Provider,
+  forceRefresh = false
+): Promise<TransferTaxInfo> {
+  const chain = await getProviderChainContext(provider);
+
+  if (isNativeToken(token)) {
+    return noTax(chain.weth);
+  }
+
+  if (isVerifiedToken(token, chain.chainId)) {
+    return noTax(token);
+  }
+
+  // Measurements are per chain
+  const cacheKey = `${chain.chainId}:${token}`;
+
+  if (!forceRefresh) {
+    const cached = transferTaxCache.get(cacheKey) || unknownTransferTaxCache.get(cacheKey);
+    if (cached !== null) {
+      return cached as TransferTaxInfo;
+    }
+  }
+
+  console.log('🔍 Measuring transfer tax:', token);
+
+  const simulation = await simulateRoundTrip(token, provider);
+  let result: TransferTaxInfo;
+
+  if (simulation.buyTaxBps === null) {
+    result = unknownTax(token, simulation.reason || 'Buy not simulated');
+  } else {
+    const buyTaxBps = simulation.buyTaxBps >= TAX_THRESHOLD_BPS ? simulation.buyTaxBps : 0;
+    const sellTaxBps = simulation.sellTaxBps !== null && simulation.sellTaxBps >= TAX_THRESHOLD_BPS
+      ? simulation.sellTaxBps
+      : 0;
+    result = {
+      token: token.toLowerCase(),
+      buyTaxBps,
+      sellTaxBps,
+      isFeeOnTransfer: buyTaxBps > 0 || sellTaxBps > 0,
+      unknown: simulation.sellTaxBps === null,
+      reason: simulation.sellTaxBps === null ? simulation.reason : null,
+      measuredAt: Date.now(),
+    };
+  }
+
+  if (result.unknown) {
+    console.warn('⚠️ Transfer tax unknown:', token, result.reason);
+    unknownTransferTaxCache.set(cacheKey, result);
+  } else {
+    console.log('✅ Transfer tax measured:', result);
+    transferTaxCache.set(cacheKey, result);
+  }
+
+  return result;
+}
+
+/**
+ * Detect transfer taxes for every token in a swap path
+ */
+export async function getPathTransferTaxes(
+  path: string[],
+  provider: ethers.providers.Provider
+): Promise<TransferTaxInfo[]> {
+  return Promise.all(path.map(token => detectTransferTax(token, provider)));
+}
+
+/**
+ * Check if any token in the list is taxed
+ */
+export function hasTransferTax(taxes: TransferTaxInfo[]): boolean {
+  return taxes.some(tax => tax.isFeeOnTransfer);
+}
+
+/**
+ * Check if a swap through the tokens needs the SupportingFeeOnTransferTokens router methods
+ * - Taxed tokens, and tokens whose tax is unknown (the supporting methods work without a tax too)
+ */
+export function needsFeeOnTransferSupport(taxes: TransferTaxInfo[]): boolean {
+  return taxes.some(tax => tax.isFeeOnTransfer || tax.unknown);
+}
+
+/**
+ * Estimate the amount received after transfer taxes along a path
+ * - First token pays its sell tax, last token its buy tax
+ * - Intermediate tokens pay the higher of both (pair to pair transfer)
+ */
+export function estimateAmountAfterTax(
+  amountOut: ethers.BigNumber,
+  taxes: TransferTaxInfo[]
+): ethers.BigNumber {
+  return taxes.reduce((amount, tax, index) => {
+    const bps = index === 0
+      ? tax.sellTaxBps
+      : index === taxes.length - 1
+        ? tax.buyTaxBps
+        : Math.max(tax.buyTaxBps, tax.sellTaxBps);
+    return amount.mul(10000 - bps).div(10000);
+  }, amountOut);
+}
@@ -0,0 +1,317 @@
+/**
+ * Flash Swap Service
+ * Plans, simulates and sends ExampleFlashSwap arbitrage: borrow from a V2 WETH pair,
+ * sell the borrowed amount on the token's V1 exchange, repay the pair, keep the rest
+ * - Repayment: getAmountsIn of the borrowed amount (0.3% fee included), paid in the pair's other token
+ * - Callback data: abi.encode(uint minAmountOut), the V1 slippage parameter uniswapV2Call decodes
+ * - Simulation: pair.swap through callStatic from the sender, profit or the revert reason before sending
+ */
+
+import { ethers } from 'ethers';
+import { V1_FACTORY_ABI, V1_EXCHANGE_ABI } from '../config/uniswapV1';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import { applySlippage, calculateFlashLoanRepayment, getAmountIn } from '../utils/calculations';
+import { decodeRevertReason } from '../utils/revertReason';
+import { fetchTokenMetadata } from './factoryPairSource';
+import { trackTransaction, amountLabel, StoredTransaction } from './transactionStore';
+
+export interface FlashSwapToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+export interface FlashSwapParams {
+  // V2 WETH pair borrowed from
+  pairAddress: string;
+  // token0 or token1 of the pair
+  borrowToken: string;
+  borrowAmount: ethers.BigNumber;
+  // Contract receiving uniswapV2Call (an ExampleFlashSwap deployment)
+  callback: string;
+  // Minimum output of the V1 leg, defaults to FLASH_SWAP_SLIPPAGE
+  slippageBps?: number;
+}
+
+export interface FlashSwapPlan {
+  pairAddress: string;
+  callback: string;
+  borrowToken: FlashSwapToken;
+  repayToken: FlashSwapToken;
+  borrowAmount: ethers.BigNumber;
+  amount0Out: ethers.BigNumber;
+  amount1Out: ethers.BigNumber;
+  // Owed to the pair in repayToken, and the 0.3% fee part of it
+  repayAmount: ethers.BigNumber;
+  feeAmount: ethers.BigNumber;
+  // Repayment route: the borrowed amount sold on the V1 exchange of the pair's token
+  exchangeV1: string;
+  expectedReceived: ethers.BigNumber;
+  minReceived: ethers.BigNumber;
+  // uniswapV2Call data
+  data: string;
+  // Received minus repaid, in repayToken (ETH when the repayment is WETH)
+  expectedProfit: ethers.BigNumber;
+  isProfitable: boolean;
+}
+
+export interface FlashSwapSimulation {
+  plan: FlashSwapPlan;
+  success: boolean;
+  revertReason: string | null;
+  blockNumber: number;
+  gasEstimate: ethers.BigNumber | null;
+  gasCost: ethers.BigNumber | null;
+  // Profit minus gas, only when the profit is paid in ETH
+  netProfitEth: ethers.BigNumber | null;
+}
+
+export interface FlashSwapOptions {
+  onSubmitted?: (tx: StoredTransaction) => void;
+}
+
+// Default minimum output of the V1 leg (0.5%)
+export const FLASH_SWAP_SLIPPAGE = 50;
+
+// Headroom on the estimated gas of the swap
+const GAS_LIMIT_MARGIN_PERCENT = 20;
+
+/**
+ * Compute what a flash swap owes the pair
+ * - Repaid in the other token: getAmountIn(borrowed, reserveRepay, reserveBorrow), like UniswapV2Library.getAmountsIn
+ * - Repaid in the borrowed token: borrowed / 0.997, rounded up
+ * - feeAmount: repayment minus the fee-free amount at the same reserves
+ */
+export function computeFlashSwapRepayment(
+  borrowAmount: ethers.BigNumber,
+  reserveBorrow: ethers.BigNumber,
+  reserveRepay: ethers.BigNumber,
+  repayInBorrowedToken = false
+): { repayAmount: ethers.BigNumber; feeAmount: ethers.BigNumber } {
+  if (borrowAmount.gte(reserveBorrow)) {
+    throw new Error('Borrow amount exceeds the pair reserve');
+  }
+
+  if (repayInBorrowedToken) {
+    const repayAmount: ethers.BigNumber = calculateFlashLoanRepayment(borrowAmount);
+    return { repayAmount, feeAmount: repayAmount.sub(borrowAmount) };
+  }
+
+  const repayAmount: ethers.BigNumber = getAmountIn(borrowAmount, reserveRepay, reserveBorrow);
+  const withoutFee = reserveRepay.mul(borrowAmount).div(reserveBorrow.sub(borrowAmount));
+  return { repayAmount, feeAmount: repayAmount.sub(withoutFee) };
+}
+
+/**
+ * Encode the uniswapV2Call data of ExampleFlashSwap: the minimum output of the V1 swap
+ */
+export function encodeFlashSwapData(minAmountOut: ethers.BigNumberish): string {
+  return ethers.utils.defaultAbiCoder.encode(['uint256'], [minAmountOut]);
+}
+
+/**
+ * Describe a token of the plan
+ */
+async function describeToken(
+  address: string,
+  chainId: number,
+  provider: ethers.providers.Provider
+): Promise<FlashSwapToken> {
+  const metadata = await fetchTokenMetadata(address, provider, chainId);
+  return { address, symbol: metadata.symbol, decimals: Number(metadata.decimals) };
+}
+
+/**
+ * Plan a flash swap on the current reserves
+ * - Only WETH pairs: ExampleFlashSwap sells the token for ETH on V1 (or ETH for the token)
+ * - The V1 quote is exact for the current block, so expectedProfit is what the swap pays now
+ */
+export async function planFlashSwap(
+  params: FlashSwapParams,
+  provider: ethers.providers.Provider
+): Promise<FlashSwapPlan> {
+  if (!params.borrowAmount.gt(0)) {
+    throw new Error('Borrow amount must be greater than zero');
+  }
+
+  try {
+    const chain = await getProviderChainContext(provider);
+    if (!chain.contracts.FACTORY_V1) {
+      throw new Error(`No Uniswap V1 factory on ${chain.name}, ExampleFlashSwap has no repayment route`);
+    }
+
+    const pair = new ethers.Contract(params.pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const [token0, token1, { reserve0, reserve1 }]: [string, string, any] = await Promise.all([
+      pair.token0(),
+      pair.token1(),
+      pair.getReserves(),
+    ]);
+
+    const borrowIsToken0 = params.borrowToken.toLowerCase() === token0.toLowerCase();
+    if (!borrowIsToken0 && params.borrowToken.toLowerCase() !== token1.toLowerCase()) {
+      throw new Error(`${params.borrowToken} is not a token of pair ${params.pairAddress}`);
+    }
+    const [borrowAddress, repayAddress] = borrowIsToken0 ? [token0, token1] : [token1, token0];
+    const [reserveBorrow, reserveRepay]: ethers.BigNumber[] = borrowIsToken0
+      ? [reserve0, reserve1]
+      : [reserve1, reserve0];
+
+    const borrowIsWeth = borrowAddress.toLowerCase() === chain.weth.toLowerCase();
+    if (!borrowIsWeth && repayAddress.toLowerCase() !== chain.weth.toLowerCase()) {
+      throw new Error('ExampleFlashSwap only works with WETH pairs');
+    }
+    const tokenAddress = borrowIsWeth ? repayAddress : borrowAddress;
+
+    const factoryV1 = new ethers.Contract(chain.contracts.FACTORY_V1, V1_FACTORY_ABI, provider);
+    const exchangeV1: string = await factoryV1.getExchange(tokenAddress);
+    if (exchangeV1 === ethers.constants.AddressZero) {
+      throw new Error(`No V1 exchange for ${tokenAddress}`);
+    }
+
+    const [borrowToken, repayToken] = await Promise.all([
+      describeToken(borrowAddress, chain.chainId, provider),
+      describeToken(repayAddress, chain.chainId, provider),
+    ]);
+
+    const { repayAmount, feeAmount } = computeFlashSwapRepayment(params.borrowAmount, reserveBorrow, reserveRepay);
+
+    // Borrowed WETH buys tokens on V1, borrowed tokens buy ETH
+    const exchange = new ethers.Contract(exchangeV1, V1_EXCHANGE_ABI, provider);
+    const expectedReceived: ethers.BigNumber = borrowIsWeth
+      ? await exchange.getEthToTokenInputPrice(params.borrowAmount)
+      : await exchange.getTokenToEthInputPrice(params.borrowAmount);
+    const minReceived = applySlippage(expectedReceived, params.slippageBps ?? FLASH_SWAP_SLIPPAGE);
+    const expectedProfit = expectedReceived.sub(repayAmount);
+
+    const plan: FlashSwapPlan = {
+      pairAddress: params.pairAddress,
+      callback: params.callback,
+      borrowToken,
+      repayToken,
+      borrowAmount: params.borrowAmount,
+      amount0Out: borrowIsToken0 ? params.borrowAmount : ethers.constants.Zero,
+      amount1Out: borrowIsToken0 ? ethers.constants.Zero : params.borrowAmount,
+      repayAmount,
+      feeAmount,
+      exchangeV1,
+      expectedReceived,
+      minReceived,
+      data: encodeFlashSwapData(minReceived),
+      expectedProfit,
+      // uniswapV2Call asserts amountReceived > amountRequired
+      isProfitable: expectedProfit.gt(0),
+    };
+
+    console.log('⚡ Flash swap plan:', {
+      pair: plan.pairAddress,
+      borrow: `${plan.borrowAmount.toString()} ${borrowToken.symbol}`,
+      repay: `${repayAmount.toString()} ${repayToken.symbol}`,
+      received: expectedReceived.toString(),
+      profit: expectedProfit.toString(),
+    });
+
+    return plan;
+  } catch (error) {
+    console.error('❌ Failed to plan flash swap:', error);
+    throw new Error(`Failed to plan flash swap: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Simulate a planned flash swap with eth_call (pair.swap from the sender)
+ * - The profit goes to the sender of pair.swap, so simulate from the account that will send it
+ * - Gas cost and net profit are only computed for a successful simulation
+ */
+export async function simulateFlashSwap(
+  plan: FlashSwapPlan,
+  from: string,
+  provider: ethers.providers.Provider
+): Promise<FlashSwapSimulation> {
+  const pair = new ethers.Contract(plan.pairAddress, CONTRACT_ABIS.PAIR, provider);
+  const args = [plan.amount0Out, plan.amount1Out, plan.callback, plan.data, { from }];
+  const blockNumber = await provider.getBlockNumber();
+
+  const simulation: FlashSwapSimulation = {
+    plan,
+    success: false,
+    revertReason: null,
+    blockNumber,
+    gasEstimate: null,
+    gasCost: null,
+    netProfitEth: null,
+  };
+
+  if ((await provider.getCode(plan.callback)) === '0x') {
+    simulation.revertReason = `No contract at callback address ${plan.callback}`;
+    return simulation;
+  }
+
+  try {
+    await pair.callStatic.swap(...args);
+  } catch (error) {
+    const reason = decodeRevertReason(error);
+    simulation.revertReason = plan.isProfitable ? reason : `${reason} (V1 pays less than the repayment)`;
+    console.warn('⚠️ Flash swap simulation reverted:', simulation.revertReason);
+    return simulation;
+  }
+
+  simulation.success = true;
+  try {
+    const [gasEstimate, gasPrice] = await Promise.all([pair.estimateGas.swap(...args), provider.getGasPrice()]);
+    simulation.gasEstimate = gasEstimate;
+    simulation.gasCost = gasEstimate.mul(gasPrice);
+    // Borrowed tokens are repaid in WETH and the profit is paid out in ETH
+    const chain = await getProviderChainContext(provider);
+    if (plan.repayToken.address.toLowerCase() === chain.weth.toLowerCase()) {
+      simulation.netProfitEth = plan.expectedProfit.sub(simulation.gasCost);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not estimate flash swap gas:', (error as Error).message);
+  }
+
+  console.log('✅ Flash swap simulation succeeded:', {
+    profit: plan.expectedProfit.toString(),
+    gas: simulation.gasEstimate?.toString(),
+  });
+  return simulation;
+}
+
+/**
+ * Plan, simulate and send a flash swap
+ * - Refuses to send when the simulation reverts or the swap is not profitable
+ */
+export async function executeFlashSwap(
+  params: FlashSwapParams,
+  options: FlashSwapOptions,
+  signer: ethers.Signer
+): Promise<{ simulation: FlashSwapSimulation; receipt: ethers.ContractReceipt }> {
+  if (!signer.provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+
+  const sender = await signer.getAddress();
+  const plan = await planFlashSwap(params, signer.provider);
+  const simulation = await simulateFlashSwap(plan, sender, signer.provider);
+
+  if (!simulation.success) {
+    throw new Error(`Flash swap would revert: ${simulation.revertReason}`);
+  }
+  if (!plan.isProfitable) {
+    throw new Error('Flash swap is not profitable');
+  }
+
+  const pair = new ethers.Contract(plan.pairAddress, CONTRACT_ABIS.PAIR, signer);
+  const tx = await pair.swap(plan.amount0Out, plan.amount1Out, plan.callback, plan.data, {
+    ...(simulation.gasEstimate && {
+      gasLimit: simulation.gasEstimate.mul(100 + GAS_LIMIT_MARGIN_PERCENT).div(100),
+    }),
+  });
+
+  const summary = `Flash swap ${amountLabel(plan.borrowAmount, plan.borrowToken.address)} via V1`;
+
+  console.log('⏳ Waiting for flash swap tx:', tx.hash);
+  const receipt = await trackTransaction(tx, { type: 'swap', summary }, signer.provider, options.onSubmitted);
+  console.log('✅ Flash swap executed');
+
+  return { simulation, receipt };
+}
@@ -5,7 +5,12 @@
 
 import { ethers } from 'ethers';
 import { isNativeToken, getAddressForRouting } from '../constants/tokens';
-import { CONTRACT_ADDRESSES, CONTRACT_ABIS } from '../config/contracts';
+import { CONTRACT_ABIS, getChainContext, getProviderChainContext } from '../config/contracts';
+import type { ChainContext } from '../config/contracts';
+import { detectTransferTax } from './feeOnTransferService';
+import { checkApproval, approveToken } from './approvalService';
+import { trackTransaction, tokenLabel, amountLabel, StoredTransaction } from './transactionStore';
+import { recordDeposit, recordWithdrawal } from './positionTracker';
 
 export interface AddLiquidityParams {
   tokenA: string;
@@ -16,6 +21,10 @@ export interface AddLiquidityParams {
   amountBMin: ethers.BigNumber;
   recipient: string;
   deadline: number;
+  // Explicit nonce (e.g. to replace a stuck transaction); the signer picks the next one when omitted
+  nonce?: number;
+  // Called once the tx is submitted so the UI can offer speed up / cancel
+  onSubmitted?: (tx: StoredTransaction) => void;
 }
 
 export interface RemoveLiquidityParams {
@@ -26,6 +35,36 @@ export interface RemoveLiquidityParams {
   amountBMin: ethers.BigNumber;
   recipient: string;
   deadline: number;
+  // ETH pairs only: use removeLiquidityETHSupportingFeeOnTransferTokens; detected when omitted
+  feeOnTransfer?: boolean;
+}
+
+export interface PermitSignature {
+  v: number;
+  r: string;
+  s: string;
+  deadline: number;
+}
+
+// EIP-2612 permit type implemented by UniswapV2ERC20 (pair LP tokens)
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+/**
+ * Chain context of the signer's network (throws on unsupported networks)
+ */
+async function getSignerChain(signer: ethers.Signer): Promise<ChainContext> {
+  if (!signer.provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+  return getProviderChainContext(signer.provider);
 }
 
 /**
@@ -48,8 +87,9 @@ export async function addLiquidity(
     deadline,
   } = params;
   
+  const chain = await getSignerChain(signer);
   const router = new ethers.Contract(
-    CONTRACT_ADDRESSES.ROUTER,
+    chain.contracts.ROUTER,
     CONTRACT_ABIS.ROUTER,
     signer
   );
@@ -63,6 +103,7 @@ export async function addLiquidity(
   }
   
   let tx: ethers.ContractTransaction;
+  const overrides: ethers.PayableOverrides = params.nonce !== undefined ? { nonce: params.nonce } : {};
   
   // Case 1: ETH + Token
   if (isANative || isBNative) {
@@ -86,7 +127,7 @@ export async function addLiquidity(
       ethMin,
       recipient,
       deadline,
-      { value: ethDesired } // Send ETH as value
+      { ...overrides, value: ethDesired } // Send ETH as value
     );
   }
   // Case 2: Token + Token
@@ -109,21 +150,41 @@ export async function addLiquidity(
       amountAMin,
       amountBMin,
       recipient,
-      deadline
+      deadline,
+      overrides
     );
   }
   
+  const summary = `Add ${amountLabel(amountADesired, tokenA)} + ${amountLabel(amountBDesired, tokenB)} liquidity`;
+  
   console.log('⏳ Waiting for add liquidity tx:', tx.hash);
-  const receipt = await tx.wait();
+  const receipt = await trackTransaction(tx, { type: 'addLiquidity', summary }, signer.provider!, params.onSubmitted);
   console.log('✅ Liquidity added');
   
+  // Cost basis for the positions page - bookkeeping never fails the add
+  await recordDeposit(receipt, recipient, signer.provider!).catch(error =>
+    console.warn('⚠️ Could not record deposit:', error.message)
+  );
+  
   return receipt;
 }
 
+/**
+ * Shrink the LP cost basis after a removal (bookkeeping never fails the removal)
+ */
+async function recordRemoval(receipt: ethers.ContractReceipt, signer: ethers.Signer): Promise<void> {
+  try {
+    await recordWithdrawal(receipt, await signer.getAddress(), signer.provider!);
+  } catch (error) {
+    console.warn('⚠️ Could not record removal:', (error as Error).message);
+  }
+}
+
 /**
  * Remove liquidity with native ETH support
  * - ETH + Token: removeLiquidityETH
- * - Token + Token: removeLiquidity
+ * - ETH + fee-on-transfer Token: removeLiquidityETHSupportingFeeOnTransferTokens
+ * - Token + Token: removeLiquidity (pair pays out directly, works for tax tokens)
  */
 export async function removeLiquidity(
   params: RemoveLiquidityParams,
@@ -139,8 +200,9 @@ export async function removeLiquidity(
     deadline,
   } = params;
   
+  const chain = await getSignerChain(signer);
   const router = new ethers.Contract(
-    CONTRACT_ADDRESSES.ROUTER,
+    chain.contracts.ROUTER,
     CONTRACT_ABIS.ROUTER,
     signer
   );
@@ -162,12 +224,24 @@ export async function removeLiquidity(
     const tokenMin = isANative ? amountBMin : amountAMin;
     const ethMin = isANative ? amountAMin : amountBMin;
     
+    // Router forwards the token, which reverts for tax tokens unless the supporting variant is used
+    let feeOnTransfer = params.feeOnTransfer;
+    if (feeOnTransfer === undefined && signer.provider) {
+      const tax = await detectTransferTax(tokenAddress, signer.provider);
+      // Unknown tax: the supporting variant also works for untaxed tokens
+      feeOnTransfer = tax.isFeeOnTransfer || tax.unknown;
+    }
+    
     console.log('💎 Removing liquidity ETH + Token:', {
       token: tokenAddress,
       liquidity: liquidity.toString(),
+      feeOnTransfer: !!feeOnTransfer,
     });
     
-    tx = await router.removeLiquidityETH(
+    const method = feeOnTransfer
+      ? 'removeLiquidityETHSupportingFeeOnTransferTokens'
+      : 'removeLiquidityETH';
+    tx = await router[method](
       tokenAddress,
       liquidity,
       tokenMin,
@@ -198,10 +272,256 @@ export async function removeLiquidity(
     );
   }
   
+  const summary = `Remove ${tokenLabel(tokenA)}/${tokenLabel(tokenB)} liquidity`;
+  
   console.log('⏳ Waiting for remove liquidity tx:', tx.hash);
-  const receipt = await tx.wait();
+  const receipt = await trackTransaction(tx, { type: 'removeLiquidity', summary }, signer.provider!);
   console.log('✅ Liquidity removed');
   
+  await recordRemoval(receipt, signer);
+  
   return receipt;
 }
 
+
+/**
+ * Get the pair (LP token) address for two tokens
+ * Native ETH is mapped to WETH
+ */
+export async function getPairAddress(
+  tokenA: string,
+  tokenB: string,
+  provider: ethers.providers.Provider
+): Promise<string> {
+  const chain = await getProviderChainContext(provider);
+  const factory = new ethers.Contract(
+    chain.contracts.FACTORY,
+    CONTRACT_ABIS.FACTORY,
+    provider
+  );
+  
+  const pairAddress: string = await factory.getPair(
+    getAddressForRouting(tokenA, chain.weth),
+    getAddressForRouting(tokenB, chain.weth)
+  );
+  
+  if (pairAddress === ethers.constants.AddressZero) {
+    throw new Error('Pair does not exist');
+  }
+  
+  return pairAddress;
+}
+
+/**
+ * Sign an EIP-2612 permit letting the router spend LP tokens
+ * - Domain: pair name, version '1', chainId, pair address
+ * - Checks the domain against the pair's DOMAIN_SEPARATOR before signing
+ */
+export async function signLiquidityPermit(
+  pairAddress: string,
+  liquidity: ethers.BigNumber,
+  deadline: number,
+  signer: ethers.Signer
+): Promise<PermitSignature> {
+  const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, signer);
+  const owner = await signer.getAddress();
+  
+  const [name, nonce, domainSeparator, chainId] = await Promise.all([
+    pair.name(),
+    pair.nonces(owner),
+    pair.DOMAIN_SEPARATOR(),
+    signer.getChainId(),
+  ]);
+  
+  const domain = {
+    name,
+    version: '1',
+    chainId,
+    verifyingContract: pairAddress,
+  };
+  
+  // A mismatch means the pair uses a different domain (e.g. forked code) - the permit would revert
+  const expectedSeparator = ethers.utils._TypedDataEncoder.hashDomain(domain);
+  if (expectedSeparator.toLowerCase() !== domainSeparator.toLowerCase()) {
+    throw new Error('Pair permit domain does not match DOMAIN_SEPARATOR');
+  }
+  
+  const value = {
+    owner,
+    spender: getChainContext(chainId).contracts.ROUTER,
+    value: liquidity,
+    nonce,
+    deadline,
+  };
+  
+  console.log('✍️ Signing LP permit:', {
+    pair: pairAddress,
+    nonce: nonce.toString(),
+    liquidity: liquidity.toString(),
+  });
+  
+  // _signTypedData is only available on signers that support eth_signTypedData_v4
+  const typedDataSigner = signer as ethers.Signer & {
+    _signTypedData?: (domain: object, types: object, value: object) => Promise<string>;
+  };
+  if (typeof typedDataSigner._signTypedData !== 'function') {
+    throw new Error('Signer cannot sign typed data');
+  }
+  
+  const signature = await typedDataSigner._signTypedData(domain, PERMIT_TYPES, value);
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  
+  return { v, r, s, deadline };
+}
+
+/**
+ * Check if a signing error means the user declined (no fallback in that case)
+ */
+function isUserRejection(error: any): boolean {
+  return error?.code === 'ACTION_REJECTED' || error?.code === 4001;
+}
+
+/**
+ * Remove liquidity in a single transaction using an LP permit signature
+ * - ETH + Token: removeLiquidityETHWithPermit
+ *   (removeLiquidityETHWithPermitSupportingFeeOnTransferTokens for tax tokens)
+ * - Token + Token: removeLiquidityWithPermit
+ * - Existing allowance: plain removeLiquidity, no signature needed
+ * - Wallet can't sign typed data: falls back to approve + removeLiquidity
+ */
+export async function removeLiquidityWithPermit(
+  params: RemoveLiquidityParams,
+  signer: ethers.Signer
+): Promise<ethers.ContractReceipt> {
+  const {
+    tokenA,
+    tokenB,
+    liquidity,
+    amountAMin,
+    amountBMin,
+    recipient,
+    deadline,
+  } = params;
+  
+  if (!signer.provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+  
+  const isANative = isNativeToken(tokenA);
+  const isBNative = isNativeToken(tokenB);
+  
+  // Can't have both tokens as native ETH
+  if (isANative && isBNative) {
+    throw new Error('Cannot remove liquidity between ETH and ETH');
+  }
+  
+  const chain = await getSignerChain(signer);
+  const owner = await signer.getAddress();
+  const pairAddress = await getPairAddress(tokenA, tokenB, signer.provider);
+  
+  // Already approved (e.g. earlier unlimited approval) - no permit needed
+  const approval = await checkApproval(
+    pairAddress,
+    owner,
+    chain.contracts.ROUTER,
+    liquidity,
+    signer.provider
+  );
+  if (approval.isApproved) {
+    console.log('✅ LP tokens already approved, removing without permit');
+    return removeLiquidity(params, signer);
+  }
+  
+  let permit: PermitSignature;
+  try {
+    permit = await signLiquidityPermit(pairAddress, liquidity, deadline, signer);
+  } catch (error) {
+    if (isUserRejection(error)) {
+      throw error;
+    }
+    
+    console.warn('⚠️ Permit signing unavailable, falling back to approve + remove:', (error as Error).message);
+    await approveToken(pairAddress, chain.contracts.ROUTER, liquidity, signer);
+    return removeLiquidity(params, signer);
+  }
+  
+  const router = new ethers.Contract(
+    chain.contracts.ROUTER,
+    CONTRACT_ABIS.ROUTER,
+    signer
+  );
+  
+  // Permit is for the exact amount, so approveMax is false
+  const approveMax = false;
+  let tx: ethers.ContractTransaction;
+  
+  // Case 1: ETH + Token
+  if (isANative || isBNative) {
+    const tokenAddress = isANative ? getAddressForRouting(tokenB) : getAddressForRouting(tokenA);
+    const tokenMin = isANative ? amountBMin : amountAMin;
+    const ethMin = isANative ? amountAMin : amountBMin;
+    
+    let feeOnTransfer = params.feeOnTransfer;
+    if (feeOnTransfer === undefined) {
+      const tax = await detectTransferTax(tokenAddress, signer.provider);
+      feeOnTransfer = tax.isFeeOnTransfer || tax.unknown;
+    }
+    
+    console.log('💎 Removing liquidity ETH + Token with permit:', {
+      token: tokenAddress,
+      liquidity: liquidity.toString(),
+      feeOnTransfer: !!feeOnTransfer,
+    });
+    
+    const method = feeOnTransfer
+      ? 'removeLiquidityETHWithPermitSupportingFeeOnTransferTokens'
+      : 'removeLiquidityETHWithPermit';
+    tx = await router[method](
+      tokenAddress,
+      liquidity,
+      tokenMin,
+      ethMin,
+      recipient,
+      permit.deadline,
+      approveMax,
+      permit.v,
+      permit.r,
+      permit.s
+    );
+  }
+  // Case 2: Token + Token
+  else {
+    const routingA = getAddressForRouting(tokenA);
+    const routingB = getAddressForRouting(tokenB);
+    
+    console.log('🔄 Removing liquidity Token + Token with permit:', {
+      tokenA: routingA,
+      tokenB: routingB,
+      liquidity: liquidity.toString(),
+    });
+    
+    tx = await router.removeLiquidityWithPermit(
+      routingA,
+      routingB,
+      liquidity,
+      amountAMin,
+      amountBMin,
+      recipient,
+      permit.deadline,
+      approveMax,
+      permit.v,
+      permit.r,
+      permit.s
+    );
+  }
+  
+  const summary = `Remove ${tokenLabel(tokenA)}/${tokenLabel(tokenB)} liquidity`;
+  
+  console.log('⏳ Waiting for remove liquidity tx:', tx.hash);
+  const receipt = await trackTransaction(tx, { type: 'removeLiquidity', summary }, signer.provider!);
+  console.log('✅ Liquidity removed');
+  
+  await recordRemoval(receipt, signer);
+  
+  return receipt;
+}
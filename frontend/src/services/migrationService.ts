@@ -0,0 +1,335 @@
+/**
+ * Migration Service
+ * Moves Uniswap V1 exchange liquidity to the V2 WETH pair through UniswapV2Migrator
+ * - Detection: V1 LP balances of the account on the exchanges of the V1 factory
+ * - Preview: what V1 pays out, what the router adds to V2 (optimal amounts) and what is refunded
+ * - Migration: approval of the whole V1 LP balance, then migrate() with slippage-protected minimums
+ * Only available on chains with a V1 factory and migrator in deployment.json (scripts/deploy-v1-migration.js)
+ */
+
+import { ethers } from 'ethers';
+import { V1_FACTORY_ABI, V1_EXCHANGE_ABI } from '../config/uniswapV1';
+import UniswapV2MigratorABI from '../../../frontend-abis/periphery/UniswapV2Migrator.json';
+import { getTokensForChain, isNativeToken } from '../constants/tokens';
+import { CONTRACT_ABIS, getChainContext, getProviderChainContext } from '../config/contracts';
+import type { ChainContext } from '../config/contracts';
+import {
+  applySlippage,
+  calculateLiquidityMinted,
+  calculateOptimalLiquidityAmounts,
+  MINIMUM_LIQUIDITY,
+} from '../utils/calculations';
+import { fetchTokenMetadata } from './factoryPairSource';
+import { checkApproval, approveToken } from './approvalService';
+import { trackTransaction, StoredTransaction } from './transactionStore';
+import { recordDeposit } from './positionTracker';
+
+export interface MigrationToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+export interface MigrationPreview {
+  // V2 WETH pair of the token; pairExists false: migrate() creates it at the V1 price
+  pairAddress: string | null;
+  pairExists: boolean;
+  // Tokens per ETH on V1 and V2 (V2 null without reserves), difference of V2 vs. V1 in percent
+  priceV1: number;
+  priceV2: number | null;
+  priceDifference: number | null;
+  // Added to V2 by the router, the rest is refunded by the migrator
+  tokenUsed: ethers.BigNumber;
+  ethUsed: ethers.BigNumber;
+  tokenRefund: ethers.BigNumber;
+  ethRefund: ethers.BigNumber;
+  // V2 LP tokens minted (protocol fee ignored) and the resulting share of the pair in percent
+  liquidity: ethers.BigNumber;
+  poolShare: number;
+}
+
+export interface V1Position {
+  token: MigrationToken;
+  exchangeAddress: string;
+  // V1 LP tokens of the account (migrate() always moves all of them)
+  liquidity: ethers.BigNumber;
+  totalSupply: ethers.BigNumber;
+  // Paid out by V1 removeLiquidity
+  tokenAmount: ethers.BigNumber;
+  ethAmount: ethers.BigNumber;
+  preview: MigrationPreview;
+}
+
+export interface MigrationOptions {
+  recipient: string;
+  deadline: number;
+  slippageBps: number;
+  onSubmitted?: (tx: StoredTransaction) => void;
+}
+
+// Exchanges of the V1 factory checked for balances (on top of the chain's verified tokens)
+const MAX_V1_TOKENS = 200;
+
+/**
+ * Check whether V1 liquidity can be migrated on a chain
+ */
+export function isMigrationAvailable(chainId?: number): boolean {
+  try {
+    const { contracts } = getChainContext(chainId);
+    return !!(contracts.FACTORY_V1 && contracts.MIGRATOR);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the chain context of the provider, failing without V1 migration contracts
+ */
+async function getMigrationChain(provider: ethers.providers.Provider): Promise<ChainContext> {
+  const chain = await getProviderChainContext(provider);
+  if (!chain.contracts.FACTORY_V1 || !chain.contracts.MIGRATOR) {
+    throw new Error(`Uniswap V1 migration is not available on ${chain.name}`);
+  }
+  return chain;
+}
+
+/**
+ * Human price: tokens per ETH
+ */
+function tokensPerEth(tokenAmount: ethers.BigNumber, ethAmount: ethers.BigNumber, decimals: number): number {
+  return parseFloat(ethers.utils.formatUnits(tokenAmount, decimals)) /
+    parseFloat(ethers.utils.formatEther(ethAmount));
+}
+
+/**
+ * Preview adding the V1 payout to the V2 WETH pair (same rules as router.addLiquidityETH)
+ */
+async function previewMigration(
+  token: MigrationToken,
+  tokenAmount: ethers.BigNumber,
+  ethAmount: ethers.BigNumber,
+  chain: ChainContext,
+  provider: ethers.providers.Provider
+): Promise<MigrationPreview> {
+  const factory = new ethers.Contract(chain.contracts.FACTORY, CONTRACT_ABIS.FACTORY, provider);
+  const pairAddress: string = await factory.getPair(token.address, chain.weth);
+  const pairExists = pairAddress !== ethers.constants.AddressZero;
+
+  let reserveToken = ethers.constants.Zero;
+  let reserveEth = ethers.constants.Zero;
+  let totalSupply = ethers.constants.Zero;
+  if (pairExists) {
+    const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const [{ reserve0, reserve1 }, supply] = await Promise.all([pair.getReserves(), pair.totalSupply()]);
+    const tokenIsToken0 = token.address.toLowerCase() < chain.weth.toLowerCase();
+    [reserveToken, reserveEth] = tokenIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+    totalSupply = supply;
+  }
+
+  const { amountA: tokenUsed, amountB: ethUsed } = calculateOptimalLiquidityAmounts(
+    tokenAmount,
+    ethAmount,
+    reserveToken,
+    reserveEth
+  );
+  const liquidity: ethers.BigNumber = calculateLiquidityMinted(tokenUsed, ethUsed, reserveToken, reserveEth, totalSupply);
+  const supplyAfter = (totalSupply.isZero() ? MINIMUM_LIQUIDITY : totalSupply).add(liquidity);
+
+  const priceV1 = tokensPerEth(tokenAmount, ethAmount, token.decimals);
+  const priceV2 = reserveEth.isZero() ? null : tokensPerEth(reserveToken, reserveEth, token.decimals);
+
+  return {
+    pairAddress: pairExists ? pairAddress : null,
+    pairExists,
+    priceV1,
+    priceV2,
+    priceDifference: priceV2 === null ? null : (priceV2 / priceV1 - 1) * 100,
+    tokenUsed,
+    ethUsed,
+    tokenRefund: tokenAmount.sub(tokenUsed),
+    ethRefund: ethAmount.sub(ethUsed),
+    liquidity,
+    poolShare: parseFloat(ethers.utils.formatUnits(liquidity.mul(1000000).div(supplyAfter), 4)),
+  };
+}
+
+/**
+ * Read the V1 position of an account in one exchange (null without V1 LP tokens)
+ */
+async function loadV1Position(
+  tokenAddress: string,
+  owner: string,
+  chain: ChainContext,
+  provider: ethers.providers.Provider
+): Promise<V1Position | null> {
+  const factoryV1 = new ethers.Contract(chain.contracts.FACTORY_V1!, V1_FACTORY_ABI, provider);
+  const exchangeAddress: string = await factoryV1.getExchange(tokenAddress);
+  if (exchangeAddress === ethers.constants.AddressZero) {
+    return null;
+  }
+
+  const exchange = new ethers.Contract(exchangeAddress, V1_EXCHANGE_ABI, provider);
+  const liquidity: ethers.BigNumber = await exchange.balanceOf(owner);
+  if (liquidity.isZero()) {
+    return null;
+  }
+
+  const erc20 = new ethers.Contract(tokenAddress, CONTRACT_ABIS.ERC20, provider);
+  const [totalSupply, ethReserve, tokenReserve, metadata] = await Promise.all([
+    exchange.totalSupply(),
+    provider.getBalance(exchangeAddress),
+    erc20.balanceOf(exchangeAddress),
+    fetchTokenMetadata(tokenAddress, provider, chain.chainId),
+  ]);
+
+  const token: MigrationToken = {
+    address: ethers.utils.getAddress(tokenAddress),
+    symbol: metadata.symbol,
+    decimals: Number(metadata.decimals),
+  };
+  // Same rounding as V1 removeLiquidity
+  const ethAmount = liquidity.mul(ethReserve).div(totalSupply);
+  const tokenAmount = liquidity.mul(tokenReserve).div(totalSupply);
+
+  return {
+    token,
+    exchangeAddress,
+    liquidity,
+    totalSupply,
+    tokenAmount,
+    ethAmount,
+    preview: await previewMigration(token, tokenAmount, ethAmount, chain, provider),
+  };
+}
+
+/**
+ * Find the V1 liquidity of an account
+ * - Candidates: the first MAX_V1_TOKENS exchanges of the V1 factory + the chain's verified tokens
+ */
+export async function findV1Positions(
+  owner: string,
+  provider: ethers.providers.Provider
+): Promise<V1Position[]> {
+  const chain = await getMigrationChain(provider);
+
+  try {
+    const factoryV1 = new ethers.Contract(chain.contracts.FACTORY_V1!, V1_FACTORY_ABI, provider);
+    const tokenCount = Math.min((await factoryV1.tokenCount()).toNumber(), MAX_V1_TOKENS);
+    // V1 token IDs start at 1
+    const factoryTokens: string[] = await Promise.all(
+      Array.from({ length: tokenCount }, (_, index) => factoryV1.getTokenWithId(index + 1))
+    );
+
+    const candidates = new Map<string, string>();
+    [
+      ...factoryTokens,
+      ...Object.values(getTokensForChain(chain.chainId))
+        .filter(token => !isNativeToken(token))
+        .map(token => token.address),
+    ].forEach(address => candidates.set(address.toLowerCase(), address));
+
+    console.log(`🔎 Checking ${candidates.size} V1 exchanges for liquidity of ${owner}`);
+
+    const positions = (
+      await Promise.all(
+        [...candidates.values()].map(address => loadV1Position(address, owner, chain, provider))
+      )
+    ).filter((position): position is V1Position => position !== null);
+
+    console.log(`✅ Found ${positions.length} V1 positions`);
+    return positions;
+  } catch (error) {
+    console.error('❌ Failed to find V1 positions:', error);
+    throw new Error(`Failed to find V1 positions: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Check whether the migrator may move the whole V1 LP balance
+ */
+export async function needsV1Approval(
+  position: V1Position,
+  owner: string,
+  provider: ethers.providers.Provider
+): Promise<boolean> {
+  const chain = await getMigrationChain(provider);
+  const approval = await checkApproval(
+    position.exchangeAddress,
+    owner,
+    chain.contracts.MIGRATOR!,
+    position.liquidity,
+    provider
+  );
+  return approval.needsApproval;
+}
+
+/**
+ * Approve the migrator for the V1 LP balance of a position
+ * - Exactly the balance: migrate() transfers all of it, nothing is left approved afterwards
+ */
+export async function approveV1Liquidity(
+  position: V1Position,
+  signer: ethers.Signer
+): Promise<ethers.ContractReceipt | null> {
+  const chain = await getMigrationChain(signer.provider!);
+  return approveToken(position.exchangeAddress, chain.contracts.MIGRATOR!, position.liquidity, signer);
+}
+
+/**
+ * Migrate a V1 position to V2
+ * - Re-reads the position first (balance and reserves may have changed since the preview)
+ * - Minimums: the amounts the router adds to V2 minus slippageBps
+ * - The V2 deposit is recorded as cost basis (positions page)
+ */
+export async function migrateV1Liquidity(
+  position: V1Position,
+  options: MigrationOptions,
+  signer: ethers.Signer
+): Promise<{ position: V1Position; receipt: ethers.ContractReceipt }> {
+  if (!signer.provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+
+  const chain = await getMigrationChain(signer.provider);
+  const owner = await signer.getAddress();
+  const current = await loadV1Position(position.token.address, owner, chain, signer.provider);
+  if (!current) {
+    throw new Error(`No ${position.token.symbol} V1 liquidity to migrate`);
+  }
+
+  if (await needsV1Approval(current, owner, signer.provider)) {
+    await approveV1Liquidity(current, signer);
+  }
+
+  const amountTokenMin = applySlippage(current.preview.tokenUsed, options.slippageBps);
+  const amountETHMin = applySlippage(current.preview.ethUsed, options.slippageBps);
+
+  console.log('🚚 Migrating V1 liquidity:', {
+    token: current.token.address,
+    liquidity: current.liquidity.toString(),
+    amountTokenMin: amountTokenMin.toString(),
+    amountETHMin: amountETHMin.toString(),
+  });
+
+  const migrator = new ethers.Contract(chain.contracts.MIGRATOR!, UniswapV2MigratorABI.abi, signer);
+  const tx = await migrator.migrate(
+    current.token.address,
+    amountTokenMin,
+    amountETHMin,
+    options.recipient,
+    options.deadline
+  );
+
+  const summary = `Migrate ${current.token.symbol}/ETH liquidity to V2`;
+
+  console.log('⏳ Waiting for migration tx:', tx.hash);
+  const receipt = await trackTransaction(tx, { type: 'addLiquidity', summary }, signer.provider, options.onSubmitted);
+  console.log('✅ Liquidity migrated');
+
+  // Cost basis for the positions page - bookkeeping never fails the migration
+  await recordDeposit(receipt, options.recipient, signer.provider).catch(error =>
+    console.warn('⚠️ Could not record deposit:', error.message)
+  );
+
+  return { position: current, receipt };
+}
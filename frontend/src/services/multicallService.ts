@@ -0,0 +1,186 @@
+/**
+ * Multicall Service
+ * Batches read-only eth_calls through Multicall3 (aggregate3)
+ * - getMulticallProvider wraps a provider: contracts created with it batch their view calls transparently
+ * - Calls made on the same provider within one tick are sent as a single eth_call
+ * - Only plain calls (to + data, latest block) are batched, everything else goes straight to the provider
+ * - Falls back to one eth_call per call where Multicall3 isn't deployed (e.g. a hardhat node deployed
+ *   without it, see scripts/deploy-complete.js) or when a batch fails
+ * - A reverting call only fails its own caller, with the same revert data as a direct eth_call
+ */
+
+import { ethers } from 'ethers';
+import { getNetworkByChainId } from '../config/contracts';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+const logger = new ethers.utils.Logger('multicall');
+
+// Calls per aggregate3 (keeps each eth_call below the gas and payload limits of public RPCs)
+const MAX_CALLS_PER_BATCH = 100;
+
+interface QueuedCall {
+  target: string;
+  callData: string;
+  resolve: (result: string) => void;
+  reject: (error: Error) => void;
+}
+
+// Calls waiting for the end of the tick, per provider
+const queues = new WeakMap<ethers.providers.Provider, QueuedCall[]>();
+
+// Multicall3 address of each chain, null where it has no code (checked once per chain)
+const multicallAddresses = new Map<number, Promise<string | null>>();
+
+// Batching wrapper of each provider (stable identity for hook dependencies)
+const wrappedProviders = new WeakMap<ethers.providers.Provider, ethers.providers.Provider>();
+
+// Marks wrappers, so wrapping twice returns the same wrapper
+const WRAPPED = Symbol('multicall');
+
+// Helper function to get the usable Multicall3 address of the provider's chain
+function resolveMulticallAddress(provider: ethers.providers.Provider): Promise<string | null> {
+  return provider.getNetwork().then(({ chainId }) => {
+    if (!multicallAddresses.has(chainId)) {
+      const address = getNetworkByChainId(chainId)?.contracts.MULTICALL || null;
+
+      const check = !address
+        ? Promise.resolve(null)
+        : provider.getCode(address).then(code => {
+          if (code === '0x') {
+            console.warn(`⚠️ Multicall3 has no code on chain ${chainId} (${address}), reads are sent one by one`);
+            return null;
+          }
+          return address;
+        });
+
+      // A failed code check is retried on the next batch
+      multicallAddresses.set(chainId, check.catch(() => {
+        multicallAddresses.delete(chainId);
+        return null;
+      }));
+    }
+
+    return multicallAddresses.get(chainId)!;
+  });
+}
+
+// Helper function to send a call on its own (fallback)
+function sendSingle(provider: ethers.providers.Provider, call: QueuedCall): void {
+  provider.call({ to: call.target, data: call.callData }).then(call.resolve, call.reject);
+}
+
+// Helper function to settle a call from its aggregate3 result
+// Mirrors JsonRpcProvider.call: revert data is returned (the contract decodes the reason), an empty revert throws
+function settleCall(call: QueuedCall, success: boolean, returnData: string): void {
+  if (success || returnData !== '0x') {
+    call.resolve(returnData);
+    return;
+  }
+
+  call.reject(logger.makeError(
+    'missing revert data in call exception; Transaction reverted without a reason string',
+    ethers.utils.Logger.errors.CALL_EXCEPTION,
+    { data: '0x', transaction: { to: call.target, data: call.callData } }
+  ));
+}
+
+// Helper function to send one aggregate3 batch
+async function sendBatch(provider: ethers.providers.Provider, multicall: string, calls: QueuedCall[]): Promise<void> {
+  try {
+    const data = multicallInterface.encodeFunctionData('aggregate3', [
+      calls.map(call => ({ target: call.target, allowFailure: true, callData: call.callData })),
+    ]);
+    const raw = await provider.call({ to: multicall, data });
+    const [results] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+
+    calls.forEach((call, index) => settleCall(call, results[index].success, results[index].returnData));
+  } catch (error) {
+    console.warn(`⚠️ Multicall batch of ${calls.length} calls failed, sending them one by one:`, (error as Error).message);
+    calls.forEach(call => sendSingle(provider, call));
+  }
+}
+
+// Helper function to send the calls queued during the last tick
+async function flushQueue(provider: ethers.providers.Provider): Promise<void> {
+  const calls = queues.get(provider) || [];
+  queues.delete(provider);
+
+  const multicall = await resolveMulticallAddress(provider).catch(() => null);
+
+  // Nothing to batch with a single call
+  if (!multicall || calls.length === 1) {
+    calls.forEach(call => sendSingle(provider, call));
+    return;
+  }
+
+  for (let i = 0; i < calls.length; i += MAX_CALLS_PER_BATCH) {
+    sendBatch(provider, multicall, calls.slice(i, i + MAX_CALLS_PER_BATCH));
+  }
+}
+
+// Helper function to queue a call for the batch of the current tick
+function queueCall(provider: ethers.providers.Provider, target: string, callData: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let queue = queues.get(provider);
+    if (!queue) {
+      queue = [];
+      queues.set(provider, queue);
+      setTimeout(() => flushQueue(provider), 0);
+    }
+    queue.push({ target, callData, resolve, reject });
+  });
+}
+
+// Helper function to check that a call can go through aggregate3 (no from, value, gas or past block)
+function isBatchable(transaction: ethers.providers.TransactionRequest, blockTag?: ethers.providers.BlockTag): boolean {
+  const fields = Object.keys(transaction).filter(key => transaction[key] != null);
+  return (
+    (blockTag == null || blockTag === 'latest') &&
+    fields.every(key => key === 'to' || key === 'data') &&
+    ethers.utils.isAddress(transaction.to || '') &&
+    !!transaction.data
+  );
+}
+
+/**
+ * Get a provider that batches its eth_calls through Multicall3
+ * - Everything except call() is the wrapped provider's (signers, events, getBalance...)
+ * - The same wrapper is returned for the same provider
+ * @param provider - Provider to wrap
+ */
+export function getMulticallProvider<T extends ethers.providers.Provider>(provider: T): T {
+  if (provider[WRAPPED]) {
+    return provider;
+  }
+
+  if (!wrappedProviders.has(provider)) {
+    const call = async (
+      transaction: ethers.utils.Deferrable<ethers.providers.TransactionRequest>,
+      blockTag?: ethers.providers.BlockTag | Promise<ethers.providers.BlockTag>
+    ): Promise<string> => {
+      const [resolved, resolvedBlockTag] = await Promise.all([ethers.utils.resolveProperties(transaction), blockTag]);
+      if (!isBatchable(resolved, resolvedBlockTag)) {
+        return provider.call(resolved, resolvedBlockTag);
+      }
+      return queueCall(provider, ethers.utils.getAddress(resolved.to!), ethers.utils.hexlify(resolved.data!));
+    };
+
+    wrappedProviders.set(provider, new Proxy(provider, {
+      get(target, property) {
+        if (property === WRAPPED) return true;
+        if (property === 'call') return call;
+
+        // Methods are bound to the real provider, its own internal calls don't go through the batching
+        const value = Reflect.get(target, property, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+    }));
+  }
+
+  return wrappedProviders.get(provider) as T;
+}
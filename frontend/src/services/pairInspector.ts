@@ -0,0 +1,257 @@
+/**
+ * Pair Inspector
+ * Reads the full on-chain state of any pair of the configured factory
+ * - Pair from two tokens or from a pasted pair address
+ * - CREATE2 address (computePairAddress) vs factory.getPair
+ * - Reserves, kLast, price cumulatives, last block timestamp, LP supply
+ * - Quote table: local constant product math vs router.getAmountsOut
+ */
+
+import { ethers } from 'ethers';
+import { getAddressForRouting } from '../constants/tokens';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import { computePairAddress, getAmountOut, calculatePriceImpact } from '../utils/calculations';
+import { fetchTokenMetadata } from './factoryPairSource';
+
+export interface InspectedToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+export interface PairInspection {
+  chainId: number;
+  factory: string;
+  router: string;
+  // false if the factory has no pair for the tokens
+  exists: boolean;
+  factoryPair: string;
+  computedPair: string;
+  // CREATE2 address from the configured init code hash equals factory.getPair
+  addressMatches: boolean;
+  // Pasted pair address that is not the factory's pair for its own tokens (foreign factory)
+  pastedMismatch: boolean;
+  token0: InspectedToken;
+  token1: InspectedToken;
+  reserve0: ethers.BigNumber;
+  reserve1: ethers.BigNumber;
+  blockTimestampLast: number;
+  kLast: ethers.BigNumber;
+  currentK: ethers.BigNumber;
+  price0CumulativeLast: ethers.BigNumber;
+  price1CumulativeLast: ethers.BigNumber;
+  totalSupply: ethers.BigNumber;
+  // Spot prices (token1 per token0 and token0 per token1)
+  price0: number;
+  price1: number;
+}
+
+export interface QuoteRow {
+  amountIn: ethers.BigNumber;
+  // Share of the input reserve, in percent
+  reserveShare: number;
+  localOut: ethers.BigNumber | null;
+  routerOut: ethers.BigNumber | null;
+  priceImpact: string | null;
+  matches: boolean;
+  error?: string;
+}
+
+// Trade sizes of the quote table, in percent of the input reserve
+const QUOTE_SIZES = [0.01, 0.1, 1, 5, 10, 50];
+
+// Helper function to read decimals/symbol of a pair token
+async function readToken(
+  address: string,
+  provider: ethers.providers.Provider,
+  chainId: number
+): Promise<InspectedToken> {
+  const metadata = await fetchTokenMetadata(address, provider, chainId);
+  return {
+    address: ethers.utils.getAddress(address),
+    symbol: metadata.symbol,
+    decimals: Number(metadata.decimals),
+  };
+}
+
+/**
+ * Inspect a pair
+ * - tokenA + tokenB: the factory's pair of the tokens (native ETH is routed as WETH)
+ * - pairAddress: reads the tokens from the pair, then checks it against the factory
+ */
+export async function inspectPair(
+  params: { tokenA?: string; tokenB?: string; pairAddress?: string },
+  provider: ethers.providers.Provider
+): Promise<PairInspection> {
+  try {
+    const chain = await getProviderChainContext(provider);
+    const factory = new ethers.Contract(chain.contracts.FACTORY, CONTRACT_ABIS.FACTORY, provider);
+
+    let tokenA: string;
+    let tokenB: string;
+    let pastedPair: string | null = null;
+
+    if (params.pairAddress) {
+      if (!ethers.utils.isAddress(params.pairAddress)) {
+        throw new Error(`Invalid pair address: ${params.pairAddress}`);
+      }
+      pastedPair = ethers.utils.getAddress(params.pairAddress);
+      if ((await provider.getCode(pastedPair)) === '0x') {
+        throw new Error(`No contract at ${pastedPair}`);
+      }
+      const pasted = new ethers.Contract(pastedPair, CONTRACT_ABIS.PAIR, provider);
+      [tokenA, tokenB] = await Promise.all([pasted.token0(), pasted.token1()]);
+    } else if (params.tokenA && params.tokenB) {
+      tokenA = getAddressForRouting(params.tokenA, chain.weth);
+      tokenB = getAddressForRouting(params.tokenB, chain.weth);
+      if (!ethers.utils.isAddress(tokenA) || !ethers.utils.isAddress(tokenB)) {
+        throw new Error('Invalid token address');
+      }
+      if (tokenA.toLowerCase() === tokenB.toLowerCase()) {
+        throw new Error('Tokens must be different');
+      }
+    } else {
+      throw new Error('Two tokens or a pair address are required');
+    }
+
+    const factoryPair: string = await factory.getPair(tokenA, tokenB);
+    const computedPair = computePairAddress(chain.contracts.FACTORY, tokenA, tokenB, chain.initCodeHash);
+    const exists = factoryPair !== ethers.constants.AddressZero;
+    // The pasted contract is read even if this factory doesn't know it
+    const pairAddress = exists ? factoryPair : pastedPair;
+
+    const [sorted0, sorted1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+    const [token0, token1] = await Promise.all([
+      readToken(sorted0, provider, chain.chainId),
+      readToken(sorted1, provider, chain.chainId),
+    ]);
+
+    const base = {
+      chainId: chain.chainId,
+      factory: chain.contracts.FACTORY,
+      router: chain.contracts.ROUTER,
+      exists,
+      factoryPair,
+      computedPair,
+      addressMatches: exists && computedPair.toLowerCase() === factoryPair.toLowerCase(),
+      pastedMismatch: !!pastedPair && pastedPair.toLowerCase() !== factoryPair.toLowerCase(),
+      token0,
+      token1,
+    };
+
+    if (!pairAddress) {
+      const zero = ethers.constants.Zero;
+      return {
+        ...base,
+        reserve0: zero,
+        reserve1: zero,
+        blockTimestampLast: 0,
+        kLast: zero,
+        currentK: zero,
+        price0CumulativeLast: zero,
+        price1CumulativeLast: zero,
+        totalSupply: zero,
+        price0: 0,
+        price1: 0,
+      };
+    }
+
+    const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const [reserves, kLast, price0CumulativeLast, price1CumulativeLast, totalSupply] = await Promise.all([
+      pair.getReserves(),
+      pair.kLast(),
+      pair.price0CumulativeLast(),
+      pair.price1CumulativeLast(),
+      pair.totalSupply(),
+    ]);
+
+    const reserve0Units = parseFloat(ethers.utils.formatUnits(reserves.reserve0, token0.decimals));
+    const reserve1Units = parseFloat(ethers.utils.formatUnits(reserves.reserve1, token1.decimals));
+
+    console.log('🔍 Inspected pair:', pairAddress, `${token0.symbol}/${token1.symbol}`);
+
+    return {
+      ...base,
+      reserve0: reserves.reserve0,
+      reserve1: reserves.reserve1,
+      blockTimestampLast: reserves.blockTimestampLast,
+      kLast,
+      currentK: reserves.reserve0.mul(reserves.reserve1),
+      price0CumulativeLast,
+      price1CumulativeLast,
+      totalSupply,
+      price0: reserve0Units > 0 ? reserve1Units / reserve0Units : 0,
+      price1: reserve1Units > 0 ? reserve0Units / reserve1Units : 0,
+    };
+  } catch (error) {
+    console.error('❌ Pair inspection failed:', error);
+    throw new Error(`Failed to inspect pair: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Quote trades of several sizes through the inspected pair
+ * - Local: getAmountOut of utils/calculations with the inspected reserves
+ * - Router: router.getAmountsOut (reads the reserves itself, so state changes in between show up as a mismatch)
+ * @param zeroForOne - true to sell token0 for token1
+ */
+export async function buildQuoteTable(
+  inspection: PairInspection,
+  zeroForOne: boolean,
+  provider: ethers.providers.Provider
+): Promise<QuoteRow[]> {
+  const [tokenIn, tokenOut] = zeroForOne
+    ? [inspection.token0, inspection.token1]
+    : [inspection.token1, inspection.token0];
+  const [reserveIn, reserveOut] = zeroForOne
+    ? [inspection.reserve0, inspection.reserve1]
+    : [inspection.reserve1, inspection.reserve0];
+
+  if (!inspection.exists || reserveIn.isZero() || reserveOut.isZero()) {
+    return [];
+  }
+
+  const router = new ethers.Contract(inspection.router, CONTRACT_ABIS.ROUTER, provider);
+
+  return Promise.all(
+    QUOTE_SIZES.map(async reserveShare => {
+      // Percent scaled by 1e4 so that 0.01% is still an integer
+      const amountIn = reserveIn.mul(Math.round(reserveShare * 10000)).div(1000000);
+      if (amountIn.isZero()) {
+        return {
+          amountIn,
+          reserveShare,
+          localOut: null,
+          routerOut: null,
+          priceImpact: null,
+          matches: false,
+          error: 'Amount rounds to zero',
+        };
+      }
+
+      const localOut = getAmountOut(amountIn, reserveIn, reserveOut);
+      let priceImpact: string | null = null;
+      try {
+        priceImpact = calculatePriceImpact(amountIn, reserveIn, reserveOut);
+      } catch {
+        // Spot quote rounds to zero (dust trade)
+      }
+
+      try {
+        const amounts: ethers.BigNumber[] = await router.getAmountsOut(amountIn, [tokenIn.address, tokenOut.address]);
+        const routerOut = amounts[amounts.length - 1];
+        return { amountIn, reserveShare, localOut, routerOut, priceImpact, matches: routerOut.eq(localOut) };
+      } catch (error) {
+        return {
+          amountIn,
+          reserveShare,
+          localOut,
+          routerOut: null,
+          priceImpact,
+          matches: false,
+          error: (error as { reason?: string }).reason || (error as Error).message,
+        };
+      }
+    })
+  );
+}
@@ -1,43 +1,25 @@
 /**
- * Pair Service for Uniswap V3 on Arbitrum
- * Fetches pool/pair data from The Graph subgraph
+ * Pair Service for Uniswap V2-compatible DEXes
+ * Fetches pool/pair data from the connected chain's subgraph
+ * (or straight from the factory on chains without one, e.g. the local hardhat node)
  * Only validates liquidity between verified tokens
  */
 
-import { getTokenList, getTokenAddressMap } from '../constants/tokens';
-
-// SushiSwap V2 Arbitrum Subgraph Endpoints
-// Using SushiSwap since it's V2-compatible and has liquidity on Arbitrum
-// 
-// Option 1: Decentralized Network (Recommended for Production)
-const SUBGRAPH_URL_GATEWAY = import.meta.env.VITE_GRAPH_API_KEY
-  ? `https://gateway.thegraph.com/api/${import.meta.env.VITE_GRAPH_API_KEY}/subgraphs/id/8nFDCAztWfyKxwerneLpBW2NhEEDRLMqeP53w4GCn8bz`
-  : null;
-
-// Option 2: Direct Studio API (if you deployed your own)
-const SUBGRAPH_URL_STUDIO = import.meta.env.VITE_SUBGRAPH_STUDIO_URL || null;
-
-// Option 3: SushiSwap public endpoints for Arbitrum V2
-const FALLBACK_ENDPOINTS = [
-  'https://api.studio.thegraph.com/query/32073/sushiswap-arbitrum/v0.0.1',
-  'https://api.thegraph.com/subgraphs/name/sushi-v2/sushiswap-arbitrum',
-];
+import { getTokenAddressMap } from '../constants/tokens';
+import { NETWORK_CONFIG, getChainContext } from '../config/contracts';
+import { fetchFactoryPools } from './factoryPairSource';
 
 // Minimum liquidity threshold (in USD) to consider a pool as active
 const MIN_LIQUIDITY_USD = 1000;
 
-// Cache for pair data
-let pairMappingCache = null;
-let cacheTimestamp = null;
+// Cache for pair data, per chain ID: { mapping, timestamp }
+const pairMappingCache = new Map();
 const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes for better performance
 
 // Cache for individual pair queries
 const pairQueryCache = new Map();
 const PAIR_QUERY_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes for individual queries
 
-// Development mode flag
-const USE_MOCK_DATA = import.meta.env.VITE_USE_MOCK_POOLS === 'true';
-
 // Prefetch commonly traded pairs for instant loading
 const PRIORITY_PAIRS = [
   ['USDT', 'USDC'], // Most common stablecoin pair
@@ -46,18 +28,19 @@ const PRIORITY_PAIRS = [
   ['WETH', 'ARB'],
 ];
 
-// Request deduplication - prevent multiple simultaneous fetches
-let ongoingFetchPromise = null;
+// Request deduplication - prevent multiple simultaneous fetches (per chain ID)
+const ongoingFetches = new Map();
 
 // Priority tokens for instant loading
 const PRIORITY_TOKEN_SYMBOLS = ['USDT', 'USDC', 'WETH', 'ARB', 'DAI'];
 
 /**
  * Get priority token addresses from symbols
+ * @param {number} chainId - Chain whose token list is used
  * @returns {Array<string>} Array of priority token addresses
  */
-function getPriorityTokenAddresses() {
-  const tokenMap = getTokenAddressMap();
+function getPriorityTokenAddresses(chainId) {
+  const tokenMap = getTokenAddressMap(chainId);
   const priorityAddresses = [];
   
   PRIORITY_TOKEN_SYMBOLS.forEach(symbol => {
@@ -73,10 +56,11 @@ function getPriorityTokenAddresses() {
 /**
  * Build initial pair mapping with just priority pairs for instant loading
  * @param {Array} pools - All pools
+ * @param {number} chainId - Chain of the pools
  * @returns {Object} Minimal pair mapping with priority tokens
  */
-function buildPriorityPairMapping(pools) {
-  const priorityAddresses = getPriorityTokenAddresses();
+function buildPriorityPairMapping(pools, chainId) {
+  const priorityAddresses = getPriorityTokenAddresses(chainId);
   const priorityPools = pools.filter(pool => {
     const token0Lower = pool.token0.id.toLowerCase();
     const token1Lower = pool.token1.id.toLowerCase();
@@ -86,47 +70,6 @@ function buildPriorityPairMapping(pools) {
   return buildPairMapping(priorityPools);
 }
 
-/**
- * Mock pool data for development/testing
- * Represents common trading pairs on Arbitrum
- */
-function getMockPools() {
-  const { WETH, USDC, USDT, ARB, WBTC, DAI, LINK } = {
-    WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
-    USDC: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
-    USDT: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
-    ARB: '0x912CE59144191C1204E64559FE8253a0e49E6548',
-    WBTC: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f',
-    DAI: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
-    LINK: '0xf97f4df75117a78c1A5a0DBb814Af92458539FB4',
-  };
-
-  return [
-    // WETH pairs
-    { id: '1', token0: { id: WETH }, token1: { id: USDC }, totalValueLockedUSD: '50000000' },
-    { id: '2', token0: { id: WETH }, token1: { id: USDT }, totalValueLockedUSD: '30000000' },
-    { id: '3', token0: { id: WETH }, token1: { id: ARB }, totalValueLockedUSD: '20000000' },
-    { id: '4', token0: { id: WETH }, token1: { id: WBTC }, totalValueLockedUSD: '15000000' },
-    { id: '5', token0: { id: WETH }, token1: { id: DAI }, totalValueLockedUSD: '10000000' },
-    { id: '6', token0: { id: WETH }, token1: { id: LINK }, totalValueLockedUSD: '5000000' },
-    
-    // Stablecoin pairs
-    { id: '7', token0: { id: USDC }, token1: { id: USDT }, totalValueLockedUSD: '40000000' },
-    { id: '8', token0: { id: USDC }, token1: { id: DAI }, totalValueLockedUSD: '25000000' },
-    
-    // ARB pairs
-    { id: '9', token0: { id: ARB }, token1: { id: USDC }, totalValueLockedUSD: '18000000' },
-    { id: '10', token0: { id: ARB }, token1: { id: USDT }, totalValueLockedUSD: '12000000' },
-    
-    // WBTC pairs
-    { id: '11', token0: { id: WBTC }, token1: { id: USDC }, totalValueLockedUSD: '22000000' },
-    { id: '12', token0: { id: WBTC }, token1: { id: USDT }, totalValueLockedUSD: '8000000' },
-    
-    // LINK pairs
-    { id: '13', token0: { id: LINK }, token1: { id: USDC }, totalValueLockedUSD: '6000000' },
-  ];
-}
-
 /**
  * Fetch from a single endpoint with timeout
  * @param {Object} endpoint - Endpoint configuration
@@ -173,7 +116,7 @@ async function fetchFromEndpoint(endpoint, query, variables, timeout = 10000) {
       totalValueLockedUSD: pair.reserveUSD || pair.totalValueLockedUSD || '0'
     }));
     
-    return { success: true, pools: normalizedPools, endpoint: endpoint.name };
+    return { success: true, pools: normalizedPools, data: result.data, endpoint: endpoint.name };
   } catch (error) {
     clearTimeout(timeoutId);
     return { success: false, error: error.message, endpoint: endpoint.name };
@@ -181,17 +124,49 @@ async function fetchFromEndpoint(endpoint, query, variables, timeout = 10000) {
 }
 
 /**
- * Fetch pairs from SushiSwap V2 subgraph on Arbitrum
+ * Build the list of subgraph endpoints of a chain, most reliable first
+ * @param {Object} subgraph - Subgraph config of the chain (see config/contracts)
+ * @returns {Array<{url: string, name: string}>} Endpoints to try
+ */
+function getSubgraphEndpoints(subgraph) {
+  const endpoints = [];
+  
+  // Priority 1: Gateway with API key (most reliable)
+  if (subgraph.gatewayId && import.meta.env.VITE_GRAPH_API_KEY) {
+    endpoints.push({
+      url: `https://gateway.thegraph.com/api/${import.meta.env.VITE_GRAPH_API_KEY}/subgraphs/id/${subgraph.gatewayId}`,
+      name: 'Gateway (API Key)',
+    });
+  }
+  
+  // Priority 2: Studio endpoint (if configured)
+  if (subgraph.studioUrl) {
+    endpoints.push({ url: subgraph.studioUrl, name: 'Studio' });
+  }
+  
+  // Priority 3: Fallback public endpoints
+  (subgraph.fallbackEndpoints || []).forEach((url, idx) => {
+    endpoints.push({ url, name: `Fallback ${idx + 1}` });
+  });
+
+  return endpoints;
+}
+
+/**
+ * Fetch pairs from the chain's V2 subgraph (SushiSwap on Arbitrum)
  * 🚀 OPTIMIZED: Tries ALL endpoints IN PARALLEL for faster response
+ * Chains without a subgraph (the local hardhat node) read pairs from the factory
  * @param {number} first - Number of pairs to fetch
+ * @param {number} chainId - Chain to fetch pairs for (defaults to the active network)
  * @returns {Promise<Array>} Array of pair objects
  */
-export async function fetchPools(first = 300) {
-  // Use mock data for development if enabled
-  if (USE_MOCK_DATA) {
-    console.log('🔧 Using mock pool data for development');
-    await new Promise(resolve => setTimeout(resolve, 500)); // Simulate network delay
-    return getMockPools();
+export async function fetchPools(first = 300, chainId = NETWORK_CONFIG.chainId) {
+  const chain = getChainContext(chainId);
+
+  // No subgraph (local chain): enumerate the deployed factory
+  if (!chain.subgraph) {
+    console.log(`🏠 Using ${chain.name} factory pairs (factory.allPairs)`);
+    return fetchFactoryPools(chain, first);
   }
 
   // SushiSwap V2 uses "pairs" instead of "pools" and has different schema
@@ -224,23 +199,7 @@ export async function fetchPools(first = 300) {
     }
   `;
 
-  // Build list of endpoints to try
-  const endpoints = [];
-  
-  // Priority 1: Gateway with API key (most reliable)
-  if (SUBGRAPH_URL_GATEWAY) {
-    endpoints.push({ url: SUBGRAPH_URL_GATEWAY, name: 'Gateway (API Key)' });
-  }
-  
-  // Priority 2: Studio endpoint (if configured)
-  if (SUBGRAPH_URL_STUDIO) {
-    endpoints.push({ url: SUBGRAPH_URL_STUDIO, name: 'Studio' });
-  }
-  
-  // Priority 3: Fallback public endpoints
-  FALLBACK_ENDPOINTS.forEach((url, idx) => {
-    endpoints.push({ url, name: `Fallback ${idx + 1}` });
-  });
+  const endpoints = getSubgraphEndpoints(chain.subgraph);
 
   if (endpoints.length === 0) {
     throw new Error(
@@ -295,13 +254,40 @@ export async function fetchPools(first = 300) {
   }
 }
 
+/**
+ * Run a query against the chain's V2 subgraph (all endpoints in parallel, first success wins)
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {number} chainId - Chain whose subgraph is queried (defaults to the active network)
+ * @returns {Promise<Object>} Query data
+ */
+export async function querySubgraph(query, variables, chainId = NETWORK_CONFIG.chainId) {
+  const chain = getChainContext(chainId);
+  const endpoints = chain.subgraph ? getSubgraphEndpoints(chain.subgraph) : [];
+
+  if (endpoints.length === 0) {
+    throw new Error(`No subgraph endpoint configured for ${chain.name}`);
+  }
+
+  const results = await Promise.all(
+    endpoints.map(endpoint => fetchFromEndpoint(endpoint, query, variables, 10000))
+  );
+  const successfulResult = results.find(r => r.success);
+
+  if (!successfulResult) {
+    throw new Error(`All subgraph endpoints failed: ${results.map(r => `${r.endpoint}: ${r.error}`).join('; ')}`);
+  }
+  return successfulResult.data;
+}
+
 /**
  * Filter pools to only include verified tokens
  * @param {Array} pools - Array of pool objects from subgraph
+ * @param {number} chainId - Chain whose token list is used (defaults to the active network)
  * @returns {Array} Filtered pools containing only verified tokens
  */
-export function filterVerifiedPools(pools) {
-  const tokenMap = getTokenAddressMap();
+export function filterVerifiedPools(pools, chainId = NETWORK_CONFIG.chainId) {
+  const tokenMap = getTokenAddressMap(chainId);
   
   return pools.filter(pool => {
     const token0Lower = pool.token0.id.toLowerCase();
@@ -359,41 +345,53 @@ export function getSwappableTokens(tokenAddress, pairMapping) {
   return pairMapping[addressLower] || [];
 }
 
+/**
+ * Get the cached pair mapping of a chain if it is still fresh
+ * @param {number} chainId - Chain ID
+ * @returns {Object|null} Pair mapping or null
+ */
+function getFreshMapping(chainId) {
+  const cached = pairMappingCache.get(chainId);
+  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.mapping;
+  }
+  return null;
+}
+
 /**
  * Fetch and build pair mapping with caching and request deduplication
  * @param {boolean} forceRefresh - Force refresh cache
+ * @param {number} chainId - Chain to build the mapping for (defaults to the active network)
  * @returns {Promise<Object>} Pair mapping object
  */
-export async function fetchPairMapping(forceRefresh = false) {
+export async function fetchPairMapping(forceRefresh = false, chainId = NETWORK_CONFIG.chainId) {
   // 🚀 OPTIMIZATION: Request deduplication - prevent multiple simultaneous fetches
   // If a fetch is already in progress, return that promise instead of starting a new one
-  if (ongoingFetchPromise && !forceRefresh) {
+  if (ongoingFetches.has(chainId) && !forceRefresh) {
     console.log('⏳ Using ongoing fetch request (deduplication)');
-    return ongoingFetchPromise;
+    return ongoingFetches.get(chainId);
   }
 
   // Return cached data if available and fresh
-  if (!forceRefresh && pairMappingCache && cacheTimestamp) {
-    const age = Date.now() - cacheTimestamp;
-    if (age < CACHE_DURATION) {
-      console.log('✅ Using cached pair mapping (fresh)');
-      return pairMappingCache;
-    }
+  const fresh = forceRefresh ? null : getFreshMapping(chainId);
+  if (fresh) {
+    console.log('✅ Using cached pair mapping (fresh)');
+    return fresh;
   }
   
   // Start new fetch
-  ongoingFetchPromise = (async () => {
+  const fetchPromise = (async () => {
     try {
       console.log('⚡ Fetching pools from subgraph (optimized with parallel requests)...');
       const startTime = Date.now();
       
       // Fetch pools from subgraph with reduced count for faster loading
-      const pools = await fetchPools(300);
+      const pools = await fetchPools(300, chainId);
       const fetchTime = Date.now() - startTime;
       console.log(`✅ Fetched ${pools.length} pools in ${fetchTime}ms`);
       
       // Filter to only include verified tokens
-      const verifiedPools = filterVerifiedPools(pools);
+      const verifiedPools = filterVerifiedPools(pools, chainId);
       console.log(`✅ Found ${verifiedPools.length} pools with verified tokens`);
       
       // Build pair mapping
@@ -406,36 +404,35 @@ export async function fetchPairMapping(forceRefresh = false) {
       console.log(`⏱️  Total time: ${Date.now() - startTime}ms`);
       
       // Update cache
-      pairMappingCache = mapping;
-      cacheTimestamp = Date.now();
+      pairMappingCache.set(chainId, { mapping, timestamp: Date.now() });
       
       return mapping;
     } catch (error) {
       console.error('❌ Failed to fetch pair mapping:', error);
       
       // Return cached data if available, even if stale
-      if (pairMappingCache) {
+      if (pairMappingCache.has(chainId)) {
         console.warn('⚠️  Using stale cached data due to fetch error');
-        return pairMappingCache;
+        return pairMappingCache.get(chainId).mapping;
       }
       
       throw error;
     } finally {
       // Clear ongoing promise
-      ongoingFetchPromise = null;
+      ongoingFetches.delete(chainId);
     }
   })();
 
-  return ongoingFetchPromise;
+  ongoingFetches.set(chainId, fetchPromise);
+  return fetchPromise;
 }
 
 /**
- * Clear the pair mapping cache
+ * Clear the pair mapping cache (all chains)
  */
 export function clearPairMappingCache() {
-  pairMappingCache = null;
-  cacheTimestamp = null;
-  ongoingFetchPromise = null;
+  pairMappingCache.clear();
+  ongoingFetches.clear();
   console.log('Pair mapping cache cleared');
 }
 
@@ -444,19 +441,22 @@ export function clearPairMappingCache() {
  * Returns priority pairs immediately while full data loads in background
  * @param {Function} onPriorityLoaded - Callback when priority pairs are ready
  * @param {Function} onFullyLoaded - Callback when all pairs are ready
+ * @param {number} chainId - Chain to build the mapping for (defaults to the active network)
  * @returns {Promise<Object>} Full pair mapping
  */
-export async function fetchPairMappingProgressive(onPriorityLoaded, onFullyLoaded) {
+export async function fetchPairMappingProgressive(
+  onPriorityLoaded,
+  onFullyLoaded,
+  chainId = NETWORK_CONFIG.chainId
+) {
   // Check cache first
-  if (pairMappingCache && cacheTimestamp) {
-    const age = Date.now() - cacheTimestamp;
-    if (age < CACHE_DURATION) {
-      console.log('✅ Using cached pair mapping (fresh)');
-      // Call both callbacks immediately with cached data
-      if (onPriorityLoaded) onPriorityLoaded(pairMappingCache);
-      if (onFullyLoaded) onFullyLoaded(pairMappingCache);
-      return pairMappingCache;
-    }
+  const fresh = getFreshMapping(chainId);
+  if (fresh) {
+    console.log('✅ Using cached pair mapping (fresh)');
+    // Call both callbacks immediately with cached data
+    if (onPriorityLoaded) onPriorityLoaded(fresh);
+    if (onFullyLoaded) onFullyLoaded(fresh);
+    return fresh;
   }
 
   try {
@@ -464,15 +464,15 @@ export async function fetchPairMappingProgressive(onPriorityLoaded, onFullyLoade
     const startTime = Date.now();
     
     // Fetch all pools
-    const pools = await fetchPools(300);
+    const pools = await fetchPools(300, chainId);
     console.log(`✅ Fetched ${pools.length} pools in ${Date.now() - startTime}ms`);
     
     // Filter verified pools
-    const verifiedPools = filterVerifiedPools(pools);
+    const verifiedPools = filterVerifiedPools(pools, chainId);
     
     // 🚀 Build and return priority pairs FIRST for instant UI feedback
     if (onPriorityLoaded) {
-      const priorityMapping = buildPriorityPairMapping(verifiedPools);
+      const priorityMapping = buildPriorityPairMapping(verifiedPools, chainId);
       console.log(`⚡ Priority pairs ready: ${Object.keys(priorityMapping).length} tokens`);
       onPriorityLoaded(priorityMapping);
     }
@@ -484,8 +484,7 @@ export async function fetchPairMappingProgressive(onPriorityLoaded, onFullyLoade
     console.log(`⏱️  Total time: ${Date.now() - startTime}ms`);
     
     // Update cache
-    pairMappingCache = fullMapping;
-    cacheTimestamp = Date.now();
+    pairMappingCache.set(chainId, { mapping: fullMapping, timestamp: Date.now() });
     
     // Notify full load complete
     if (onFullyLoaded) onFullyLoaded(fullMapping);
@@ -495,11 +494,12 @@ export async function fetchPairMappingProgressive(onPriorityLoaded, onFullyLoade
     console.error('❌ Failed progressive fetch:', error);
     
     // Return cached data if available
-    if (pairMappingCache) {
+    if (pairMappingCache.has(chainId)) {
+      const stale = pairMappingCache.get(chainId).mapping;
       console.warn('⚠️  Using stale cached data');
-      if (onPriorityLoaded) onPriorityLoaded(pairMappingCache);
-      if (onFullyLoaded) onFullyLoaded(pairMappingCache);
-      return pairMappingCache;
+      if (onPriorityLoaded) onPriorityLoaded(stale);
+      if (onFullyLoaded) onFullyLoaded(stale);
+      return stale;
     }
     
     throw error;
@@ -508,13 +508,15 @@ export async function fetchPairMappingProgressive(onPriorityLoaded, onFullyLoade
 
 /**
  * Get cache status
+ * @param {number} chainId - Chain ID (defaults to the active network)
  */
-export function getCacheStatus() {
-  if (!pairMappingCache || !cacheTimestamp) {
+export function getCacheStatus(chainId = NETWORK_CONFIG.chainId) {
+  const cached = pairMappingCache.get(chainId);
+  if (!cached) {
     return { cached: false, age: 0 };
   }
   
-  const age = Date.now() - cacheTimestamp;
+  const age = Date.now() - cached.timestamp;
   return {
     cached: true,
     age,
@@ -0,0 +1,163 @@
+/**
+ * Position Service
+ * Finds the pairs an account holds LP tokens of and values the positions
+ * - Discovery: subgraph liquidityPositions, or the balances of the chain's pairs
+ *   (factory pairs on the local node, subgraph pair list otherwise)
+ * - Underlying amounts use calculateLiquidityShare with on-chain reserves
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import type { ChainContext } from '../config/contracts';
+import { calculateLiquidityShare } from '../utils/calculations';
+import { fetchPools, querySubgraph } from './pairService';
+import { fetchTokenMetadata } from './factoryPairSource';
+import { fetchTokenPrices } from './priceService';
+
+export interface PositionToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+export interface LpPosition {
+  pairAddress: string;
+  token0: PositionToken;
+  token1: PositionToken;
+  balance: ethers.BigNumber;
+  totalSupply: ethers.BigNumber;
+  reserve0: ethers.BigNumber;
+  reserve1: ethers.BigNumber;
+  // Tokens the LP balance can be redeemed for
+  amount0: ethers.BigNumber;
+  amount1: ethers.BigNumber;
+  // Percent of the pool
+  poolShare: number;
+  // USD prices of the tokens, null if a token has no price
+  price0Usd: number | null;
+  price1Usd: number | null;
+  // null if a token has no price
+  valueUsd: number | null;
+}
+
+// Number of pairs whose balances are checked when the subgraph can't list positions
+const MAX_SCANNED_PAIRS = 300;
+
+/**
+ * Pairs with an LP balance according to the subgraph (null if it can't tell)
+ */
+async function fetchSubgraphPositionPairs(owner: string, chain: ChainContext): Promise<string[] | null> {
+  if (!chain.subgraph) return null;
+
+  try {
+    const data = await querySubgraph(
+      `query Positions($user: String!) {
+        liquidityPositions(where: { user: $user, liquidityTokenBalance_gt: "0" }) { pair { id } }
+      }`,
+      { user: owner.toLowerCase() },
+      chain.chainId
+    );
+    return (data?.liquidityPositions || []).map((position: { pair: { id: string } }) => position.pair.id);
+  } catch (error) {
+    console.warn('⚠️ Subgraph positions unavailable, scanning pairs:', (error as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Candidate pairs of the chain (lowercase addresses)
+ */
+async function fetchCandidatePairs(owner: string, chain: ChainContext): Promise<string[]> {
+  const fromSubgraph = await fetchSubgraphPositionPairs(owner, chain);
+  if (fromSubgraph) return fromSubgraph;
+
+  const pools = await fetchPools(MAX_SCANNED_PAIRS, chain.chainId);
+  return pools.map((pool: { id: string }) => pool.id);
+}
+
+/**
+ * Read one position (null if the account holds none of the pair's LP tokens)
+ */
+async function readPosition(
+  pairAddress: string,
+  owner: string,
+  chain: ChainContext,
+  provider: ethers.providers.Provider
+): Promise<LpPosition | null> {
+  const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+  const balance: ethers.BigNumber = await pair.balanceOf(owner).catch(() => ethers.constants.Zero);
+  if (balance.isZero()) return null;
+
+  const [token0Address, token1Address, reserves, totalSupply] = await Promise.all([
+    pair.token0(),
+    pair.token1(),
+    pair.getReserves(),
+    pair.totalSupply(),
+  ]);
+  const [metadata0, metadata1] = await Promise.all([
+    fetchTokenMetadata(token0Address, provider, chain.chainId),
+    fetchTokenMetadata(token1Address, provider, chain.chainId),
+  ]);
+
+  return {
+    pairAddress: ethers.utils.getAddress(pairAddress),
+    token0: { address: token0Address, symbol: metadata0.symbol, decimals: Number(metadata0.decimals) },
+    token1: { address: token1Address, symbol: metadata1.symbol, decimals: Number(metadata1.decimals) },
+    balance,
+    totalSupply,
+    reserve0: reserves.reserve0,
+    reserve1: reserves.reserve1,
+    amount0: calculateLiquidityShare(balance, totalSupply, reserves.reserve0),
+    amount1: calculateLiquidityShare(balance, totalSupply, reserves.reserve1),
+    // Millionths of the supply, as percent with 4 decimals
+    poolShare: balance.mul(1000000).div(totalSupply).toNumber() / 10000,
+    price0Usd: null,
+    price1Usd: null,
+    valueUsd: null,
+  };
+}
+
+/**
+ * Find the LP positions of an account on the provider's chain
+ * @param withValues - also price the underlying tokens in USD (priceService)
+ */
+export async function findLpPositions(
+  owner: string,
+  provider: ethers.providers.Provider,
+  withValues: boolean = true
+): Promise<LpPosition[]> {
+  try {
+    const chain = await getProviderChainContext(provider);
+    const candidates = await fetchCandidatePairs(owner, chain);
+
+    console.log(`🔎 Checking ${candidates.length} pairs for LP positions`);
+    const positions = (await Promise.all(
+      candidates.map(pairAddress => readPosition(pairAddress, owner, chain, provider))
+    )).filter((position): position is LpPosition => position !== null);
+
+    if (withValues && positions.length > 0) {
+      const prices = await fetchTokenPrices(
+        positions.flatMap(position => [position.token0.address, position.token1.address]),
+        chain.chainId
+      );
+
+      positions.forEach(position => {
+        const price0 = prices.get(position.token0.address.toLowerCase());
+        const price1 = prices.get(position.token1.address.toLowerCase());
+        position.price0Usd = price0 || null;
+        position.price1Usd = price1 || null;
+        if (price0 && price1) {
+          position.valueUsd =
+            parseFloat(ethers.utils.formatUnits(position.amount0, position.token0.decimals)) * price0 +
+            parseFloat(ethers.utils.formatUnits(position.amount1, position.token1.decimals)) * price1;
+        }
+      });
+    }
+
+    console.log(`✅ Found ${positions.length} LP positions`);
+    return positions.sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+  } catch (error) {
+    console.error('❌ Failed to load LP positions:', error);
+    throw new Error(`Failed to load LP positions: ${(error as Error).message}`);
+  }
+}
@@ -0,0 +1,411 @@
+/**
+ * Position Tracker
+ * Cost basis of LP positions (localStorage, keyed by chain and account) and their performance
+ * - Deposits are recorded from the pair's Mint/Sync events in addLiquidity receipts
+ * - Removals (Burn events) shrink the basis proportionally (average cost)
+ * - Performance: current value vs. HODL value, impermanent loss and fee growth
+ *   (sqrt(k) per LP token now vs. at deposit)
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import { computeLiquidityValue, getLiquidityValueAfterArbitrageToPrice } from '../utils/calculations';
+import { fetchTokenPrices } from './priceService';
+import type { LpPosition } from './positionService';
+
+export interface PositionBasis {
+  pairAddress: string;
+  // Deposited amounts still attributed to the tracked LP tokens
+  amount0: string;
+  amount1: string;
+  // LP tokens minted by the recorded deposits (minus removals)
+  liquidity: string;
+  // Liquidity-weighted sqrt(reserve0 * reserve1) / totalSupply at the deposits
+  rootKPerLiquidity: number;
+  // USD value at the time of the deposits, null if a token had no price
+  valueUsd: number | null;
+  deposits: number;
+  firstDepositAt: number;
+  updatedAt: number;
+}
+
+export interface PositionPerformance {
+  // LP tokens covered by a recorded deposit (transfers in are not tracked)
+  trackedLiquidity: ethers.BigNumber;
+  isPartiallyTracked: boolean;
+  hodlAmount0: ethers.BigNumber;
+  hodlAmount1: ethers.BigNumber;
+  // Redeemable amounts after arbitrage to the USD price (pool reserves without prices)
+  currentAmount0: ethers.BigNumber;
+  currentAmount1: ethers.BigNumber;
+  depositValueUsd: number | null;
+  hodlValueUsd: number | null;
+  currentValueUsd: number | null;
+  feesValueUsd: number | null;
+  // Percentages; current vs. HODL is split into impermanent loss and fees
+  netVsHodl: number;
+  impermanentLoss: number;
+  feeGrowth: number;
+  firstDepositAt: number;
+}
+
+type Listener = () => void;
+
+const STORAGE_KEY_PREFIX = 'lp_basis:';
+
+const memoryStore = new Map<string, Record<string, PositionBasis>>();
+const listeners = new Set<Listener>();
+
+const pairInterface = new ethers.utils.Interface(CONTRACT_ABIS.PAIR);
+
+const MINT_TOPIC = pairInterface.getEventTopic('Mint');
+const BURN_TOPIC = pairInterface.getEventTopic('Burn');
+const SYNC_TOPIC = pairInterface.getEventTopic('Sync');
+const TRANSFER_TOPIC = pairInterface.getEventTopic('Transfer');
+
+function storageKey(chainId: number, account: string): string {
+  return `${STORAGE_KEY_PREFIX}${chainId}:${account.toLowerCase()}`;
+}
+
+function readBases(chainId: number, account: string): Record<string, PositionBasis> {
+  const key = storageKey(chainId, account);
+
+  if (memoryStore.has(key)) {
+    return memoryStore.get(key)!;
+  }
+
+  let bases: Record<string, PositionBasis> = {};
+  try {
+    const stored = localStorage.getItem(key);
+    if (stored) {
+      bases = JSON.parse(stored);
+    }
+  } catch (error) {
+    console.warn('⚠️ Failed to read LP cost basis:', (error as Error).message);
+  }
+
+  memoryStore.set(key, bases);
+  return bases;
+}
+
+function writeBases(chainId: number, account: string, bases: Record<string, PositionBasis>): void {
+  const key = storageKey(chainId, account);
+  memoryStore.set(key, bases);
+
+  try {
+    localStorage.setItem(key, JSON.stringify(bases));
+  } catch (error) {
+    // Memory copy still works for this session
+    console.warn('⚠️ Failed to persist LP cost basis:', (error as Error).message);
+  }
+
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Subscribe to cost basis changes
+ * @returns unsubscribe function
+ */
+export function subscribePositionBasis(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Get the recorded cost basis of a pair (null if no deposit was recorded)
+ */
+export function getPositionBasis(chainId: number, account: string, pairAddress: string): PositionBasis | null {
+  return readBases(chainId, account)[pairAddress.toLowerCase()] || null;
+}
+
+/**
+ * Raw amount as a float (enough precision for ratios and display)
+ */
+function toFloat(amount: ethers.BigNumberish): number {
+  return parseFloat(ethers.BigNumber.from(amount).toString());
+}
+
+/**
+ * sqrt(k) per LP token
+ */
+function rootKPerLiquidity(
+  reserve0: ethers.BigNumberish,
+  reserve1: ethers.BigNumberish,
+  totalSupply: ethers.BigNumberish
+): number {
+  return Math.sqrt(toFloat(reserve0) * toFloat(reserve1)) / toFloat(totalSupply);
+}
+
+/**
+ * Protocol fee liquidity the pair would mint on the next mint/burn (float)
+ * - Same formula as UniswapV2Pair._mintFee: supply * (rootK - rootKLast) / (5 * rootK + rootKLast)
+ */
+function pendingFeeLiquidity(reserve0: number, reserve1: number, totalSupply: number, kLast: number): number {
+  if (kLast <= 0) return 0;
+  const rootK = Math.sqrt(reserve0 * reserve1);
+  const rootKLast = Math.sqrt(kLast);
+  if (rootK <= rootKLast) return 0;
+  return (totalSupply * (rootK - rootKLast)) / (rootK * 5 + rootKLast);
+}
+
+/**
+ * USD price as an integer true price for the liquidity math (18 decimals of the price kept)
+ * - truePrice0 / truePrice1 is the ratio reserve0 / reserve1 of a pair at the USD price:
+ *   truePrice0 = price1 * 10^decimals0, truePrice1 = price0 * 10^decimals1
+ */
+function toTruePrice(priceUsd: number, decimals: number): ethers.BigNumber {
+  return ethers.utils.parseUnits(priceUsd.toFixed(18), 18 + decimals);
+}
+
+/**
+ * Record the deposit of an addLiquidity receipt
+ * - Amounts from the pair's Mint event, reserves after the mint from its Sync event
+ * - LP tokens: pair Transfer from the zero address to the recipient
+ * - USD prices are those at confirmation (priceService)
+ */
+export async function recordDeposit(
+  receipt: ethers.providers.TransactionReceipt,
+  recipient: string,
+  provider: ethers.providers.Provider
+): Promise<PositionBasis | null> {
+  const mintLog = receipt.logs.find(log => log.topics[0] === MINT_TOPIC);
+  if (!mintLog) {
+    console.warn('⚠️ No Mint event in receipt, deposit not recorded:', receipt.transactionHash);
+    return null;
+  }
+
+  const pairLogs = receipt.logs.filter(log => log.address.toLowerCase() === mintLog.address.toLowerCase());
+  const syncLog = pairLogs.filter(log => log.topics[0] === SYNC_TOPIC).pop();
+  const minted = pairLogs
+    .filter(log => log.topics[0] === TRANSFER_TOPIC)
+    .map(log => pairInterface.parseLog(log).args)
+    .filter(args =>
+      args.from === ethers.constants.AddressZero &&
+      args.to.toLowerCase() === recipient.toLowerCase()
+    )
+    .reduce((sum, args) => sum.add(args.value), ethers.constants.Zero);
+
+  if (!syncLog || minted.isZero()) {
+    console.warn('⚠️ Incomplete Mint receipt, deposit not recorded:', receipt.transactionHash);
+    return null;
+  }
+
+  const chain = await getProviderChainContext(provider);
+  const pair = new ethers.Contract(mintLog.address, CONTRACT_ABIS.PAIR, provider);
+  const { amount0, amount1 } = pairInterface.parseLog(mintLog).args;
+  const { reserve0, reserve1 } = pairInterface.parseLog(syncLog).args;
+
+  const [token0, token1, totalSupply] = await Promise.all([
+    pair.token0(),
+    pair.token1(),
+    // Supply right after the mint; latest if the node has no state for the block
+    pair.totalSupply({ blockTag: receipt.blockNumber }).catch(() => pair.totalSupply()),
+  ]);
+
+  let valueUsd: number | null = null;
+  try {
+    const [metadata0, metadata1] = await Promise.all([
+      new ethers.Contract(token0, CONTRACT_ABIS.ERC20, provider).decimals(),
+      new ethers.Contract(token1, CONTRACT_ABIS.ERC20, provider).decimals(),
+    ]);
+    const prices = await fetchTokenPrices([token0, token1], chain.chainId);
+    const price0 = prices.get(token0.toLowerCase());
+    const price1 = prices.get(token1.toLowerCase());
+    if (price0 && price1) {
+      valueUsd =
+        parseFloat(ethers.utils.formatUnits(amount0, metadata0)) * price0 +
+        parseFloat(ethers.utils.formatUnits(amount1, metadata1)) * price1;
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not price deposit:', (error as Error).message);
+  }
+
+  const bases = { ...readBases(chain.chainId, recipient) };
+  const key = mintLog.address.toLowerCase();
+  const previous = bases[key];
+  const previousLiquidity = previous ? toFloat(previous.liquidity) : 0;
+  const mintedLiquidity = toFloat(minted);
+  const now = Date.now();
+
+  const basis: PositionBasis = {
+    pairAddress: ethers.utils.getAddress(mintLog.address),
+    amount0: amount0.add(previous?.amount0 || 0).toString(),
+    amount1: amount1.add(previous?.amount1 || 0).toString(),
+    liquidity: minted.add(previous?.liquidity || 0).toString(),
+    rootKPerLiquidity:
+      ((previous?.rootKPerLiquidity || 0) * previousLiquidity +
+        rootKPerLiquidity(reserve0, reserve1, totalSupply) * mintedLiquidity) /
+      (previousLiquidity + mintedLiquidity),
+    // Unknown once any deposit could not be priced
+    valueUsd: valueUsd !== null && (!previous || previous.valueUsd !== null)
+      ? valueUsd + (previous?.valueUsd || 0)
+      : null,
+    deposits: (previous?.deposits || 0) + 1,
+    firstDepositAt: previous?.firstDepositAt || now,
+    updatedAt: now,
+  };
+
+  bases[key] = basis;
+  writeBases(chain.chainId, recipient, bases);
+
+  console.log('📒 Recorded LP deposit:', {
+    pair: basis.pairAddress,
+    amount0: amount0.toString(),
+    amount1: amount1.toString(),
+    liquidity: minted.toString(),
+  });
+  return basis;
+}
+
+/**
+ * Record the removals of a removeLiquidity receipt
+ * - LP tokens burned: pair Transfer to the zero address next to a Burn event
+ * - The basis shrinks by the burned share of the tracked LP tokens
+ */
+export async function recordWithdrawal(
+  receipt: ethers.providers.TransactionReceipt,
+  owner: string,
+  provider: ethers.providers.Provider
+): Promise<void> {
+  const burnLogs = receipt.logs.filter(log => log.topics[0] === BURN_TOPIC);
+  if (burnLogs.length === 0) return;
+
+  const chain = await getProviderChainContext(provider);
+  const bases = { ...readBases(chain.chainId, owner) };
+  let changed = false;
+
+  burnLogs.forEach(burnLog => {
+    const key = burnLog.address.toLowerCase();
+    const basis = bases[key];
+    if (!basis) return;
+
+    const burned = receipt.logs
+      .filter(log => log.address.toLowerCase() === key && log.topics[0] === TRANSFER_TOPIC)
+      .map(log => pairInterface.parseLog(log).args)
+      .filter(args => args.to === ethers.constants.AddressZero)
+      .reduce((sum, args) => sum.add(args.value), ethers.constants.Zero);
+
+    const tracked = ethers.BigNumber.from(basis.liquidity);
+    if (burned.gte(tracked)) {
+      delete bases[key];
+    } else {
+      const remaining = tracked.sub(burned);
+      const shrink = (amount: string) => ethers.BigNumber.from(amount).mul(remaining).div(tracked).toString();
+      bases[key] = {
+        ...basis,
+        amount0: shrink(basis.amount0),
+        amount1: shrink(basis.amount1),
+        liquidity: remaining.toString(),
+        valueUsd: basis.valueUsd !== null ? (basis.valueUsd * toFloat(remaining)) / toFloat(tracked) : null,
+        updatedAt: Date.now(),
+      };
+    }
+    changed = true;
+  });
+
+  if (changed) {
+    writeBases(chain.chainId, owner, bases);
+    console.log('📒 Updated LP cost basis after removal');
+  }
+}
+
+/**
+ * Compute the performance of a position against its recorded deposits
+ * - HODL: the deposited amounts (scaled to the tracked LP tokens) valued at today's price
+ * - Fee growth: sqrt(k) per LP token now (pending protocol fee included) vs. at deposit
+ * - Impermanent loss: current value without the fee growth vs. HODL
+ * - Values use the USD prices when both tokens have one, the pool price otherwise
+ * @returns null when no deposit of the pair was recorded
+ */
+export async function getPositionPerformance(
+  position: LpPosition,
+  account: string,
+  provider: ethers.providers.Provider
+): Promise<PositionPerformance | null> {
+  try {
+    const chain = await getProviderChainContext(provider);
+    const basis = getPositionBasis(chain.chainId, account, position.pairAddress);
+    if (!basis) return null;
+
+    const basisLiquidity = ethers.BigNumber.from(basis.liquidity);
+    const trackedLiquidity = position.balance.lt(basisLiquidity) ? position.balance : basisLiquidity;
+    if (trackedLiquidity.isZero()) return null;
+
+    const factory = new ethers.Contract(chain.contracts.FACTORY, CONTRACT_ABIS.FACTORY, provider);
+    const pair = new ethers.Contract(position.pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const feeTo: string = await factory.feeTo().catch(() => ethers.constants.AddressZero);
+    const feeOn = feeTo !== ethers.constants.AddressZero;
+    const kLast: ethers.BigNumber = feeOn ? await pair.kLast() : ethers.constants.Zero;
+
+    const scale0 = 10 ** position.token0.decimals;
+    const scale1 = 10 ** position.token1.decimals;
+    const reserve0 = toFloat(position.reserve0);
+    const reserve1 = toFloat(position.reserve1);
+    const totalSupply = toFloat(position.totalSupply);
+
+    // Current amounts: arbitrage to the USD price guards against a skewed (e.g. sandwiched) pool
+    const truePrice0 = position.price1Usd ? toTruePrice(position.price1Usd, position.token0.decimals) : null;
+    const truePrice1 = position.price0Usd ? toTruePrice(position.price0Usd, position.token1.decimals) : null;
+    const hasPrices = !!truePrice0 && !truePrice0.isZero() && !!truePrice1 && !truePrice1.isZero();
+    const { tokenAAmount: currentAmount0, tokenBAmount: currentAmount1 } = hasPrices
+      ? getLiquidityValueAfterArbitrageToPrice(
+        {
+          reserveA: position.reserve0,
+          reserveB: position.reserve1,
+          totalSupply: position.totalSupply,
+          feeOn,
+          kLast,
+        },
+        truePrice0,
+        truePrice1,
+        trackedLiquidity
+      )
+      : computeLiquidityValue(
+        position.reserve0, position.reserve1, position.totalSupply, trackedLiquidity, feeOn, kLast
+      );
+
+    const hodlAmount0 = ethers.BigNumber.from(basis.amount0).mul(trackedLiquidity).div(basisLiquidity);
+    const hodlAmount1 = ethers.BigNumber.from(basis.amount1).mul(trackedLiquidity).div(basisLiquidity);
+
+    // Value of raw amounts in raw token1 units
+    const price0In1 = hasPrices
+      ? (position.price0Usd! / scale0) / (position.price1Usd! / scale1)
+      : reserve1 / reserve0;
+    const valueIn1 = (amount0: number, amount1: number) => amount0 * price0In1 + amount1;
+
+    const currentValue = valueIn1(toFloat(currentAmount0), toFloat(currentAmount1));
+    const hodlValue = valueIn1(toFloat(hodlAmount0), toFloat(hodlAmount1));
+
+    const pendingFee = feeOn ? pendingFeeLiquidity(reserve0, reserve1, totalSupply, toFloat(kLast)) : 0;
+    const growth = rootKPerLiquidity(position.reserve0, position.reserve1, totalSupply + pendingFee) /
+      basis.rootKPerLiquidity;
+    const valueWithoutFees = currentValue / growth;
+
+    const toUsd = (value: number) => (hasPrices ? (value / scale1) * position.price1Usd! : null);
+    const partialBasisUsd = basis.valueUsd !== null
+      ? (basis.valueUsd * toFloat(trackedLiquidity)) / toFloat(basisLiquidity)
+      : null;
+
+    return {
+      trackedLiquidity,
+      isPartiallyTracked: position.balance.gt(trackedLiquidity),
+      hodlAmount0,
+      hodlAmount1,
+      currentAmount0,
+      currentAmount1,
+      depositValueUsd: partialBasisUsd,
+      hodlValueUsd: toUsd(hodlValue),
+      currentValueUsd: toUsd(currentValue),
+      feesValueUsd: toUsd(currentValue - valueWithoutFees),
+      netVsHodl: (currentValue / hodlValue - 1) * 100,
+      impermanentLoss: (valueWithoutFees / hodlValue - 1) * 100,
+      feeGrowth: (growth - 1) * 100,
+      firstDepositAt: basis.firstDepositAt,
+    };
+  } catch (error) {
+    console.error('❌ Failed to compute position performance:', error);
+    throw new Error(`Failed to compute position performance: ${(error as Error).message}`);
+  }
+}
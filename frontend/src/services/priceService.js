@@ -1,115 +1,363 @@
 /**
- * CoinGecko Price Service
- * Uses Arbitrum-specific token price endpoint
- * Free tier: 10-30 calls/minute
- * API: https://api.coingecko.com/api/v3/simple/token_price/arbitrum-one
+ * Price Service
+ * USD prices from a chain of price sources, tried in order until every token has a price:
+ * 1. CoinGecko token price API (chains CoinGecko lists)
+ * 2. Subgraph: token.derivedETH × bundle.ethPrice (chains with a V2 subgraph)
+ * 3. On-chain: pair reserves against WETH / stablecoins (any chain, also a local node)
+ * Each source has its own staleness limit and confidence; a failing source is skipped
+ * for a while (rate limits), and an expired price is served as stale rather than dropped
  */
 
-const COINGECKO_API = 'https://api.coingecko.com/api/v3/simple/token_price/arbitrum-one';
+import { ethers } from 'ethers';
+import { NETWORK_CONFIG, CONTRACT_ABIS, getChainContext, isSupportedChain } from '../config/contracts';
+import { getTokensForChain, getAddressForRouting, ARBITRUM_CHAIN_ID } from '../constants/tokens';
+import { computePairAddress } from '../utils/calculations';
+import { getChainProvider } from './factoryPairSource';
+import { querySubgraph } from './pairService';
 
-// Price cache (5 minute TTL)
-const priceCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const COINGECKO_API = 'https://api.coingecko.com/api/v3/simple/token_price';
+
+// CoinGecko asset platform per chain ID
+const COINGECKO_PLATFORMS = {
+  [ARBITRUM_CHAIN_ID]: 'arbitrum-one',
+};
+
+// ETH/USD used by the on-chain source on chains without a stablecoin pair (e.g. the local node)
+const REFERENCE_ETH_PRICE = parseFloat(import.meta.env.VITE_LOCAL_ETH_USD_PRICE || '') || null;
+
+// Pairs with less liquidity than this (USD, anchor side) are too easy to move to price from
+const MIN_ONCHAIN_LIQUIDITY_USD = 1000;
+
+// Stablecoins priced at $1 by the on-chain source
+const STABLECOIN_SYMBOLS = ['USDC', 'USDC.e', 'USDT', 'DAI'];
+
+// How long a failing source is skipped
+const SOURCE_BACKOFF = 60 * 1000;
 
 /**
- * Fetch USD price for a token by contract address
- * @param {string} tokenAddress - Token contract address on Arbitrum
- * @returns {Promise<number|null>} USD price or null
+ * @typedef {Object} PriceQuote
+ * @property {number} price - USD price
+ * @property {string} source - ID of the source that produced it
+ * @property {number} confidence - 0..1, how much the source is trusted (halved for stale quotes)
+ * @property {number} timestamp - When the price was fetched (ms)
+ * @property {boolean} stale - Older than the source's maxAge (refresh failed)
  */
-export async function fetchTokenPrice(tokenAddress) {
-  if (!tokenAddress) return null;
 
-  const address = tokenAddress.toLowerCase();
+/**
+ * @typedef {Object} PriceSource
+ * @property {string} id - Source ID
+ * @property {number} confidence - 0..1
+ * @property {number} maxAge - Milliseconds before a price of this source is stale
+ * @property {Function} supports - (chain) => boolean
+ * @property {Function} fetchPrices - (addresses, chain) => Promise<Map<address, number|null>>
+ *   null = the source has no price for the token (remembered for maxAge)
+ */
 
-  // Check cache
-  const cached = priceCache.get(address);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.price;
-  }
+// Price cache: "source:chainId:address" -> { price, timestamp }
+const priceCache = new Map();
 
-  try {
+// Failing sources: "source:chainId" -> retry time (ms)
+const sourceBackoff = new Map();
+
+/**
+ * CoinGecko: one request for all addresses
+ * @type {PriceSource}
+ */
+const coinGeckoSource = {
+  id: 'coingecko',
+  confidence: 0.9,
+  maxAge: 5 * 60 * 1000,
+  supports: chain => !!COINGECKO_PLATFORMS[chain.chainId],
+  async fetchPrices(addresses, chain) {
     const response = await fetch(
-      `${COINGECKO_API}?contract_addresses=${address}&vs_currencies=usd`
+      `${COINGECKO_API}/${COINGECKO_PLATFORMS[chain.chainId]}?contract_addresses=${addresses.join(',')}&vs_currencies=usd`
     );
-
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
     }
 
     const data = await response.json();
-    const price = data[address]?.usd || null;
+    return new Map(addresses.map(address => [address, data[address]?.usd || null]));
+  },
+};
 
-    // Cache result (even if null to avoid repeated failed lookups)
-    priceCache.set(address, {
-      price,
-      timestamp: Date.now()
-    });
+/**
+ * Subgraph: derivedETH of each token times the subgraph's ETH price
+ * @type {PriceSource}
+ */
+const subgraphSource = {
+  id: 'subgraph',
+  confidence: 0.7,
+  maxAge: 2 * 60 * 1000,
+  supports: chain => !!chain.subgraph,
+  async fetchPrices(addresses, chain) {
+    const data = await querySubgraph(
+      `query TokenPrices($ids: [String!]!) {
+        bundle(id: "1") { ethPrice }
+        tokens(where: { id_in: $ids }) { id derivedETH }
+      }`,
+      { ids: addresses },
+      chain.chainId
+    );
+
+    const ethPrice = parseFloat(data?.bundle?.ethPrice || '0');
+    if (!ethPrice) {
+      throw new Error('Subgraph has no ETH price');
+    }
 
-    return price;
-  } catch (error) {
-    console.error(`Failed to fetch price for ${tokenAddress}:`, error);
+    const derived = new Map((data.tokens || []).map(token => [token.id.toLowerCase(), parseFloat(token.derivedETH)]));
+    return new Map(
+      addresses.map(address => {
+        const derivedEth = derived.get(address);
+        return [address, derivedEth ? derivedEth * ethPrice : null];
+      })
+    );
+  },
+};
+
+/**
+ * Price of token in anchor units from the reserves of their pair
+ * @returns {Promise<Object|null>} { price, anchorReserve } or null without a pair
+ */
+async function readPairPrice(chain, provider, token, anchor) {
+  const pairAddress = computePairAddress(chain.contracts.FACTORY, token.address, anchor.address, chain.initCodeHash);
+  const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+
+  let reserves;
+  try {
+    reserves = await pair.getReserves();
+  } catch {
+    return null; // No pair (no code at the CREATE2 address)
+  }
+
+  const tokenIsToken0 = token.address.toLowerCase() < anchor.address.toLowerCase();
+  const [tokenReserve, anchorReserve] = tokenIsToken0
+    ? [reserves.reserve0, reserves.reserve1]
+    : [reserves.reserve1, reserves.reserve0];
+  if (tokenReserve.isZero() || anchorReserve.isZero()) {
     return null;
   }
+
+  const tokenAmount = parseFloat(ethers.utils.formatUnits(tokenReserve, token.decimals));
+  const anchorAmount = parseFloat(ethers.utils.formatUnits(anchorReserve, anchor.decimals));
+  return { price: anchorAmount / tokenAmount, anchorReserve: anchorAmount };
 }
 
 /**
- * Fetch multiple token prices at once (batch request)
- * @param {string[]} tokenAddresses - Array of token addresses
- * @returns {Promise<Map<string, number|null>>} Map of address to price
+ * ETH/USD from the deepest WETH/stablecoin pair, or the configured reference price
  */
-export async function fetchTokenPrices(tokenAddresses) {
-  if (!tokenAddresses || tokenAddresses.length === 0) {
-    return new Map();
-  }
+async function getOnchainEthPrice(chain, provider, tokens) {
+  const weth = { address: chain.weth, decimals: 18 };
+  const stablecoins = STABLECOIN_SYMBOLS.map(symbol => tokens[symbol]).filter(Boolean);
+
+  const quotes = (await Promise.all(stablecoins.map(stable => readPairPrice(chain, provider, weth, stable))))
+    .filter(quote => quote && quote.anchorReserve >= MIN_ONCHAIN_LIQUIDITY_USD)
+    .sort((a, b) => b.anchorReserve - a.anchorReserve);
 
-  const uniqueAddresses = [...new Set(tokenAddresses.map(a => a.toLowerCase()))];
+  return quotes[0]?.price || REFERENCE_ETH_PRICE;
+}
+
+/**
+ * On-chain: reserves of the token's pair with WETH or a stablecoin,
+ * then pairs with other verified tokens priced in the first round (e.g. TKB via TKA on the local node)
+ * @type {PriceSource}
+ */
+const onchainSource = {
+  id: 'onchain',
+  confidence: 0.5,
+  maxAge: 30 * 1000,
+  supports: chain => !!chain.contracts.FACTORY,
+  async fetchPrices(addresses, chain) {
+    const provider = getChainProvider(chain);
+    const tokens = getTokensForChain(chain.chainId);
+    const tokenList = Object.values(tokens).filter(token => token.address !== ethers.constants.AddressZero);
 
-  // Check cache first
-  const priceMap = new Map();
-  const addressesToFetch = [];
+    const ethPrice = await getOnchainEthPrice(chain, provider, tokens);
 
-  uniqueAddresses.forEach(address => {
-    const cached = priceCache.get(address);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      priceMap.set(address, cached.price);
-    } else {
-      addressesToFetch.push(address);
+    // USD prices known so far, by lowercase address
+    const known = new Map();
+    if (ethPrice) {
+      known.set(chain.weth.toLowerCase(), ethPrice);
     }
-  });
+    tokenList
+      .filter(token => STABLECOIN_SYMBOLS.includes(token.symbol))
+      .forEach(token => known.set(token.address.toLowerCase(), 1));
+
+    // Helper function to price the requested tokens against the tokens in `anchors`
+    const priceAgainst = async (pending, anchors) => {
+      await Promise.all(pending.map(async address => {
+        const token = {
+          address,
+          decimals: tokenList.find(t => t.address.toLowerCase() === address)?.decimals
+            ?? (await new ethers.Contract(address, CONTRACT_ABIS.ERC20, provider).decimals().catch(() => 18)),
+        };
+
+        const quotes = (await Promise.all(anchors.map(async anchor => {
+          const quote = await readPairPrice(chain, provider, token, anchor);
+          const anchorPrice = known.get(anchor.address.toLowerCase());
+          return quote && { price: quote.price * anchorPrice, liquidityUsd: quote.anchorReserve * anchorPrice };
+        })))
+          .filter(quote => quote && quote.liquidityUsd >= MIN_ONCHAIN_LIQUIDITY_USD)
+          .sort((a, b) => b.liquidityUsd - a.liquidityUsd);
+
+        if (quotes.length > 0) {
+          known.set(address, quotes[0].price);
+        }
+      }));
+    };
+
+    const anchorsOf = () => tokenList.filter(token => known.has(token.address.toLowerCase()));
 
-  // If all cached, return immediately
-  if (addressesToFetch.length === 0) {
-    return priceMap;
+    await priceAgainst(addresses.filter(address => !known.has(address)), anchorsOf());
+    await priceAgainst(addresses.filter(address => !known.has(address)), anchorsOf());
+
+    return new Map(addresses.map(address => [address, known.get(address) ?? null]));
+  },
+};
+
+// Sources in priority order
+const priceSources = [coinGeckoSource, subgraphSource, onchainSource];
+
+/**
+ * Add a price source
+ * @param {PriceSource} source - Source to add
+ * @param {number} index - Priority position (default: last)
+ */
+export function registerPriceSource(source, index = priceSources.length) {
+  priceSources.splice(index, 0, source);
+}
+
+/**
+ * Get the IDs of the sources in priority order
+ * @returns {string[]} Source IDs
+ */
+export function getPriceSources() {
+  return priceSources.map(source => source.id);
+}
+
+// Helper function to build a quote from a cache entry
+function toQuote(source, entry, stale) {
+  return {
+    price: entry.price,
+    source: source.id,
+    confidence: stale ? source.confidence / 2 : source.confidence,
+    timestamp: entry.timestamp,
+    stale,
+  };
+}
+
+/**
+ * Fetch USD price quotes for several tokens (batched per source)
+ * @param {string[]} tokenAddresses - Token addresses (native ETH is priced as WETH)
+ * @param {number} chainId - Chain of the tokens (defaults to the active network)
+ * @returns {Promise<Map<string, PriceQuote|null>>} Lowercase address -> quote, null if no source has a price
+ */
+export async function fetchTokenPriceQuotes(tokenAddresses, chainId = NETWORK_CONFIG.chainId) {
+  const quotes = new Map();
+  if (!tokenAddresses || tokenAddresses.length === 0) {
+    return quotes;
   }
 
-  try {
-    const response = await fetch(
-      `${COINGECKO_API}?contract_addresses=${addressesToFetch.join(',')}&vs_currencies=usd`
-    );
+  const requested = [...new Set(tokenAddresses.filter(Boolean).map(a => a.toLowerCase()))];
+  if (!isSupportedChain(chainId)) {
+    requested.forEach(address => quotes.set(address, null));
+    return quotes;
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+  const chain = getChainContext(chainId);
+  // Requested address -> address that is priced (native ETH -> WETH)
+  const priced = new Map(requested.map(address => [address, getAddressForRouting(address, chain.weth).toLowerCase()]));
+  const results = new Map();
+  // Priced addresses still without a quote
+  let pending = [...new Set(priced.values())];
 
-    const data = await response.json();
+  for (const source of priceSources) {
+    if (pending.length === 0) break;
+    if (!source.supports(chain)) continue;
 
-    addressesToFetch.forEach(address => {
-      const price = data[address]?.usd || null;
-      priceMap.set(address, price);
+    const now = Date.now();
+    const cacheKey = address => `${source.id}:${chain.chainId}:${address}`;
+    const toFetch = [];
 
-      // Update cache
-      priceCache.set(address, {
-        price,
-        timestamp: Date.now()
-      });
+    pending.forEach(address => {
+      const cached = priceCache.get(cacheKey(address));
+      if (cached && now - cached.timestamp < source.maxAge) {
+        if (cached.price !== null) {
+          results.set(address, toQuote(source, cached, false));
+        }
+      } else {
+        toFetch.push(address);
+      }
     });
 
-    return priceMap;
-  } catch (error) {
-    console.error('Failed to fetch token prices:', error);
-    // Return partial results (cached values)
-    return priceMap;
+    const backoffKey = `${source.id}:${chain.chainId}`;
+    if (toFetch.length > 0 && (sourceBackoff.get(backoffKey) || 0) <= now) {
+      try {
+        const prices = await source.fetchPrices(toFetch, chain);
+        const timestamp = Date.now();
+        toFetch.forEach(address => {
+          const entry = { price: prices.get(address) ?? null, timestamp };
+          priceCache.set(cacheKey(address), entry);
+          if (entry.price !== null) {
+            results.set(address, toQuote(source, entry, false));
+          }
+        });
+      } catch (error) {
+        console.warn(`⚠️ Price source ${source.id} failed, skipping it for ${SOURCE_BACKOFF / 1000}s:`, error.message);
+        sourceBackoff.set(backoffKey, now + SOURCE_BACKOFF);
+      }
+    }
+
+    pending = pending.filter(address => !results.has(address));
   }
+
+  // Nothing fresh anywhere: serve the best expired price instead of none
+  pending.forEach(address => {
+    for (const source of priceSources) {
+      const cached = priceCache.get(`${source.id}:${chain.chainId}:${address}`);
+      if (cached && cached.price !== null) {
+        results.set(address, toQuote(source, cached, true));
+        break;
+      }
+    }
+  });
+
+  requested.forEach(address => quotes.set(address, results.get(priced.get(address)) || null));
+  return quotes;
+}
+
+/**
+ * Fetch the USD price quote of a token
+ * @param {string} tokenAddress - Token address
+ * @param {number} chainId - Chain of the token (defaults to the active network)
+ * @returns {Promise<PriceQuote|null>} Quote or null
+ */
+export async function fetchTokenPriceQuote(tokenAddress, chainId = NETWORK_CONFIG.chainId) {
+  if (!tokenAddress) return null;
+  const quotes = await fetchTokenPriceQuotes([tokenAddress], chainId);
+  return quotes.get(tokenAddress.toLowerCase()) || null;
+}
+
+/**
+ * Fetch USD price for a token by contract address
+ * @param {string} tokenAddress - Token contract address
+ * @param {number} chainId - Chain of the token (defaults to the active network)
+ * @returns {Promise<number|null>} USD price or null
+ */
+export async function fetchTokenPrice(tokenAddress, chainId = NETWORK_CONFIG.chainId) {
+  const quote = await fetchTokenPriceQuote(tokenAddress, chainId);
+  return quote ? quote.price : null;
+}
+
+/**
+ * Fetch multiple token prices at once (batch request)
+ * @param {string[]} tokenAddresses - Array of token addresses
+ * @param {number} chainId - Chain of the tokens (defaults to the active network)
+ * @returns {Promise<Map<string, number|null>>} Map of address to price
+ */
+export async function fetchTokenPrices(tokenAddresses, chainId = NETWORK_CONFIG.chainId) {
+  const quotes = await fetchTokenPriceQuotes(tokenAddresses, chainId);
+  return new Map([...quotes].map(([address, quote]) => [address, quote ? quote.price : null]));
 }
 
 /**
@@ -117,4 +365,5 @@ export async function fetchTokenPrices(tokenAddresses) {
  */
 export function clearPriceCache() {
   priceCache.clear();
+  sourceBackoff.clear();
 }
@@ -0,0 +1,211 @@
+/**
+ * Receipt Service
+ * Decodes what actually happened in a swap transaction
+ * - Pair Swap events: per-hop amounts (multi-hop aware), checked against the CREATE2 pairs of the path
+ * - ERC20 Transfer events: tokens paid by the sender / received by the recipient
+ * - WETH Deposit / Withdrawal events: native ETH in and out
+ */
+
+import { ethers } from 'ethers';
+import { isNativeToken } from '../constants/tokens';
+import { CONTRACT_ABIS } from '../config/contracts';
+import { computePairAddress } from '../utils/calculations';
+
+export interface SwapHop {
+  pair: string;
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: ethers.BigNumber;
+  amountOut: ethers.BigNumber;
+}
+
+export interface SwapExecution {
+  hops: SwapHop[];
+  // Router-style amounts: input of the first hop, then the output of every hop
+  amounts: ethers.BigNumber[];
+  // Paid by the sender / received by the recipient (includes transfer taxes and ETH refunds)
+  amountIn: ethers.BigNumber;
+  amountOut: ethers.BigNumber;
+  // Raw output per input (decimals are not applied)
+  executionPrice: number | null;
+  quotedPrice: number | null;
+  // Positive = better than quoted
+  priceDifferencePercent: number | null;
+}
+
+export interface PairSource {
+  // Factory and pair init code hash of the chain (CREATE2 pair addresses)
+  factory: string;
+  initCodeHash: string;
+}
+
+export interface ParseSwapOptions extends PairSource {
+  tokenIn: string;
+  tokenOut: string;
+  path: string[];
+  sender: string;
+  recipient: string;
+  quotedAmountIn?: ethers.BigNumber;
+  quotedAmountOut?: ethers.BigNumber;
+}
+
+const pairInterface = new ethers.utils.Interface(CONTRACT_ABIS.PAIR);
+const erc20Interface = new ethers.utils.Interface(CONTRACT_ABIS.ERC20);
+const wethInterface = new ethers.utils.Interface([
+  'event Deposit(address indexed dst, uint256 wad)',
+  'event Withdrawal(address indexed src, uint256 wad)',
+]);
+
+const SWAP_TOPIC = pairInterface.getEventTopic('Swap');
+const TRANSFER_TOPIC = erc20Interface.getEventTopic('Transfer');
+const DEPOSIT_TOPIC = wethInterface.getEventTopic('Deposit');
+const WITHDRAWAL_TOPIC = wethInterface.getEventTopic('Withdrawal');
+
+/**
+ * Ratio of two raw amounts as a float (enough precision for display)
+ */
+function ratio(numerator: ethers.BigNumber, denominator: ethers.BigNumber): number | null {
+  if (denominator.isZero()) {
+    return null;
+  }
+  // Scale by 1e18 so small ratios keep their precision
+  const scaled = numerator.mul(ethers.constants.WeiPerEther).div(denominator);
+  return parseFloat(ethers.utils.formatEther(scaled));
+}
+
+/**
+ * Sum a WETH Deposit/Withdrawal event value over the receipt
+ */
+function sumWethEvents(
+  receipt: ethers.providers.TransactionReceipt,
+  weth: string,
+  topic: string
+): ethers.BigNumber {
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === weth && log.topics[0] === topic)
+    .reduce((sum, log) => sum.add(wethInterface.parseLog(log).args.wad), ethers.BigNumber.from(0));
+}
+
+/**
+ * Sum ERC20 transfers of a token matching a filter
+ */
+function sumTransfers(
+  receipt: ethers.providers.TransactionReceipt,
+  token: string,
+  matches: (from: string, to: string) => boolean
+): ethers.BigNumber {
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === token && log.topics[0] === TRANSFER_TOPIC)
+    .map(log => erc20Interface.parseLog(log).args)
+    .filter(args => matches(args.from.toLowerCase(), args.to.toLowerCase()))
+    .reduce((sum, args) => sum.add(args.value), ethers.BigNumber.from(0));
+}
+
+/**
+ * Decode the per-hop amounts from pair Swap events
+ * - The router swaps hop by hop, so Swap logs of the route's pairs appear in path order
+ * - Input side of each hop is path[i], token0 is the lower address
+ * @throws If a hop's Swap event is missing or comes from another pair than path[i]/path[i + 1]
+ */
+export function parseSwapHops(
+  receipt: ethers.providers.TransactionReceipt,
+  path: string[],
+  { factory, initCodeHash }: PairSource
+): SwapHop[] {
+  const pairs = path.slice(1).map((tokenOut, index) =>
+    computePairAddress(factory, path[index], tokenOut, initCodeHash).toLowerCase()
+  );
+  const swapLogs = receipt.logs.filter(log => log.topics[0] === SWAP_TOPIC && pairs.includes(log.address.toLowerCase()));
+  const hopCount = pairs.length;
+
+  if (swapLogs.length < hopCount) {
+    throw new Error(`Expected ${hopCount} Swap events, found ${swapLogs.length}`);
+  }
+
+  // Use the last hopCount swaps (other contracts may swap the same pairs earlier in the same tx)
+  return swapLogs.slice(-hopCount).map((log, index) => {
+    const tokenIn = path[index];
+    const tokenOut = path[index + 1];
+    if (log.address.toLowerCase() !== pairs[index]) {
+      throw new Error(`Swap event of hop ${index + 1} from ${log.address}, expected pair ${pairs[index]}`);
+    }
+
+    const isInputToken0 = tokenIn.toLowerCase() < tokenOut.toLowerCase();
+    const { args } = pairInterface.parseLog(log);
+
+    return {
+      pair: log.address,
+      tokenIn,
+      tokenOut,
+      amountIn: isInputToken0 ? args.amount0In : args.amount1In,
+      amountOut: isInputToken0 ? args.amount1Out : args.amount0Out,
+    };
+  });
+}
+
+/**
+ * Parse the executed amounts of a swap from its receipt
+ * - Native ETH in: WETH Deposit (router wraps only what is used)
+ * - Native ETH out: WETH Withdrawal (router unwraps and forwards)
+ * - ERC20 in/out: Transfer events from the sender / to the recipient
+ * - Compares the realized price with the quote when one is given
+ */
+export function parseSwapReceipt(
+  receipt: ethers.providers.TransactionReceipt,
+  options: ParseSwapOptions
+): SwapExecution {
+  const { tokenIn, tokenOut, path, factory, initCodeHash, quotedAmountIn, quotedAmountOut } = options;
+  const sender = options.sender.toLowerCase();
+  const recipient = options.recipient.toLowerCase();
+
+  const hops = parseSwapHops(receipt, path, { factory, initCodeHash });
+  const amounts = [hops[0].amountIn, ...hops.map(hop => hop.amountOut)];
+
+  // What the sender actually paid
+  let amountIn: ethers.BigNumber;
+  if (isNativeToken(tokenIn)) {
+    // Native ETH routes through the chain's WETH, the first token of the path
+    amountIn = sumWethEvents(receipt, path[0].toLowerCase(), DEPOSIT_TOPIC);
+  } else {
+    amountIn = sumTransfers(receipt, tokenIn.toLowerCase(), (from) => from === sender);
+  }
+  if (amountIn.isZero()) {
+    amountIn = amounts[0];
+  }
+
+  // What the recipient actually received
+  let amountOut: ethers.BigNumber;
+  if (isNativeToken(tokenOut)) {
+    amountOut = sumWethEvents(receipt, path[path.length - 1].toLowerCase(), WITHDRAWAL_TOPIC);
+  } else {
+    amountOut = sumTransfers(receipt, tokenOut.toLowerCase(), (from, to) => to === recipient && from !== recipient);
+  }
+  if (amountOut.isZero()) {
+    amountOut = amounts[amounts.length - 1];
+  }
+
+  const executionPrice = ratio(amountOut, amountIn);
+  const quotedPrice = quotedAmountIn && quotedAmountOut
+    ? ratio(quotedAmountOut, quotedAmountIn)
+    : null;
+  const priceDifferencePercent = executionPrice !== null && quotedPrice
+    ? (executionPrice / quotedPrice - 1) * 100
+    : null;
+
+  console.log('🧾 Parsed swap receipt:', {
+    hops: hops.length,
+    amountIn: amountIn.toString(),
+    amountOut: amountOut.toString(),
+    priceDifferencePercent,
+  });
+
+  return {
+    hops,
+    amounts,
+    amountIn,
+    amountOut,
+    executionPrice,
+    quotedPrice,
+    priceDifferencePercent,
+  };
+}
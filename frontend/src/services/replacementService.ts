@@ -0,0 +1,154 @@
+/**
+ * Replacement Service
+ * Speed up or cancel a pending transaction by reusing its nonce
+ * - Speed up: same to/data/value with bumped fees
+ * - Cancel: 0-value self-send with bumped fees
+ * - Replacements are tracked in the transaction store; whichever tx is mined settles the other
+ */
+
+import { ethers } from 'ethers';
+import { StoredTransaction, trackTransaction } from './transactionStore';
+
+// Nodes only accept a replacement with at least +10% fees; a little more to be safe
+const FEE_BUMP_PERCENT = 15;
+
+// Fallback gas for the cancel self-send (L2s charge more than 21000 for L1 data)
+const CANCEL_GAS_FALLBACK = 21000;
+
+export type ReplacementKind = 'speedUp' | 'cancel';
+
+/**
+ * Bump a fee by FEE_BUMP_PERCENT, but never below the current network fee
+ */
+function bumpFee(previous: string | undefined, current: ethers.BigNumber | null): ethers.BigNumber {
+  const bumped = previous
+    ? ethers.BigNumber.from(previous).mul(100 + FEE_BUMP_PERCENT).div(100)
+    : ethers.BigNumber.from(0);
+  return current && current.gt(bumped) ? current : bumped;
+}
+
+/**
+ * Fee overrides for a replacement of a pending transaction
+ * - EIP-1559 transactions bump maxFeePerGas and maxPriorityFeePerGas
+ * - Legacy transactions bump gasPrice
+ */
+export async function getReplacementFees(
+  entry: StoredTransaction,
+  provider: ethers.providers.Provider
+): Promise<ethers.providers.TransactionRequest> {
+  const feeData = await provider.getFeeData();
+
+  if (entry.maxFeePerGas) {
+    const maxPriorityFeePerGas = bumpFee(entry.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas);
+    let maxFeePerGas = bumpFee(entry.maxFeePerGas, feeData.maxFeePerGas);
+    if (maxFeePerGas.lt(maxPriorityFeePerGas)) {
+      maxFeePerGas = maxPriorityFeePerGas;
+    }
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  return { gasPrice: bumpFee(entry.gasPrice, feeData.gasPrice) };
+}
+
+/**
+ * Check that the nonce of the transaction is still free
+ */
+async function assertStillPending(
+  entry: StoredTransaction,
+  provider: ethers.providers.Provider
+): Promise<void> {
+  const [receipt, nonce] = await Promise.all([
+    provider.getTransactionReceipt(entry.hash),
+    provider.getTransactionCount(entry.from, 'latest'),
+  ]);
+
+  if (receipt || nonce > entry.nonce) {
+    throw new Error('Transaction is no longer pending');
+  }
+}
+
+/**
+ * Submit a replacement (speed up or cancel) for a pending transaction
+ * @returns The stored replacement entry (pending)
+ */
+export async function replaceTransaction(
+  entry: StoredTransaction,
+  kind: ReplacementKind,
+  signer: ethers.Signer
+): Promise<StoredTransaction> {
+  const provider = signer.provider;
+  if (!provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+
+  const from = await signer.getAddress();
+  if (from.toLowerCase() !== entry.from.toLowerCase()) {
+    throw new Error('Connected account did not send this transaction');
+  }
+
+  try {
+    await assertStillPending(entry, provider);
+    const fees = await getReplacementFees(entry, provider);
+
+    let request: ethers.providers.TransactionRequest;
+    if (kind === 'speedUp') {
+      request = {
+        to: entry.to || undefined,
+        data: entry.data,
+        value: ethers.BigNumber.from(entry.value),
+        gasLimit: ethers.BigNumber.from(entry.gasLimit),
+      };
+    } else {
+      const gasLimit = await provider
+        .estimateGas({ from, to: from, value: 0 })
+        .catch(() => ethers.BigNumber.from(CANCEL_GAS_FALLBACK));
+      request = { to: from, data: '0x', value: 0, gasLimit };
+    }
+
+    console.log(kind === 'speedUp' ? '⚡ Speeding up transaction:' : '🚫 Cancelling transaction:', {
+      hash: entry.hash,
+      nonce: entry.nonce,
+      maxFeePerGas: fees.maxFeePerGas?.toString(),
+      gasPrice: fees.gasPrice?.toString(),
+    });
+
+    const tx = await signer.sendTransaction({ ...request, ...fees, nonce: entry.nonce });
+
+    const meta = {
+      type: entry.type,
+      summary: kind === 'speedUp' ? entry.summary : `Cancel: ${entry.summary}`,
+    };
+
+    // Resolves with the submitted entry; the wait itself keeps running in the background
+    return await new Promise<StoredTransaction>((resolve, reject) => {
+      trackTransaction(tx, meta, provider, resolve).catch((error) => {
+        // Expected if the original (or another replacement) is mined first
+        console.log('ℹ️ Replacement not mined:', tx.hash, error.reason || error.message);
+        reject(error);
+      });
+    });
+  } catch (error) {
+    console.error('❌ Failed to replace transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Speed up a pending transaction (same calldata and nonce, bumped fees)
+ */
+export function speedUpTransaction(
+  entry: StoredTransaction,
+  signer: ethers.Signer
+): Promise<StoredTransaction> {
+  return replaceTransaction(entry, 'speedUp', signer);
+}
+
+/**
+ * Cancel a pending transaction (0-value self-send at the same nonce)
+ */
+export function cancelTransaction(
+  entry: StoredTransaction,
+  signer: ethers.Signer
+): Promise<StoredTransaction> {
+  return replaceTransaction(entry, 'cancel', signer);
+}
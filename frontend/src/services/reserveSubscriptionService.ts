@@ -0,0 +1,255 @@
+/**
+ * Reserve Subscription Service
+ * Live reserves of the pairs on screen, from new blocks and pair Sync events
+ * - Websocket (wsUrl of the network): Sync events of the watched pairs carry the new reserves
+ * - Polling fallback (no wsUrl, connection failed or dropped): getReserves of every watched pair on each
+ *   new block of the wallet's provider. The session's provider is the Multicall3 wrapper, so the reads of
+ *   one poll go out as one eth_call (one per pair where Multicall3 isn't deployed, see multicallService)
+ * - One poll at a time: blocks arriving while a poll is pending, or already polled, are skipped
+ * - Reserves older than the ones already known (late responses, replayed events) are dropped
+ * - One session per provider, started with the first watched pair and stopped with the last
+ * - Listeners are only called when the reserves actually changed
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABIS, getNetworkByChainId } from '../config/contracts';
+import { getMulticallProvider } from './multicallService';
+
+export interface LiveReserves {
+  reserve0: ethers.BigNumber;
+  reserve1: ethers.BigNumber;
+  // Block the reserves were read at or synced in
+  blockNumber: number | null;
+}
+
+export type ReservesListener = (reserves: LiveReserves, pairAddress: string) => void;
+
+type ReserveTransport = 'websocket' | 'polling';
+
+interface PairWatch {
+  address: string;
+  listeners: Set<ReservesListener>;
+  reserves: LiveReserves | null;
+  // Sync subscription on the websocket provider (null while polling)
+  syncFilter: ethers.EventFilter | null;
+}
+
+interface Session {
+  // Batching wrapper of the wallet's provider (see multicallService)
+  provider: ethers.providers.Provider;
+  transport: ReserveTransport;
+  wsProvider: ethers.providers.WebSocketProvider | null;
+  pairs: Map<string, PairWatch>;
+  stopped: boolean;
+  // Last block polled, and whether that poll is still pending
+  lastPolledBlock: number;
+  polling: boolean;
+  onBlock: (blockNumber: number) => void;
+  onSync: (log: ethers.providers.Log) => void;
+}
+
+// Time to wait for the websocket connection before staying on polling
+const WS_CONNECT_TIMEOUT = 5000;
+
+const pairInterface = new ethers.utils.Interface(CONTRACT_ABIS.PAIR);
+const SYNC_TOPIC = pairInterface.getEventTopic('Sync');
+
+const sessions = new Map<ethers.providers.Provider, Session>();
+
+// Helper function to store new reserves of a pair and notify its listeners
+function updateReserves(watch: PairWatch, reserves: LiveReserves): void {
+  const previous = watch.reserves;
+  if (previous?.blockNumber != null && reserves.blockNumber != null && reserves.blockNumber < previous.blockNumber) {
+    return;
+  }
+
+  watch.reserves = reserves;
+
+  if (previous && previous.reserve0.eq(reserves.reserve0) && previous.reserve1.eq(reserves.reserve1)) {
+    return;
+  }
+
+  watch.listeners.forEach(listener => listener(reserves, watch.address));
+}
+
+// Helper function to read the reserves of every watched pair (polling, batched by the session's provider)
+function pollReserves(session: Session, blockNumber: number): void {
+  // The provider emits every block since its last poll, and a slow poll must not pile up behind new blocks
+  if (session.polling || blockNumber <= session.lastPolledBlock) return;
+  session.lastPolledBlock = blockNumber;
+  session.polling = true;
+
+  const reads = [...session.pairs.values()].map(watch => {
+    const pair = new ethers.Contract(watch.address, CONTRACT_ABIS.PAIR, session.provider);
+    return pair.getReserves()
+      .then(([reserve0, reserve1]) => {
+        // The pair may have been unwatched while the call was pending
+        if (session.pairs.get(watch.address.toLowerCase()) !== watch) return;
+
+        // The first read is the baseline (subscribers loaded the same reserves themselves)
+        if (!watch.reserves) {
+          watch.reserves = { reserve0, reserve1, blockNumber };
+          return;
+        }
+        updateReserves(watch, { reserve0, reserve1, blockNumber });
+      })
+      .catch(() => {
+        // No pair at the address (yet): nothing to update
+      });
+  });
+
+  Promise.all(reads).finally(() => {
+    session.polling = false;
+  });
+}
+
+// Helper function to subscribe to the Sync events of a pair on the websocket
+function watchSync(session: Session, watch: PairWatch): void {
+  if (!session.wsProvider || watch.syncFilter) return;
+
+  watch.syncFilter = { address: watch.address, topics: [SYNC_TOPIC] };
+  session.wsProvider.on(watch.syncFilter, session.onSync);
+}
+
+// Helper function to drop the Sync subscription of a pair
+function unwatchSync(session: Session, watch: PairWatch): void {
+  if (session.wsProvider && watch.syncFilter) {
+    session.wsProvider.off(watch.syncFilter, session.onSync);
+  }
+  watch.syncFilter = null;
+}
+
+// Helper function to go back to polling the wallet's provider (websocket dropped)
+function fallBackToPolling(session: Session): void {
+  if (session.stopped || session.transport === 'polling') return;
+
+  console.warn('⚠️ Websocket closed, polling new blocks for reserve updates');
+  const wsProvider = session.wsProvider!;
+  session.pairs.forEach(watch => unwatchSync(session, watch));
+  session.wsProvider = null;
+  session.transport = 'polling';
+  session.provider.on('block', session.onBlock);
+
+  wsProvider.destroy().catch(() => {});
+}
+
+// Helper function to switch a session to the websocket of its chain (stays on polling if there is none)
+async function connectWebSocket(session: Session): Promise<void> {
+  const { chainId } = await session.provider.getNetwork();
+  const wsUrl = getNetworkByChainId(chainId)?.wsUrl;
+  if (!wsUrl) return;
+
+  // Own socket: the provider doesn't report failed or dropped connections
+  const socket = new WebSocket(wsUrl);
+  const wsProvider = new ethers.providers.WebSocketProvider(socket, chainId);
+  let timeoutId: ReturnType<typeof setTimeout> | undefined;
+
+  try {
+    await Promise.race([
+      new Promise((resolve, reject) => {
+        socket.addEventListener('open', resolve);
+        socket.addEventListener('error', () => reject(new Error('Connection failed')));
+      }),
+      new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Timeout')), WS_CONNECT_TIMEOUT);
+      }),
+    ]);
+  } catch (error) {
+    console.warn(`⚠️ Websocket ${wsUrl} unavailable, polling new blocks instead:`, (error as Error).message);
+    wsProvider.destroy().catch(() => {});
+    return;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (session.stopped) {
+    wsProvider.destroy().catch(() => {});
+    return;
+  }
+
+  session.provider.off('block', session.onBlock);
+  session.wsProvider = wsProvider;
+  session.transport = 'websocket';
+  session.pairs.forEach(watch => watchSync(session, watch));
+  socket.addEventListener('close', () => fallBackToPolling(session));
+
+  console.log(`✅ Live reserves over websocket (chain ${chainId})`);
+}
+
+// Helper function to start the session of a provider (polling until the websocket is connected)
+function startSession(provider: ethers.providers.Provider): Session {
+  const session: Session = {
+    provider,
+    transport: 'polling',
+    wsProvider: null,
+    pairs: new Map(),
+    stopped: false,
+    lastPolledBlock: -1,
+    polling: false,
+    onBlock: (blockNumber) => pollReserves(session, blockNumber),
+    onSync: (log) => {
+      const watch = session.pairs.get(log.address.toLowerCase());
+      if (!watch) return;
+
+      const { reserve0, reserve1 } = pairInterface.parseLog(log).args;
+      updateReserves(watch, { reserve0, reserve1, blockNumber: log.blockNumber });
+    },
+  };
+
+  provider.on('block', session.onBlock);
+  connectWebSocket(session).catch(error => {
+    console.warn('⚠️ Websocket setup failed, polling new blocks instead:', error.message);
+  });
+
+  sessions.set(provider, session);
+  return session;
+}
+
+// Helper function to stop a session once nothing is watched anymore
+function stopSession(session: Session): void {
+  session.stopped = true;
+  sessions.delete(session.provider);
+  session.provider.off('block', session.onBlock);
+
+  if (session.wsProvider) {
+    const wsProvider = session.wsProvider;
+    session.wsProvider = null;
+    wsProvider.destroy().catch(() => {});
+  }
+}
+
+/**
+ * Subscribe to reserve changes of a pair
+ * @param pairAddress - Pair contract address
+ * @param provider - Provider of the connected chain (polled when there is no websocket)
+ * @param listener - Called with the new reserves whenever they change
+ * @returns Unsubscribe function
+ */
+export function subscribePairReserves(
+  pairAddress: string,
+  provider: ethers.providers.Provider,
+  listener: ReservesListener
+): () => void {
+  const batchedProvider = getMulticallProvider(provider);
+  const session = sessions.get(batchedProvider) || startSession(batchedProvider);
+  const key = pairAddress.toLowerCase();
+
+  let watch = session.pairs.get(key);
+  if (!watch) {
+    watch = { address: ethers.utils.getAddress(pairAddress), listeners: new Set(), reserves: null, syncFilter: null };
+    session.pairs.set(key, watch);
+    watchSync(session, watch);
+  }
+  watch.listeners.add(listener);
+
+  return () => {
+    watch!.listeners.delete(listener);
+    if (watch!.listeners.size > 0) return;
+
+    unwatchSync(session, watch!);
+    session.pairs.delete(key);
+    if (session.pairs.size === 0) {
+      stopSession(session);
+    }
+  };
+}
@@ -0,0 +1,532 @@
+/**
+ * Route Service for multi-hop swaps
+ * Finds the best 1-3 hop path between two tokens using the pair graph
+ * from pairService and on-chain reserves, confirmed with router.getAmountsOut
+ * Candidate paths are capped and reserves are read once per block, so RPC load stays flat as the pair graph grows
+ */
+
+import { ethers } from 'ethers';
+import { getAddressForRouting, getTokensForChain } from '../constants/tokens';
+import { CONTRACT_ABIS, getChainContext, getProviderChainContext } from '../config/contracts';
+import type { ChainContext } from '../config/contracts';
+import { fetchPairMapping, getSwappableTokens } from './pairService';
+import { getAmountOut, getAmountIn, computePairAddress } from '../utils/calculations';
+
+// Maximum number of pairs a route may go through
+export const MAX_HOPS = 3;
+
+// Number of locally ranked routes that get confirmed with the router
+const ROUTES_TO_CONFIRM = 3;
+
+// Number of unranked routes quoted when reserves could not be loaded
+const MAX_UNRANKED_QUOTES = 10;
+
+// Number of candidate paths ranked per trade (bounds the reserve reads on large pair graphs)
+export const MAX_CANDIDATE_PATHS = 30;
+
+/**
+ * Intermediate tokens used when the pair graph is unavailable (subgraph down)
+ * - Stablecoins don't exist on every chain (e.g. the local chain)
+ */
+function getBaseTokens(chain: ChainContext): string[] {
+  const tokens = getTokensForChain(chain.chainId);
+  return [tokens.WETH, tokens.USDC, tokens.USDT]
+    .filter(Boolean)
+    .map(token => token.address);
+}
+
+// EXACT_INPUT: amountIn is fixed, maximize amountOut
+// EXACT_OUTPUT: amountOut is fixed, minimize amountIn
+export type TradeType = 'EXACT_INPUT' | 'EXACT_OUTPUT';
+
+export interface Route {
+  tradeType: TradeType;
+  path: string[];
+  amounts: ethers.BigNumber[];
+  amountIn: ethers.BigNumber;
+  amountOut: ethers.BigNumber;
+  hops: number;
+  // Price impact in percent across all hops (null if reserves are unknown)
+  priceImpact: string | null;
+}
+
+interface PairReserves {
+  reserve0: ethers.BigNumber;
+  reserve1: ethers.BigNumber;
+  token0: string;
+}
+
+// token0 of each pair, per chain (never changes)
+const token0Cache = new Map<string, string>();
+
+// Reserves read at the latest block, per chain (null: pair not deployed or failed to load)
+const reservesCache = new Map<number, { blockNumber: number; pairs: Map<string, Promise<PairReserves | null>> }>();
+
+/**
+ * Enumerate the simple paths between two tokens in the pair graph
+ * - Addresses are routing addresses (native ETH is mapped to WETH)
+ * - Paths never visit the same token twice
+ * - Shorter paths come first, then paths through fewer non-base tokens
+ * - Only the first maxPaths are returned
+ */
+export function findCandidatePaths(
+  tokenIn: string,
+  tokenOut: string,
+  pairMapping: Record<string, string[]>,
+  maxHops: number = MAX_HOPS,
+  chain: ChainContext = getChainContext(),
+  maxPaths: number = MAX_CANDIDATE_PATHS
+): string[][] {
+  const start = getAddressForRouting(tokenIn, chain.weth).toLowerCase();
+  const end = getAddressForRouting(tokenOut, chain.weth).toLowerCase();
+
+  if (start === end) {
+    return [];
+  }
+
+  const paths: string[][] = [];
+
+  const walk = (current: string, visited: string[]) => {
+    if (visited.length > maxHops) {
+      return;
+    }
+
+    for (const next of getSwappableTokens(current, pairMapping)) {
+      if (visited.includes(next)) continue;
+
+      if (next === end) {
+        paths.push([...visited, next]);
+      } else if (visited.length < maxHops) {
+        walk(next, [...visited, next]);
+      }
+    }
+  };
+
+  walk(start, [start]);
+
+  const baseTokens = new Set(getBaseTokens(chain).map(address => address.toLowerCase()));
+  const nonBaseHops = (path: string[]) => path.slice(1, -1).filter(address => !baseTokens.has(address)).length;
+
+  return paths
+    .sort((a, b) => a.length - b.length || nonBaseHops(a) - nonBaseHops(b))
+    .slice(0, maxPaths)
+    .map(path => path.map(address => ethers.utils.getAddress(address)));
+}
+
+/**
+ * Build a minimal pair graph from the base tokens
+ * Used as a fallback so routing still works without subgraph data
+ */
+export function buildFallbackMapping(
+  tokenIn: string,
+  tokenOut: string,
+  chain: ChainContext = getChainContext()
+): Record<string, string[]> {
+  const tokens = [
+    getAddressForRouting(tokenIn, chain.weth),
+    getAddressForRouting(tokenOut, chain.weth),
+    ...getBaseTokens(chain),
+  ].map(address => address.toLowerCase());
+
+  const unique = Array.from(new Set(tokens));
+  const mapping: Record<string, string[]> = {};
+
+  unique.forEach(token => {
+    mapping[token] = unique.filter(other => other !== token);
+  });
+
+  return mapping;
+}
+
+/**
+ * Get all tokens reachable from a token within maxHops
+ * - Used by the UI to offer output tokens without a direct pool
+ */
+export function getReachableTokens(
+  tokenAddress: string,
+  pairMapping: Record<string, string[]>,
+  maxHops: number = MAX_HOPS
+): string[] {
+  if (!tokenAddress || !pairMapping) {
+    return [];
+  }
+
+  const start = getAddressForRouting(tokenAddress).toLowerCase();
+  const reached = new Set<string>([start]);
+  let frontier = [start];
+
+  for (let hop = 0; hop < maxHops; hop++) {
+    const nextFrontier: string[] = [];
+
+    frontier.forEach(token => {
+      getSwappableTokens(token, pairMapping).forEach((next: string) => {
+        if (!reached.has(next)) {
+          reached.add(next);
+          nextFrontier.push(next);
+        }
+      });
+    });
+
+    frontier = nextFrontier;
+  }
+
+  reached.delete(start);
+  return Array.from(reached);
+}
+
+// Helper function to read the reserves of a pair (token0 from the cache once known)
+async function loadPairReserves(
+  pairAddress: string,
+  provider: ethers.providers.Provider,
+  chain: ChainContext
+): Promise<PairReserves | null> {
+  const token0Key = `${chain.chainId}:${pairAddress.toLowerCase()}`;
+
+  try {
+    const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const [result, token0] = await Promise.all([
+      pair.getReserves(),
+      token0Cache.get(token0Key) || pair.token0(),
+    ]);
+    token0Cache.set(token0Key, token0.toLowerCase());
+
+    return {
+      reserve0: result.reserve0,
+      reserve1: result.reserve1,
+      token0: token0.toLowerCase(),
+    };
+  } catch {
+    // Pair not deployed - paths through it are dropped
+    return null;
+  }
+}
+
+/**
+ * Fetch reserves for every pair used by the candidate paths
+ * - Pair addresses are computed with CREATE2 (no factory calls)
+ * - Reserves are read once per block and pair, token0 once per pair
+ * - Pairs that do not exist or fail to load are left out of the result
+ * @param fresh - Skip the block cache (the provider's block number can lag behind a Sync event)
+ */
+async function fetchPathReserves(
+  paths: string[][],
+  provider: ethers.providers.Provider,
+  chain: ChainContext,
+  fresh = false
+): Promise<Map<string, PairReserves>> {
+  const pairAddresses = new Map<string, string>();
+
+  paths.forEach(path => {
+    for (let i = 0; i < path.length - 1; i++) {
+      const pairAddress = computePairAddress(
+        chain.contracts.FACTORY,
+        path[i],
+        path[i + 1],
+        chain.initCodeHash
+      );
+      pairAddresses.set(pairAddress.toLowerCase(), pairAddress);
+    }
+  });
+
+  let blockPairs = new Map<string, Promise<PairReserves | null>>();
+  if (!fresh) {
+    const blockNumber = await provider.getBlockNumber();
+    const cached = reservesCache.get(chain.chainId);
+    if (cached?.blockNumber === blockNumber) {
+      blockPairs = cached.pairs;
+    } else {
+      reservesCache.set(chain.chainId, { blockNumber, pairs: blockPairs });
+    }
+  }
+
+  const reserves = new Map<string, PairReserves>();
+
+  await Promise.all(
+    Array.from(pairAddresses.entries()).map(async ([key, pairAddress]) => {
+      if (!blockPairs.has(key)) {
+        blockPairs.set(key, loadPairReserves(pairAddress, provider, chain));
+      }
+
+      const pair = await blockPairs.get(key)!;
+      if (pair) {
+        reserves.set(key, pair);
+      }
+    })
+  );
+
+  return reserves;
+}
+
+/**
+ * Get ordered [reserveIn, reserveOut] for each hop of a path
+ * Returns null if any hop has no liquidity
+ */
+function getHopReserves(
+  path: string[],
+  reserves: Map<string, PairReserves>,
+  chain: ChainContext
+): Array<[ethers.BigNumber, ethers.BigNumber]> | null {
+  const hops: Array<[ethers.BigNumber, ethers.BigNumber]> = [];
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const pairAddress = computePairAddress(
+      chain.contracts.FACTORY,
+      path[i],
+      path[i + 1],
+      chain.initCodeHash
+    ).toLowerCase();
+    const pair = reserves.get(pairAddress);
+
+    if (!pair || pair.reserve0.isZero() || pair.reserve1.isZero()) {
+      return null;
+    }
+
+    const isToken0 = path[i].toLowerCase() === pair.token0;
+    hops.push(isToken0 ? [pair.reserve0, pair.reserve1] : [pair.reserve1, pair.reserve0]);
+  }
+
+  return hops;
+}
+
+/**
+ * Compute the amount at every step of a path from its hop reserves (same math as the router)
+ * - Exact input: forward from amountIn (router.getAmountsOut)
+ * - Exact output: backward from amountOut (router.getAmountsIn)
+ * Returns null if a hop outputs nothing or has not enough reserves
+ */
+function computePathAmounts(
+  hops: Array<[ethers.BigNumber, ethers.BigNumber]>,
+  amount: ethers.BigNumber,
+  isExactInput: boolean
+): ethers.BigNumber[] | null {
+  const amounts = [amount];
+
+  if (isExactInput) {
+    for (const [reserveIn, reserveOut] of hops) {
+      const next = getAmountOut(amounts[amounts.length - 1], reserveIn, reserveOut);
+      if (next.isZero()) {
+        return null;
+      }
+      amounts.push(next);
+    }
+    return amounts;
+  }
+
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const [reserveIn, reserveOut] = hops[i];
+    if (amounts[0].gte(reserveOut)) {
+      return null;
+    }
+    amounts.unshift(getAmountIn(amounts[0], reserveIn, reserveOut));
+  }
+  return amounts;
+}
+
+/**
+ * Quote a path locally from reserves (same math as router.getAmountsOut)
+ * Returns null if any hop has no liquidity
+ */
+function quotePathLocally(
+  path: string[],
+  amountIn: ethers.BigNumber,
+  reserves: Map<string, PairReserves>,
+  chain: ChainContext
+): ethers.BigNumber | null {
+  const hops = getHopReserves(path, reserves, chain);
+  const amounts = hops && computePathAmounts(hops, amountIn, true);
+  return amounts ? amounts[amounts.length - 1] : null;
+}
+
+/**
+ * Quote the input needed for an exact output locally (same math as router.getAmountsIn)
+ * Returns null if any hop has no liquidity or not enough reserves
+ */
+function quotePathInputLocally(
+  path: string[],
+  amountOut: ethers.BigNumber,
+  reserves: Map<string, PairReserves>,
+  chain: ChainContext
+): ethers.BigNumber | null {
+  const hops = getHopReserves(path, reserves, chain);
+  const amounts = hops && computePathAmounts(hops, amountOut, false);
+  return amounts ? amounts[0] : null;
+}
+
+/**
+ * Calculate price impact of a route (including LP fees), like calculatePriceImpact
+ * @returns Percentage string, or null if reserves are unknown
+ */
+function calculateRoutePriceImpact(
+  path: string[],
+  amountIn: ethers.BigNumber,
+  amountOut: ethers.BigNumber,
+  reserves: Map<string, PairReserves>,
+  chain: ChainContext
+): string | null {
+  const hops = getHopReserves(path, reserves, chain);
+  if (!hops) {
+    return null;
+  }
+
+  // Output at mid price, without fees or curve movement
+  let exactQuote = amountIn;
+  for (const [reserveIn, reserveOut] of hops) {
+    exactQuote = exactQuote.mul(reserveOut).div(reserveIn);
+  }
+
+  if (exactQuote.isZero() || amountOut.gte(exactQuote)) {
+    return '0.00';
+  }
+
+  const impact = exactQuote.sub(amountOut).mul(10000).div(exactQuote);
+  return (impact.toNumber() / 100).toFixed(2);
+}
+
+/**
+ * Find the best route for a trade
+ * - Candidate paths (1-3 hops) come from the pair graph
+ * - Paths are ranked locally from on-chain reserves
+ * - The best candidates are confirmed with router.getAmountsOut / getAmountsIn
+ * @param amount - Exact input (EXACT_INPUT) or exact output (EXACT_OUTPUT) amount
+ */
+export async function findBestRoute(
+  tokenIn: string,
+  tokenOut: string,
+  amount: ethers.BigNumber,
+  provider: ethers.providers.Provider,
+  tradeType: TradeType = 'EXACT_INPUT'
+): Promise<Route> {
+  const isExactInput = tradeType === 'EXACT_INPUT';
+  const chain = await getProviderChainContext(provider);
+  let pairMapping: Record<string, string[]>;
+
+  try {
+    pairMapping = await fetchPairMapping(false, chain.chainId);
+  } catch (error) {
+    console.warn('⚠️ Pair graph unavailable, routing through base tokens:', (error as Error).message);
+    pairMapping = {};
+  }
+
+  let candidates = findCandidatePaths(tokenIn, tokenOut, pairMapping, MAX_HOPS, chain);
+
+  if (candidates.length === 0) {
+    candidates = findCandidatePaths(
+      tokenIn,
+      tokenOut,
+      buildFallbackMapping(tokenIn, tokenOut, chain),
+      MAX_HOPS,
+      chain
+    );
+  }
+
+  console.log(`🛤️ Found ${candidates.length} candidate paths (${tradeType})`);
+
+  if (candidates.length === 0) {
+    throw new Error('No route found between these tokens');
+  }
+
+  // Rank candidates by local quote; fall back to router quotes if reserves are unavailable
+  const reserves = await fetchPathReserves(candidates, provider, chain);
+  const ranked = candidates
+    .map(path => ({
+      path,
+      quote: isExactInput
+        ? quotePathLocally(path, amount, reserves, chain)
+        : quotePathInputLocally(path, amount, reserves, chain),
+    }))
+    .filter(candidate => candidate.quote !== null)
+    .sort((a, b) => {
+      // Highest output first for exact input, lowest input first for exact output
+      const [better, worse] = isExactInput ? [b.quote!, a.quote!] : [a.quote!, b.quote!];
+      return better.gt(worse) ? 1 : better.lt(worse) ? -1 : 0;
+    })
+    .map(candidate => candidate.path);
+
+  const toConfirm = ranked.length > 0
+    ? ranked.slice(0, ROUTES_TO_CONFIRM)
+    : candidates.slice(0, MAX_UNRANKED_QUOTES);
+
+  const router = new ethers.Contract(
+    chain.contracts.ROUTER,
+    CONTRACT_ABIS.ROUTER,
+    provider
+  );
+
+  const quotes = await Promise.allSettled(
+    toConfirm.map(path => isExactInput
+      ? router.getAmountsOut(amount, path)
+      : router.getAmountsIn(amount, path))
+  );
+
+  let route: Route | null = null;
+
+  for (let i = 0; i < quotes.length; i++) {
+    const quote = quotes[i];
+    if (quote.status !== 'fulfilled') continue;
+
+    const amounts: ethers.BigNumber[] = quote.value;
+    const amountIn = amounts[0];
+    const amountOut = amounts[amounts.length - 1];
+
+    const isBetter = !route || (isExactInput
+      ? amountOut.gt(route.amountOut)
+      : amountIn.lt(route.amountIn));
+
+    if (isBetter) {
+      route = {
+        tradeType,
+        path: toConfirm[i],
+        amounts,
+        amountIn,
+        amountOut,
+        hops: toConfirm[i].length - 1,
+        priceImpact: calculateRoutePriceImpact(toConfirm[i], amountIn, amountOut, reserves, chain),
+      };
+    }
+  }
+
+  if (!route) {
+    throw new Error('No route with enough liquidity found');
+  }
+
+  console.log('✅ Best route:', {
+    tradeType,
+    path: route.path,
+    hops: route.hops,
+    amountIn: route.amountIn.toString(),
+    amountOut: route.amountOut.toString(),
+  });
+
+  return route;
+}
+
+/**
+ * Recompute the amounts of a route from the current reserves of its pairs, keeping its path
+ * - Keeps a quote live while its reserves move (see hooks/useLiveReserves); searching for a
+ *   better path is left to findBestRoute when the trade itself changes
+ */
+export async function requoteRoute(
+  route: Route,
+  provider: ethers.providers.Provider
+): Promise<Route> {
+  const isExactInput = route.tradeType === 'EXACT_INPUT';
+  const chain = await getProviderChainContext(provider);
+  const reserves = await fetchPathReserves([route.path], provider, chain, true);
+
+  const hops = getHopReserves(route.path, reserves, chain);
+  const amounts = hops && computePathAmounts(hops, isExactInput ? route.amountIn : route.amountOut, isExactInput);
+  if (!amounts) {
+    throw new Error('Not enough liquidity left on this route');
+  }
+
+  const amountIn = amounts[0];
+  const amountOut = amounts[amounts.length - 1];
+
+  return {
+    ...route,
+    amounts,
+    amountIn,
+    amountOut,
+    priceImpact: calculateRoutePriceImpact(route.path, amountIn, amountOut, reserves, chain),
+  };
+}
@@ -4,28 +4,56 @@
  */
 
 import { ethers } from 'ethers';
-import { isNativeToken, getAddressForRouting, WETH_ADDRESS } from '../constants/tokens';
-import { CONTRACT_ADDRESSES, CONTRACT_ABIS } from '../config/contracts';
+import { isNativeToken, getAddressForRouting } from '../constants/tokens';
+import { CONTRACT_ABIS, DEFAULT_SLIPPAGE, getProviderChainContext } from '../config/contracts';
+import { applySlippage } from '../utils/calculations';
+import { findBestRoute, TradeType } from './routeService';
+import { getPathTransferTaxes, hasTransferTax, needsFeeOnTransferSupport } from './feeOnTransferService';
+import { parseSwapReceipt, SwapExecution } from './receiptService';
+import { trackTransaction, tokenLabel, amountLabel, StoredTransaction } from './transactionStore';
 
 export interface SwapParams {
   tokenIn: string;
   tokenOut: string;
+  // Exact input: amount to sell. Exact output: quoted input (slippage is added on top)
   amountIn: ethers.BigNumber;
-  amountOutMin: ethers.BigNumber;
+  // Exact input only: minimum amount to receive
+  amountOutMin?: ethers.BigNumber;
+  // Exact input only: quoted output, used to compare the realized price
+  expectedAmountOut?: ethers.BigNumber;
+  // Exact output only: amount to receive
+  amountOut?: ethers.BigNumber;
+  // Exact output only: computed from amountIn and slippageBps when omitted
+  amountInMax?: ethers.BigNumber;
+  slippageBps?: number;
+  tradeType?: TradeType;
+  // Use the SupportingFeeOnTransferTokens variants; detected from the path when omitted
+  feeOnTransfer?: boolean;
   recipient: string;
   deadline: number;
+  // Route from routeService; the best route is looked up when omitted
+  path?: string[];
+  // Explicit nonce (e.g. to replace a stuck transaction); the signer picks the next one when omitted
+  nonce?: number;
+  // Called once the tx is submitted (hash and nonce known) so the UI can offer speed up / cancel
+  onSubmitted?: (tx: StoredTransaction) => void;
 }
 
 export interface SwapResult {
   tx: ethers.ContractTransaction;
   receipt: ethers.ContractReceipt;
+  // Executed per-hop amounts from the receipt (falls back to the swap bounds if parsing fails)
   amounts: ethers.BigNumber[];
+  path: string[];
+  // Actual amounts paid/received and realized price vs quote
+  execution: SwapExecution | null;
 }
 
 /**
- * Build swap path for router
+ * Build direct swap path for router
  * - Converts native ETH (0x000...000) to WETH for path
  * - Keeps ERC20 addresses as-is
+ * - Multi-hop routes come from routeService.findBestRoute
  */
 export function buildSwapPath(tokenIn: string, tokenOut: string): string[] {
   const addressIn = getAddressForRouting(tokenIn);
@@ -41,93 +69,259 @@ export function buildSwapPath(tokenIn: string, tokenOut: string): string[] {
   return [addressIn, addressOut];
 }
 
+/**
+ * Calculate maximum input for an exact output swap
+ * - Adds slippage tolerance on top of the quoted input
+ */
+export function calculateAmountInMax(
+  amountIn: ethers.BigNumber,
+  slippageBps: number = DEFAULT_SLIPPAGE
+): ethers.BigNumber {
+  return applySlippage(amountIn, slippageBps, false);
+}
+
+/**
+ * Resolve the path and quoted input for a swap
+ * - Uses the path from params when given (e.g. the route shown in the quote)
+ * - Otherwise searches for the best 1-3 hop route
+ */
+async function resolveSwapRoute(
+  params: SwapParams,
+  provider: ethers.providers.Provider
+): Promise<{ path: string[]; amountIn: ethers.BigNumber }> {
+  if (params.path && params.path.length >= 2) {
+    return { path: params.path, amountIn: params.amountIn };
+  }
+
+  const isExactOutput = params.tradeType === 'EXACT_OUTPUT';
+  const route = await findBestRoute(
+    params.tokenIn,
+    params.tokenOut,
+    isExactOutput ? params.amountOut! : params.amountIn,
+    provider,
+    isExactOutput ? 'EXACT_OUTPUT' : 'EXACT_INPUT'
+  );
+
+  return { path: route.path, amountIn: route.amountIn };
+}
+
 /**
  * Execute swap with proper native ETH handling
+ * Exact input (default):
  * - ETH → Token: swapExactETHForTokens (with value)
  * - Token → ETH: swapExactTokensForETH
  * - Token → Token: swapExactTokensForTokens
+ * - Fee-on-transfer tokens in the path: the SupportingFeeOnTransferTokens variant of each
+ * Exact output:
+ * - ETH → Token: swapETHForExactTokens (value = amountInMax, router refunds the rest)
+ * - Token → ETH: swapTokensForExactETH
+ * - Token → Token: swapTokensForExactTokens
+ * - Path may go through up to 3 pairs (see routeService)
  */
 export async function executeSwap(
   params: SwapParams,
   signer: ethers.Signer
 ): Promise<SwapResult> {
-  const { tokenIn, tokenOut, amountIn, amountOutMin, recipient, deadline } = params;
+  const { tokenIn, tokenOut, recipient, deadline } = params;
+  const isExactOutput = params.tradeType === 'EXACT_OUTPUT';
   
+  if (isExactOutput && (!params.amountOut || params.amountOut.lte(0))) {
+    throw new Error('Exact output swap requires amountOut');
+  }
+  if (!isExactOutput && !params.amountOutMin) {
+    throw new Error('Exact input swap requires amountOutMin');
+  }
+  
+  if (!signer.provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+  
+  // Router of the chain the wallet is on (throws on unsupported networks)
+  const chain = await getProviderChainContext(signer.provider);
   const router = new ethers.Contract(
-    CONTRACT_ADDRESSES.ROUTER,
+    chain.contracts.ROUTER,
     CONTRACT_ABIS.ROUTER,
     signer
   );
   
-  // Build path with WETH for routing
-  const path = buildSwapPath(tokenIn, tokenOut);
+  // Path with WETH for routing (direct or multi-hop)
+  const { path, amountIn } = await resolveSwapRoute(params, signer.provider);
   
   const isInputNative = isNativeToken(tokenIn);
   const isOutputNative = isNativeToken(tokenOut);
   
-  console.log('🔄 Executing swap:', {
-    tokenIn,
-    tokenOut,
-    isInputNative,
-    isOutputNative,
-    amountIn: amountIn.toString(),
-    amountOutMin: amountOutMin.toString(),
-    path,
-  });
+  if (isInputNative && isOutputNative) {
+    throw new Error('Cannot swap ETH for ETH');
+  }
   
-  let tx: ethers.ContractTransaction;
+  // Tax tokens revert with the regular router methods
+  // Exact input also uses the supporting methods when a tax is unknown, exact output only rejects measured taxes
+  let feeOnTransfer = params.feeOnTransfer;
+  if (feeOnTransfer === undefined) {
+    const taxes = await getPathTransferTaxes(path, signer.provider);
+    feeOnTransfer = isExactOutput ? hasTransferTax(taxes) : needsFeeOnTransferSupport(taxes);
+  }
   
-  // Case 1: ETH → Token (input is native)
-  if (isInputNative && !isOutputNative) {
-    console.log('💎 ETH → Token swap');
-    tx = await router.swapExactETHForTokens(
-      amountOutMin,
-      path,
-      recipient,
-      deadline,
-      { value: amountIn } // Send ETH as value
-    );
+  if (isExactOutput && feeOnTransfer) {
+    throw new Error('Exact output swaps are not supported for fee-on-transfer tokens');
   }
-  // Case 2: Token → ETH (output is native)
-  else if (!isInputNative && isOutputNative) {
-    console.log('🪙 Token → ETH swap');
-    tx = await router.swapExactTokensForETH(
-      amountIn,
-      amountOutMin,
+  
+  let tx: ethers.ContractTransaction;
+  let amounts: ethers.BigNumber[];
+  let quotedAmountOut: ethers.BigNumber | undefined;
+  const overrides: ethers.PayableOverrides = params.nonce !== undefined ? { nonce: params.nonce } : {};
+  
+  if (isExactOutput) {
+    const amountOut = params.amountOut!;
+    const amountInMax = params.amountInMax || calculateAmountInMax(amountIn, params.slippageBps);
+    
+    console.log('🔄 Executing exact output swap:', {
+      tokenIn,
+      tokenOut,
+      isInputNative,
+      isOutputNative,
+      amountOut: amountOut.toString(),
+      amountInMax: amountInMax.toString(),
       path,
-      recipient,
-      deadline
-    );
-  }
-  // Case 3: Token → Token (neither is native)
-  else if (!isInputNative && !isOutputNative) {
-    console.log('🔄 Token → Token swap');
-    tx = await router.swapExactTokensForTokens(
-      amountIn,
-      amountOutMin,
+    });
+    
+    // Case 1: ETH → Token (input is native)
+    if (isInputNative) {
+      console.log('💎 ETH → exact Token swap');
+      tx = await router.swapETHForExactTokens(
+        amountOut,
+        path,
+        recipient,
+        deadline,
+        { ...overrides, value: amountInMax } // Unused ETH is refunded by the router
+      );
+    }
+    // Case 2: Token → ETH (output is native)
+    else if (isOutputNative) {
+      console.log('🪙 Token → exact ETH swap');
+      tx = await router.swapTokensForExactETH(
+        amountOut,
+        amountInMax,
+        path,
+        recipient,
+        deadline,
+        overrides
+      );
+    }
+    // Case 3: Token → Token (neither is native)
+    else {
+      console.log('🔄 Token → exact Token swap');
+      tx = await router.swapTokensForExactTokens(
+        amountOut,
+        amountInMax,
+        path,
+        recipient,
+        deadline,
+        overrides
+      );
+    }
+    
+    amounts = [amountInMax, amountOut];
+    quotedAmountOut = amountOut;
+  } else {
+    const amountOutMin = params.amountOutMin!;
+    
+    console.log('🔄 Executing swap:', {
+      tokenIn,
+      tokenOut,
+      isInputNative,
+      isOutputNative,
+      feeOnTransfer,
+      amountIn: amountIn.toString(),
+      amountOutMin: amountOutMin.toString(),
       path,
-      recipient,
-      deadline
-    );
-  }
-  // Case 4: ETH → ETH (invalid)
-  else {
-    throw new Error('Cannot swap ETH for ETH');
+    });
+    
+    // Case 1: ETH → Token (input is native)
+    if (isInputNative) {
+      console.log('💎 ETH → Token swap');
+      const method = feeOnTransfer
+        ? 'swapExactETHForTokensSupportingFeeOnTransferTokens'
+        : 'swapExactETHForTokens';
+      tx = await router[method](
+        amountOutMin,
+        path,
+        recipient,
+        deadline,
+        { ...overrides, value: amountIn } // Send ETH as value
+      );
+    }
+    // Case 2: Token → ETH (output is native)
+    else if (isOutputNative) {
+      console.log('🪙 Token → ETH swap');
+      const method = feeOnTransfer
+        ? 'swapExactTokensForETHSupportingFeeOnTransferTokens'
+        : 'swapExactTokensForETH';
+      tx = await router[method](
+        amountIn,
+        amountOutMin,
+        path,
+        recipient,
+        deadline,
+        overrides
+      );
+    }
+    // Case 3: Token → Token (neither is native)
+    else {
+      console.log('🔄 Token → Token swap');
+      const method = feeOnTransfer
+        ? 'swapExactTokensForTokensSupportingFeeOnTransferTokens'
+        : 'swapExactTokensForTokens';
+      tx = await router[method](
+        amountIn,
+        amountOutMin,
+        path,
+        recipient,
+        deadline,
+        overrides
+      );
+    }
+    
+    amounts = [amountIn, amountOutMin];
+    quotedAmountOut = params.expectedAmountOut;
   }
   
+  const summary = isExactOutput
+    ? `Swap ${tokenLabel(tokenIn)} for ${amountLabel(params.amountOut!, tokenOut)}`
+    : `Swap ${amountLabel(amountIn, tokenIn)} for ${tokenLabel(tokenOut)}`;
+  
   console.log('⏳ Waiting for swap tx:', tx.hash);
-  const receipt = await tx.wait();
+  // Resolves with the mined tx: the original or its sped up replacement (same calldata)
+  const receipt = await trackTransaction(tx, { type: 'swap', summary }, signer.provider, params.onSubmitted);
   console.log('✅ Swap completed');
   
-  // Get amounts from logs if needed
-  const amounts: ethers.BigNumber[] = [amountIn, amountOutMin];
+  // Decode what was actually paid and received
+  let execution: SwapExecution | null = null;
+  try {
+    execution = parseSwapReceipt(receipt, {
+      tokenIn,
+      tokenOut,
+      path,
+      factory: chain.contracts.FACTORY,
+      initCodeHash: chain.initCodeHash,
+      sender: await signer.getAddress(),
+      recipient,
+      quotedAmountIn: amountIn,
+      quotedAmountOut,
+    });
+    amounts = execution.amounts;
+  } catch (error) {
+    // Keep the swap bounds ([max in, out] or [in, min out]) if the logs can't be decoded
+    console.warn('⚠️ Failed to parse swap receipt:', (error as Error).message);
+  }
   
-  return { tx, receipt, amounts };
+  return { tx, receipt, amounts, path, execution };
 }
 
 /**
  * Get expected output amount (getAmountsOut)
  * Always uses WETH address in path for native ETH
+ * - Quotes the best 1-3 hop route, amounts has one entry per token in the path
  */
 export async function getExpectedOutput(
   tokenIn: string,
@@ -135,23 +329,15 @@ export async function getExpectedOutput(
   amountIn: ethers.BigNumber,
   provider: ethers.providers.Provider
 ): Promise<ethers.BigNumber[]> {
-  const router = new ethers.Contract(
-    CONTRACT_ADDRESSES.ROUTER,
-    CONTRACT_ABIS.ROUTER,
-    provider
-  );
-  
-  // Build path with WETH for routing
-  const path = buildSwapPath(tokenIn, tokenOut);
-  
   console.log('📊 Getting expected output:', {
+    tokenIn,
+    tokenOut,
     amountIn: amountIn.toString(),
-    path,
   });
   
   try {
-    const amounts = await router.getAmountsOut(amountIn, path);
-    console.log('✅ Expected amounts:', amounts.map((a: ethers.BigNumber) => a.toString()));
+    const { amounts, path } = await findBestRoute(tokenIn, tokenOut, amountIn, provider);
+    console.log('✅ Expected amounts:', amounts.map((a: ethers.BigNumber) => a.toString()), 'via', path);
     return amounts;
   } catch (error) {
     console.error('❌ Failed to get amounts out:', error);
@@ -162,6 +348,7 @@ export async function getExpectedOutput(
 /**
  * Get required input amount (getAmountsIn)
  * Always uses WETH address in path for native ETH
+ * - Quotes the 1-3 hop route that needs the least input
  */
 export async function getRequiredInput(
   tokenIn: string,
@@ -169,23 +356,15 @@ export async function getRequiredInput(
   amountOut: ethers.BigNumber,
   provider: ethers.providers.Provider
 ): Promise<ethers.BigNumber[]> {
-  const router = new ethers.Contract(
-    CONTRACT_ADDRESSES.ROUTER,
-    CONTRACT_ABIS.ROUTER,
-    provider
-  );
-  
-  // Build path with WETH for routing
-  const path = buildSwapPath(tokenIn, tokenOut);
-  
   console.log('📊 Getting required input:', {
+    tokenIn,
+    tokenOut,
     amountOut: amountOut.toString(),
-    path,
   });
   
   try {
-    const amounts = await router.getAmountsIn(amountOut, path);
-    console.log('✅ Required amounts:', amounts.map((a: ethers.BigNumber) => a.toString()));
+    const { amounts, path } = await findBestRoute(tokenIn, tokenOut, amountOut, provider, 'EXACT_OUTPUT');
+    console.log('✅ Required amounts:', amounts.map((a: ethers.BigNumber) => a.toString()), 'via', path);
     return amounts;
   } catch (error) {
     console.error('❌ Failed to get amounts in:', error);
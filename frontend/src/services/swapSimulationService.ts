@@ -0,0 +1,157 @@
+/**
+ * Swap Simulation Service
+ * Buys a token from its WETH pair and sells it back within a single eth_call (ExampleSwapProbe)
+ * - The probe runs as the constructor of a call without `to`: nothing is deployed, both legs share
+ *   state, and the sell comes from the fresh address that just bought
+ * - Taxes are balance deltas: tokens the buyer received vs the pair's output, tokens the pair
+ *   received vs the amount sold
+ * - The ETH of the buy comes from a state override of the caller's balance (eth_call's third
+ *   parameter); providers without state overrides get an 'unknown' result
+ * Used by feeOnTransferService (transfer taxes) and tokenRiskService (honeypot check)
+ */
+
+import { ethers } from 'ethers';
+import ExampleSwapProbeABI from '../../../frontend-abis/periphery/ExampleSwapProbe.json';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import { decodeRevertReason } from '../utils/revertReason';
+
+export interface RoundTripSimulation {
+  status: 'ok' | 'cannot-buy' | 'cannot-sell' | 'unknown';
+  reason: string | null;
+  pairAddress: string | null;
+  // Tax of each leg in basis points (null if the leg didn't complete)
+  buyTaxBps: number | null;
+  sellTaxBps: number | null;
+}
+
+// Caller of the simulation when no account is given (its balance is overridden for the call)
+export const PROBE_ACCOUNT = '0x1111111111111111111111111111111111111111';
+
+// Simulated trade size: 0.1% of the WETH reserve of the pair
+const SIMULATION_RESERVE_DIVISOR = 1000;
+
+// ExampleSwapProbe failure codes
+const BUY_FAILED = 1;
+const SELL_FAILED = 2;
+
+const probeFactory = new ethers.ContractFactory(ExampleSwapProbeABI.abi, `0x${ExampleSwapProbeABI.bytecode}`);
+
+// Simulations in flight, shared by concurrent callers (tax and risk checks of the same token)
+const pending = new Map<string, Promise<RoundTripSimulation>>();
+
+/**
+ * Tax in basis points between the amount expected and the amount received (0 if nothing is missing)
+ */
+function taxBps(expected: ethers.BigNumber, received: ethers.BigNumber): number {
+  if (expected.isZero() || received.gte(expected)) {
+    return 0;
+  }
+  return expected.sub(received).mul(10000).div(expected).toNumber();
+}
+
+// Helper function to describe a failed leg (empty revert data also covers legs where no tokens arrived)
+function failureReason(data: string): string {
+  return data === '0x' ? 'No tokens arrived, or reverted without a reason' : decodeRevertReason({ data });
+}
+
+function unknown(reason: string, pairAddress: string | null = null): RoundTripSimulation {
+  return { status: 'unknown', reason, pairAddress, buyTaxBps: null, sellTaxBps: null };
+}
+
+/**
+ * Run the probe against the token's WETH pair
+ */
+async function runSimulation(
+  token: string,
+  provider: ethers.providers.Provider,
+  from: string
+): Promise<RoundTripSimulation> {
+  const chain = await getProviderChainContext(provider);
+  const factory = new ethers.Contract(chain.contracts.FACTORY, CONTRACT_ABIS.FACTORY, provider);
+
+  const pairAddress: string = await factory.getPair(token, chain.weth);
+  if (pairAddress === ethers.constants.AddressZero) {
+    return unknown('No WETH pool to simulate a trade against');
+  }
+
+  const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+  const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+  const reserveWETH: ethers.BigNumber = token0.toLowerCase() === token.toLowerCase() ? reserves.reserve1 : reserves.reserve0;
+
+  const amountIn = reserveWETH.div(SIMULATION_RESERVE_DIVISOR);
+  if (amountIn.isZero()) {
+    return unknown('Pool reserves too small to simulate a trade', pairAddress);
+  }
+
+  // State overrides are only reachable through the raw JSON-RPC call
+  if (!(provider instanceof ethers.providers.JsonRpcProvider)) {
+    return unknown('Provider cannot simulate with state overrides', pairAddress);
+  }
+
+  const { data } = probeFactory.getDeployTransaction(pairAddress, token, chain.weth);
+  const value = ethers.utils.hexValue(amountIn);
+
+  let result: string;
+  try {
+    result = await provider.send('eth_call', [
+      { from, data, value },
+      'latest',
+      { [from]: { balance: value } },
+    ]);
+  } catch (error) {
+    return unknown(`Simulation failed: ${decodeRevertReason(error)}`, pairAddress);
+  }
+
+  const [buyExpected, buyReceived, sellSent, sellReceived, failure, reason] = ethers.utils.defaultAbiCoder.decode(
+    ['uint256', 'uint256', 'uint256', 'uint256', 'uint8', 'bytes'],
+    result
+  );
+
+  if (failure === BUY_FAILED) {
+    return {
+      status: 'cannot-buy',
+      reason: failureReason(reason),
+      pairAddress,
+      buyTaxBps: null,
+      sellTaxBps: null,
+    };
+  }
+
+  const buyTaxBps = taxBps(buyExpected, buyReceived);
+
+  if (failure === SELL_FAILED) {
+    return {
+      status: 'cannot-sell',
+      reason: failureReason(reason),
+      pairAddress,
+      buyTaxBps,
+      sellTaxBps: null,
+    };
+  }
+
+  return { status: 'ok', reason: null, pairAddress, buyTaxBps, sellTaxBps: taxBps(sellSent, sellReceived) };
+}
+
+/**
+ * Simulate buying a token with WETH and selling everything received back, in one eth_call
+ * @param token - Token address
+ * @param provider - Provider of the connected chain (JSON-RPC, with eth_call state overrides)
+ * @param options.from - Caller of the simulation (the buyer is the probe it creates)
+ */
+export async function simulateRoundTrip(
+  token: string,
+  provider: ethers.providers.Provider,
+  { from = PROBE_ACCOUNT }: { from?: string } = {}
+): Promise<RoundTripSimulation> {
+  const { chainId } = await provider.getNetwork();
+  const key = `${chainId}:${token.toLowerCase()}:${from.toLowerCase()}`;
+
+  if (!pending.has(key)) {
+    const simulation = runSimulation(token, provider, from)
+      .catch(error => unknown(`Simulation failed: ${(error as Error).message}`))
+      .finally(() => pending.delete(key));
+    pending.set(key, simulation);
+  }
+
+  return pending.get(key)!;
+}
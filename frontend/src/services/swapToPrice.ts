@@ -0,0 +1,272 @@
+/**
+ * Swap To Price Service
+ * Off-chain version of ExampleSwapToPrice: the trade that moves a pair to a target price
+ * - Size and direction: computeProfitMaximizingTrade (UniswapV2LiquidityMathLibrary port)
+ * - Preview: reserves and price after the trade, profit valued at the target price
+ * - Execution: direct swap through the pair via executeSwap with a tight minimum output
+ */
+
+import { ethers } from 'ethers';
+import { isNativeToken, getAddressForRouting } from '../constants/tokens';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import { applySlippage, computeProfitMaximizingTrade, getAmountOut } from '../utils/calculations';
+import { fetchTokenMetadata } from './factoryPairSource';
+import { getPairAddress } from './liquidityService';
+import { checkApproval, approveToken } from './approvalService';
+import { executeSwap, SwapResult } from './swapService';
+import type { StoredTransaction } from './transactionStore';
+
+export interface SwapToPriceToken {
+  // As given (native ETH stays native), routed through WETH
+  address: string;
+  routingAddress: string;
+  symbol: string;
+  decimals: number;
+}
+
+export interface SwapToPriceParams {
+  tokenA: string;
+  tokenB: string;
+  // Target price: tokenB per tokenA
+  targetPrice: number;
+  // Caps on what may be spent (like ExampleSwapToPrice's maxSpendTokenA/B), uncapped when omitted
+  maxSpendA?: ethers.BigNumber;
+  maxSpendB?: ethers.BigNumber;
+}
+
+export interface SwapToPricePlan {
+  pairAddress: string;
+  tokenA: SwapToPriceToken;
+  tokenB: SwapToPriceToken;
+  targetPrice: number;
+  // tokenB per tokenA before and after the trade
+  priceBefore: number;
+  priceAfter: number;
+  aToB: boolean;
+  tokenIn: SwapToPriceToken;
+  tokenOut: SwapToPriceToken;
+  // Capped input; optimalAmountIn is zero when the pair is already at the target price
+  amountIn: ethers.BigNumber;
+  amountOut: ethers.BigNumber;
+  // Trade size before the spend cap
+  optimalAmountIn: ethers.BigNumber;
+  isCapped: boolean;
+  reserveA: ethers.BigNumber;
+  reserveB: ethers.BigNumber;
+  reserveAAfter: ethers.BigNumber;
+  reserveBAfter: ethers.BigNumber;
+  // Output minus input valued at the target price, in tokenB
+  profit: number;
+}
+
+export interface SwapToPriceOptions {
+  recipient: string;
+  deadline: number;
+  // Defaults to SWAP_TO_PRICE_SLIPPAGE
+  slippageBps?: number;
+  onSubmitted?: (tx: StoredTransaction) => void;
+}
+
+// Tight minimum output: the trade is recomputed right before sending (0.1%)
+export const SWAP_TO_PRICE_SLIPPAGE = 10;
+
+// Digits of the target price kept in the integer true price
+const PRICE_PRECISION = 18;
+
+/**
+ * Human price (tokenB per tokenA) of raw reserves
+ */
+function priceOf(
+  reserveA: ethers.BigNumber,
+  reserveB: ethers.BigNumber,
+  decimalsA: number,
+  decimalsB: number
+): number {
+  return parseFloat(ethers.utils.formatUnits(reserveB, decimalsB)) /
+    parseFloat(ethers.utils.formatUnits(reserveA, decimalsA));
+}
+
+/**
+ * Integer true prices for a target price
+ * - The library moves the pair until reserveA / reserveB = truePriceTokenA / truePriceTokenB,
+ *   so truePriceTokenA = 10^decimalsA and truePriceTokenB = price * 10^decimalsB (both scaled up)
+ */
+function toTruePrices(
+  targetPrice: number,
+  decimalsA: number,
+  decimalsB: number
+): { truePriceTokenA: ethers.BigNumber; truePriceTokenB: ethers.BigNumber } {
+  const truePriceTokenA = ethers.utils.parseUnits('1', decimalsA + PRICE_PRECISION);
+  const truePriceTokenB = ethers.utils.parseUnits(targetPrice.toFixed(PRICE_PRECISION), decimalsB + PRICE_PRECISION);
+  if (truePriceTokenB.isZero()) {
+    throw new Error('Target price is too small');
+  }
+  return { truePriceTokenA, truePriceTokenB };
+}
+
+/**
+ * Describe a token of the plan (native ETH keeps its address, metadata comes from WETH)
+ */
+async function describeToken(
+  address: string,
+  weth: string,
+  chainId: number,
+  provider: ethers.providers.Provider
+): Promise<SwapToPriceToken> {
+  const routingAddress = getAddressForRouting(address, weth);
+  const metadata = await fetchTokenMetadata(routingAddress, provider, chainId);
+  return {
+    address,
+    routingAddress,
+    symbol: isNativeToken(address) ? 'ETH' : metadata.symbol,
+    decimals: Number(metadata.decimals),
+  };
+}
+
+/**
+ * Compute the trade that moves the tokenA/tokenB pair to a target price
+ * - Same math as ExampleSwapToPrice.swapToPrice, on the current reserves
+ * - The input is capped by maxSpendA / maxSpendB (the price then stops short of the target)
+ */
+export async function planSwapToPrice(
+  params: SwapToPriceParams,
+  provider: ethers.providers.Provider
+): Promise<SwapToPricePlan> {
+  const { targetPrice } = params;
+
+  if (!(targetPrice > 0) || !Number.isFinite(targetPrice)) {
+    throw new Error('Target price must be a positive number');
+  }
+
+  try {
+    const chain = await getProviderChainContext(provider);
+    const pairAddress = await getPairAddress(params.tokenA, params.tokenB, provider);
+
+    const [tokenA, tokenB] = await Promise.all([
+      describeToken(params.tokenA, chain.weth, chain.chainId, provider),
+      describeToken(params.tokenB, chain.weth, chain.chainId, provider),
+    ]);
+
+    const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const { reserve0, reserve1 } = await pair.getReserves();
+    const aIsToken0 = tokenA.routingAddress.toLowerCase() < tokenB.routingAddress.toLowerCase();
+    const [reserveA, reserveB]: ethers.BigNumber[] = aIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+
+    if (reserveA.isZero() || reserveB.isZero()) {
+      throw new Error('Pair has no liquidity');
+    }
+
+    const { truePriceTokenA, truePriceTokenB } = toTruePrices(targetPrice, tokenA.decimals, tokenB.decimals);
+    const { aToB, amountIn: optimalAmountIn } = computeProfitMaximizingTrade(
+      truePriceTokenA,
+      truePriceTokenB,
+      reserveA,
+      reserveB
+    );
+
+    const maxSpend = aToB ? params.maxSpendA : params.maxSpendB;
+    const isCapped = !!maxSpend && optimalAmountIn.gt(maxSpend);
+    const amountIn: ethers.BigNumber = isCapped ? maxSpend! : optimalAmountIn;
+
+    let amountOut = ethers.constants.Zero;
+    let reserveAAfter = reserveA;
+    let reserveBAfter = reserveB;
+    if (amountIn.gt(0)) {
+      amountOut = aToB ? getAmountOut(amountIn, reserveA, reserveB) : getAmountOut(amountIn, reserveB, reserveA);
+      reserveAAfter = aToB ? reserveA.add(amountIn) : reserveA.sub(amountOut);
+      reserveBAfter = aToB ? reserveB.sub(amountOut) : reserveB.add(amountIn);
+    }
+
+    const tokenIn = aToB ? tokenA : tokenB;
+    const tokenOut = aToB ? tokenB : tokenA;
+    const inHuman = parseFloat(ethers.utils.formatUnits(amountIn, tokenIn.decimals));
+    const outHuman = parseFloat(ethers.utils.formatUnits(amountOut, tokenOut.decimals));
+
+    const plan: SwapToPricePlan = {
+      pairAddress,
+      tokenA,
+      tokenB,
+      targetPrice,
+      priceBefore: priceOf(reserveA, reserveB, tokenA.decimals, tokenB.decimals),
+      priceAfter: priceOf(reserveAAfter, reserveBAfter, tokenA.decimals, tokenB.decimals),
+      aToB,
+      tokenIn,
+      tokenOut,
+      amountIn,
+      amountOut,
+      optimalAmountIn,
+      isCapped,
+      reserveA,
+      reserveB,
+      reserveAAfter,
+      reserveBAfter,
+      profit: aToB ? outHuman - inHuman * targetPrice : outHuman * targetPrice - inHuman,
+    };
+
+    console.log('🎯 Swap to price plan:', {
+      pair: pairAddress,
+      direction: `${tokenIn.symbol} → ${tokenOut.symbol}`,
+      amountIn: amountIn.toString(),
+      amountOut: amountOut.toString(),
+      priceBefore: plan.priceBefore,
+      priceAfter: plan.priceAfter,
+    });
+
+    return plan;
+  } catch (error) {
+    console.error('❌ Failed to plan swap to price:', error);
+    throw new Error(`Failed to plan swap to price: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Move a pair to a target price
+ * - Recomputes the plan on the latest reserves, then swaps directly through the pair
+ * - Minimum output: the planned output minus slippageBps (tight, so a moved pool reverts
+ *   instead of overshooting the target; fee-on-transfer tokens usually fail it)
+ * - Approves exactly the input amount when the router's allowance is short
+ */
+export async function executeSwapToPrice(
+  params: SwapToPriceParams,
+  options: SwapToPriceOptions,
+  signer: ethers.Signer
+): Promise<{ plan: SwapToPricePlan; result: SwapResult }> {
+  if (!signer.provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+
+  const plan = await planSwapToPrice(params, signer.provider);
+  if (plan.optimalAmountIn.isZero()) {
+    throw new Error('Pair is already at the target price');
+  }
+  if (plan.amountIn.isZero()) {
+    throw new Error(`Nothing to spend: the ${plan.tokenIn.symbol} spend cap is zero`);
+  }
+
+  const chain = await getProviderChainContext(signer.provider);
+  const owner = await signer.getAddress();
+  const approval = await checkApproval(
+    plan.tokenIn.address,
+    owner,
+    chain.contracts.ROUTER,
+    plan.amountIn,
+    signer.provider
+  );
+  if (approval.needsApproval) {
+    await approveToken(plan.tokenIn.address, chain.contracts.ROUTER, plan.amountIn, signer);
+  }
+
+  const result = await executeSwap({
+    tokenIn: plan.tokenIn.address,
+    tokenOut: plan.tokenOut.address,
+    amountIn: plan.amountIn,
+    amountOutMin: applySlippage(plan.amountOut, options.slippageBps ?? SWAP_TO_PRICE_SLIPPAGE),
+    expectedAmountOut: plan.amountOut,
+    path: [plan.tokenIn.routingAddress, plan.tokenOut.routingAddress],
+    recipient: options.recipient,
+    deadline: options.deadline,
+    onSubmitted: options.onSubmitted,
+  }, signer);
+
+  return { plan, result };
+}
@@ -0,0 +1,145 @@
+/**
+ * Token Import Service
+ * Checks a token pasted by address before it is added to the user's tokens
+ * - Metadata from the chain (string or bytes32 name/symbol, see utils/tokenMetadata)
+ * - validateToken and isValidERC20 must both pass
+ * - Warnings: not on any list, symbol of a listed token at another address, no V2 liquidity
+ * - Holders: supply and the connected account's balance; holder counts need an indexer (holdersUrl)
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import { sanitizeAddress, validateToken, isValidERC20 } from '../utils/validation';
+import { readTokenMetadata } from '../utils/tokenMetadata';
+import { getMergedTokens, IMPORTED_LIST_NAME } from './tokenListService';
+import { addUserToken, UserToken } from './userTokenStore';
+import { findBaseLiquidity, TokenLiquidity } from './tokenRiskService';
+
+export interface TokenImportPreview {
+  chainId: number;
+  address: string;
+  name: string;
+  symbol: string;
+  decimals: number;
+  // On the verified tokens of constants/tokens
+  isVerified: boolean;
+  // Enabled lists carrying the token
+  lists: string[];
+  alreadyImported: boolean;
+  totalSupply: string;
+  // Balance of the connected account (null without one)
+  accountBalance: string | null;
+  // V2 pairs with the base tokens (WETH, USDC, USDT)
+  liquidity: TokenLiquidity[];
+  holdersUrl: string | null;
+  warnings: string[];
+}
+
+/**
+ * Check a token before importing it
+ * @param address - Pasted token address
+ * @param provider - Provider of the connected chain
+ * @param account - Connected account (for its balance)
+ * @throws If the address isn't an ERC20 token
+ */
+export async function previewTokenImport(
+  address: string,
+  provider: ethers.providers.Provider,
+  account?: string | null
+): Promise<TokenImportPreview> {
+  const checksummed = sanitizeAddress(address);
+  if (!checksummed) {
+    throw new Error('Invalid token address');
+  }
+
+  console.log(`🔎 Checking token ${checksummed} for import`);
+  const chain = await getProviderChainContext(provider);
+
+  const [validation, isErc20] = await Promise.all([
+    validateToken(checksummed, provider),
+    isValidERC20(checksummed, provider),
+  ]);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+  if (!isErc20) {
+    throw new Error('Not a valid ERC20 token contract');
+  }
+
+  try {
+    const metadata = await readTokenMetadata(checksummed, provider);
+    const token = new ethers.Contract(checksummed, CONTRACT_ABIS.ERC20, provider);
+
+    const [totalSupply, accountBalance, liquidity] = await Promise.all([
+      token.totalSupply(),
+      account ? token.balanceOf(account) : Promise.resolve(null),
+      findBaseLiquidity(checksummed, metadata.decimals, chain, provider),
+    ]);
+
+    const known = getMergedTokens(chain.chainId);
+    const listed = known.find(entry => entry.addressLower === checksummed.toLowerCase());
+    // Lists carrying the token (an earlier import doesn't count)
+    const lists = listed ? listed.lists.filter(name => name !== IMPORTED_LIST_NAME) : [];
+
+    const warnings: string[] = [];
+    if (lists.length === 0) {
+      warnings.push(
+        'This token is not on any enabled token list. Anyone can create a token with any name and symbol, ' +
+        'including fake versions of existing tokens.'
+      );
+    }
+
+    const lookalike = known.find(entry =>
+      entry.addressLower !== checksummed.toLowerCase() &&
+      !entry.isImported &&
+      entry.symbol.toLowerCase() === metadata.symbol.toLowerCase()
+    );
+    if (lookalike) {
+      warnings.push(
+        `${lookalike.symbol} is already listed at ${lookalike.address}. This token uses the same symbol at a different address.`
+      );
+    }
+
+    if (liquidity.length === 0) {
+      warnings.push('No Uniswap V2 pool with WETH, USDC or USDT: the token cannot be swapped through the base tokens.');
+    }
+    if (metadata.decimalsMissing) {
+      warnings.push('The token has no decimals(), 18 is assumed.');
+    }
+    if (metadata.bytes32) {
+      warnings.push('Name or symbol is a bytes32 value (old token standard).');
+    }
+
+    console.log(`✅ ${metadata.symbol} checked, ${warnings.length} warnings`);
+    return {
+      chainId: chain.chainId,
+      address: checksummed,
+      name: metadata.name,
+      symbol: metadata.symbol,
+      decimals: metadata.decimals,
+      isVerified: !!listed?.isVerified,
+      lists,
+      alreadyImported: !!listed?.isImported,
+      totalSupply: ethers.utils.formatUnits(totalSupply, metadata.decimals),
+      accountBalance: accountBalance ? ethers.utils.formatUnits(accountBalance, metadata.decimals) : null,
+      liquidity,
+      holdersUrl: chain.explorerUrl ? `${chain.explorerUrl}/token/${checksummed}#balances` : null,
+      warnings,
+    };
+  } catch (error) {
+    throw new Error(`Failed to check token: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Add a checked token to the user's tokens of its chain
+ */
+export function importToken(preview: TokenImportPreview): UserToken {
+  return addUserToken({
+    chainId: preview.chainId,
+    address: preview.address,
+    symbol: preview.symbol,
+    name: preview.name,
+    decimals: preview.decimals,
+  });
+}
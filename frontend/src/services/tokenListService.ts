@@ -0,0 +1,635 @@
+/**
+ * Token List Service
+ * Loads Token Lists (tokenlists.org schema) and merges them into the tokens offered by the token modals
+ * - Sources: bundled files (src/tokenlists/*.tokenlist.json), URLs (https/ipfs), pasted JSON, the V2 subgraph
+ * - Every list is validated before use; a list failing validation keeps its last accepted version
+ * - Versions: updates are diffed against the accepted version; updates removing tokens wait for acceptance
+ * - Merge: per chainId/address, the highest priority list provides the metadata, tags and list names add up
+ *   (the verified tokens of constants/tokens always come first and keep their own metadata)
+ * - Tokens the user imported by address (userTokenStore) are added after the lists
+ */
+
+import { getTokenList, TokenWithMeta } from '../constants/tokens';
+import {
+  TokenInfo,
+  TokenList,
+  TokenListDiff,
+  TokenListVersion,
+  VersionUpgrade,
+  diffTokenLists,
+  getVersionUpgrade,
+  isEmptyDiff,
+  minVersionBump,
+  validateTokenList,
+  versionComparator,
+  versionToString,
+} from '../utils/tokenListSchema';
+import { fetchSubgraphTokenList } from '../utils/tokenListApi';
+import { getUserTokens, UserToken } from './userTokenStore';
+
+export type TokenListSourceType = 'bundled' | 'url' | 'local' | 'subgraph';
+
+export interface TokenListConfig {
+  id: string;
+  type: TokenListSourceType;
+  // URL of url lists, file path of bundled lists
+  location: string | null;
+  // Higher priority lists win when lists disagree on a token
+  priority: number;
+  enabled: boolean;
+  addedAt: number;
+}
+
+export interface TokenListUpdate {
+  from: TokenListVersion;
+  to: TokenListVersion;
+  diff: TokenListDiff;
+  // Bump the diff requires vs the bump the list made
+  requiredBump: VersionUpgrade;
+  versionBump: VersionUpgrade;
+}
+
+export interface PendingTokenListUpdate extends TokenListUpdate {
+  list: TokenList;
+}
+
+export interface TokenListState {
+  config: TokenListConfig;
+  // Accepted version (null until the first successful load)
+  list: TokenList | null;
+  // Fetched update that removes tokens, applied by acceptTokenListUpdate
+  pendingUpdate: PendingTokenListUpdate | null;
+  // Last applied update
+  lastUpdate: TokenListUpdate | null;
+  errors: string[];
+  warnings: string[];
+  loading: boolean;
+  loadedAt: number | null;
+}
+
+export interface ListedToken extends TokenWithMeta {
+  chainId: number;
+  // Tag names from the lists carrying the token
+  tags: string[];
+  // Names of the lists carrying the token, highest priority first
+  lists: string[];
+  isVerified: boolean;
+  // Imported by the user by address
+  isImported: boolean;
+}
+
+type Listener = () => void;
+
+const STORAGE_KEY_PREFIX = 'token_lists:';
+const CONFIG_KEY = `${STORAGE_KEY_PREFIX}config`;
+
+// Default priorities (user lists rank below the lists shipped with the app)
+const BUNDLED_PRIORITY = 50;
+const USER_PRIORITY = 10;
+const SUBGRAPH_PRIORITY = 0;
+
+// Remote lists are fetched again after this
+const REFRESH_AFTER_MS = 60 * 60 * 1000; // 1 hour
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+const IPNS_GATEWAY = 'https://ipfs.io/ipns/';
+
+const SUBGRAPH_LIST_ID = 'subgraph';
+
+const VERIFIED_LIST_NAME = 'Verified';
+export const IMPORTED_LIST_NAME = 'Imported';
+
+const BUMP_ORDER: Record<VersionUpgrade, number> = { none: 0, patch: 1, minor: 2, major: 3 };
+
+// Lists shipped with the app
+const BUNDLED_LISTS = import.meta.glob('../tokenlists/*.tokenlist.json', { eager: true, import: 'default' }) as
+  Record<string, unknown>;
+
+const memoryStore = new Map<string, unknown>();
+const listeners = new Set<Listener>();
+const states = new Map<string, TokenListState>();
+
+// Loads in flight, by list id
+const loading = new Map<string, Promise<void>>();
+
+let initialized = false;
+
+function readStorage<T>(key: string): T | null {
+  if (memoryStore.has(key)) {
+    return memoryStore.get(key) as T;
+  }
+
+  try {
+    const raw = localStorage.getItem(key);
+    const value = raw ? JSON.parse(raw) : null;
+    memoryStore.set(key, value);
+    return value;
+  } catch (error) {
+    console.warn('⚠️ Could not read token lists from storage:', (error as Error).message);
+    return null;
+  }
+}
+
+function writeStorage(key: string, value: unknown): void {
+  memoryStore.set(key, value);
+
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not persist token lists (kept in memory only):', (error as Error).message);
+  }
+}
+
+function listKey(id: string): string {
+  return `${STORAGE_KEY_PREFIX}list:${id}`;
+}
+
+// The subgraph list is regenerated on every load and too large for localStorage
+function isPersisted(config: TokenListConfig): boolean {
+  return config.type !== 'subgraph';
+}
+
+function saveConfigs(): void {
+  writeStorage(CONFIG_KEY, Array.from(states.values()).map(state => state.config));
+}
+
+function saveList(state: TokenListState): void {
+  if (isPersisted(state.config)) {
+    writeStorage(listKey(state.config.id), state.list);
+  }
+}
+
+function notify(): void {
+  listeners.forEach(listener => listener());
+}
+
+function defaultConfigs(): TokenListConfig[] {
+  const bundled: TokenListConfig[] = Object.keys(BUNDLED_LISTS).map(path => ({
+    id: `bundled:${path.split('/').pop()}`,
+    type: 'bundled',
+    location: path,
+    priority: BUNDLED_PRIORITY,
+    enabled: true,
+    addedAt: 0,
+  }));
+
+  return [
+    ...bundled,
+    {
+      id: SUBGRAPH_LIST_ID,
+      type: 'subgraph',
+      location: null,
+      priority: SUBGRAPH_PRIORITY,
+      // Thousands of unreviewed tokens: opt-in
+      enabled: false,
+      addedAt: 0,
+    },
+  ];
+}
+
+function createState(config: TokenListConfig): TokenListState {
+  return {
+    config,
+    list: isPersisted(config) ? readStorage<TokenList>(listKey(config.id)) : null,
+    pendingUpdate: null,
+    lastUpdate: null,
+    errors: [],
+    warnings: [],
+    loading: false,
+    loadedAt: null,
+  };
+}
+
+// Defaults, overridden by the stored settings, plus the lists the user added
+function ensureInitialized(): void {
+  if (initialized) return;
+  initialized = true;
+
+  const stored = new Map((readStorage<TokenListConfig[]>(CONFIG_KEY) || []).map(config => [config.id, config]));
+
+  defaultConfigs().forEach(config => {
+    const saved = stored.get(config.id);
+    states.set(config.id, createState(
+      saved ? { ...config, priority: saved.priority, enabled: saved.enabled } : config
+    ));
+  });
+
+  stored.forEach(config => {
+    // Bundled files removed from the app are dropped with their settings
+    if (config.type === 'url' || config.type === 'local') {
+      states.set(config.id, createState(config));
+    }
+  });
+}
+
+function getState(id: string): TokenListState {
+  ensureInitialized();
+  const state = states.get(id);
+  if (!state) {
+    throw new Error(`Unknown token list: ${id}`);
+  }
+  return state;
+}
+
+/**
+ * Resolve ipfs:// and ipns:// URIs through a public gateway
+ */
+export function resolveListUri(uri: string): string {
+  if (uri.startsWith('ipfs://')) return `${IPFS_GATEWAY}${uri.slice('ipfs://'.length)}`;
+  if (uri.startsWith('ipns://')) return `${IPNS_GATEWAY}${uri.slice('ipns://'.length)}`;
+  return uri;
+}
+
+async function fetchListJson(url: string): Promise<unknown> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(resolveListUri(url), { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (error) {
+    if ((error as Error).name === 'AbortError') {
+      throw new Error(`No response after ${FETCH_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Current content of a list source (local lists have no source besides the stored copy)
+async function fetchListSource(config: TokenListConfig): Promise<unknown> {
+  switch (config.type) {
+    case 'bundled':
+      return BUNDLED_LISTS[config.location!];
+    case 'url':
+      return fetchListJson(config.location!);
+    case 'subgraph':
+      return fetchSubgraphTokenList();
+    default:
+      return null;
+  }
+}
+
+function describeUpdate(base: TokenList, update: TokenList): TokenListUpdate {
+  const diff = diffTokenLists(base.tokens, update.tokens);
+  return {
+    from: base.version,
+    to: update.version,
+    diff,
+    requiredBump: minVersionBump(diff),
+    versionBump: getVersionUpgrade(base.version, update.version),
+  };
+}
+
+/**
+ * Validate a fetched or imported list and apply it to the state of its list
+ * - First version, subgraph list: accepted as is
+ * - Newer version: accepted with its diff, or held as pending update if it removes tokens (unless acceptRemovals)
+ * - Same or older version: ignored
+ */
+function applyList(state: TokenListState, raw: unknown, acceptRemovals: boolean): void {
+  const validation = validateTokenList(raw);
+  if (!validation.valid) {
+    state.errors = validation.errors;
+    state.warnings = validation.warnings;
+    return;
+  }
+
+  const list = raw as TokenList;
+  const warnings = [...validation.warnings];
+  state.errors = [];
+
+  if (!state.list || state.config.type === 'subgraph') {
+    state.list = list;
+    state.pendingUpdate = null;
+    saveList(state);
+    state.warnings = warnings;
+    return;
+  }
+
+  const current = versionToString(state.list.version);
+  const fetched = versionToString(list.version);
+  const order = versionComparator(list.version, state.list.version);
+
+  if (order < 0) {
+    warnings.push(`Fetched version ${fetched} is older than the accepted ${current}, ignored`);
+  } else if (order === 0) {
+    if (!isEmptyDiff(diffTokenLists(state.list.tokens, list.tokens))) {
+      warnings.push(`Tokens changed without a version bump (still ${current}), ignored`);
+    }
+  } else {
+    const update = describeUpdate(state.list, list);
+
+    if (BUMP_ORDER[update.versionBump] < BUMP_ORDER[update.requiredBump]) {
+      warnings.push(
+        `Version ${fetched} is a ${update.versionBump} release but its changes require a ${update.requiredBump} release`
+      );
+    }
+
+    if (update.diff.removed.length > 0 && !acceptRemovals) {
+      console.log(`⏳ Token list ${list.name} ${fetched} removes ${update.diff.removed.length} tokens, waiting for acceptance`);
+      state.pendingUpdate = { ...update, list };
+    } else {
+      console.log(`✅ Token list ${list.name} updated ${current} → ${fetched}`);
+      state.list = list;
+      state.lastUpdate = update;
+      state.pendingUpdate = null;
+      saveList(state);
+    }
+  }
+
+  state.warnings = warnings;
+}
+
+async function loadList(state: TokenListState): Promise<void> {
+  const { id } = state.config;
+  state.loading = true;
+  notify();
+
+  try {
+    const raw = await fetchListSource(state.config);
+    // Removed or replaced while loading
+    if (states.get(id) !== state) return;
+    if (raw !== null) {
+      applyList(state, raw, false);
+    }
+  } catch (error) {
+    console.error(`❌ Token list ${id} failed to load:`, error);
+    state.errors = [`Failed to load token list: ${(error as Error).message}`];
+  } finally {
+    state.loading = false;
+    state.loadedAt = Date.now();
+    notify();
+  }
+}
+
+/**
+ * Subscribe to token list changes (settings, loads, updates)
+ * @returns Unsubscribe function
+ */
+export function subscribeTokenLists(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * All lists with their state, highest priority first
+ */
+export function getTokenListStates(): TokenListState[] {
+  ensureInitialized();
+  return Array.from(states.values())
+    .map(state => ({ ...state }))
+    .sort((a, b) => b.config.priority - a.config.priority || a.config.id.localeCompare(b.config.id));
+}
+
+/**
+ * Load the enabled lists (skips lists loaded within the last hour unless forced)
+ */
+export async function loadTokenLists(force = false): Promise<void> {
+  ensureInitialized();
+
+  const due = Array.from(states.values()).filter(state =>
+    state.config.enabled &&
+    state.config.type !== 'local' &&
+    (force || state.loadedAt === null || Date.now() - state.loadedAt > REFRESH_AFTER_MS)
+  );
+
+  await Promise.all(due.map(state => {
+    const { id } = state.config;
+    if (!loading.has(id)) {
+      loading.set(id, loadList(state).finally(() => loading.delete(id)));
+    }
+    return loading.get(id);
+  }));
+}
+
+/**
+ * Add a list by URL (https://, ipfs:// or ipns://) and load it
+ */
+export async function addTokenListUrl(url: string): Promise<TokenListState> {
+  ensureInitialized();
+
+  const location = url.trim();
+  if (!/^(https?|ipfs|ipns):\/\/\S+$/.test(location)) {
+    throw new Error(`Invalid token list URL: ${url}`);
+  }
+
+  const id = `url:${location}`;
+  if (states.has(id)) {
+    throw new Error('This token list is already added');
+  }
+
+  const state = createState({
+    id,
+    type: 'url',
+    location,
+    priority: USER_PRIORITY,
+    enabled: true,
+    addedAt: Date.now(),
+  });
+  states.set(id, state);
+  saveConfigs();
+
+  await loadList(state);
+  return { ...state };
+}
+
+/**
+ * Add a list from pasted JSON (a list with the same name replaces the previous import)
+ */
+export function importTokenListJson(json: string): TokenListState {
+  ensureInitialized();
+
+  let raw: unknown;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${(error as Error).message}`);
+  }
+
+  const validation = validateTokenList(raw);
+  if (!validation.valid) {
+    throw new Error(`Invalid token list: ${validation.errors.slice(0, 3).join('; ')}`);
+  }
+
+  const id = `local:${(raw as TokenList).name}`;
+  let state = states.get(id);
+  if (!state) {
+    state = createState({
+      id,
+      type: 'local',
+      location: null,
+      priority: USER_PRIORITY,
+      enabled: true,
+      addedAt: Date.now(),
+    });
+    states.set(id, state);
+    saveConfigs();
+  }
+
+  // Imported explicitly: removals don't need another confirmation
+  applyList(state, raw, true);
+  state.loadedAt = Date.now();
+  notify();
+  return { ...state };
+}
+
+/**
+ * Remove a list added by URL or JSON (bundled lists and the subgraph list can only be disabled)
+ */
+export function removeTokenList(id: string): void {
+  const state = getState(id);
+  if (state.config.type !== 'url' && state.config.type !== 'local') {
+    throw new Error(`${state.list?.name || id} can't be removed, disable it instead`);
+  }
+
+  states.delete(id);
+  writeStorage(listKey(id), null);
+  saveConfigs();
+  notify();
+}
+
+/**
+ * Enable or disable a list (enabling loads it)
+ */
+export function setTokenListEnabled(id: string, enabled: boolean): void {
+  const state = getState(id);
+  state.config = { ...state.config, enabled };
+  saveConfigs();
+  notify();
+
+  if (enabled && state.list === null) {
+    loadTokenLists().catch(error => console.error('❌ Token list load failed:', error));
+  }
+}
+
+/**
+ * Change the priority of a list (higher wins)
+ */
+export function setTokenListPriority(id: string, priority: number): void {
+  const state = getState(id);
+  state.config = { ...state.config, priority };
+  saveConfigs();
+  notify();
+}
+
+/**
+ * Apply the pending update of a list (an update that removes tokens)
+ */
+export function acceptTokenListUpdate(id: string): void {
+  const state = getState(id);
+  if (!state.pendingUpdate) return;
+
+  const { list, ...update } = state.pendingUpdate;
+  state.list = list;
+  state.lastUpdate = update;
+  state.pendingUpdate = null;
+  saveList(state);
+  notify();
+}
+
+/**
+ * Token of a list as a ListedToken
+ */
+function toListedToken(token: TokenInfo, tags: string[], listName: string): ListedToken {
+  const addressLower = token.address.toLowerCase();
+  return {
+    address: token.address,
+    symbol: token.symbol,
+    name: token.name,
+    decimals: token.decimals,
+    logoURI: token.logoURI ? resolveListUri(token.logoURI) : '',
+    id: addressLower,
+    addressLower,
+    chainId: token.chainId,
+    tags,
+    lists: [listName],
+    isVerified: false,
+    isImported: false,
+  };
+}
+
+/**
+ * Merge the verified tokens of a chain with the tokens of the given lists
+ * - Verified tokens first (their order and metadata), then the other tokens by symbol
+ * - Tokens in several lists: metadata of the highest priority list, tags and list names combined
+ * - Imported tokens: their on-chain metadata unless a list carries them
+ */
+export function mergeTokenLists(
+  chainId: number,
+  lists: TokenListState[],
+  userTokens: UserToken[] = []
+): ListedToken[] {
+  const merged = new Map<string, ListedToken>();
+
+  getTokenList(chainId).forEach(token => {
+    merged.set(token.addressLower, {
+      ...token,
+      chainId,
+      tags: [],
+      lists: [VERIFIED_LIST_NAME],
+      isVerified: true,
+      isImported: false,
+    });
+  });
+
+  lists
+    .filter(state => state.config.enabled && state.list)
+    .sort((a, b) => b.config.priority - a.config.priority)
+    .forEach(({ list }) => {
+      list!.tokens
+        .filter(token => token.chainId === chainId)
+        .forEach(token => {
+          const tags = (token.tags || []).map(tag => list!.tags?.[tag]?.name || tag);
+          const existing = merged.get(token.address.toLowerCase());
+
+          if (!existing) {
+            merged.set(token.address.toLowerCase(), toListedToken(token, tags, list!.name));
+            return;
+          }
+
+          tags.filter(tag => !existing.tags.includes(tag)).forEach(tag => existing.tags.push(tag));
+          if (!existing.lists.includes(list!.name)) {
+            existing.lists.push(list!.name);
+          }
+        });
+    });
+
+  userTokens.forEach(token => {
+    const existing = merged.get(token.address.toLowerCase());
+    if (existing) {
+      existing.isImported = true;
+      return;
+    }
+
+    merged.set(token.address.toLowerCase(), {
+      ...toListedToken({ ...token, chainId }, [], IMPORTED_LIST_NAME),
+      isImported: true,
+    });
+  });
+
+  const tokens = Array.from(merged.values());
+  return [
+    ...tokens.filter(token => token.isVerified),
+    ...tokens.filter(token => !token.isVerified).sort((a, b) => a.symbol.localeCompare(b.symbol)),
+  ];
+}
+
+/**
+ * Tokens of a chain from the verified tokens, all enabled lists and the imported tokens
+ */
+export function getMergedTokens(chainId: number): ListedToken[] {
+  ensureInitialized();
+  return mergeTokenLists(chainId, Array.from(states.values()), getUserTokens(chainId));
+}
@@ -0,0 +1,436 @@
+/**
+ * Token Risk Service
+ * Risk profile of a token, beyond the valid/invalid result of validateToken
+ * - Proxy: EIP-1967 (implementation/beacon), EIP-1822, legacy OpenZeppelin slots and EIP-1167 clones
+ * - Owner privileges: mint/pause/blacklist/fee/limit/trading selectors in the (implementation) bytecode, owner()
+ * - Transfer tax: measured by feeOnTransferService
+ * - Honeypot: a buy and a sell of the same buyer simulated in one eth_call (swapSimulationService)
+ * - Liquidity depth: V2 pools with WETH, USDC and USDT
+ * Every field is cached with its own lifetime (tokenRiskCaches in utils/validationCache)
+ */
+
+import { ethers } from 'ethers';
+import { getTokensForChain, isNativeToken, isVerifiedToken } from '../constants/tokens';
+import { CONTRACT_ABIS, getProviderChainContext } from '../config/contracts';
+import type { ChainContext } from '../config/contracts';
+import { tokenRiskCaches } from '../utils/validationCache';
+import { detectTransferTax, TransferTaxInfo } from './feeOnTransferService';
+import { PROBE_ACCOUNT, simulateRoundTrip } from './swapSimulationService';
+
+export type RiskSeverity = 'info' | 'warning' | 'danger';
+export type RiskLevel = 'low' | 'medium' | 'high';
+
+export interface RiskFlag {
+  id: string;
+  severity: RiskSeverity;
+  // Short badge text
+  label: string;
+  detail: string;
+}
+
+export interface ProxyInfo {
+  isProxy: boolean;
+  kind: 'eip1967' | 'eip1967-beacon' | 'eip1822' | 'zeppelinos' | 'eip1167' | null;
+  implementation: string | null;
+  admin: string | null;
+}
+
+export interface PrivilegeInfo {
+  // null: no owner() / getOwner()
+  owner: string | null;
+  renounced: boolean;
+  // Privilege groups found in the bytecode (mint, pause, blacklist, fees, limits, trading)
+  functions: string[];
+}
+
+export interface HoneypotResult {
+  status: 'ok' | 'cannot-buy' | 'cannot-sell' | 'unknown' | 'skipped';
+  reason: string | null;
+}
+
+export interface TokenLiquidity {
+  pairAddress: string;
+  baseSymbol: string;
+  // Formatted reserves of the pair
+  reserveToken: string;
+  reserveBase: string;
+}
+
+export interface LiquidityDepth {
+  pools: TokenLiquidity[];
+  level: 'none' | 'low' | 'ok';
+}
+
+export interface TokenRiskProfile {
+  token: string;
+  chainId: number;
+  isVerified: boolean;
+  proxy: ProxyInfo;
+  privileges: PrivilegeInfo;
+  transferTax: TransferTaxInfo;
+  honeypot: HoneypotResult;
+  liquidity: LiquidityDepth;
+  flags: RiskFlag[];
+  level: RiskLevel;
+  // Danger flags: the swap UI requires an explicit confirmation
+  blocking: boolean;
+  checkedAt: number;
+}
+
+type Listener = () => void;
+
+// Storage slots of the proxy standards
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+const EIP1822_SLOT = '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7';
+const ZEPPELINOS_SLOT = '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3';
+
+// EIP-1167 minimal proxy runtime code
+const MINIMAL_PROXY_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+
+// Privileged functions by group (matched as PUSH4 <selector> in the bytecode)
+const PRIVILEGED_FUNCTIONS: Record<string, string[]> = {
+  mint: ['mint(address,uint256)', 'mint(uint256)', 'mintTo(address,uint256)'],
+  pause: ['pause()', 'unpause()', 'setPaused(bool)'],
+  blacklist: [
+    'blacklist(address)',
+    'addToBlacklist(address)',
+    'addBlackList(address)',
+    'setBlacklist(address,bool)',
+    'blacklistAddress(address,bool)',
+  ],
+  fees: ['setTaxFee(uint256)', 'setFee(uint256)', 'setFees(uint256,uint256)', 'setBuyFee(uint256)', 'setSellFee(uint256)'],
+  limits: ['setMaxTxAmount(uint256)', 'setMaxWalletSize(uint256)', 'setMaxTxPercent(uint256)'],
+  trading: ['enableTrading()', 'openTrading()', 'setTradingEnabled(bool)'],
+};
+
+const PRIVILEGE_DESCRIPTIONS: Record<string, string> = {
+  mint: 'can mint new tokens',
+  pause: 'can pause transfers',
+  blacklist: 'can block addresses from transferring',
+  fees: 'can change transfer fees',
+  limits: 'can limit transaction and wallet sizes',
+  trading: 'controls when trading is enabled',
+};
+
+const OWNER_ABI = [
+  'function owner() view returns (address)',
+  'function getOwner() view returns (address)',
+];
+
+// Base tokens of the liquidity check and the reserve below which a pool counts as shallow
+const BASE_SYMBOLS = ['WETH', 'USDC', 'USDT'];
+const MIN_DEPTH: Record<string, number> = { WETH: 1, USDC: 2500, USDT: 2500 };
+
+// Transfer tax from which a token counts as dangerous
+const DANGEROUS_TAX_BPS = 1000; // 10%
+
+// Assembled profiles of this session (for badges, without network calls)
+const profiles = new Map<string, TokenRiskProfile>();
+const listeners = new Set<Listener>();
+
+function profileKey(chainId: number, token: string): string {
+  return `${chainId}:${token.toLowerCase()}`;
+}
+
+// Helper function to read a cached field or compute and cache it
+async function cachedField<T>(
+  field: string,
+  key: string,
+  forceRefresh: boolean,
+  compute: () => Promise<T>
+): Promise<T> {
+  const cache = tokenRiskCaches[field];
+  if (!forceRefresh) {
+    const cached = cache.get(key);
+    if (cached !== null) return cached as T;
+  }
+
+  const value = await compute();
+  cache.set(key, value);
+  return value;
+}
+
+// Helper function to read an address from a storage slot (null if empty)
+async function readSlotAddress(
+  address: string,
+  slot: string,
+  provider: ethers.providers.Provider
+): Promise<string | null> {
+  const value = await provider.getStorageAt(address, slot);
+  const slotAddress = ethers.utils.hexDataSlice(ethers.utils.hexZeroPad(value, 32), 12);
+  return ethers.BigNumber.from(slotAddress).isZero() ? null : ethers.utils.getAddress(slotAddress);
+}
+
+/**
+ * Detect proxies (the token's code can be replaced by whoever controls the proxy)
+ */
+async function detectProxy(token: string, provider: ethers.providers.Provider): Promise<ProxyInfo> {
+  const code = (await provider.getCode(token)).toLowerCase();
+  const clone = code.match(MINIMAL_PROXY_PATTERN);
+  if (clone) {
+    // Clones are not upgradeable, but the code that runs is the implementation's
+    return { isProxy: true, kind: 'eip1167', implementation: ethers.utils.getAddress(`0x${clone[1]}`), admin: null };
+  }
+
+  const [implementation, admin, beacon, proxiable, zeppelinos] = await Promise.all([
+    readSlotAddress(token, EIP1967_IMPLEMENTATION_SLOT, provider),
+    readSlotAddress(token, EIP1967_ADMIN_SLOT, provider),
+    readSlotAddress(token, EIP1967_BEACON_SLOT, provider),
+    readSlotAddress(token, EIP1822_SLOT, provider),
+    readSlotAddress(token, ZEPPELINOS_SLOT, provider),
+  ]);
+
+  if (implementation) {
+    return { isProxy: true, kind: 'eip1967', implementation, admin };
+  }
+  if (beacon) {
+    const beaconContract = new ethers.Contract(beacon, ['function implementation() view returns (address)'], provider);
+    const beaconImplementation = await beaconContract.implementation().catch(() => null);
+    return { isProxy: true, kind: 'eip1967-beacon', implementation: beaconImplementation, admin: beacon };
+  }
+  if (proxiable) {
+    return { isProxy: true, kind: 'eip1822', implementation: proxiable, admin: null };
+  }
+  if (zeppelinos) {
+    return { isProxy: true, kind: 'zeppelinos', implementation: zeppelinos, admin: null };
+  }
+
+  return { isProxy: false, kind: null, implementation: null, admin: null };
+}
+
+/**
+ * Find privileged functions in the code that runs for the token, and its owner
+ */
+async function detectPrivileges(
+  token: string,
+  codeAddress: string,
+  provider: ethers.providers.Provider
+): Promise<PrivilegeInfo> {
+  const code = (await provider.getCode(codeAddress)).toLowerCase();
+
+  const functions = Object.entries(PRIVILEGED_FUNCTIONS)
+    .filter(([, signatures]) => signatures.some(signature => code.includes(`63${ethers.utils.id(signature).slice(2, 10)}`)))
+    .map(([group]) => group);
+
+  // Called on the token (proxies keep the owner in their own storage)
+  const ownable = new ethers.Contract(token, OWNER_ABI, provider);
+  const owner: string | null = await ownable.owner()
+    .catch(() => ownable.getOwner())
+    .catch(() => null);
+
+  return {
+    owner,
+    renounced: owner !== null && ethers.BigNumber.from(owner).isZero(),
+    functions,
+  };
+}
+
+/**
+ * V2 pools of a token with the base tokens of its chain (WETH, USDC, USDT)
+ */
+export async function findBaseLiquidity(
+  token: string,
+  decimals: number,
+  chain: ChainContext,
+  provider: ethers.providers.Provider
+): Promise<TokenLiquidity[]> {
+  const tokens = getTokensForChain(chain.chainId);
+  const factory = new ethers.Contract(chain.contracts.FACTORY, CONTRACT_ABIS.FACTORY, provider);
+
+  const bases = BASE_SYMBOLS
+    .map(symbol => tokens[symbol])
+    .filter(base => base && base.address.toLowerCase() !== token.toLowerCase());
+
+  const pairs = await Promise.all(bases.map(async base => {
+    const pairAddress: string = await factory.getPair(token, base.address);
+    if (pairAddress === ethers.constants.AddressZero) return null;
+
+    const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+    const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+    const tokenIsToken0 = token0.toLowerCase() === token.toLowerCase();
+    const [reserveToken, reserveBase] = tokenIsToken0
+      ? [reserves.reserve0, reserves.reserve1]
+      : [reserves.reserve1, reserves.reserve0];
+
+    return {
+      pairAddress,
+      baseSymbol: base.symbol,
+      reserveToken: ethers.utils.formatUnits(reserveToken, decimals),
+      reserveBase: ethers.utils.formatUnits(reserveBase, base.decimals),
+    };
+  }));
+
+  return pairs.filter((pair): pair is TokenLiquidity => pair !== null);
+}
+
+function liquidityLevel(pools: TokenLiquidity[]): LiquidityDepth['level'] {
+  if (pools.length === 0) return 'none';
+  return pools.some(pool => parseFloat(pool.reserveBase) >= MIN_DEPTH[pool.baseSymbol]) ? 'ok' : 'low';
+}
+
+/**
+ * Buy the token from its WETH pool and sell it back in one simulation (swapSimulationService)
+ * A honeypot lets the buy through and reverts (or returns false for) the sell of the fresh buyer
+ */
+async function detectHoneypot(
+  token: string,
+  account: string | null,
+  provider: ethers.providers.Provider
+): Promise<HoneypotResult> {
+  const { status, reason } = await simulateRoundTrip(token, provider, { from: account || PROBE_ACCOUNT });
+  return { status, reason };
+}
+
+/**
+ * Flags of a profile (verified tokens: proxy and privileges are informational only)
+ */
+function buildFlags(profile: Omit<TokenRiskProfile, 'flags' | 'level' | 'blocking' | 'checkedAt'>): RiskFlag[] {
+  const flags: RiskFlag[] = [];
+  const trustedSeverity = (severity: RiskSeverity): RiskSeverity => (profile.isVerified ? 'info' : severity);
+
+  const { honeypot, transferTax, proxy, privileges, liquidity } = profile;
+
+  if (honeypot.status === 'cannot-sell') {
+    flags.push({ id: 'honeypot', severity: 'danger', label: 'Cannot sell', detail: `Selling reverts: ${honeypot.reason}` });
+  } else if (honeypot.status === 'cannot-buy') {
+    flags.push({ id: 'honeypot', severity: 'danger', label: 'Cannot buy', detail: `Buying reverts: ${honeypot.reason}` });
+  } else if (honeypot.status === 'unknown') {
+    flags.push({ id: 'honeypot', severity: 'warning', label: 'Trade untested', detail: honeypot.reason || 'Buy and sell not simulated' });
+  }
+
+  const maxTaxBps = Math.max(transferTax.buyTaxBps, transferTax.sellTaxBps);
+  if (maxTaxBps > 0) {
+    flags.push({
+      id: 'tax',
+      severity: maxTaxBps >= DANGEROUS_TAX_BPS ? 'danger' : 'warning',
+      label: `Tax ${(maxTaxBps / 100).toFixed(1)}%`,
+      detail: `Transfer tax: buy ${(transferTax.buyTaxBps / 100).toFixed(2)}%, sell ${(transferTax.sellTaxBps / 100).toFixed(2)}%`,
+    });
+  }
+
+  if (proxy.isProxy && proxy.kind !== 'eip1167') {
+    flags.push({
+      id: 'proxy',
+      severity: trustedSeverity('warning'),
+      label: 'Upgradeable',
+      detail: `Proxy (${proxy.kind}): the token's code can be replaced${proxy.admin ? ` by ${proxy.admin}` : ''}`,
+    });
+  }
+
+  if (privileges.functions.length > 0) {
+    const renounced = privileges.renounced;
+    flags.push({
+      id: 'privileges',
+      severity: trustedSeverity(renounced ? 'info' : 'warning'),
+      label: renounced ? 'Owner renounced' : `Owner: ${privileges.functions.join(', ')}`,
+      detail: `${renounced ? 'The owner (renounced)' : `The owner${privileges.owner ? ` ${privileges.owner}` : ''}`} ` +
+        privileges.functions.map(group => PRIVILEGE_DESCRIPTIONS[group]).join(', '),
+    });
+  }
+
+  if (liquidity.level === 'none') {
+    flags.push({ id: 'liquidity', severity: 'warning', label: 'No liquidity', detail: 'No V2 pool with WETH, USDC or USDT' });
+  } else if (liquidity.level === 'low') {
+    flags.push({
+      id: 'liquidity',
+      severity: 'warning',
+      label: 'Low liquidity',
+      detail: liquidity.pools.map(pool => `${pool.baseSymbol} pool: ${parseFloat(pool.reserveBase).toFixed(2)} ${pool.baseSymbol}`).join(', '),
+    });
+  }
+
+  return flags;
+}
+
+/**
+ * Assess the risk profile of a token
+ * @param token - Token address (native ETH is assessed as WETH)
+ * @param provider - Provider of the connected chain
+ * @param options.account - Connected account (caller of the honeypot simulation)
+ * @param options.forceRefresh - Ignore the cached fields
+ */
+export async function assessTokenRisk(
+  token: string,
+  provider: ethers.providers.Provider,
+  { account = null, forceRefresh = false }: { account?: string | null; forceRefresh?: boolean } = {}
+): Promise<TokenRiskProfile> {
+  const chain = await getProviderChainContext(provider);
+  const address = ethers.utils.getAddress(isNativeToken(token) ? chain.weth : token);
+  const key = profileKey(chain.chainId, address);
+  const isVerified = isVerifiedToken(address, chain.chainId);
+
+  console.log(`🔎 Assessing token risk: ${address}`);
+
+  try {
+    const decimals: number = await new ethers.Contract(address, CONTRACT_ABIS.ERC20, provider)
+      .decimals()
+      .then((value: ethers.BigNumberish) => ethers.BigNumber.from(value).toNumber())
+      .catch(() => 18);
+
+    const [proxy, transferTax, pools] = await Promise.all([
+      cachedField('proxy', key, forceRefresh, () => detectProxy(address, provider)),
+      detectTransferTax(address, provider, forceRefresh),
+      cachedField('liquidity', key, forceRefresh, () => findBaseLiquidity(address, decimals, chain, provider)),
+    ]);
+
+    const codeAddress = proxy.implementation || address;
+    const [privileges, honeypot] = await Promise.all([
+      cachedField('privileges', `${key}:${codeAddress.toLowerCase()}`, forceRefresh,
+        () => detectPrivileges(address, codeAddress, provider)),
+      isVerified
+        ? Promise.resolve<HoneypotResult>({ status: 'skipped', reason: 'Verified token' })
+        : cachedField('honeypot', `${key}:${(account || PROBE_ACCOUNT).toLowerCase()}`, forceRefresh,
+          () => detectHoneypot(address, account, provider)),
+    ]);
+
+    const fields = {
+      token: address,
+      chainId: chain.chainId,
+      isVerified,
+      proxy,
+      privileges,
+      transferTax,
+      honeypot,
+      liquidity: { pools, level: liquidityLevel(pools) },
+    };
+    const flags = buildFlags(fields);
+
+    const profile: TokenRiskProfile = {
+      ...fields,
+      flags,
+      level: flags.some(flag => flag.severity === 'danger')
+        ? 'high'
+        : flags.some(flag => flag.severity === 'warning') ? 'medium' : 'low',
+      blocking: flags.some(flag => flag.severity === 'danger'),
+      checkedAt: Date.now(),
+    };
+
+    console.log(`✅ Token risk of ${address}: ${profile.level} (${flags.map(flag => flag.id).join(', ') || 'no flags'})`);
+    profiles.set(key, profile);
+    listeners.forEach(listener => listener());
+    return profile;
+  } catch (error) {
+    console.error('❌ Token risk assessment failed:', error);
+    throw new Error(`Failed to assess token risk: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Profile assessed earlier in this session (no network calls, for list badges)
+ */
+export function getCachedTokenRisk(chainId: number, token: string): TokenRiskProfile | null {
+  return profiles.get(profileKey(chainId, token)) || null;
+}
+
+/**
+ * Subscribe to newly assessed profiles
+ * @returns Unsubscribe function
+ */
+export function subscribeTokenRisk(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
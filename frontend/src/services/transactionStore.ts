@@ -0,0 +1,444 @@
+/**
+ * Transaction Store
+ * Persistent history of submitted transactions (localStorage, keyed by chain and account)
+ * - Swaps, liquidity adds/removes and approvals are recorded when submitted
+ * - Pending transactions are re-attached after a page reload
+ * - Detects replaced (sped up), cancelled and dropped transactions
+ * Speed up / cancel submissions live in replacementService
+ */
+
+import { ethers } from 'ethers';
+import { getTokenByAddress } from '../constants/tokens';
+
+export type TransactionType = 'swap' | 'addLiquidity' | 'removeLiquidity' | 'approve';
+
+export type TransactionStatus =
+  | 'pending'
+  | 'confirmed'
+  | 'failed'
+  | 'replaced'
+  | 'cancelled'
+  | 'dropped';
+
+export interface TransactionMeta {
+  type: TransactionType;
+  summary: string;
+}
+
+export interface StoredTransaction extends TransactionMeta {
+  hash: string;
+  chainId: number;
+  from: string;
+  nonce: number;
+  // Kept to recognise replacements (same nonce) after a reload
+  to: string | null;
+  data: string;
+  value: string;
+  // Fees of the submission (the base for speed up / cancel bumps)
+  gasLimit: string;
+  maxFeePerGas?: string;
+  maxPriorityFeePerGas?: string;
+  gasPrice?: string;
+  startBlock: number | null;
+  status: TransactionStatus;
+  submittedAt: number;
+  confirmedAt?: number;
+  blockNumber?: number;
+  // Hash of the transaction that took this nonce (speed up / cancel)
+  replacedBy?: string;
+}
+
+type Listener = () => void;
+
+const STORAGE_KEY_PREFIX = 'tx_history:';
+
+// Oldest entries are dropped beyond this
+const MAX_HISTORY = 100;
+
+// A pending tx unknown to the node for this long is considered dropped
+const DROPPED_AFTER_MS = 10 * 60 * 1000; // 10 minutes
+
+// Don't scan more blocks than this for a replacement after a reload
+const MAX_REPLACEMENT_SCAN_BLOCKS = 5000;
+
+// A resumed tx waits this long for its receipt between checks of the account's nonce
+const NONCE_CHECK_INTERVAL_MS = 15 * 1000;
+
+const memoryStore = new Map<string, StoredTransaction[]>();
+const listeners = new Set<Listener>();
+
+// Hashes currently being watched (avoid double watchers after re-renders)
+const watching = new Set<string>();
+
+function storageKey(chainId: number, account: string): string {
+  return `${STORAGE_KEY_PREFIX}${chainId}:${account.toLowerCase()}`;
+}
+
+function readEntries(chainId: number, account: string): StoredTransaction[] {
+  const key = storageKey(chainId, account);
+
+  if (memoryStore.has(key)) {
+    return memoryStore.get(key)!;
+  }
+
+  let entries: StoredTransaction[] = [];
+  try {
+    const stored = localStorage.getItem(key);
+    if (stored) {
+      entries = JSON.parse(stored);
+    }
+  } catch (error) {
+    console.warn('⚠️ Failed to read transaction history:', (error as Error).message);
+  }
+
+  memoryStore.set(key, entries);
+  return entries;
+}
+
+function writeEntries(chainId: number, account: string, entries: StoredTransaction[]): void {
+  const key = storageKey(chainId, account);
+  const trimmed = entries.slice(0, MAX_HISTORY);
+  memoryStore.set(key, trimmed);
+
+  try {
+    localStorage.setItem(key, JSON.stringify(trimmed));
+  } catch (error) {
+    // Memory copy still works for this session
+    console.warn('⚠️ Failed to persist transaction history:', (error as Error).message);
+  }
+
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Short token label for summaries (symbol, or shortened address)
+ */
+export function tokenLabel(address: string): string {
+  const token = getTokenByAddress(address);
+  return token?.symbol || `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Token amount label for summaries (raw units are skipped for unknown tokens)
+ */
+export function amountLabel(amount: ethers.BigNumber, address: string): string {
+  const token = getTokenByAddress(address);
+  if (!token) {
+    return tokenLabel(address);
+  }
+  const formatted = parseFloat(ethers.utils.formatUnits(amount, token.decimals));
+  return `${formatted.toPrecision(6).replace(/\.?0+$/, '')} ${token.symbol}`;
+}
+
+/**
+ * Get the history of an account on a chain (newest first)
+ */
+export function getTransactions(chainId: number, account: string): StoredTransaction[] {
+  return readEntries(chainId, account);
+}
+
+/**
+ * Subscribe to history changes
+ * @returns Unsubscribe function
+ */
+export function subscribeTransactions(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Update a stored transaction
+ */
+export function updateTransaction(
+  chainId: number,
+  account: string,
+  hash: string,
+  patch: Partial<StoredTransaction>
+): void {
+  const entries = readEntries(chainId, account);
+  writeEntries(
+    chainId,
+    account,
+    entries.map(entry => (entry.hash === hash ? { ...entry, ...patch } : entry))
+  );
+}
+
+/**
+ * Clear the history of an account on a chain (pending transactions are kept)
+ */
+export function clearTransactions(chainId: number, account: string): void {
+  const entries = readEntries(chainId, account);
+  writeEntries(chainId, account, entries.filter(entry => entry.status === 'pending'));
+}
+
+/**
+ * Record a submitted transaction as pending
+ */
+export function recordTransaction(
+  tx: ethers.providers.TransactionResponse,
+  meta: TransactionMeta,
+  chainId: number,
+  startBlock: number | null
+): StoredTransaction {
+  const entry: StoredTransaction = {
+    ...meta,
+    hash: tx.hash,
+    chainId,
+    from: tx.from,
+    nonce: tx.nonce,
+    to: tx.to || null,
+    data: tx.data,
+    value: tx.value.toString(),
+    gasLimit: tx.gasLimit.toString(),
+    maxFeePerGas: tx.maxFeePerGas?.toString(),
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString(),
+    gasPrice: tx.maxFeePerGas ? undefined : tx.gasPrice?.toString(),
+    startBlock,
+    status: 'pending',
+    submittedAt: Date.now(),
+  };
+
+  const entries = readEntries(chainId, tx.from).filter(existing => existing.hash !== tx.hash);
+  writeEntries(chainId, tx.from, [entry, ...entries]);
+
+  console.log('🧾 Recorded transaction:', { hash: tx.hash, type: meta.type, summary: meta.summary });
+
+  return entry;
+}
+
+/**
+ * Store the outcome of a mined receipt
+ */
+function settleFromReceipt(entry: StoredTransaction, receipt: ethers.providers.TransactionReceipt): void {
+  updateTransaction(entry.chainId, entry.from, entry.hash, {
+    status: receipt.status === 0 ? 'failed' : 'confirmed',
+    blockNumber: receipt.blockNumber,
+    confirmedAt: Date.now(),
+  });
+}
+
+/**
+ * Find a stored transaction by hash
+ */
+export function findTransaction(
+  chainId: number,
+  account: string,
+  hash: string
+): StoredTransaction | null {
+  return readEntries(chainId, account).find(entry => entry.hash === hash) || null;
+}
+
+/**
+ * Store a TRANSACTION_REPLACED outcome (the error of tx.wait(), or the same fields found after a reload)
+ * - repriced (sped up): the replacement is recorded with the same summary
+ * - cancelled: 0-value self-send took the nonce
+ * - replaced: a different transaction took the nonce
+ */
+function settleReplacement(entry: StoredTransaction, error: any): void {
+  const replacement: ethers.providers.TransactionResponse = error.replacement;
+  const receipt: ethers.providers.TransactionReceipt = error.receipt;
+
+  updateTransaction(entry.chainId, entry.from, entry.hash, {
+    status: error.reason === 'cancelled' ? 'cancelled' : 'replaced',
+    replacedBy: replacement?.hash,
+  });
+
+  if (replacement) {
+    // Replacements sent from our UI are already recorded
+    const replacementEntry = findTransaction(entry.chainId, entry.from, replacement.hash) ||
+      (error.reason === 'repriced'
+        ? recordTransaction(replacement, { type: entry.type, summary: entry.summary }, entry.chainId, entry.startBlock)
+        : null);
+    if (replacementEntry) {
+      settleFromReceipt(replacementEntry, receipt);
+    }
+  }
+
+  console.log('🔁 Transaction replaced:', {
+    hash: entry.hash,
+    reason: error.reason,
+    replacement: replacement?.hash,
+  });
+}
+
+/**
+ * Record a transaction and wait for it
+ * - Speed ups (repriced) resolve with the replacement receipt
+ * - Cancelled / replaced / reverted transactions are stored and the error rethrown
+ * @param onSubmitted - Called with the stored entry while the tx is pending (e.g. to offer speed up / cancel)
+ */
+export async function trackTransaction(
+  tx: ethers.providers.TransactionResponse,
+  meta: TransactionMeta,
+  provider: ethers.providers.Provider,
+  onSubmitted?: (entry: StoredTransaction) => void
+): Promise<ethers.ContractReceipt> {
+  const [network, startBlock] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlockNumber().catch(() => null),
+  ]);
+  const entry = recordTransaction(tx, meta, tx.chainId || network.chainId, startBlock);
+  onSubmitted?.(entry);
+
+  watching.add(tx.hash);
+  try {
+    const receipt = await tx.wait();
+    settleFromReceipt(entry, receipt);
+    return receipt as ethers.ContractReceipt;
+  } catch (error: any) {
+    if (error.code === ethers.errors.TRANSACTION_REPLACED) {
+      settleReplacement(entry, error);
+      if (error.reason === 'repriced' && error.receipt?.status === 1) {
+        return error.receipt;
+      }
+    } else if (error.code === ethers.errors.CALL_EXCEPTION && error.receipt) {
+      settleFromReceipt(entry, error.receipt);
+    }
+    throw error;
+  } finally {
+    watching.delete(tx.hash);
+  }
+}
+
+// Helper function to tell what took the nonce of a transaction, the way ethers does for freshly sent ones
+function replacementReason(
+  entry: StoredTransaction,
+  replacement: ethers.providers.TransactionResponse
+): 'repriced' | 'cancelled' | 'replaced' {
+  if (
+    replacement.data === entry.data &&
+    (replacement.to || '').toLowerCase() === (entry.to || '').toLowerCase() &&
+    replacement.value.eq(entry.value)
+  ) {
+    return 'repriced';
+  }
+  if (
+    replacement.data === '0x' &&
+    replacement.from.toLowerCase() === (replacement.to || '').toLowerCase() &&
+    replacement.value.isZero()
+  ) {
+    return 'cancelled';
+  }
+  return 'replaced';
+}
+
+// Helper function to find the mined transaction of the entry's sender and nonce, block by block from fromBlock
+async function findNonceTransaction(
+  entry: StoredTransaction,
+  fromBlock: number,
+  provider: ethers.providers.JsonRpcProvider
+): Promise<ethers.providers.TransactionResponse | null> {
+  const latestBlock = await provider.getBlockNumber();
+  for (let blockNumber = fromBlock; blockNumber <= latestBlock; blockNumber++) {
+    const block = await provider.getBlockWithTransactions(blockNumber);
+    const tx = block.transactions.find(
+      candidate => candidate.from.toLowerCase() === entry.from.toLowerCase() && candidate.nonce === entry.nonce
+    );
+    if (tx) return tx;
+  }
+  return null;
+}
+
+/**
+ * Store the outcome of a transaction whose nonce is used: mined itself, or replaced
+ */
+async function settleUsedNonce(
+  entry: StoredTransaction,
+  fromBlock: number,
+  provider: ethers.providers.JsonRpcProvider
+): Promise<void> {
+  const minedTx = await findNonceTransaction(entry, fromBlock, provider);
+  if (!minedTx) {
+    // Mined before the scanned blocks
+    updateTransaction(entry.chainId, entry.from, entry.hash, { status: 'replaced' });
+    return;
+  }
+
+  const receipt = await provider.waitForTransaction(minedTx.hash);
+  if (minedTx.hash === entry.hash) {
+    settleFromReceipt(entry, receipt);
+  } else {
+    settleReplacement(entry, { reason: replacementReason(entry, minedTx), replacement: minedTx, receipt });
+  }
+}
+
+/**
+ * Re-attach to a pending transaction after a reload
+ * - Waits for the receipt and checks the account's nonce in between
+ * - Once the nonce is used by another transaction, finds it in the blocks since the submission
+ */
+async function watchPendingTransaction(
+  entry: StoredTransaction,
+  provider: ethers.providers.JsonRpcProvider
+): Promise<void> {
+  const receipt = await provider.getTransactionReceipt(entry.hash);
+  if (receipt) {
+    settleFromReceipt(entry, receipt);
+    return;
+  }
+
+  const [pendingTx, nonce, latestBlock] = await Promise.all([
+    provider.getTransaction(entry.hash),
+    provider.getTransactionCount(entry.from, 'latest'),
+    provider.getBlockNumber(),
+  ]);
+  let nonceUsed = nonce > entry.nonce;
+
+  // Not mined, not in the mempool and the nonce is still free: the node lost it
+  if (!pendingTx && !nonceUsed) {
+    if (Date.now() - entry.submittedAt > DROPPED_AFTER_MS) {
+      updateTransaction(entry.chainId, entry.from, entry.hash, { status: 'dropped' });
+      console.log('🗑️ Transaction dropped:', entry.hash);
+    }
+    return;
+  }
+
+  // Nonce taken by another tx too long ago to find it
+  const scanFrom = entry.startBlock ?? latestBlock;
+  if (nonceUsed && latestBlock - scanFrom > MAX_REPLACEMENT_SCAN_BLOCKS) {
+    updateTransaction(entry.chainId, entry.from, entry.hash, { status: 'replaced' });
+    return;
+  }
+
+  while (!nonceUsed) {
+    const mined = await provider.waitForTransaction(entry.hash, 1, NONCE_CHECK_INTERVAL_MS).catch(error => {
+      if (error.code === ethers.errors.TIMEOUT) return null;
+      throw error;
+    });
+    if (mined) {
+      settleFromReceipt(entry, mined);
+      return;
+    }
+    nonceUsed = (await provider.getTransactionCount(entry.from, 'latest')) > entry.nonce;
+  }
+
+  await settleUsedNonce(entry, scanFrom, provider);
+}
+
+/**
+ * Re-attach to every pending transaction of an account
+ * - Safe to call repeatedly (each hash is watched once)
+ */
+export function resumePendingTransactions(
+  chainId: number,
+  account: string,
+  provider: ethers.providers.JsonRpcProvider
+): void {
+  const pending = readEntries(chainId, account).filter(
+    entry => entry.status === 'pending' && !watching.has(entry.hash)
+  );
+
+  pending.forEach(entry => {
+    console.log('⏳ Resuming pending transaction:', entry.hash);
+    watching.add(entry.hash);
+    watchPendingTransaction(entry, provider)
+      .catch(error => {
+        console.error('❌ Failed to resume transaction:', entry.hash, error);
+      })
+      .finally(() => {
+        watching.delete(entry.hash);
+      });
+  });
+}
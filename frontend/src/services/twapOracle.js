@@ -0,0 +1,270 @@
+/**
+ * TWAP Oracle
+ * Time-weighted average prices from the price accumulators of V2 pairs
+ * (same math as UniswapV2OracleLibrary / ExampleOracleSimple / ExampleSlidingWindowOracle)
+ * - Cumulative prices include the counterfactual part since the pair's last update
+ * - Window start is read at a past block (blockTag), which needs an archive RPC
+ * - Without historical state, observations sampled by this module are used instead
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABIS } from '../config/contracts';
+
+// UQ112x112 fixed point (UniswapV2Pair stores prices as uint224 with 112 fractional bits)
+const Q112 = ethers.BigNumber.from(2).pow(112);
+
+// price*CumulativeLast is a uint256 and timestamps are uint32, both overflow by design
+const UINT256_MODULUS = ethers.BigNumber.from(2).pow(256);
+const UINT32_MODULUS = 2 ** 32;
+
+// Window used when none is given (30 minutes)
+export const DEFAULT_TWAP_WINDOW = 30 * 60;
+
+// Blocks used to estimate the average block time when searching the window start
+const BLOCK_TIME_SAMPLE = 1000;
+
+// In-memory observations per pair ("chainId:pair"), oldest first
+const observations = new Map();
+const MAX_OBSERVATION_AGE = 24 * 60 * 60;
+const MAX_OBSERVATIONS = 500;
+
+// Chains whose RPC has no historical state (skip blockTag reads after the first failure)
+const noHistoryChains = new Set();
+
+/**
+ * Price of a reserve ratio in UQ112x112 (UQ112x112.encode(reserveB).uqdiv(reserveA))
+ * @param {ethers.BigNumber} reserveA - Denominator reserve
+ * @param {ethers.BigNumber} reserveB - Numerator reserve
+ * @returns {ethers.BigNumber} Price as UQ112x112
+ */
+function encodePrice(reserveA, reserveB) {
+  return reserveB.mul(Q112).div(reserveA);
+}
+
+/**
+ * Read the cumulative prices of a pair at a block, like UniswapV2OracleLibrary.currentCumulativePrices
+ * - Adds price * elapsed time if the pair was not updated in that block
+ * @param {string} pairAddress - Pair address
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {string|number} blockTag - Block to read at (default latest)
+ * @returns {Promise<Object>} { price0Cumulative, price1Cumulative, timestamp, blockNumber, reserve0, reserve1 }
+ */
+export async function readCumulativePrices(pairAddress, provider, blockTag = 'latest') {
+  const pair = new ethers.Contract(pairAddress, CONTRACT_ABIS.PAIR, provider);
+  // Pin the block so that all reads and the timestamp belong together
+  const block = await provider.getBlock(blockTag);
+  const overrides = { blockTag: block.number };
+
+  const [reserves, price0CumulativeLast, price1CumulativeLast] = await Promise.all([
+    pair.getReserves(overrides),
+    pair.price0CumulativeLast(overrides),
+    pair.price1CumulativeLast(overrides),
+  ]);
+
+  let price0Cumulative = price0CumulativeLast;
+  let price1Cumulative = price1CumulativeLast;
+
+  // Counterfactual: the accumulators only move on the first swap/mint/burn/sync of a block
+  const blockTimestamp = block.timestamp % UINT32_MODULUS;
+  const timeElapsed = (blockTimestamp - reserves.blockTimestampLast + UINT32_MODULUS) % UINT32_MODULUS;
+  if (timeElapsed > 0 && !reserves.reserve0.isZero() && !reserves.reserve1.isZero()) {
+    price0Cumulative = price0Cumulative
+      .add(encodePrice(reserves.reserve0, reserves.reserve1).mul(timeElapsed))
+      .mod(UINT256_MODULUS);
+    price1Cumulative = price1Cumulative
+      .add(encodePrice(reserves.reserve1, reserves.reserve0).mul(timeElapsed))
+      .mod(UINT256_MODULUS);
+  }
+
+  return {
+    price0Cumulative,
+    price1Cumulative,
+    timestamp: block.timestamp,
+    blockNumber: block.number,
+    reserve0: reserves.reserve0,
+    reserve1: reserves.reserve1,
+  };
+}
+
+/**
+ * Convert an average UQ112x112 price to a decimal number of human units
+ * @param {ethers.BigNumber} priceAverage - Average price (UQ112x112, raw units)
+ * @param {number} decimalsIn - Decimals of the priced token
+ * @param {number} decimalsOut - Decimals of the quote token
+ * @returns {number} Quote tokens per priced token
+ */
+function decodePrice(priceAverage, decimalsIn, decimalsOut) {
+  const scaled = priceAverage
+    .mul(ethers.BigNumber.from(10).pow(decimalsIn + 18))
+    .div(ethers.BigNumber.from(10).pow(decimalsOut))
+    .div(Q112);
+  return parseFloat(ethers.utils.formatUnits(scaled, 18));
+}
+
+/**
+ * Compute the TWAP between two observations
+ * @param {Object} start - Older observation (readCumulativePrices)
+ * @param {Object} end - Newer observation
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @returns {Object} { price0, price1, window } (price0 = token1 per token0)
+ */
+export function computeTwap(start, end, decimals0, decimals1) {
+  const window = end.timestamp - start.timestamp;
+  if (window <= 0) {
+    throw new Error('TWAP window must be positive');
+  }
+
+  // Differences are taken modulo 2^256, like the overflow-tolerant subtraction in the oracle examples
+  const diff0 = end.price0Cumulative.sub(start.price0Cumulative).add(UINT256_MODULUS).mod(UINT256_MODULUS);
+  const diff1 = end.price1Cumulative.sub(start.price1Cumulative).add(UINT256_MODULUS).mod(UINT256_MODULUS);
+
+  return {
+    price0: decodePrice(diff0.div(window), decimals0, decimals1),
+    price1: decodePrice(diff1.div(window), decimals1, decimals0),
+    window,
+  };
+}
+
+/**
+ * Remember an observation of a pair (sliding window of samples)
+ * @param {string} key - "chainId:pair"
+ * @param {Object} observation - Observation to add
+ */
+function recordObservation(key, observation) {
+  const list = observations.get(key) || [];
+  const last = list[list.length - 1];
+  if (!last || observation.timestamp > last.timestamp) {
+    list.push(observation);
+  }
+
+  const oldest = observation.timestamp - MAX_OBSERVATION_AGE;
+  while (list.length > MAX_OBSERVATIONS || (list.length > 0 && list[0].timestamp < oldest)) {
+    list.shift();
+  }
+  observations.set(key, list);
+}
+
+/**
+ * Newest sampled observation that is at least windowSeconds old
+ * - Falls back to the oldest sample (shorter window) if none is old enough
+ * @param {string} key - "chainId:pair"
+ * @param {number} targetTimestamp - Window start
+ * @returns {Object|null} Observation or null
+ */
+function findSampledObservation(key, targetTimestamp) {
+  const list = observations.get(key) || [];
+  const older = list.filter(observation => observation.timestamp <= targetTimestamp);
+  return older.length > 0 ? older[older.length - 1] : list[0] || null;
+}
+
+/**
+ * Find a block at or before a timestamp
+ * - Estimates from the average block time, then steps back until the block is old enough
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {Object} latest - Latest block ({ number, timestamp })
+ * @param {number} targetTimestamp - Timestamp to reach
+ * @returns {Promise<number>} Block number
+ */
+async function findBlockBefore(provider, latest, targetTimestamp) {
+  const sampleBlock = await provider.getBlock(Math.max(latest.number - BLOCK_TIME_SAMPLE, 0));
+  const blockTime = Math.max(
+    (latest.timestamp - sampleBlock.timestamp) / Math.max(latest.number - sampleBlock.number, 1),
+    0.1
+  );
+
+  let blockNumber = latest.number;
+  let timestamp = latest.timestamp;
+  for (let attempt = 0; attempt < 5 && timestamp > targetTimestamp && blockNumber > 0; attempt++) {
+    blockNumber = Math.max(blockNumber - Math.ceil((timestamp - targetTimestamp) / blockTime), 0);
+    timestamp = (await provider.getBlock(blockNumber)).timestamp;
+  }
+  return blockNumber;
+}
+
+/**
+ * Spot prices from reserves in human units
+ * @param {ethers.BigNumber} reserve0 - Reserve of token0
+ * @param {ethers.BigNumber} reserve1 - Reserve of token1
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @returns {Object} { spot0, spot1 } (spot0 = token1 per token0)
+ */
+function computeSpot(reserve0, reserve1, decimals0, decimals1) {
+  const amount0 = parseFloat(ethers.utils.formatUnits(reserve0, decimals0));
+  const amount1 = parseFloat(ethers.utils.formatUnits(reserve1, decimals1));
+  return {
+    spot0: amount1 / amount0,
+    spot1: amount0 / amount1,
+  };
+}
+
+/**
+ * Get the TWAP of a pair over a window ending now
+ * @param {string} pairAddress - Pair address
+ * @param {Object} options - { windowSeconds, decimals0, decimals1 }
+ * @param {ethers.providers.Provider} provider - Provider
+ * @returns {Promise<Object>} { price0, price1, spot0, spot1, window, source, timestamp }
+ *   source: 'history' (archive read) or 'samples' (observations of this session)
+ */
+export async function getTwapPrice(pairAddress, options, provider) {
+  const { windowSeconds = DEFAULT_TWAP_WINDOW, decimals0 = 18, decimals1 = 18 } = options;
+  const { chainId } = await provider.getNetwork();
+  const key = `${chainId}:${pairAddress.toLowerCase()}`;
+
+  try {
+    const end = await readCumulativePrices(pairAddress, provider);
+    if (end.reserve0.isZero() || end.reserve1.isZero()) {
+      throw new Error('Pair has no liquidity');
+    }
+    recordObservation(key, end);
+
+    const spot = computeSpot(end.reserve0, end.reserve1, decimals0, decimals1);
+    const targetTimestamp = end.timestamp - windowSeconds;
+
+    let start = null;
+    let source = 'history';
+
+    if (!noHistoryChains.has(chainId)) {
+      try {
+        const latest = { number: end.blockNumber, timestamp: end.timestamp };
+        const startBlock = await findBlockBefore(provider, latest, targetTimestamp);
+        start = await readCumulativePrices(pairAddress, provider, startBlock);
+      } catch (error) {
+        // CALL_EXCEPTION: the pair did not exist yet at the window start
+        // Anything else is a pruned node ("missing trie node", "header not found", ...)
+        if (error.code !== 'CALL_EXCEPTION') {
+          console.warn('⚠️ No historical state, using sampled observations:', error.message);
+          noHistoryChains.add(chainId);
+        }
+      }
+    }
+
+    if (!start || start.timestamp >= end.timestamp) {
+      source = 'samples';
+      start = findSampledObservation(key, targetTimestamp);
+    }
+
+    if (!start || start.timestamp >= end.timestamp) {
+      // First sample: report spot until a second one exists
+      return { price0: null, price1: null, ...spot, window: 0, source, timestamp: end.timestamp };
+    }
+
+    const twap = computeTwap(start, end, decimals0, decimals1);
+    return { ...twap, ...spot, source, timestamp: end.timestamp };
+  } catch (error) {
+    console.error('❌ TWAP read failed:', error);
+    throw new Error(`Failed to get TWAP: ${error.message}`);
+  }
+}
+
+/**
+ * Deviation of the spot price from the TWAP in percent (positive = spot above TWAP)
+ * @param {number} spot - Spot price
+ * @param {number|null} twap - TWAP
+ * @returns {number|null} Deviation or null without a TWAP
+ */
+export function getSpotDeviation(spot, twap) {
+  if (!twap) return null;
+  return ((spot - twap) / twap) * 100;
+}
@@ -0,0 +1,100 @@
+/**
+ * User Token Store
+ * Tokens the user imported by address (localStorage, keyed by chain)
+ * - Offered next to the verified and token list tokens in the swap and pool selectors
+ * - Stored with the on-chain metadata read at import time
+ */
+
+import { ethers } from 'ethers';
+
+export interface UserToken {
+  chainId: number;
+  address: string;
+  symbol: string;
+  name: string;
+  decimals: number;
+  addedAt: number;
+}
+
+type Listener = () => void;
+
+const STORAGE_KEY_PREFIX = 'user_tokens:';
+
+const memoryStore = new Map<number, UserToken[]>();
+const listeners = new Set<Listener>();
+
+function storageKey(chainId: number): string {
+  return `${STORAGE_KEY_PREFIX}${chainId}`;
+}
+
+function readTokens(chainId: number): UserToken[] {
+  if (memoryStore.has(chainId)) {
+    return memoryStore.get(chainId)!;
+  }
+
+  let tokens: UserToken[] = [];
+  try {
+    const raw = localStorage.getItem(storageKey(chainId));
+    tokens = raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.warn('⚠️ Could not read imported tokens:', (error as Error).message);
+  }
+
+  memoryStore.set(chainId, tokens);
+  return tokens;
+}
+
+function writeTokens(chainId: number, tokens: UserToken[]): void {
+  memoryStore.set(chainId, tokens);
+
+  try {
+    localStorage.setItem(storageKey(chainId), JSON.stringify(tokens));
+  } catch (error) {
+    console.warn('⚠️ Could not persist imported tokens (kept in memory only):', (error as Error).message);
+  }
+
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Subscribe to imported token changes
+ * @returns Unsubscribe function
+ */
+export function subscribeUserTokens(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Tokens imported on a chain, oldest first
+ */
+export function getUserTokens(chainId: number): UserToken[] {
+  return readTokens(chainId);
+}
+
+/**
+ * Add (or refresh the metadata of) an imported token
+ */
+export function addUserToken(token: Omit<UserToken, 'addedAt'>): UserToken {
+  const address = ethers.utils.getAddress(token.address);
+  const tokens = readTokens(token.chainId);
+  const existing = tokens.find(entry => entry.address.toLowerCase() === address.toLowerCase());
+
+  const entry: UserToken = { ...token, address, addedAt: existing?.addedAt ?? Date.now() };
+  writeTokens(token.chainId, existing
+    ? tokens.map(other => (other === existing ? entry : other))
+    : [...tokens, entry]);
+
+  console.log(`✅ Imported ${entry.symbol} (${address}) on chain ${token.chainId}`);
+  return entry;
+}
+
+/**
+ * Remove an imported token
+ */
+export function removeUserToken(chainId: number, address: string): void {
+  const tokens = readTokens(chainId);
+  writeTokens(chainId, tokens.filter(token => token.address.toLowerCase() !== address.toLowerCase()));
+}
@@ -36,6 +36,18 @@ export function getAmountIn(amountOut, reserveIn, reserveOut) {
   return numerator.div(denominator).add(1);
 }
 
+/**
+ * Calculate the repayment of a flash swap paid back in the borrowed token
+ * - The pair charges the 0.3% fee on the returned amount: 997 * repayment >= 1000 * borrowed
+ * - Paid back in the pair's other token, the repayment is getAmountIn of the borrowed amount
+ * @param {BigNumber} amountBorrowed - Amount taken out of the pair
+ * @returns {BigNumber} Minimum amount to return (rounded up)
+ */
+export function calculateFlashLoanRepayment(amountBorrowed) {
+  if (amountBorrowed.lte(0)) throw new Error('INSUFFICIENT_OUTPUT_AMOUNT');
+  return amountBorrowed.mul(1000).add(996).div(997);
+}
+
 /**
  * Calculate price impact of a trade
  * @param {BigNumber} amountIn - Input amount
@@ -144,6 +156,29 @@ export function calculateLiquidityShare(liquidity, totalSupply, reserve) {
   return liquidity.mul(reserve).div(totalSupply);
 }
 
+// Locked by the first mint of every pair (UniswapV2Pair.MINIMUM_LIQUIDITY)
+export const MINIMUM_LIQUIDITY = ethers.BigNumber.from(1000);
+
+/**
+ * Calculate the LP tokens minted for a deposit (UniswapV2Pair.mint, without the protocol fee)
+ * @param {BigNumber} amountA - Deposited amount of token A
+ * @param {BigNumber} amountB - Deposited amount of token B
+ * @param {BigNumber} reserveA - Reserve of token A before the deposit
+ * @param {BigNumber} reserveB - Reserve of token B before the deposit
+ * @param {BigNumber} totalSupply - Total LP token supply before the deposit
+ * @returns {BigNumber} LP tokens minted to the depositor (0 if the deposit is too small)
+ */
+export function calculateLiquidityMinted(amountA, amountB, reserveA, reserveB, totalSupply) {
+  if (totalSupply.isZero()) {
+    const liquidity = sqrt(amountA.mul(amountB)).sub(MINIMUM_LIQUIDITY);
+    return liquidity.gt(0) ? liquidity : ethers.BigNumber.from(0);
+  }
+
+  const liquidityA = amountA.mul(totalSupply).div(reserveA);
+  const liquidityB = amountB.mul(totalSupply).div(reserveB);
+  return liquidityA.lt(liquidityB) ? liquidityA : liquidityB;
+}
+
 /**
  * Get deadline timestamp for transactions
  * @param {number} seconds - Seconds from now
@@ -172,3 +207,145 @@ export function computePairAddress(factoryAddress, tokenA, tokenB, initCodeHash)
 
   return ethers.utils.getCreate2Address(factoryAddress, salt, initCodeHash);
 }
+
+// Port of UniswapV2LiquidityMathLibrary (contracts/libraries). Integer math matches
+// the Solidity library bit for bit; inputs that would revert on-chain (overflow) are not checked.
+// Amounts may be any BigNumberish.
+
+// Helper function to convert BigNumberish arguments
+function toBigNumbers(...values) {
+  return values.map(value => ethers.BigNumber.from(value));
+}
+
+/**
+ * Integer square root rounded down (same result as Babylonian.sqrt)
+ * @param {BigNumber} y - Radicand
+ * @returns {BigNumber} floor(sqrt(y))
+ */
+function sqrt(y) {
+  if (y.lte(3)) return y.isZero() ? y : ethers.BigNumber.from(1);
+
+  let z = y;
+  let x = y.div(2).add(1);
+  while (x.lt(z)) {
+    z = x;
+    x = y.div(x).add(x).div(2);
+  }
+  return z;
+}
+
+/**
+ * Compute the direction and size of the trade that moves a pair to a true price
+ * - After the trade reserveA / reserveB ≈ truePriceTokenA / truePriceTokenB
+ * @param {BigNumber} truePriceTokenA - Value ratio numerator (token A side)
+ * @param {BigNumber} truePriceTokenB - Value ratio denominator (token B side)
+ * @param {BigNumber} reserveA - Reserve of token A
+ * @param {BigNumber} reserveB - Reserve of token B
+ * @returns {{aToB: boolean, amountIn: BigNumber}} Trade direction and input amount (0 if none is profitable)
+ */
+export function computeProfitMaximizingTrade(truePriceTokenA, truePriceTokenB, reserveA, reserveB) {
+  [truePriceTokenA, truePriceTokenB, reserveA, reserveB] =
+    toBigNumbers(truePriceTokenA, truePriceTokenB, reserveA, reserveB);
+
+  const aToB = reserveA.mul(truePriceTokenB).div(reserveB).lt(truePriceTokenA);
+
+  const invariant = reserveA.mul(reserveB);
+
+  const leftSide = sqrt(
+    invariant
+      .mul(1000)
+      .mul(aToB ? truePriceTokenA : truePriceTokenB)
+      .div((aToB ? truePriceTokenB : truePriceTokenA).mul(997))
+  );
+  const rightSide = (aToB ? reserveA : reserveB).mul(1000).div(997);
+
+  if (leftSide.lt(rightSide)) return { aToB: false, amountIn: ethers.BigNumber.from(0) };
+
+  return { aToB, amountIn: leftSide.sub(rightSide) };
+}
+
+/**
+ * Get the reserves after an arbitrage moves the pair to a true price
+ * @param {BigNumber} truePriceTokenA - Value ratio numerator (token A side)
+ * @param {BigNumber} truePriceTokenB - Value ratio denominator (token B side)
+ * @param {BigNumber} reserveA - Reserve of token A before the arbitrage
+ * @param {BigNumber} reserveB - Reserve of token B before the arbitrage
+ * @returns {{reserveA: BigNumber, reserveB: BigNumber}} Reserves after the arbitrage
+ */
+export function getReservesAfterArbitrage(truePriceTokenA, truePriceTokenB, reserveA, reserveB) {
+  [reserveA, reserveB] = toBigNumbers(reserveA, reserveB);
+  if (reserveA.lte(0) || reserveB.lte(0)) throw new Error('ZERO_PAIR_RESERVES');
+
+  const { aToB, amountIn } = computeProfitMaximizingTrade(truePriceTokenA, truePriceTokenB, reserveA, reserveB);
+
+  if (amountIn.isZero()) return { reserveA, reserveB };
+
+  if (aToB) {
+    const amountOut = getAmountOut(amountIn, reserveA, reserveB);
+    return { reserveA: reserveA.add(amountIn), reserveB: reserveB.sub(amountOut) };
+  }
+
+  const amountOut = getAmountOut(amountIn, reserveB, reserveA);
+  return { reserveA: reserveA.sub(amountOut), reserveB: reserveB.add(amountIn) };
+}
+
+/**
+ * Compute the token amounts a liquidity amount redeems for
+ * - With the protocol fee on, the fee the pair would mint on the next mint/burn
+ *   is added to the supply first (same formula as UniswapV2Pair._mintFee)
+ * @param {BigNumber} reservesA - Reserve of token A
+ * @param {BigNumber} reservesB - Reserve of token B
+ * @param {BigNumber} totalSupply - Total LP token supply
+ * @param {BigNumber} liquidityAmount - LP tokens to value
+ * @param {boolean} feeOn - Whether the factory has a feeTo
+ * @param {BigNumber} kLast - Pair kLast (ignored when the fee is off)
+ * @returns {{tokenAAmount: BigNumber, tokenBAmount: BigNumber}} Redeemable amounts
+ */
+export function computeLiquidityValue(reservesA, reservesB, totalSupply, liquidityAmount, feeOn, kLast) {
+  [reservesA, reservesB, totalSupply, liquidityAmount] =
+    toBigNumbers(reservesA, reservesB, totalSupply, liquidityAmount);
+  let supply = totalSupply;
+
+  if (feeOn && ethers.BigNumber.from(kLast).gt(0)) {
+    const rootK = sqrt(reservesA.mul(reservesB));
+    const rootKLast = sqrt(ethers.BigNumber.from(kLast));
+    if (rootK.gt(rootKLast)) {
+      const feeLiquidity = totalSupply.mul(rootK.sub(rootKLast)).div(rootK.mul(5).add(rootKLast));
+      supply = totalSupply.add(feeLiquidity);
+    }
+  }
+
+  return {
+    tokenAAmount: reservesA.mul(liquidityAmount).div(supply),
+    tokenBAmount: reservesB.mul(liquidityAmount).div(supply),
+  };
+}
+
+/**
+ * Compute the value of a liquidity amount after arbitrage to a true price
+ * - Resistant to a manipulated pool price (e.g. sandwich attacks) as long as the true price is
+ * @param {Object} pairState - { reserveA, reserveB, totalSupply, feeOn, kLast } of the pair
+ * @param {BigNumber} truePriceTokenA - Value ratio numerator (token A side)
+ * @param {BigNumber} truePriceTokenB - Value ratio denominator (token B side)
+ * @param {BigNumber} liquidityAmount - LP tokens to value
+ * @returns {{tokenAAmount: BigNumber, tokenBAmount: BigNumber}} Redeemable amounts
+ */
+export function getLiquidityValueAfterArbitrageToPrice(pairState, truePriceTokenA, truePriceTokenB, liquidityAmount) {
+  const { feeOn, kLast } = pairState;
+  const [totalSupply] = toBigNumbers(pairState.totalSupply);
+  [liquidityAmount] = toBigNumbers(liquidityAmount);
+
+  // This also checks that totalSupply > 0
+  if (totalSupply.lt(liquidityAmount) || liquidityAmount.lte(0)) {
+    throw new Error('LIQUIDITY_AMOUNT');
+  }
+
+  const { reserveA, reserveB } = getReservesAfterArbitrage(
+    truePriceTokenA,
+    truePriceTokenB,
+    pairState.reserveA,
+    pairState.reserveB
+  );
+
+  return computeLiquidityValue(reserveA, reserveB, totalSupply, liquidityAmount, feeOn, kLast);
+}
@@ -0,0 +1,63 @@
+import { ethers } from 'ethers';
+
+// Selectors of the standard revert payloads
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Solidity >= 0.8 panic codes (older compilers use INVALID, which has no payload)
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x32: 'array index out of bounds',
+};
+
+// Helper function to find the revert payload in a (possibly nested) provider error
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) return null;
+
+  if (typeof error.data === 'string' && /^0x[0-9a-fA-F]*$/.test(error.data)) {
+    return error.data;
+  }
+
+  for (const key of ['error', 'data', 'info']) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data !== null) return data;
+  }
+  return null;
+}
+
+/**
+ * Get a readable revert reason from a failed call or estimate
+ * - Error(string): the require message (e.g. "UniswapV2: K")
+ * - Panic(uint256): the panic code
+ * - Empty payload: assert/INVALID of pre-0.8 contracts or out of gas
+ * @param {Error|{ data: string }} error - Error thrown by callStatic, estimateGas or eth_call, or raw revert data
+ * @returns {string} Revert reason
+ */
+export function decodeRevertReason(error) {
+  const data = findRevertData(error);
+
+  if (data === '0x') {
+    return 'Reverted without a reason (failed assert or out of gas)';
+  }
+
+  if (data && data.startsWith(ERROR_SELECTOR)) {
+    try {
+      return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+    } catch {
+      // Malformed payload: fall through to the error message
+    }
+  }
+
+  if (data && data.startsWith(PANIC_SELECTOR)) {
+    const code = ethers.BigNumber.from(ethers.utils.hexDataSlice(data, 4)).toNumber();
+    return `Panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}`;
+  }
+
+  if (data && data.length >= 10) {
+    return `Reverted with custom error ${data.slice(0, 10)}`;
+  }
+
+  return error?.reason || error?.message || 'Unknown error';
+}
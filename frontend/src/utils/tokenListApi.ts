@@ -4,6 +4,7 @@
  */
 
 import { Token } from "../lib/graphql/uniswapV2Subgraph";
+import { TokenInfo, TokenList, validateTokenInfo } from "./tokenListSchema";
 // @ts-ignore - JS config file
 import { SUBGRAPH_URL, GRAPHQL_QUERIES } from "../config/uniswapV2.js";
 
@@ -86,6 +87,36 @@ export async function fetchArbTokensFromList(): Promise<Token[]> {
   }
 }
 
+/**
+ * Subgraph tokens as a Token List (tokenlists.org schema)
+ * Tokens the schema rejects (symbols with spaces, overlong names...) are left out
+ */
+export async function fetchSubgraphTokenList(): Promise<TokenList> {
+  const tokens = await fetchArbTokensFromList();
+
+  const listed: TokenInfo[] = tokens
+    .map((token) => ({
+      chainId: token.chainId,
+      address: token.address,
+      name: token.name,
+      symbol: token.symbol,
+      decimals: token.decimals,
+    }))
+    .filter((token) => validateTokenInfo(token).length === 0);
+
+  if (listed.length < tokens.length) {
+    console.warn(`Skipped ${tokens.length - listed.length} subgraph tokens that don't fit the token list schema`);
+  }
+
+  return {
+    name: "Uniswap V2 Subgraph",
+    timestamp: new Date().toISOString(),
+    // Regenerated on every fetch, there are no versions to track
+    version: { major: 1, minor: 0, patch: 0 },
+    tokens: listed,
+  };
+}
+
 /**
  * Search tokens by symbol, name, or address (client-side)
  * Instant search without API calls
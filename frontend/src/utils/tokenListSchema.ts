@@ -0,0 +1,293 @@
+/**
+ * Token List Schema
+ * Types and validation of the Token List JSON format (https://tokenlists.org, @uniswap/token-lists schema)
+ * - validateTokenList: schema rules of the list and every token (the whole list is rejected on errors)
+ * - Versions: semver of the list, compared with versionComparator
+ * - diffTokenLists / minVersionBump: what changed between two versions and the bump it requires
+ */
+
+export interface TokenListVersion {
+  major: number;
+  minor: number;
+  patch: number;
+}
+
+export interface TokenListTag {
+  name: string;
+  description: string;
+}
+
+export interface TokenInfo {
+  chainId: number;
+  address: string;
+  name: string;
+  symbol: string;
+  decimals: number;
+  logoURI?: string;
+  tags?: string[];
+  extensions?: Record<string, unknown>;
+}
+
+export interface TokenList {
+  name: string;
+  timestamp: string;
+  version: TokenListVersion;
+  tokens: TokenInfo[];
+  keywords?: string[];
+  tags?: Record<string, TokenListTag>;
+  logoURI?: string;
+}
+
+export interface TokenListValidation {
+  valid: boolean;
+  // Schema violations (list rejected)
+  errors: string[];
+  // Accepted but suspicious (undefined tags, duplicate tokens)
+  warnings: string[];
+}
+
+export interface TokenListDiff {
+  added: TokenInfo[];
+  removed: TokenInfo[];
+  // Token key (chainId:address) -> changed fields
+  changed: Record<string, Array<keyof TokenInfo>>;
+}
+
+export type VersionUpgrade = 'none' | 'patch' | 'minor' | 'major';
+
+// Limits of the schema
+const MAX_TOKENS = 10000;
+const MAX_KEYWORDS = 20;
+const MAX_TAG_DEFINITIONS = 20;
+const MAX_TOKEN_TAGS = 10;
+const MAX_EXTENSIONS = 10;
+
+// Stop collecting errors after this many (a broken list can have thousands)
+const MAX_REPORTED_ERRORS = 20;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const LIST_NAME_PATTERN = /^[\w ]+$/;
+const TAG_ID_PATTERN = /^[\w]+$/;
+const TOKEN_NAME_PATTERN = /^[ \S+]+$/;
+const SYMBOL_PATTERN = /^\S+$/;
+const URI_PATTERN = /^(https?|ipfs|ipns|ar|data):/;
+
+// Fields compared by diffTokenLists
+const COMPARED_FIELDS: Array<keyof TokenInfo> = ['name', 'symbol', 'decimals', 'logoURI', 'tags', 'extensions'];
+
+/**
+ * Key of a token within and across lists
+ */
+export function tokenKey(token: { chainId: number; address: string }): string {
+  return `${token.chainId}:${token.address.toLowerCase()}`;
+}
+
+/**
+ * Version as text (1.2.3)
+ */
+export function versionToString(version: TokenListVersion): string {
+  return `${version.major}.${version.minor}.${version.patch}`;
+}
+
+/**
+ * Compare two list versions (negative: a is older)
+ */
+export function versionComparator(a: TokenListVersion, b: TokenListVersion): number {
+  return a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+}
+
+/**
+ * Upgrade between two versions (none if update is not newer)
+ */
+export function getVersionUpgrade(base: TokenListVersion, update: TokenListVersion): VersionUpgrade {
+  if (update.major > base.major) return 'major';
+  if (update.major < base.major) return 'none';
+  if (update.minor > base.minor) return 'minor';
+  if (update.minor < base.minor) return 'none';
+  return update.patch > base.patch ? 'patch' : 'none';
+}
+
+// Schema primitives
+function isInteger(value: unknown, min: number, max = Number.MAX_SAFE_INTEGER): boolean {
+  return Number.isInteger(value) && (value as number) >= min && (value as number) <= max;
+}
+
+function isString(value: unknown, minLength: number, maxLength: number, pattern?: RegExp): boolean {
+  return typeof value === 'string' &&
+    value.length >= minLength &&
+    value.length <= maxLength &&
+    (!pattern || pattern.test(value));
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check one token entry against the schema
+ * @returns Errors of the token, empty if valid
+ */
+export function validateTokenInfo(token: unknown, label = 'token'): string[] {
+  if (!isPlainObject(token)) {
+    return [`${label}: not an object`];
+  }
+
+  const errors: string[] = [];
+  if (!isInteger(token.chainId, 1)) errors.push(`${label}: chainId must be a positive integer`);
+  if (!isString(token.address, 42, 42, ADDRESS_PATTERN)) errors.push(`${label}: invalid address`);
+  if (!isInteger(token.decimals, 0, 255)) errors.push(`${label}: decimals must be an integer from 0 to 255`);
+  if (!isString(token.name, 0, 60, token.name === '' ? undefined : TOKEN_NAME_PATTERN)) {
+    errors.push(`${label}: name must be at most 60 characters`);
+  }
+  if (!isString(token.symbol, 0, 20, token.symbol === '' ? undefined : SYMBOL_PATTERN)) {
+    errors.push(`${label}: symbol must be at most 20 characters without whitespace`);
+  }
+  if (token.logoURI !== undefined && !isString(token.logoURI, 1, 4096, URI_PATTERN)) {
+    errors.push(`${label}: logoURI must be a URI`);
+  }
+  if (token.tags !== undefined) {
+    const tags = token.tags;
+    if (!Array.isArray(tags) || tags.length > MAX_TOKEN_TAGS ||
+      !tags.every(tag => isString(tag, 1, 10, TAG_ID_PATTERN))) {
+      errors.push(`${label}: tags must be at most ${MAX_TOKEN_TAGS} tag identifiers`);
+    }
+  }
+  if (token.extensions !== undefined &&
+    (!isPlainObject(token.extensions) || Object.keys(token.extensions).length > MAX_EXTENSIONS)) {
+    errors.push(`${label}: extensions must be an object with at most ${MAX_EXTENSIONS} keys`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed token list against the Token List schema
+ */
+export function validateTokenList(list: unknown): TokenListValidation {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const result = () => ({ valid: errors.length === 0, errors: errors.slice(0, MAX_REPORTED_ERRORS), warnings });
+
+  if (!isPlainObject(list)) {
+    errors.push('List is not a JSON object');
+    return result();
+  }
+
+  if (!isString(list.name, 1, 30, LIST_NAME_PATTERN)) {
+    errors.push('name must be 1-30 letters, digits, underscores or spaces');
+  }
+  if (typeof list.timestamp !== 'string' || Number.isNaN(Date.parse(list.timestamp))) {
+    errors.push('timestamp must be an ISO 8601 date-time');
+  }
+
+  const version = list.version;
+  if (!isPlainObject(version) || !['major', 'minor', 'patch'].every(part => isInteger(version[part], 0))) {
+    errors.push('version must have non-negative integer major, minor and patch');
+  }
+
+  if (list.logoURI !== undefined && !isString(list.logoURI, 1, 4096, URI_PATTERN)) {
+    errors.push('logoURI must be a URI');
+  }
+  if (list.keywords !== undefined) {
+    const keywords = list.keywords;
+    if (!Array.isArray(keywords) || keywords.length > MAX_KEYWORDS ||
+      !keywords.every(keyword => isString(keyword, 1, 20, LIST_NAME_PATTERN)) ||
+      new Set(keywords).size !== keywords.length) {
+      errors.push(`keywords must be at most ${MAX_KEYWORDS} unique words of 1-20 characters`);
+    }
+  }
+
+  let tagIds = new Set<string>();
+  if (list.tags !== undefined) {
+    const tags = list.tags;
+    if (!isPlainObject(tags) || Object.keys(tags).length > MAX_TAG_DEFINITIONS) {
+      errors.push(`tags must be an object with at most ${MAX_TAG_DEFINITIONS} definitions`);
+    } else {
+      Object.entries(tags).forEach(([id, tag]) => {
+        if (!isString(id, 1, 10, TAG_ID_PATTERN)) errors.push(`tag ${id}: identifier must be 1-10 word characters`);
+        if (!isPlainObject(tag) || !isString(tag.name, 1, 20) || !isString(tag.description, 1, 200)) {
+          errors.push(`tag ${id}: needs a name (1-20 characters) and a description (1-200 characters)`);
+        }
+      });
+      tagIds = new Set(Object.keys(tags));
+    }
+  }
+
+  if (!Array.isArray(list.tokens) || list.tokens.length === 0 || list.tokens.length > MAX_TOKENS) {
+    errors.push(`tokens must be an array of 1-${MAX_TOKENS} tokens`);
+    return result();
+  }
+
+  const seen = new Set<string>();
+  const undefinedTags = new Set<string>();
+  list.tokens.forEach((token: unknown, index: number) => {
+    if (errors.length >= MAX_REPORTED_ERRORS) return;
+
+    const tokenErrors = validateTokenInfo(token, `tokens[${index}]`);
+    errors.push(...tokenErrors);
+    if (tokenErrors.length > 0) return;
+
+    const info = token as TokenInfo;
+    const key = tokenKey(info);
+    if (seen.has(key)) {
+      warnings.push(`Duplicate token ${info.symbol} (${info.address}) on chain ${info.chainId}, first entry kept`);
+    }
+    seen.add(key);
+    (info.tags || []).filter(tag => !tagIds.has(tag)).forEach(tag => undefinedTags.add(tag));
+  });
+
+  if (undefinedTags.size > 0) {
+    warnings.push(`Tags used without a definition: ${[...undefinedTags].join(', ')}`);
+  }
+
+  return result();
+}
+
+/**
+ * Compare the tokens of two versions of a list
+ */
+export function diffTokenLists(base: TokenInfo[], update: TokenInfo[]): TokenListDiff {
+  const baseTokens = new Map(base.map(token => [tokenKey(token), token]));
+  const updateTokens = new Map(update.map(token => [tokenKey(token), token]));
+
+  const diff: TokenListDiff = { added: [], removed: [], changed: {} };
+
+  updateTokens.forEach((token, key) => {
+    const previous = baseTokens.get(key);
+    if (!previous) {
+      diff.added.push(token);
+      return;
+    }
+
+    const changedFields = COMPARED_FIELDS.filter(
+      field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(token[field] ?? null)
+    );
+    if (changedFields.length > 0) {
+      diff.changed[key] = changedFields;
+    }
+  });
+
+  baseTokens.forEach((token, key) => {
+    if (!updateTokens.has(key)) {
+      diff.removed.push(token);
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Smallest version bump a diff requires (removals: major, additions: minor, changes: patch)
+ */
+export function minVersionBump(diff: TokenListDiff): VersionUpgrade {
+  if (diff.removed.length > 0) return 'major';
+  if (diff.added.length > 0) return 'minor';
+  return Object.keys(diff.changed).length > 0 ? 'patch' : 'none';
+}
+
+/**
+ * Check whether a diff has no changes
+ */
+export function isEmptyDiff(diff: TokenListDiff): boolean {
+  return minVersionBump(diff) === 'none';
+}
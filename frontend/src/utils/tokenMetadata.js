@@ -0,0 +1,113 @@
+import { ethers } from 'ethers';
+
+// Flexible ABI that handles both uint8 and uint256 decimals
+const FLEXIBLE_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)'
+];
+
+// Alternative ABI for tokens that return bytes32 (like MKR, SAI)
+const BYTES32_ABI = [
+  'function name() view returns (bytes32)',
+  'function symbol() view returns (bytes32)'
+];
+
+// Helper function to parse bytes32 to string
+function parseBytes32String(bytes32) {
+  try {
+    // Remove null bytes and convert to string
+    return ethers.utils.parseBytes32String(bytes32);
+  } catch {
+    // If it fails, try to decode as UTF-8 using ethers utilities
+    try {
+      // Remove trailing zeros and decode
+      const hex = bytes32.replace(/0x/, '').replace(/(00)+$/, '');
+      if (hex.length === 0) return '';
+      return ethers.utils.toUtf8String('0x' + hex).trim();
+    } catch {
+      return 'Unknown';
+    }
+  }
+}
+
+// Helper function to read name() or symbol() as string, then as bytes32
+async function readStringOrBytes32(method, address, provider) {
+  try {
+    return { value: await new ethers.Contract(address, FLEXIBLE_ABI, provider)[method](), bytes32: false };
+  } catch {
+    const raw = await new ethers.Contract(address, BYTES32_ABI, provider)[method]();
+    return { value: parseBytes32String(raw), bytes32: true };
+  }
+}
+
+/**
+ * Read a token symbol, also from tokens returning bytes32 (MKR, SAI)
+ * @param {string} address - Token address
+ * @param {object} provider - Ethers provider
+ * @returns {Promise<string>} Symbol
+ * @throws If the token has no symbol()
+ */
+export async function readTokenSymbol(address, provider) {
+  return (await readStringOrBytes32('symbol', address, provider)).value;
+}
+
+/**
+ * Read token metadata from the chain
+ * - name/symbol: string, then bytes32 (MKR, SAI); placeholders if neither works
+ * - decimals: uint8 or uint256; 18 if missing
+ * @param {string} address - Token address
+ * @param {object} provider - Ethers provider
+ * @returns {Promise<{name: string, symbol: string, decimals: number, bytes32: boolean, decimalsMissing: boolean}>}
+ * @throws If the contract answers neither totalSupply() nor balanceOf()
+ */
+export async function readTokenMetadata(address, provider) {
+  const tokenContract = new ethers.Contract(address, FLEXIBLE_ABI, provider);
+
+  // Fetch decimals first (most reliable)
+  let decimals = 18; // Default
+  let decimalsMissing = false;
+  try {
+    const dec = await tokenContract.decimals();
+    decimals = typeof dec === 'number' ? dec : dec.toNumber ? dec.toNumber() : Number(dec);
+  } catch {
+    console.warn('Could not fetch decimals, using default 18');
+    decimalsMissing = true;
+  }
+
+  // Try to verify it's an ERC20 by calling totalSupply or balanceOf
+  try {
+    await tokenContract.totalSupply();
+  } catch {
+    try {
+      await tokenContract.balanceOf(address);
+    } catch {
+      throw new Error('Not a valid ERC20 token contract');
+    }
+  }
+
+  // Fetch name (try string first, then bytes32)
+  let name = 'Unknown Token';
+  let bytes32 = false;
+  try {
+    const result = await readStringOrBytes32('name', address, provider);
+    name = result.value;
+    bytes32 = result.bytes32;
+  } catch {
+    console.warn('Could not fetch token name');
+  }
+
+  // Fetch symbol (try string first, then bytes32)
+  let symbol = '???';
+  try {
+    const result = await readStringOrBytes32('symbol', address, provider);
+    symbol = result.value;
+    bytes32 = bytes32 || result.bytes32;
+  } catch {
+    console.warn('Could not fetch token symbol');
+  }
+
+  return { name, symbol, decimals, bytes32, decimalsMissing };
+}
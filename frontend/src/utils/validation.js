@@ -1,5 +1,7 @@
 import { ethers } from 'ethers';
 import { validationCache } from './validationCache.js';
+import { readTokenSymbol } from './tokenMetadata.js';
+import { getMulticallProvider } from '../services/multicallService';
 
 /**
  * Check if a string is a valid Ethereum address
@@ -197,19 +199,16 @@ export async function validateToken(tokenAddress, provider) {
       return { valid: false, error: 'No contract at address' };
     }
 
-    // 4. Check ERC20 interface (symbol and decimals)
+    // 4. Check ERC20 interface (symbol, as string or bytes32, and decimals)
     const contract = new ethers.Contract(
       checksummed,
-      [
-        'function symbol() view returns (string)',
-        'function decimals() view returns (uint8)'
-      ],
+      ['function decimals() view returns (uint8)'],
       provider
     );
 
     // 5-second timeout per token to prevent hanging
     await Promise.race([
-      Promise.all([contract.symbol(), contract.decimals()]),
+      Promise.all([readTokenSymbol(checksummed, provider), contract.decimals()]),
       new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Timeout')), 5000)
       )
@@ -225,6 +224,7 @@ export async function validateToken(tokenAddress, provider) {
  * Validate multiple tokens in parallel batches
  * Uses cache to avoid re-validating known tokens
  * Skips famous tokens which are known to be valid
+ * The symbol and decimals reads of a batch go out as one Multicall3 eth_call
  *
  * @param {Array<string>} tokenAddresses - Array of token addresses to validate
  * @param {object} provider - Ethers provider
@@ -241,6 +241,10 @@ export async function validateTokensBatch(
   const results = new Map();
   const toValidate = [];
 
+  // Cache entries are per chain (same address can be a different contract elsewhere)
+  const { chainId } = await provider.getNetwork();
+  const cacheKey = (address) => `${chainId}:${address}`;
+
   // Step 1: Check cache and famous tokens
   for (const address of tokenAddresses) {
     const lowerAddress = address.toLowerCase();
@@ -252,7 +256,7 @@ export async function validateTokensBatch(
     }
 
     // Check cache
-    const cached = validationCache.get(lowerAddress);
+    const cached = validationCache.get(cacheKey(lowerAddress));
     if (cached !== null) {
       results.set(lowerAddress, { ...cached, cached: true });
       continue;
@@ -266,6 +270,8 @@ export async function validateTokensBatch(
 
   // Step 2: Validate in parallel batches
   if (toValidate.length > 0) {
+    const batchedProvider = getMulticallProvider(provider);
+
     const batches = [];
     for (let i = 0; i < toValidate.length; i += concurrency) {
       batches.push(toValidate.slice(i, i + concurrency));
@@ -273,7 +279,7 @@ export async function validateTokensBatch(
 
     for (const batch of batches) {
       const validations = batch.map(address =>
-        validateToken(address, provider)
+        validateToken(address, batchedProvider)
           .then(result => ({ address, result }))
           .catch(error => ({
             address,
@@ -288,7 +294,7 @@ export async function validateTokensBatch(
           const { address, result } = settled.value;
           const lowerAddress = address.toLowerCase();
           results.set(lowerAddress, result);
-          validationCache.set(lowerAddress, result);
+          validationCache.set(cacheKey(lowerAddress), result);
         }
       }
     }
@@ -1,12 +1,33 @@
 const CACHE_KEY_PREFIX = 'token_validation:';
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 
+const TRANSFER_TAX_KEY_PREFIX = 'token_transfer_tax:';
+const UNKNOWN_TRANSFER_TAX_KEY_PREFIX = 'token_transfer_tax_unknown:';
+const TRANSFER_TAX_CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours (taxes can be changed by token owners)
+const UNKNOWN_TRANSFER_TAX_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes (the simulation may work once the pool is funded)
+
+// Token risk profile fields, each with the lifetime of what it measures (see services/tokenRiskService)
+const TOKEN_RISK_KEY_PREFIX = 'token_risk:';
+const TOKEN_RISK_CACHE_DURATIONS = {
+  proxy: 60 * 60 * 1000, // 1 hour (the implementation can be upgraded)
+  privileges: 24 * 60 * 60 * 1000, // 24 hours (keyed by the code address, an upgrade gets a new entry)
+  honeypot: 30 * 60 * 1000, // 30 minutes (trading can be switched off)
+  liquidity: 5 * 60 * 1000, // 5 minutes
+};
+
 /**
  * Persistent validation cache with localStorage and memory fallback
  * Reduces RPC calls by 95%+ after initial load
  */
 export class ValidationCache {
-  constructor() {
+  /**
+   * @param {object} options - Optional cache settings
+   * @param {string} options.prefix - localStorage key prefix (default: token validation)
+   * @param {number} options.duration - Entry lifetime in milliseconds
+   */
+  constructor({ prefix = CACHE_KEY_PREFIX, duration = CACHE_DURATION } = {}) {
+    this.prefix = prefix;
+    this.duration = duration;
     this.memoryCache = new Map();
     this.useLocalStorage = this.checkLocalStorageAvailable();
   }
@@ -32,12 +53,12 @@ export class ValidationCache {
    * @returns {object|null} Cached validation result or null if not found/expired
    */
   get(tokenAddress) {
-    const key = CACHE_KEY_PREFIX + tokenAddress.toLowerCase();
+    const key = this.prefix + tokenAddress.toLowerCase();
 
     // Check memory cache first (fastest)
     if (this.memoryCache.has(key)) {
       const cached = this.memoryCache.get(key);
-      if (Date.now() - cached.timestamp < CACHE_DURATION) {
+      if (Date.now() - cached.timestamp < this.duration) {
         return cached.result;
       }
       // Remove expired entry from memory
@@ -50,7 +71,7 @@ export class ValidationCache {
         const stored = localStorage.getItem(key);
         if (stored) {
           const { result, timestamp } = JSON.parse(stored);
-          if (Date.now() - timestamp < CACHE_DURATION) {
+          if (Date.now() - timestamp < this.duration) {
             // Restore to memory cache for faster future access
             this.memoryCache.set(key, { result, timestamp });
             return result;
@@ -72,7 +93,7 @@ export class ValidationCache {
    * @param {object} result - Validation result { valid: boolean, error?: string }
    */
   set(tokenAddress, result) {
-    const key = CACHE_KEY_PREFIX + tokenAddress.toLowerCase();
+    const key = this.prefix + tokenAddress.toLowerCase();
     const entry = { result, timestamp: Date.now() };
 
     // Always store in memory cache
@@ -95,7 +116,7 @@ export class ValidationCache {
     this.memoryCache.clear();
     if (this.useLocalStorage) {
       const keys = Object.keys(localStorage).filter(k =>
-        k.startsWith(CACHE_KEY_PREFIX)
+        k.startsWith(this.prefix)
       );
       keys.forEach(k => localStorage.removeItem(k));
     }
@@ -108,7 +129,7 @@ export class ValidationCache {
   getStats() {
     const memoryCacheSize = this.memoryCache.size;
     const localStorageSize = this.useLocalStorage
-      ? Object.keys(localStorage).filter(k => k.startsWith(CACHE_KEY_PREFIX)).length
+      ? Object.keys(localStorage).filter(k => k.startsWith(this.prefix)).length
       : 0;
 
     return {
@@ -122,3 +143,23 @@ export class ValidationCache {
 
 // Export singleton instance
 export const validationCache = new ValidationCache();
+
+// Measured transfer taxes (fee-on-transfer tokens), see services/feeOnTransferService
+export const transferTaxCache = new ValidationCache({
+  prefix: TRANSFER_TAX_KEY_PREFIX,
+  duration: TRANSFER_TAX_CACHE_DURATION,
+});
+
+// Transfer taxes that could not be simulated, retried sooner than measured ones
+export const unknownTransferTaxCache = new ValidationCache({
+  prefix: UNKNOWN_TRANSFER_TAX_KEY_PREFIX,
+  duration: UNKNOWN_TRANSFER_TAX_CACHE_DURATION,
+});
+
+// Token risk profile fields (proxy, privileges, honeypot, liquidity), see services/tokenRiskService
+export const tokenRiskCaches = Object.fromEntries(
+  Object.entries(TOKEN_RISK_CACHE_DURATIONS).map(([field, duration]) => [
+    field,
+    new ValidationCache({ prefix: `${TOKEN_RISK_KEY_PREFIX}${field}:`, duration }),
+  ])
+);
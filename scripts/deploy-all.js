@@ -1,5 +1,9 @@
 const hre = require('hardhat')
-const fs = require('fs')
+const {
+  loadNetworkDeployment,
+  saveNetworkDeployment,
+  contractEntry
+} = require('./deployment-manifest')
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners()
@@ -14,12 +18,16 @@ async function main() {
 
   const deployedAddresses = {}
 
+  // Core contracts are redeployed: start a new manifest entry for this network
+  const deployment = await loadNetworkDeployment(hre, { fresh: true })
+
   // Step 1: Deploy WETH9
   console.log('📦 Step 1/3: Deploying WETH9...')
   const WETH9 = await hre.ethers.getContractFactory('WETH9')
   const weth = await WETH9.deploy()
   await weth.deployed()
   deployedAddresses.weth = weth.address
+  deployment.contracts.WETH9 = await contractEntry(weth)
   console.log('✅ WETH9 deployed to:', weth.address)
 
   // Step 2: Deploy UniswapV2Factory (from v2-core)
@@ -32,12 +40,14 @@ async function main() {
   const factory = await Factory.deploy(deployer.address)
   await factory.deployed()
   deployedAddresses.factory = factory.address
+  deployment.contracts.UniswapV2Factory = await contractEntry(factory)
   console.log('✅ UniswapV2Factory deployed to:', factory.address)
 
   // Get init code hash
   const pairArtifact = require('@uniswap/v2-core/build/UniswapV2Pair.json')
   const bytecode = pairArtifact.bytecode.startsWith('0x') ? pairArtifact.bytecode : '0x' + pairArtifact.bytecode
   const INIT_CODE_HASH = hre.ethers.utils.keccak256(bytecode)
+  deployment.initCodeHash = INIT_CODE_HASH
   console.log('   Init Code Hash:', INIT_CODE_HASH)
 
   // Step 3: Deploy UniswapV2Router02
@@ -46,6 +56,7 @@ async function main() {
   const router = await Router02.deploy(factory.address, weth.address)
   await router.deployed()
   deployedAddresses.router02 = router.address
+  deployment.contracts.UniswapV2Router02 = await contractEntry(router)
   console.log('✅ UniswapV2Router02 deployed to:', router.address)
 
   // Verify
@@ -70,50 +81,13 @@ async function main() {
   console.log('\n🔑 Init Code Hash:', INIT_CODE_HASH)
   console.log('=====================================\n')
 
-  // Save deployment info
-  const deploymentInfo = {
-    network: hre.network.name,
-    chainId: hre.network.config.chainId,
-    deployer: deployer.address,
-    timestamp: new Date().toISOString(),
-    contracts: {
-      WETH9: deployedAddresses.weth,
-      UniswapV2Factory: deployedAddresses.factory,
-      UniswapV2Router02: deployedAddresses.router02
-    },
-    constants: {
-      initCodeHash: INIT_CODE_HASH
-    }
-  }
-
-  fs.writeFileSync('deployment.json', JSON.stringify(deploymentInfo, null, 2))
-  console.log('💾 Deployment info saved to: deployment.json\n')
-
-  // Create frontend config
-  const frontendConfig = `// Auto-generated deployment config
-// Generated at: ${new Date().toISOString()}
-
-export const contracts = {
-  weth: '${deployedAddresses.weth}',
-  factory: '${deployedAddresses.factory}',
-  router: '${deployedAddresses.router02}',
-  initCodeHash: '${INIT_CODE_HASH}'
-}
-
-export const network = {
-  name: '${hre.network.name}',
-  chainId: ${hre.network.config.chainId}
-}
-
-export const deployer = '${deployer.address}'
-`
-
-  fs.writeFileSync('deployed-config.js', frontendConfig)
-  console.log('💾 Frontend config saved to: deployed-config.js\n')
+  // Save deployment info (deployment.json, imported by the frontend config)
+  saveNetworkDeployment(deployment, deployer.address)
+  console.log()
 
   console.log('✨ Deployment Complete!\n')
 
-  return deploymentInfo
+  return deployment
 }
 
 main()
@@ -1,6 +1,11 @@
 // Complete deployment script - deploys all contracts, test tokens, and adds liquidity
 const hre = require("hardhat");
-const fs = require("fs");
+const {
+  loadNetworkDeployment,
+  saveNetworkDeployment,
+  contractEntry,
+  pairEntry,
+} = require("./deployment-manifest");
 
 async function main() {
   const [deployer, user1, user2] = await hre.ethers.getSigners();
@@ -19,21 +24,25 @@ async function main() {
 
   const deployed = {};
 
+  // Core contracts are redeployed: start a new manifest entry for this network
+  const deployment = await loadNetworkDeployment(hre, { fresh: true });
+
   // ══════════════════════════════════════════════════════════════════════════
   // STEP 1: Deploy Core Contracts
   // ══════════════════════════════════════════════════════════════════════════
   console.log("📦 STEP 1: Deploying Core Contracts...\n");
 
   // Deploy WETH9
-  console.log("  [1/3] Deploying WETH9...");
+  console.log("  [1/4] Deploying WETH9...");
   const WETH9 = await hre.ethers.getContractFactory("WETH9");
   const weth = await WETH9.deploy();
   await weth.deployed();
   deployed.weth = weth.address;
+  deployment.contracts.WETH9 = await contractEntry(weth);
   console.log("       ✅ WETH9:", weth.address);
 
   // Deploy UniswapV2Factory
-  console.log("  [2/3] Deploying UniswapV2Factory...");
+  console.log("  [2/4] Deploying UniswapV2Factory...");
   const factoryArtifact = require("@uniswap/v2-core/build/UniswapV2Factory.json");
   const Factory = await hre.ethers.getContractFactory(
     factoryArtifact.abi,
@@ -42,6 +51,7 @@ async function main() {
   const factory = await Factory.deploy(deployer.address);
   await factory.deployed();
   deployed.factory = factory.address;
+  deployment.contracts.UniswapV2Factory = await contractEntry(factory);
   console.log("       ✅ Factory:", factory.address);
 
   // Get init code hash
@@ -51,16 +61,27 @@ async function main() {
     : "0x" + pairArtifact.bytecode;
   const INIT_CODE_HASH = hre.ethers.utils.keccak256(bytecode);
   deployed.initCodeHash = INIT_CODE_HASH;
+  deployment.initCodeHash = INIT_CODE_HASH;
   console.log("       📝 Init Code Hash:", INIT_CODE_HASH);
 
   // Deploy UniswapV2Router02
-  console.log("  [3/3] Deploying UniswapV2Router02...");
+  console.log("  [3/4] Deploying UniswapV2Router02...");
   const Router02 = await hre.ethers.getContractFactory("UniswapV2Router02");
   const router = await Router02.deploy(factory.address, weth.address);
   await router.deployed();
   deployed.router = router.address;
+  deployment.contracts.UniswapV2Router02 = await contractEntry(router);
   console.log("       ✅ Router:", router.address);
 
+  // Deploy Multicall3 (the frontend batches its reads through it, see services/multicallService.ts)
+  console.log("  [4/4] Deploying Multicall3...");
+  const Multicall3 = await hre.ethers.getContractFactory("Multicall3");
+  const multicall = await Multicall3.deploy();
+  await multicall.deployed();
+  deployed.multicall = multicall.address;
+  deployment.contracts.Multicall3 = await contractEntry(multicall);
+  console.log("       ✅ Multicall3:", multicall.address);
+
   // Verify router configuration
   const routerFactory = await router.factory();
   const routerWETH = await router.WETH();
@@ -84,12 +105,14 @@ async function main() {
   const tokenA = await ERC20.deploy(initialSupply);
   await tokenA.deployed();
   deployed.tokenA = tokenA.address;
+  deployment.testTokens.TokenA = await contractEntry(tokenA);
   console.log("       ✅ Token A:", tokenA.address);
 
   console.log("  [2/2] Deploying Token B (TKB)...");
   const tokenB = await ERC20.deploy(initialSupply);
   await tokenB.deployed();
   deployed.tokenB = tokenB.address;
+  deployment.testTokens.TokenB = await contractEntry(tokenB);
   console.log("       ✅ Token B:", tokenB.address);
 
   // ══════════════════════════════════════════════════════════════════════════
@@ -106,7 +129,7 @@ async function main() {
   console.log("       ✅ Tokens approved");
 
   console.log("  Adding liquidity to TokenA/TokenB pair...");
-  await (
+  const pairReceipt = await (
     await router.addLiquidity(
       tokenA.address,
       tokenB.address,
@@ -119,7 +142,13 @@ async function main() {
     )
   ).wait();
 
-  const pairAddress = await factory.getPair(tokenA.address, tokenB.address);
+  deployment.pairs["TokenA-TokenB"] = await pairEntry(
+    factory,
+    tokenA.address,
+    tokenB.address,
+    pairReceipt
+  );
+  const pairAddress = deployment.pairs["TokenA-TokenB"].address;
   deployed.pair = pairAddress;
   console.log("       ✅ Liquidity added!");
   console.log("       📝 Pair address:", pairAddress);
@@ -130,7 +159,7 @@ async function main() {
   const tokenLiquidity = hre.ethers.utils.parseEther("10000"); // 10k tokens
 
   await (await tokenA.approve(router.address, tokenLiquidity)).wait();
-  await (
+  const wethPairReceipt = await (
     await router.addLiquidityETH(
       tokenA.address,
       tokenLiquidity,
@@ -142,7 +171,13 @@ async function main() {
     )
   ).wait();
 
-  const wethPairAddress = await factory.getPair(weth.address, tokenA.address);
+  deployment.pairs["WETH-TokenA"] = await pairEntry(
+    factory,
+    weth.address,
+    tokenA.address,
+    wethPairReceipt
+  );
+  const wethPairAddress = deployment.pairs["WETH-TokenA"].address;
   deployed.wethPair = wethPairAddress;
   console.log("       ✅ ETH liquidity added!");
   console.log("       📝 WETH/TokenA pair:", wethPairAddress);
@@ -166,90 +201,8 @@ async function main() {
   // SAVE DEPLOYMENT INFO
   // ══════════════════════════════════════════════════════════════════════════
 
-  const deploymentInfo = {
-    network: hre.network.name,
-    chainId: hre.network.config.chainId,
-    deployer: deployer.address,
-    timestamp: new Date().toISOString(),
-    contracts: {
-      WETH9: deployed.weth,
-      UniswapV2Factory: deployed.factory,
-      UniswapV2Router02: deployed.router,
-    },
-    testTokens: {
-      TokenA: deployed.tokenA,
-      TokenB: deployed.tokenB,
-    },
-    pairs: {
-      "TokenA-TokenB": deployed.pair,
-      "WETH-TokenA": deployed.wethPair,
-    },
-    constants: {
-      initCodeHash: deployed.initCodeHash,
-    },
-  };
-
-  fs.writeFileSync("deployment.json", JSON.stringify(deploymentInfo, null, 2));
-
-  // Update frontend config
-  const frontendConfig = `// Import ABIs from the frontend-abis package
-import UniswapV2Router02ABI from '../../../frontend-abis/periphery/UniswapV2Router02.json';
-import IUniswapV2FactoryABI from '../../../frontend-abis/core/IUniswapV2Factory.json';
-import IUniswapV2PairABI from '../../../frontend-abis/core/IUniswapV2Pair.json';
-import IERC20ABI from '../../../frontend-abis/periphery/IERC20.json';
-import IWETHABI from '../../../frontend-abis/periphery/IWETH.json';
-
-// Deployed contract addresses (auto-generated)
-// Generated at: ${new Date().toISOString()}
-export const CONTRACT_ADDRESSES = {
-  WETH: '${deployed.weth}',
-  FACTORY: '${deployed.factory}',
-  ROUTER: '${deployed.router}'
-};
-
-// Test token addresses (for local testing)
-export const TEST_TOKENS = {
-  TOKEN_A: '${deployed.tokenA}',
-  TOKEN_B: '${deployed.tokenB}',
-  PAIR_AB: '${deployed.pair}',
-  PAIR_WETH_A: '${deployed.wethPair}'
-};
-
-// Network configuration
-export const NETWORK_CONFIG = {
-  name: '${hre.network.name}',
-  chainId: ${hre.network.config.chainId},
-  rpcUrl: 'http://127.0.0.1:8545'
-};
-
-// Contract ABIs
-export const CONTRACT_ABIS = {
-  ROUTER: UniswapV2Router02ABI.abi,
-  FACTORY: IUniswapV2FactoryABI.abi,
-  PAIR: IUniswapV2PairABI.abi,
-  ERC20: IERC20ABI.abi,
-  WETH: IWETHABI.abi
-};
-
-// Pair init code hash (needed for computing pair addresses)
-export const INIT_CODE_HASH = '${deployed.initCodeHash}';
-
-// Gas limits for different operations
-export const GAS_LIMITS = {
-  SWAP: 200000,
-  ADD_LIQUIDITY: 300000,
-  REMOVE_LIQUIDITY: 300000,
-  APPROVE: 100000
-};
-
-// Slippage tolerance (in basis points, 50 = 0.5%)
-export const DEFAULT_SLIPPAGE = 50;
-
-// Transaction deadline (in seconds from now)
-export const DEFAULT_DEADLINE = 1200; // 20 minutes
-`;
-
-  fs.writeFileSync("frontend/src/config/contracts.js", frontendConfig);
+  // deployment.json is the only output: the frontend config imports it
+  saveNetworkDeployment(deployment, deployer.address);
 
   // ══════════════════════════════════════════════════════════════════════════
   // FINAL SUMMARY
@@ -262,6 +215,7 @@ export const DEFAULT_DEADLINE = 1200; // 20 minutes
   console.log("   WETH9:              ", deployed.weth);
   console.log("   UniswapV2Factory:   ", deployed.factory);
   console.log("   UniswapV2Router02:  ", deployed.router);
+  console.log("   Multicall3:         ", deployed.multicall);
   console.log("\n🪙 TEST TOKENS:");
   console.log("   Token A (TKA):      ", deployed.tokenA);
   console.log("   Token B (TKB):      ", deployed.tokenB);
@@ -286,11 +240,10 @@ export const DEFAULT_DEADLINE = 1200; // 20 minutes
   console.log("   Token B:", deployed.tokenB);
   console.log("\n═══════════════════════════════════════════════════════════════");
   console.log("💾 Files updated:");
-  console.log("   - deployment.json");
-  console.log("   - frontend/src/config/contracts.js");
+  console.log("   - deployment.json (read by frontend/src/config/contracts.js)");
   console.log("═══════════════════════════════════════════════════════════════\n");
 
-  return deploymentInfo;
+  return deployment;
 }
 
 main()
@@ -1,5 +1,13 @@
 // Script to deploy test ERC20 tokens and add initial liquidity for testing
+// Router/factory come from deployment.json, the new tokens and pair are appended to it
 const hre = require("hardhat");
+const {
+  requireCoreDeployment,
+  saveNetworkDeployment,
+  contractEntry,
+  pairEntry,
+  addressOf,
+} = require("./deployment-manifest");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
@@ -9,9 +17,10 @@ async function main() {
   console.log("Account balance:", (await deployer.getBalance()).toString());
   console.log("========================================\n");
 
-  // Get deployed router address
-  const routerAddress = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
-  const factoryAddress = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+  // Get deployed router/factory of this network from the manifest
+  const deployment = await requireCoreDeployment(hre);
+  const routerAddress = addressOf(deployment.contracts, "UniswapV2Router02");
+  const factoryAddress = addressOf(deployment.contracts, "UniswapV2Factory");
 
   console.log("Using Router:", routerAddress);
   console.log("Using Factory:", factoryAddress);
@@ -28,12 +37,19 @@ async function main() {
   await tokenA.deployed();
   console.log("✓ Token A deployed to:", tokenA.address);
 
+  // Don't overwrite the tokens of deploy-complete.js: number extra tokens
+  const tokenCount = Object.keys(deployment.testTokens).length;
+  const nameA = tokenCount === 0 ? "TokenA" : `TestToken${tokenCount + 1}`;
+  const nameB = tokenCount === 0 ? "TokenB" : `TestToken${tokenCount + 2}`;
+  deployment.testTokens[nameA] = await contractEntry(tokenA);
+
   // Deploy Token B
   console.log("Deploying Token B...");
   const tokenB = await ERC20.deploy(
     hre.ethers.utils.parseEther("1000000") // 1 million tokens
   );
   await tokenB.deployed();
+  deployment.testTokens[nameB] = await contractEntry(tokenB);
   console.log("✓ Token B deployed to:", tokenB.address);
   console.log();
 
@@ -58,7 +74,7 @@ async function main() {
   console.log("Adding initial liquidity...");
   const deadline = Math.floor(Date.now() / 1000) + 1200; // 20 minutes
 
-  tx = await router.addLiquidity(
+  const liquidityTx = await router.addLiquidity(
     tokenA.address,
     tokenB.address,
     liquidityAmountA,
@@ -68,13 +84,17 @@ async function main() {
     deployer.address,
     deadline
   );
-  await tx.wait();
+  const liquidityReceipt = await liquidityTx.wait();
   console.log("✓ Initial liquidity added!");
   console.log();
 
   // Get pair address
   const factory = await hre.ethers.getContractAt("IUniswapV2Factory", factoryAddress);
-  const pairAddress = await factory.getPair(tokenA.address, tokenB.address);
+  const pair = await pairEntry(factory, tokenA.address, tokenB.address, liquidityReceipt);
+  const pairAddress = pair.address;
+  deployment.pairs[`${nameA}-${nameB}`] = pair;
+
+  saveNetworkDeployment(deployment, deployer.address);
 
   console.log("========================================");
   console.log("DEPLOYMENT COMPLETE!");
@@ -91,9 +111,8 @@ async function main() {
   console.log("Token B:", hre.ethers.utils.formatEther(liquidityAmountB), "tokens");
   console.log();
   console.log("========================================");
-  console.log("COPY THESE ADDRESSES TO YOUR FRONTEND!");
+  console.log(`Saved as ${nameA} / ${nameB} in deployment.json`);
   console.log("========================================");
-  console.log("\nYou can now use these addresses in the swap interface.");
   console.log();
 }
 
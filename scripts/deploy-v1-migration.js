@@ -0,0 +1,135 @@
+// Script to deploy Uniswap V1 next to the V2 deployment and the V2 migrator, for testing the migration flow locally
+// V1 factory/exchange come from buildV1 (Vyper artifacts), router/test tokens from deployment.json
+// - TokenA: V1 exchange at the price of the V2 WETH/TokenA pair (migration adds to the existing pair)
+// - TokenB: V1 exchange without a V2 WETH pair (migration creates the pair at the V1 price)
+const hre = require("hardhat");
+const {
+  requireCoreDeployment,
+  saveNetworkDeployment,
+  contractEntry,
+  addressOf,
+} = require("./deployment-manifest");
+
+const UniswapV1Factory = require("../buildV1/UniswapV1Factory.json");
+const UniswapV1Exchange = require("../buildV1/UniswapV1Exchange.json");
+
+// V1 liquidity per test token (ETH, tokens)
+const V1_LIQUIDITY = {
+  TokenA: { eth: "5", tokens: "5000" }, // 1000 TKA per ETH, like WETH/TokenA in deploy-complete.js
+  TokenB: { eth: "2", tokens: "3000" },
+};
+
+/**
+ * Create the V1 exchange of a token and add its initial liquidity
+ */
+async function createV1Exchange(factoryV1, token, liquidity, deadline) {
+  await (await factoryV1.createExchange(token.address)).wait();
+  const exchangeAddress = await factoryV1.getExchange(token.address);
+  const exchange = await hre.ethers.getContractAt(UniswapV1Exchange.abi, exchangeAddress);
+
+  const tokenAmount = hre.ethers.utils.parseEther(liquidity.tokens);
+  await (await token.approve(exchangeAddress, tokenAmount)).wait();
+  // min_liquidity is ignored by the first deposit
+  const receipt = await (
+    await exchange.addLiquidity(0, tokenAmount, deadline, {
+      value: hre.ethers.utils.parseEther(liquidity.eth),
+    })
+  ).wait();
+
+  return { exchange, entry: { address: exchangeAddress, blockNumber: receipt.blockNumber } };
+}
+
+async function main() {
+  const [deployer, user1] = await hre.ethers.getSigners();
+
+  console.log("\n========================================");
+  console.log("Deploying Uniswap V1 + V2 Migrator with account:", deployer.address);
+  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("========================================\n");
+
+  const deployment = await requireCoreDeployment(hre);
+  const routerAddress = addressOf(deployment.contracts, "UniswapV2Router02");
+  const missingTokens = Object.keys(V1_LIQUIDITY).filter((name) => !deployment.testTokens[name]);
+  if (missingTokens.length > 0) {
+    throw new Error(
+      `No ${missingTokens.join(", ")} in deployment.json. Run scripts/deploy-complete.js --network ${hre.network.name} first.`
+    );
+  }
+
+  console.log("Using Router:", routerAddress);
+  console.log();
+
+  // Deploy V1 (exchange template + factory)
+  console.log("Deploying Uniswap V1...");
+  const ExchangeV1 = await hre.ethers.getContractFactory(
+    UniswapV1Exchange.abi,
+    UniswapV1Exchange.evm.bytecode.object
+  );
+  const exchangeTemplate = await ExchangeV1.deploy();
+  await exchangeTemplate.deployed();
+
+  const FactoryV1 = await hre.ethers.getContractFactory(
+    UniswapV1Factory.abi,
+    UniswapV1Factory.evm.bytecode.object
+  );
+  const factoryV1 = await FactoryV1.deploy();
+  await factoryV1.deployed();
+  await (await factoryV1.initializeFactory(exchangeTemplate.address)).wait();
+  deployment.contracts.UniswapV1Factory = await contractEntry(factoryV1);
+  console.log("✓ V1 exchange template:", exchangeTemplate.address);
+  console.log("✓ V1 factory:", factoryV1.address);
+
+  // Deploy the migrator (V1 factory -> router)
+  console.log("Deploying UniswapV2Migrator...");
+  const Migrator = await hre.ethers.getContractFactory("UniswapV2Migrator");
+  const migrator = await Migrator.deploy(factoryV1.address, routerAddress);
+  await migrator.deployed();
+  deployment.contracts.UniswapV2Migrator = await contractEntry(migrator);
+  console.log("✓ Migrator:", migrator.address);
+  console.log();
+
+  // V1 liquidity for the test tokens
+  console.log("Adding V1 liquidity...");
+  const deadline = Math.floor(Date.now() / 1000) + 1200; // 20 minutes
+  const ERC20 = await hre.ethers.getContractFactory("ERC20");
+  deployment.v1Exchanges = deployment.v1Exchanges || {};
+  const exchanges = {};
+
+  for (const [name, liquidity] of Object.entries(V1_LIQUIDITY)) {
+    const token = ERC20.attach(addressOf(deployment.testTokens, name));
+    const { exchange, entry } = await createV1Exchange(factoryV1, token, liquidity, deadline);
+    exchanges[name] = exchange;
+    deployment.v1Exchanges[name] = entry;
+    console.log(`✓ ${name} V1 exchange:`, exchange.address, `(${liquidity.eth} ETH + ${liquidity.tokens} tokens)`);
+  }
+
+  // Give user1 a V1 position too (half of the deployer's TokenA liquidity)
+  if (user1) {
+    const balance = await exchanges.TokenA.balanceOf(deployer.address);
+    await (await exchanges.TokenA.transfer(user1.address, balance.div(2))).wait();
+    console.log("✓ Sent half of the TokenA V1 liquidity to user1:", user1.address);
+  }
+  console.log();
+
+  saveNetworkDeployment(deployment, deployer.address);
+
+  console.log("========================================");
+  console.log("V1 + MIGRATOR DEPLOYMENT COMPLETE!");
+  console.log("========================================");
+  console.log("V1 Factory:", factoryV1.address);
+  console.log("Migrator:", migrator.address);
+  Object.entries(exchanges).forEach(([name, exchange]) => {
+    console.log(`${name} V1 exchange:`, exchange.address);
+  });
+  console.log();
+  console.log("Saved as contracts.UniswapV1Factory / UniswapV2Migrator and v1Exchanges in deployment.json");
+  console.log("========================================");
+  console.log();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,191 @@
+// Deployment manifest helpers shared by the deploy scripts
+// deployment.json holds one entry per chain ID, the frontend imports it (frontend/src/config/contracts.js)
+//
+// {
+//   "version": 1,
+//   "networks": {
+//     "31337": {
+//       "name": "localhost",
+//       "chainId": 31337,
+//       "deployer": "0x...",
+//       "updatedAt": "2026-01-01T00:00:00.000Z",
+//       "initCodeHash": "0x...",
+//       "contracts":  { "WETH9": { "address": "0x...", "blockNumber": 1 }, "UniswapV2Factory": ..., "UniswapV2Router02": ... },
+//       "testTokens": { "TokenA": { "address": "0x...", "blockNumber": 4 }, ... },
+//       "pairs":      { "TokenA-TokenB": { "address": "0x...", "blockNumber": 7 }, ... },
+//       "v1Exchanges": { "TokenA": { "address": "0x...", "blockNumber": 14 }, ... }
+//     }
+//   }
+// }
+//
+// Optional: contracts.Multicall3 (scripts/deploy-complete.js, reads are sent one by one without it)
+// Optional: contracts.UniswapV1Factory / UniswapV2Migrator and v1Exchanges (scripts/deploy-v1-migration.js)
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_PATH = path.join(__dirname, "..", "deployment.json");
+
+// Bump when the format changes (and migrate older versions in readManifest)
+const MANIFEST_VERSION = 1;
+
+// Core contracts every network entry needs before anything else can be deployed on it
+const CORE_CONTRACTS = ["WETH9", "UniswapV2Factory", "UniswapV2Router02"];
+
+/**
+ * Convert the flat pre-manifest deployment.json (single network, plain addresses)
+ */
+function migrateLegacy(legacy) {
+  const toEntries = (addresses = {}) =>
+    Object.fromEntries(
+      Object.entries(addresses).map(([name, address]) => [name, { address, blockNumber: null }])
+    );
+
+  return {
+    version: MANIFEST_VERSION,
+    networks: {
+      [legacy.chainId]: {
+        name: legacy.network,
+        chainId: legacy.chainId,
+        deployer: legacy.deployer,
+        updatedAt: legacy.timestamp,
+        initCodeHash: legacy.constants && legacy.constants.initCodeHash,
+        contracts: toEntries(legacy.contracts),
+        testTokens: toEntries(legacy.testTokens),
+        pairs: toEntries(legacy.pairs),
+      },
+    },
+  };
+}
+
+/**
+ * Read the manifest (empty manifest if the file does not exist yet)
+ */
+function readManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return { version: MANIFEST_VERSION, networks: {} };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+
+  if (manifest.version === undefined) {
+    return migrateLegacy(manifest);
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(
+      `deployment.json is version ${manifest.version}, these scripts only know version ${MANIFEST_VERSION}`
+    );
+  }
+
+  return manifest;
+}
+
+/**
+ * Write the manifest, keeping the entries of all other networks
+ */
+function writeManifest(manifest) {
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Chain ID of the network the script runs on
+ */
+async function getChainId(hre) {
+  return hre.network.config.chainId || (await hre.ethers.provider.getNetwork()).chainId;
+}
+
+/**
+ * Get the manifest entry of the current network
+ * - fresh: start a new entry (core contracts are being redeployed)
+ */
+async function loadNetworkDeployment(hre, { fresh = false } = {}) {
+  const chainId = await getChainId(hre);
+  const manifest = readManifest();
+  const existing = manifest.networks[chainId];
+
+  if (existing && !fresh) {
+    return existing;
+  }
+
+  return {
+    name: hre.network.name,
+    chainId,
+    deployer: null,
+    updatedAt: null,
+    initCodeHash: null,
+    contracts: {},
+    testTokens: {},
+    pairs: {},
+  };
+}
+
+/**
+ * Get the manifest entry of the current network, failing if the core contracts are missing
+ */
+async function requireCoreDeployment(hre) {
+  const deployment = await loadNetworkDeployment(hre);
+  const missing = CORE_CONTRACTS.filter((name) => !deployment.contracts[name]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `No ${missing.join(", ")} in deployment.json for ${hre.network.name} (chain ${deployment.chainId}). ` +
+        `Run scripts/deploy-complete.js --network ${hre.network.name} first.`
+    );
+  }
+
+  return deployment;
+}
+
+/**
+ * Save the entry of the current network into deployment.json
+ */
+function saveNetworkDeployment(deployment, deployer) {
+  const manifest = readManifest();
+
+  manifest.version = MANIFEST_VERSION;
+  manifest.networks[deployment.chainId] = {
+    ...deployment,
+    deployer: deployer || deployment.deployer,
+    updatedAt: new Date().toISOString(),
+  };
+
+  writeManifest(manifest);
+  console.log(`💾 deployment.json updated (${deployment.name}, chain ${deployment.chainId})`);
+}
+
+/**
+ * Manifest entry of a freshly deployed contract
+ */
+async function contractEntry(contract) {
+  const receipt = await contract.deployTransaction.wait();
+  return { address: contract.address, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Manifest entry of a pair, created by the transaction of the given receipt
+ */
+async function pairEntry(factory, tokenA, tokenB, receipt) {
+  return {
+    address: await factory.getPair(tokenA, tokenB),
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+/**
+ * Address of a manifest entry
+ */
+function addressOf(section, name) {
+  return section[name] && section[name].address;
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  MANIFEST_VERSION,
+  CORE_CONTRACTS,
+  readManifest,
+  loadNetworkDeployment,
+  requireCoreDeployment,
+  saveNetworkDeployment,
+  contractEntry,
+  pairEntry,
+  addressOf,
+};
@@ -1,6 +1,9 @@
+import path from 'path'
+import { pathToFileURL } from 'url'
 import { AddressZero, MaxUint256 } from 'ethers/constants'
 import chai, { expect } from 'chai'
 import { Contract } from 'ethers'
+import { BigNumber } from 'ethers/utils'
 import { solidity, MockProvider, createFixtureLoader, deployContract } from 'ethereum-waffle'
 
 import { expandTo18Decimals } from './shared/utilities'
@@ -8,6 +11,12 @@ import { v2Fixture } from './shared/fixtures'
 
 import ExampleComputeLiquidityValue from '../build/ExampleComputeLiquidityValue.json'
 
+// frontend port of UniswapV2LiquidityMathLibrary: an ES module, so it is loaded with a native import()
+// (TypeScript compiles import() to require() for CommonJS output)
+const importModule = new Function('specifier', 'return import(specifier)') as (specifier: string) => Promise<any>
+const CALCULATIONS_URL = pathToFileURL(path.join(__dirname, '../frontend/src/utils/calculations.js')).href
+let calculations: any
+
 chai.use(solidity)
 
 const overrides = {
@@ -23,6 +32,10 @@ describe('ExampleComputeLiquidityValue', () => {
   const [wallet] = provider.getWallets()
   const loadFixture = createFixtureLoader(provider, [wallet])
 
+  before(async () => {
+    calculations = await importModule(CALCULATIONS_URL)
+  })
+
   let token0: Contract
   let token1: Contract
   let factory: Contract
@@ -451,4 +464,134 @@ describe('ExampleComputeLiquidityValue', () => {
       })
     })
   })
+
+  describe('frontend port', () => {
+    const truePrices: [number | BigNumber, number | BigNumber][] = [
+      [1, 400],
+      [1, 200],
+      [1, 105],
+      [1, 100],
+      [1, 95],
+      [1, 50],
+      [1, 25],
+      [25, 1],
+      [MaxUint256.div(1000), MaxUint256.div(1000)]
+    ]
+
+    // the pair as the library reads it, as strings for the frontend's ethers version
+    async function getPairState() {
+      const [reserve0, reserve1] = await pair.getReserves()
+      const feeOn = (await factory.feeTo()) !== AddressZero
+      return {
+        reserveA: reserve0.toString(),
+        reserveB: reserve1.toString(),
+        totalSupply: (await pair.totalSupply()).toString(),
+        feeOn,
+        kLast: feeOn ? (await pair.kLast()).toString() : '0'
+      }
+    }
+
+    async function expectSameAsLibrary() {
+      const state = await getPairState()
+
+      for (const [truePriceA, truePriceB] of truePrices) {
+        const [reserveA, reserveB] = await computeLiquidityValue.getReservesAfterArbitrage(
+          token0.address,
+          token1.address,
+          truePriceA,
+          truePriceB
+        )
+        const reserves = calculations.getReservesAfterArbitrage(
+          truePriceA.toString(),
+          truePriceB.toString(),
+          state.reserveA,
+          state.reserveB
+        )
+        expect(reserves.reserveA.toString()).to.eq(reserveA.toString())
+        expect(reserves.reserveB.toString()).to.eq(reserveB.toString())
+
+        const [token0Amount, token1Amount] = await computeLiquidityValue.getLiquidityValueAfterArbitrageToPrice(
+          token0.address,
+          token1.address,
+          truePriceA,
+          truePriceB,
+          expandTo18Decimals(5)
+        )
+        const value = calculations.getLiquidityValueAfterArbitrageToPrice(
+          state,
+          truePriceA.toString(),
+          truePriceB.toString(),
+          expandTo18Decimals(5).toString()
+        )
+        expect(value.tokenAAmount.toString()).to.eq(token0Amount.toString())
+        expect(value.tokenBAmount.toString()).to.eq(token1Amount.toString())
+      }
+
+      const [token0Amount, token1Amount] = await computeLiquidityValue.getLiquidityValue(
+        token0.address,
+        token1.address,
+        expandTo18Decimals(7)
+      )
+      const value = calculations.computeLiquidityValue(
+        state.reserveA,
+        state.reserveB,
+        state.totalSupply,
+        expandTo18Decimals(7).toString(),
+        state.feeOn,
+        state.kLast
+      )
+      expect(value.tokenAAmount.toString()).to.eq(token0Amount.toString())
+      expect(value.tokenBAmount.toString()).to.eq(token1Amount.toString())
+    }
+
+    async function swapToken0(amount: number) {
+      await token0.approve(router.address, MaxUint256, overrides)
+      await router.swapExactTokensForTokens(
+        expandTo18Decimals(amount),
+        0,
+        [token0.address, token1.address],
+        wallet.address,
+        MaxUint256,
+        overrides
+      )
+    }
+
+    it('matches the library at 1:100', async () => {
+      await expectSameAsLibrary()
+    })
+
+    it('matches the library after a swap', async () => {
+      await swapToken0(10)
+      await expectSameAsLibrary()
+    })
+
+    it('throws for a liquidity amount above the supply', async () => {
+      const state = await getPairState()
+      expect(() =>
+        calculations.getLiquidityValueAfterArbitrageToPrice(state, '1', '100', expandTo18Decimals(101).toString())
+      ).to.throw('LIQUIDITY_AMOUNT')
+    })
+
+    describe('fee on', () => {
+      beforeEach('turn on fee', async () => {
+        await factory.setFeeTo(wallet.address)
+      })
+
+      // this is necessary to cause kLast to be set
+      beforeEach('mint more liquidity to address zero', async () => {
+        await token0.transfer(pair.address, expandTo18Decimals(10))
+        await token1.transfer(pair.address, expandTo18Decimals(1000))
+        await pair.mint(AddressZero, overrides)
+      })
+
+      it('matches the library with no fee to be collected', async () => {
+        await expectSameAsLibrary()
+      })
+
+      it('matches the library after a swap', async () => {
+        await swapToken0(20)
+        await expectSameAsLibrary()
+      })
+    })
+  })
 })
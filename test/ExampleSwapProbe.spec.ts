@@ -0,0 +1,109 @@
+import chai, { expect } from 'chai'
+import { Contract } from 'ethers'
+import { BigNumber, bigNumberify, defaultAbiCoder } from 'ethers/utils'
+import { solidity, MockProvider, createFixtureLoader, deployContract } from 'ethereum-waffle'
+
+import { expandTo18Decimals } from './shared/utilities'
+import { v2Fixture } from './shared/fixtures'
+
+import ExampleSwapProbe from '../build/ExampleSwapProbe.json'
+import DeflatingERC20 from '../build/DeflatingERC20.json'
+import IUniswapV2Pair from '@uniswap/v2-core/build/IUniswapV2Pair.json'
+
+chai.use(solidity)
+
+const overrides = {
+  gasLimit: 9999999
+}
+
+describe('ExampleSwapProbe', () => {
+  const provider = new MockProvider({
+    hardfork: 'istanbul',
+    mnemonic: 'horn horn horn horn horn horn horn horn horn horn horn horn',
+    gasLimit: 9999999
+  })
+  const [wallet] = provider.getWallets()
+  const loadFixture = createFixtureLoader(provider, [wallet])
+
+  let WETH: Contract
+  let WETHPartner: Contract
+  let factory: Contract
+  beforeEach(async function() {
+    const fixture = await loadFixture(v2Fixture)
+    WETH = fixture.WETH
+    WETHPartner = fixture.WETHPartner
+    factory = fixture.factoryV2
+  })
+
+  async function addLiquidity(token: Contract, tokenAmount: BigNumber, WETHAmount: BigNumber): Promise<string> {
+    if ((await factory.getPair(token.address, WETH.address)) === '0x0000000000000000000000000000000000000000') {
+      await factory.createPair(token.address, WETH.address)
+    }
+    const pairAddress = await factory.getPair(token.address, WETH.address)
+    const pair = new Contract(pairAddress, JSON.stringify(IUniswapV2Pair.abi), provider).connect(wallet)
+
+    await WETH.deposit({ value: WETHAmount })
+    await token.transfer(pairAddress, tokenAmount)
+    await WETH.transfer(pairAddress, WETHAmount)
+    await pair.mint(wallet.address, overrides)
+    return pairAddress
+  }
+
+  // runs the probe's constructor in an eth_call, like the frontend does
+  async function probe(pairAddress: string, token: Contract, value: BigNumber) {
+    const data =
+      '0x' +
+      ExampleSwapProbe.bytecode +
+      defaultAbiCoder.encode(['address', 'address', 'address'], [pairAddress, token.address, WETH.address]).slice(2)
+    const result = await provider.call({ from: wallet.address, data, value, gasLimit: 9999999 })
+    const [buyExpected, buyReceived, sellSent, sellReceived, failure, reason] = defaultAbiCoder.decode(
+      ['uint256', 'uint256', 'uint256', 'uint256', 'uint8', 'bytes'],
+      result
+    )
+    return { buyExpected, buyReceived, sellSent, sellReceived, failure, reason }
+  }
+
+  it('round trip without tax', async () => {
+    const pairAddress = await addLiquidity(WETHPartner, expandTo18Decimals(1000), expandTo18Decimals(10))
+    const { buyExpected, buyReceived, sellSent, sellReceived, failure, reason } = await probe(
+      pairAddress,
+      WETHPartner,
+      expandTo18Decimals(1)
+    )
+
+    expect(buyExpected).to.eq(bigNumberify('90661089388014913158'))
+    expect(buyReceived).to.eq(buyExpected)
+    expect(sellSent).to.eq(buyReceived)
+    expect(sellReceived).to.eq(sellSent)
+    expect(failure).to.eq(0)
+    expect(reason).to.eq('0x')
+  })
+
+  it('round trip with tax', async () => {
+    const DTT = await deployContract(wallet, DeflatingERC20, [expandTo18Decimals(10000)])
+    const pairAddress = await addLiquidity(DTT, expandTo18Decimals(1000), expandTo18Decimals(10))
+    const { buyExpected, buyReceived, sellSent, sellReceived, failure } = await probe(
+      pairAddress,
+      DTT,
+      expandTo18Decimals(1)
+    )
+
+    // DeflatingERC20 burns 1% of every transfer
+    expect(buyReceived).to.eq(buyExpected.sub(buyExpected.div(100)))
+    expect(sellSent).to.eq(buyReceived)
+    expect(sellReceived).to.eq(sellSent.sub(sellSent.div(100)))
+    expect(failure).to.eq(0)
+  })
+
+  it('leaves the pair untouched', async () => {
+    const pairAddress = await addLiquidity(WETHPartner, expandTo18Decimals(1000), expandTo18Decimals(10))
+    const pair = new Contract(pairAddress, JSON.stringify(IUniswapV2Pair.abi), provider)
+    const reservesBefore = await pair.getReserves()
+
+    await probe(pairAddress, WETHPartner, expandTo18Decimals(1))
+
+    const reservesAfter = await pair.getReserves()
+    expect(reservesAfter[0]).to.eq(reservesBefore[0])
+    expect(reservesAfter[1]).to.eq(reservesBefore[1])
+  })
+})
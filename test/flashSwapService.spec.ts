@@ -0,0 +1,208 @@
+import chai, { expect } from 'chai'
+import { Contract } from 'ethers'
+import { MaxUint256 } from 'ethers/constants'
+import { BigNumber, bigNumberify, defaultAbiCoder } from 'ethers/utils'
+import { solidity, MockProvider, createFixtureLoader, deployContract } from 'ethereum-waffle'
+
+import { expandTo18Decimals } from './shared/utilities'
+import { v2Fixture } from './shared/fixtures'
+import { FrontendModules, frontendModules } from './shared/frontend'
+
+import ExampleFlashSwap from '../build/ExampleFlashSwap.json'
+
+chai.use(solidity)
+
+const overrides = {
+  gasLimit: 9999999,
+  gasPrice: 0
+}
+
+describe('flashSwapService', () => {
+  const provider = new MockProvider({
+    hardfork: 'istanbul',
+    mnemonic: 'horn horn horn horn horn horn horn horn horn horn horn horn',
+    gasLimit: 9999999
+  })
+  const [wallet] = provider.getWallets()
+  const loadFixture = createFixtureLoader(provider, [wallet])
+
+  let frontend: FrontendModules
+  let flashSwapService: any
+  let ethersV5: any
+  before(async () => {
+    frontend = await frontendModules()
+    flashSwapService = await frontend.load('/src/services/flashSwapService.ts')
+    ethersV5 = (await frontend.load('ethers')).ethers
+  })
+
+  after(async () => {
+    await frontend.close()
+  })
+
+  // the service takes the frontend's (ethers v5) BigNumbers
+  function repayment(borrowAmount: BigNumber, reserveBorrow: BigNumber, reserveRepay: BigNumber, inBorrowed = false) {
+    const { repayAmount, feeAmount } = flashSwapService.computeFlashSwapRepayment(
+      ethersV5.BigNumber.from(borrowAmount.toString()),
+      ethersV5.BigNumber.from(reserveBorrow.toString()),
+      ethersV5.BigNumber.from(reserveRepay.toString()),
+      inBorrowed
+    )
+    return { repayAmount: bigNumberify(repayAmount.toString()), feeAmount: bigNumberify(feeAmount.toString()) }
+  }
+
+  let WETH: Contract
+  let WETHPartner: Contract
+  let WETHExchangeV1: Contract
+  let WETHPair: Contract
+  let router: Contract
+  let flashSwapExample: Contract
+  beforeEach(async function() {
+    const fixture = await loadFixture(v2Fixture)
+
+    WETH = fixture.WETH
+    WETHPartner = fixture.WETHPartner
+    WETHExchangeV1 = fixture.WETHExchangeV1
+    WETHPair = fixture.WETHPair
+    router = fixture.router
+    flashSwapExample = await deployContract(
+      wallet,
+      ExampleFlashSwap,
+      [fixture.factoryV2.address, fixture.factoryV1.address, fixture.router.address],
+      overrides
+    )
+  })
+
+  async function addLiquidity(WETHPartnerAmountV1: BigNumber, WETHPartnerAmountV2: BigNumber) {
+    const ETHAmount = expandTo18Decimals(10)
+    await WETHPartner.approve(WETHExchangeV1.address, WETHPartnerAmountV1)
+    await WETHExchangeV1.addLiquidity(bigNumberify(1), WETHPartnerAmountV1, MaxUint256, {
+      ...overrides,
+      value: ETHAmount
+    })
+
+    await WETHPartner.transfer(WETHPair.address, WETHPartnerAmountV2)
+    await WETH.deposit({ value: ETHAmount })
+    await WETH.transfer(WETHPair.address, ETHAmount)
+    await WETHPair.mint(wallet.address, overrides)
+  }
+
+  async function getReserves(): Promise<{ reserveWETH: BigNumber; reserveWETHPartner: BigNumber }> {
+    const [reserve0, reserve1] = await WETHPair.getReserves()
+    return (await WETHPair.token0()) === WETH.address
+      ? { reserveWETH: reserve0, reserveWETHPartner: reserve1 }
+      : { reserveWETH: reserve1, reserveWETHPartner: reserve0 }
+  }
+
+  async function swapAmounts(borrowToken: string, borrowAmount: BigNumber): Promise<[BigNumber, BigNumber]> {
+    return (await WETHPair.token0()) === borrowToken ? [borrowAmount, bigNumberify(0)] : [bigNumberify(0), borrowAmount]
+  }
+
+  it('computeFlashSwapRepayment:getAmountsIn', async () => {
+    await addLiquidity(expandTo18Decimals(2000), expandTo18Decimals(1000))
+    const { reserveWETH, reserveWETHPartner } = await getReserves()
+
+    for (const borrowAmount of [bigNumberify(1), expandTo18Decimals(1), expandTo18Decimals(9)]) {
+      // borrow WETH, repay WETHPartner
+      const [amountRequiredWETHPartner] = await router.getAmountsIn(borrowAmount, [WETHPartner.address, WETH.address])
+      expect(repayment(borrowAmount, reserveWETH, reserveWETHPartner).repayAmount).to.eq(amountRequiredWETHPartner)
+
+      // borrow WETHPartner, repay WETH
+      const [amountRequiredWETH] = await router.getAmountsIn(borrowAmount, [WETH.address, WETHPartner.address])
+      expect(repayment(borrowAmount, reserveWETHPartner, reserveWETH).repayAmount).to.eq(amountRequiredWETH)
+    }
+  })
+
+  it('computeFlashSwapRepayment:fee', async () => {
+    const borrowAmount = expandTo18Decimals(1)
+    const reserveBorrow = expandTo18Decimals(10)
+    const reserveRepay = expandTo18Decimals(1000)
+    // 1 of 10 borrowed costs 1000 / 9 of the other token without the fee, 0.3% of the repayment is the fee
+    const { repayAmount, feeAmount } = repayment(borrowAmount, reserveBorrow, reserveRepay)
+    expect(repayAmount).to.eq(bigNumberify('111445447453471525689'))
+    expect(feeAmount).to.eq(repayAmount.sub(bigNumberify('111111111111111111111')))
+    expect(feeAmount).to.eq(bigNumberify('334336342360414578'))
+
+    // repaid in the borrowed token, the pair checks 997 * repayment >= 1000 * borrowed
+    const repaidInBorrowed = repayment(borrowAmount, reserveBorrow, reserveRepay, true)
+    expect(repaidInBorrowed.repayAmount).to.eq(bigNumberify('1003009027081243732'))
+    expect(repaidInBorrowed.repayAmount.mul(997).gte(borrowAmount.mul(1000))).to.eq(true)
+    expect(
+      repaidInBorrowed.repayAmount
+        .sub(1)
+        .mul(997)
+        .lt(borrowAmount.mul(1000))
+    ).to.eq(true)
+    expect(repaidInBorrowed.feeAmount).to.eq(bigNumberify('3009027081243732'))
+
+    expect(() => repayment(reserveBorrow, reserveBorrow, reserveRepay)).to.throw(
+      'Borrow amount exceeds the pair reserve'
+    )
+  })
+
+  it('encodeFlashSwapData', async () => {
+    expect(flashSwapService.encodeFlashSwapData(1)).to.eq(defaultAbiCoder.encode(['uint'], [bigNumberify(1)]))
+    expect(flashSwapService.encodeFlashSwapData(expandTo18Decimals(165).toString())).to.eq(
+      defaultAbiCoder.encode(['uint'], [expandTo18Decimals(165)])
+    )
+  })
+
+  it('ExampleFlashSwap:borrow WETH', async () => {
+    // V1 at 1 ETH / 200 X, V2 at 1 ETH / 100 X
+    await addLiquidity(expandTo18Decimals(2000), expandTo18Decimals(1000))
+    const { reserveWETH, reserveWETHPartner } = await getReserves()
+
+    const borrowAmount = expandTo18Decimals(1)
+    const { repayAmount } = repayment(borrowAmount, reserveWETH, reserveWETHPartner)
+    const amountReceived = await WETHExchangeV1.getEthToTokenInputPrice(borrowAmount)
+
+    // one more than the V1 output fails the slippage check of the V1 leg
+    const [amount0, amount1] = await swapAmounts(WETH.address, borrowAmount)
+    await expect(
+      WETHPair.swap(
+        amount0,
+        amount1,
+        flashSwapExample.address,
+        flashSwapService.encodeFlashSwapData(amountReceived.add(1).toString()),
+        overrides
+      )
+    ).to.be.reverted
+
+    const balanceBefore = await WETHPartner.balanceOf(wallet.address)
+    await WETHPair.swap(
+      amount0,
+      amount1,
+      flashSwapExample.address,
+      flashSwapService.encodeFlashSwapData(amountReceived.toString()),
+      overrides
+    )
+    const balanceAfter = await WETHPartner.balanceOf(wallet.address)
+
+    // the example repays exactly what the service computed and keeps the rest
+    expect(balanceAfter.sub(balanceBefore)).to.eq(amountReceived.sub(repayAmount))
+    expect(await WETHPartner.balanceOf(WETHPair.address)).to.eq(reserveWETHPartner.add(repayAmount))
+  })
+
+  it('ExampleFlashSwap:borrow WETHPartner', async () => {
+    // V1 at 1 ETH / 100 X, V2 at 1 ETH / 200 X
+    await addLiquidity(expandTo18Decimals(1000), expandTo18Decimals(2000))
+    const { reserveWETH, reserveWETHPartner } = await getReserves()
+
+    const borrowAmount = expandTo18Decimals(200)
+    const { repayAmount } = repayment(borrowAmount, reserveWETHPartner, reserveWETH)
+    const amountReceived = await WETHExchangeV1.getTokenToEthInputPrice(borrowAmount)
+
+    const [amount0, amount1] = await swapAmounts(WETHPartner.address, borrowAmount)
+    const balanceBefore = await provider.getBalance(wallet.address)
+    await WETHPair.swap(
+      amount0,
+      amount1,
+      flashSwapExample.address,
+      flashSwapService.encodeFlashSwapData(amountReceived.toString()),
+      overrides
+    )
+    const balanceAfter = await provider.getBalance(wallet.address)
+
+    expect(balanceAfter.sub(balanceBefore)).to.eq(amountReceived.sub(repayAmount))
+    expect(await WETH.balanceOf(WETHPair.address)).to.eq(reserveWETH.add(repayAmount))
+  })
+})
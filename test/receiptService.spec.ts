@@ -0,0 +1,190 @@
+import { expect } from 'chai'
+import { BigNumber, bigNumberify, defaultAbiCoder, hexZeroPad, id } from 'ethers/utils'
+
+import { expandTo18Decimals } from './shared/utilities'
+import { FrontendModules, frontendModules } from './shared/frontend'
+
+// mainnet tokens and their pairs
+const FACTORY = '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f'
+const INIT_CODE_HASH = '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f'
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
+const DAI_WETH = '0xA478c2975Ab1Ea89e8196811F51A7B7Ade33eB11'
+const WETH_USDC = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc'
+const USDC_DAI = '0xAE461cA67B15dc8dc81CE7615e0320dA1A9aB8D5'
+
+const ETH = '0x0000000000000000000000000000000000000000'
+const ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
+const SENDER = '0x1111111111111111111111111111111111111111'
+const RECIPIENT = '0x2222222222222222222222222222222222222222'
+const FEE_WALLET = '0x3333333333333333333333333333333333333333'
+
+const SWAP_TOPIC = id('Swap(address,uint256,uint256,uint256,uint256,address)')
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)')
+const DEPOSIT_TOPIC = id('Deposit(address,uint256)')
+const WITHDRAWAL_TOPIC = id('Withdrawal(address,uint256)')
+
+function log(address: string, topics: string[], types: string[], values: any[]) {
+  return { address, topics, data: defaultAbiCoder.encode(types, values) }
+}
+
+function swapLog(pair: string, amounts: [BigNumber, BigNumber, BigNumber, BigNumber], to: string) {
+  return log(
+    pair,
+    [SWAP_TOPIC, hexZeroPad(ROUTER, 32), hexZeroPad(to, 32)],
+    ['uint256', 'uint256', 'uint256', 'uint256'],
+    amounts
+  )
+}
+
+function transferLog(token: string, from: string, to: string, value: BigNumber) {
+  return log(token, [TRANSFER_TOPIC, hexZeroPad(from, 32), hexZeroPad(to, 32)], ['uint256'], [value])
+}
+
+function wethLog(topic: string, account: string, wad: BigNumber) {
+  return log(WETH, [topic, hexZeroPad(account, 32)], ['uint256'], [wad])
+}
+
+function receipt(...logs: any[]) {
+  return { logs }
+}
+
+const ZERO = bigNumberify(0)
+
+describe('receiptService', () => {
+  let frontend: FrontendModules
+  let receiptService: any
+  before(async () => {
+    frontend = await frontendModules()
+    receiptService = await frontend.load('/src/services/receiptService.ts')
+  })
+
+  after(async () => {
+    await frontend.close()
+  })
+
+  function parse(logs: any[], options: { [option: string]: any }) {
+    return receiptService.parseSwapReceipt(receipt(...logs), {
+      sender: SENDER,
+      recipient: RECIPIENT,
+      factory: FACTORY,
+      initCodeHash: INIT_CODE_HASH,
+      ...options
+    })
+  }
+
+  // DAI -> WETH -> USDC: DAI is token0 of the first pair, WETH is token1 of the second
+  const daiIn = expandTo18Decimals(2000)
+  const wethOut = expandTo18Decimals(1)
+  const usdcOut = bigNumberify(1990).mul(bigNumberify(10).pow(6))
+  const multiHopLogs = [
+    transferLog(DAI, SENDER, DAI_WETH, daiIn),
+    transferLog(WETH, DAI_WETH, WETH_USDC, wethOut),
+    swapLog(DAI_WETH, [daiIn, ZERO, ZERO, wethOut], WETH_USDC),
+    transferLog(USDC, WETH_USDC, RECIPIENT, usdcOut),
+    swapLog(WETH_USDC, [ZERO, wethOut, usdcOut, ZERO], RECIPIENT)
+  ]
+
+  it('multi-hop', () => {
+    const execution = parse(multiHopLogs, { tokenIn: DAI, tokenOut: USDC, path: [DAI, WETH, USDC] })
+
+    expect(execution.hops.map((hop: any) => hop.pair)).to.deep.eq([DAI_WETH, WETH_USDC])
+    expect(execution.hops.map((hop: any) => [hop.tokenIn, hop.tokenOut])).to.deep.eq([
+      [DAI, WETH],
+      [WETH, USDC]
+    ])
+    expect(execution.amounts.map(String)).to.deep.eq([daiIn.toString(), wethOut.toString(), usdcOut.toString()])
+    expect(execution.amountIn.toString()).to.eq(daiIn.toString())
+    expect(execution.amountOut.toString()).to.eq(usdcOut.toString())
+  })
+
+  it('ETH in', () => {
+    const amountIn = expandTo18Decimals(1)
+    const daiOut = expandTo18Decimals(1990)
+    const execution = parse(
+      [
+        wethLog(DEPOSIT_TOPIC, ROUTER, amountIn),
+        transferLog(WETH, ROUTER, DAI_WETH, amountIn),
+        transferLog(DAI, DAI_WETH, RECIPIENT, daiOut),
+        swapLog(DAI_WETH, [ZERO, amountIn, daiOut, ZERO], RECIPIENT)
+      ],
+      { tokenIn: ETH, tokenOut: DAI, path: [WETH, DAI] }
+    )
+
+    expect(execution.amountIn.toString()).to.eq(amountIn.toString())
+    expect(execution.amountOut.toString()).to.eq(daiOut.toString())
+  })
+
+  it('ETH out', () => {
+    const amountIn = expandTo18Decimals(2000)
+    const amountOut = expandTo18Decimals(1)
+    const execution = parse(
+      [
+        transferLog(DAI, SENDER, DAI_WETH, amountIn),
+        transferLog(WETH, DAI_WETH, ROUTER, amountOut),
+        swapLog(DAI_WETH, [amountIn, ZERO, ZERO, amountOut], ROUTER),
+        wethLog(WITHDRAWAL_TOPIC, ROUTER, amountOut)
+      ],
+      { tokenIn: DAI, tokenOut: ETH, path: [DAI, WETH] }
+    )
+
+    expect(execution.amountIn.toString()).to.eq(amountIn.toString())
+    expect(execution.amountOut.toString()).to.eq(amountOut.toString())
+  })
+
+  it('taxed transfers', () => {
+    // the sender pays the pair and a fee wallet, the recipient receives two transfers
+    const paid = expandTo18Decimals(100)
+    const fee = expandTo18Decimals(3)
+    const amountOut = bigNumberify(95).mul(bigNumberify(10).pow(6))
+    const reflection = bigNumberify(2).mul(bigNumberify(10).pow(6))
+    const execution = parse(
+      [
+        transferLog(DAI, SENDER, USDC_DAI, paid.sub(fee)),
+        transferLog(DAI, SENDER, FEE_WALLET, fee),
+        transferLog(USDC, USDC_DAI, RECIPIENT, amountOut),
+        transferLog(USDC, FEE_WALLET, RECIPIENT, reflection),
+        transferLog(USDC, RECIPIENT, FEE_WALLET, reflection),
+        swapLog(USDC_DAI, [paid.sub(fee), ZERO, ZERO, amountOut], RECIPIENT)
+      ],
+      { tokenIn: DAI, tokenOut: USDC, path: [DAI, USDC] }
+    )
+
+    expect(execution.hops[0].amountIn.toString()).to.eq(paid.sub(fee).toString())
+    expect(execution.amountIn.toString()).to.eq(paid.toString())
+    expect(execution.amountOut.toString()).to.eq(amountOut.add(reflection).toString())
+  })
+
+  it('uses the last swaps of the route pairs', () => {
+    const earlierIn = expandTo18Decimals(500)
+    const earlierOut = expandTo18Decimals(1).div(4)
+    const execution = parse(
+      [
+        // another contract swaps the first pair, and an unrelated pair, before the route
+        swapLog(DAI_WETH, [earlierIn, ZERO, ZERO, earlierOut], SENDER),
+        swapLog(USDC_DAI, [ZERO, earlierIn, earlierIn, ZERO], SENDER),
+        ...multiHopLogs
+      ],
+      { tokenIn: DAI, tokenOut: USDC, path: [DAI, WETH, USDC] }
+    )
+
+    expect(execution.amounts.map(String)).to.deep.eq([daiIn.toString(), wethOut.toString(), usdcOut.toString()])
+  })
+
+  it('swap events out of path order', () => {
+    expect(() =>
+      parse([multiHopLogs[4], multiHopLogs[2]], { tokenIn: DAI, tokenOut: USDC, path: [DAI, WETH, USDC] })
+    ).to.throw(`Swap event of hop 1 from ${WETH_USDC}, expected pair ${DAI_WETH.toLowerCase()}`)
+  })
+
+  it('swap event of another pair', () => {
+    expect(() =>
+      parse([swapLog(USDC_DAI, [daiIn, ZERO, ZERO, usdcOut], RECIPIENT)], {
+        tokenIn: DAI,
+        tokenOut: USDC,
+        path: [DAI, WETH, USDC]
+      })
+    ).to.throw('Expected 2 Swap events, found 0')
+  })
+})
@@ -0,0 +1,26 @@
+import path from 'path'
+
+const FRONTEND_ROOT = path.join(__dirname, '../../frontend')
+
+export interface FrontendModules {
+  // a source file ('/src/...') or a package of the frontend ('ethers' is v5 there)
+  load(id: string): Promise<any>
+  close(): Promise<void>
+}
+
+// the frontend's TypeScript and ES modules (and its ethers v5) can't go through ts-node, so they are transpiled and
+// loaded by the frontend's own vite, without its config or a dev server
+export async function frontendModules(): Promise<FrontendModules> {
+  const { createServer } = require(require.resolve('vite', { paths: [FRONTEND_ROOT] }))
+  const server = await createServer({
+    root: FRONTEND_ROOT,
+    configFile: false,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false }
+  })
+  return {
+    load: (id: string) => server.ssrLoadModule(id),
+    close: () => server.close()
+  }
+}
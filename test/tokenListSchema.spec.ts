@@ -0,0 +1,187 @@
+import { expect } from 'chai'
+
+import { FrontendModules, frontendModules } from './shared/frontend'
+
+const TOKEN_A = {
+  chainId: 1,
+  address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  name: 'Wrapped Ether',
+  symbol: 'WETH',
+  decimals: 18
+}
+const TOKEN_B = {
+  chainId: 1,
+  address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+  name: 'Dai Stablecoin',
+  symbol: 'DAI',
+  decimals: 18,
+  tags: ['stablecoin']
+}
+const TOKEN_C = {
+  chainId: 1,
+  address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+  name: 'USD Coin',
+  symbol: 'USDC',
+  decimals: 6,
+  tags: ['stablecoin']
+}
+
+function list(overrides: { [field: string]: any } = {}) {
+  return {
+    name: 'Test List',
+    timestamp: '2020-06-12T00:00:00+00:00',
+    version: { major: 1, minor: 0, patch: 0 },
+    tags: { stablecoin: { name: 'Stablecoin', description: 'Pegged to a fiat currency' } },
+    tokens: [TOKEN_A, TOKEN_B, TOKEN_C],
+    ...overrides
+  }
+}
+
+describe('tokenListSchema', () => {
+  let frontend: FrontendModules
+  let schema: any
+  before(async () => {
+    frontend = await frontendModules()
+    schema = await frontend.load('/src/utils/tokenListSchema.ts')
+  })
+
+  after(async () => {
+    await frontend.close()
+  })
+
+  describe('validateTokenList', () => {
+    it('valid list', () => {
+      expect(schema.validateTokenList(list())).to.deep.eq({ valid: true, errors: [], warnings: [] })
+    })
+
+    it('not an object', () => {
+      expect(schema.validateTokenList([]).valid).to.eq(false)
+      expect(schema.validateTokenList(null).errors).to.deep.eq(['List is not a JSON object'])
+    })
+
+    it('list fields', () => {
+      const { valid, errors } = schema.validateTokenList({
+        ...list(),
+        name: 'Test-List!',
+        timestamp: 'yesterday',
+        version: { major: 1, minor: -1, patch: 0 },
+        logoURI: 'logo.png'
+      })
+      expect(valid).to.eq(false)
+      expect(errors).to.deep.eq([
+        'name must be 1-30 letters, digits, underscores or spaces',
+        'timestamp must be an ISO 8601 date-time',
+        'version must have non-negative integer major, minor and patch',
+        'logoURI must be a URI'
+      ])
+    })
+
+    it('no tokens', () => {
+      expect(schema.validateTokenList(list({ tokens: [] })).errors).to.deep.eq([
+        'tokens must be an array of 1-10000 tokens'
+      ])
+    })
+
+    it('token fields', () => {
+      const { valid, errors } = schema.validateTokenList(
+        list({
+          tokens: [
+            TOKEN_A,
+            { ...TOKEN_B, chainId: 0, address: '0x6B175474E89094C44Da98b954EedeAC495271d0' },
+            { ...TOKEN_C, decimals: 256, symbol: 'US DC' }
+          ]
+        })
+      )
+      expect(valid).to.eq(false)
+      expect(errors).to.deep.eq([
+        'tokens[1]: chainId must be a positive integer',
+        'tokens[1]: invalid address',
+        'tokens[2]: decimals must be an integer from 0 to 255',
+        'tokens[2]: symbol must be at most 20 characters without whitespace'
+      ])
+    })
+
+    it('duplicate tokens', () => {
+      const { valid, errors, warnings } = schema.validateTokenList(
+        list({ tokens: [TOKEN_A, TOKEN_B, { ...TOKEN_A, address: TOKEN_A.address.toLowerCase(), name: 'WETH' }] })
+      )
+      expect(valid).to.eq(true)
+      expect(errors).to.deep.eq([])
+      expect(warnings).to.deep.eq([
+        `Duplicate token WETH (${TOKEN_A.address.toLowerCase()}) on chain 1, first entry kept`
+      ])
+    })
+
+    it('undefined tags', () => {
+      const { valid, warnings } = schema.validateTokenList(
+        list({ tags: undefined, tokens: [TOKEN_A, TOKEN_B, { ...TOKEN_C, tags: ['stablecoin', 'bridged'] }] })
+      )
+      expect(valid).to.eq(true)
+      expect(warnings).to.deep.eq(['Tags used without a definition: stablecoin, bridged'])
+    })
+  })
+
+  describe('diffTokenLists', () => {
+    it('no changes', () => {
+      const diff = schema.diffTokenLists(
+        [TOKEN_A, TOKEN_B],
+        [TOKEN_B, { ...TOKEN_A, address: TOKEN_A.address.toLowerCase() }]
+      )
+      expect(diff).to.deep.eq({ added: [], removed: [], changed: {} })
+      expect(schema.minVersionBump(diff)).to.eq('none')
+    })
+
+    it('added', () => {
+      const diff = schema.diffTokenLists([TOKEN_A], [TOKEN_A, TOKEN_B])
+      expect(diff).to.deep.eq({ added: [TOKEN_B], removed: [], changed: {} })
+      expect(schema.minVersionBump(diff)).to.eq('minor')
+    })
+
+    it('removed', () => {
+      const diff = schema.diffTokenLists([TOKEN_A, TOKEN_B], [TOKEN_B, TOKEN_C])
+      expect(diff).to.deep.eq({ added: [TOKEN_C], removed: [TOKEN_A], changed: {} })
+      expect(schema.minVersionBump(diff)).to.eq('major')
+    })
+
+    it('changed', () => {
+      const diff = schema.diffTokenLists(
+        [TOKEN_A, TOKEN_B],
+        [
+          { ...TOKEN_A, name: 'Wrapped Ether v2', logoURI: 'ipfs://weth' },
+          { ...TOKEN_B, tags: undefined }
+        ]
+      )
+      expect(diff).to.deep.eq({
+        added: [],
+        removed: [],
+        changed: {
+          [`1:${TOKEN_A.address.toLowerCase()}`]: ['name', 'logoURI'],
+          [`1:${TOKEN_B.address.toLowerCase()}`]: ['tags']
+        }
+      })
+      expect(schema.minVersionBump(diff)).to.eq('patch')
+    })
+
+    it('same address on another chain', () => {
+      const diff = schema.diffTokenLists([TOKEN_A], [TOKEN_A, { ...TOKEN_A, chainId: 3 }])
+      expect(diff.added).to.deep.eq([{ ...TOKEN_A, chainId: 3 }])
+      expect(schema.minVersionBump(diff)).to.eq('minor')
+    })
+  })
+
+  describe('getVersionUpgrade', () => {
+    const base = { major: 1, minor: 2, patch: 3 }
+
+    it('newer', () => {
+      expect(schema.getVersionUpgrade(base, { major: 2, minor: 0, patch: 0 })).to.eq('major')
+      expect(schema.getVersionUpgrade(base, { major: 1, minor: 3, patch: 0 })).to.eq('minor')
+      expect(schema.getVersionUpgrade(base, { major: 1, minor: 2, patch: 4 })).to.eq('patch')
+    })
+
+    it('same or older', () => {
+      expect(schema.getVersionUpgrade(base, base)).to.eq('none')
+      expect(schema.getVersionUpgrade(base, { major: 1, minor: 1, patch: 9 })).to.eq('none')
+      expect(schema.getVersionUpgrade(base, { major: 0, minor: 9, patch: 9 })).to.eq('none')
+    })
+  })
+})